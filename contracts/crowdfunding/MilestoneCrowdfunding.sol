@@ -5,9 +5,11 @@ import "../interfaces/IERC20.sol";
 import "../interfaces/IPriceOracle.sol";
 import "../interfaces/ISlothPriceOracle.sol";
 import "../interfaces/IDreamsStaking.sol";
+import "../interfaces/IDreamsStakingVault.sol";
 import "../libraries/SafeMath.sol";
 import "../libraries/SafeERC20.sol";
 import "../libraries/ReentrancyGuard.sol";
+import "../libraries/ProtocolRoles.sol";
 
 /**
  * @title MilestoneCrowdfunding
@@ -49,7 +51,7 @@ import "../libraries/ReentrancyGuard.sol";
  * - Uses compact storage to save on blockchain fees
  * - Project details stored on IPFS (decentralized file storage)
  */
-contract MilestoneCrowdfunding is ReentrancyGuard {
+contract MilestoneCrowdfunding is ReentrancyGuard, ProtocolRoles {
     using SafeMath for uint256;
     using SafeERC20 for IERC20;
 
@@ -142,6 +144,9 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
         uint256 votesForCreator;      // Hybrid voting power supporting creator
         uint256 votesForBackers;      // Hybrid voting power supporting backers
         uint256 totalVoters;          // Number of unique voters
+        uint256 powerVoted;           // Staking power (incl. delegations) behind the votes, for quorum
+        uint256 snapshotBlock;        // Voting power is read as of this block
+        uint256 totalPowerAtSnapshot; // Total staking power at snapshotBlock, for quorum
     }
 
     // Track who has voted on each dispute (one vote per staker per dispute)
@@ -161,6 +166,7 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
     mapping(uint256 => Dispute) public disputes;
     uint256 public disputeCount;
     IDreamsStaking public dreamsStakingContract;  // For hybrid voting power calculation
+    IDreamsStakingVault public stakingVault;      // Optional: vault depositors vote with their share of its stake
 
     // Campaign failure timestamps (for refund expiration)
     mapping(uint256 => uint256) public campaignFailedTimestamp;
@@ -210,6 +216,7 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
     uint256 public constant DISPUTE_VOTING_PERIOD = 5 days;   // Community has 5 days to vote on disputes
     uint256 public constant DISPUTE_MIN_VOTERS = 5;           // Minimum voters required for valid dispute resolution
     uint256 public constant DISPUTE_QUORUM_BPS = 1000;        // 10% of total staking power must vote
+    uint256 public constant DISPUTE_LOCK_EXPIRIES = 100;      // Ended staking locks a dispute expires before its snapshot
 
     // Creator reputation
     mapping(address => uint256) public creatorSuccessfulCampaigns;
@@ -304,7 +311,10 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
         uint256 totalVoters
     );
     event StakingPoolUpdated(string poolType, address indexed poolAddress);
+    event StakerFeeSentToTreasury(address indexed token, uint256 amount);
+    event StakerFeeNotifyFailed(address indexed token, uint256 amount);
     event DreamsStakingContractUpdated(address indexed oldContract, address indexed newContract);
+    event StakingVaultUpdated(address indexed oldVault, address indexed newVault);
 
     // Refund expiration
     event ExpiredRefundsSwept(uint256 indexed campaignId, uint256 amount);
@@ -362,6 +372,7 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
     error DisputeVotingNotEnded();
     error QuorumNotReached();
     error StakingContractNotSet();
+    error LockExpiryPending();
 
     // ============ INTERNAL STRUCTS ============
 
@@ -940,10 +951,21 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
         }
 
         // Transfer to DREAMS staking pool or treasury as fallback
-        if (dreamsStakingPool != address(0)) {
+        if (dreamsStakingPool == address(0)) {
+            IERC20(_tokenAddress).safeTransfer(treasury, _dreamsAmount);
+        } else if (dreamsStakingPool != address(dreamsStakingContract)) {
             IERC20(_tokenAddress).safeTransfer(dreamsStakingPool, _dreamsAmount);
-        } else {
+        } else if (!dreamsStakingContract.isRewardToken(_tokenAddress)) {
+            // DreamsStaking only streams its reward tokens; anything else would sit there unallocated
             IERC20(_tokenAddress).safeTransfer(treasury, _dreamsAmount);
+            emit StakerFeeSentToTreasury(_tokenAddress, _dreamsAmount);
+        } else {
+            // Stream the share to stakers. If that fails (e.g. we aren't a distributor)
+            // the tokens stay unallocated in DreamsStaking and can be funded by hand
+            IERC20(_tokenAddress).safeTransfer(dreamsStakingPool, _dreamsAmount);
+            try dreamsStakingContract.notifyRewardAmount(_tokenAddress, _dreamsAmount) {} catch {
+                emit StakerFeeNotifyFailed(_tokenAddress, _dreamsAmount);
+            }
         }
     }
 
@@ -1015,6 +1037,10 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
     /**
      * @notice Creator initiates dispute for rejected milestone - triggers community voting
      * @dev Must be called within 7 days of rejection. Opens 5-day voting period for DREAMS stakers.
+     *      Reverts StakingContractNotSet until setDreamsStakingContract has been called,
+     *      since nobody could vote (or be counted for quorum) without it.
+     *      Reverts LockExpiryPending if more than DISPUTE_LOCK_EXPIRIES staking locks
+     *      have ended unexpired; call DreamsStaking.expireEndedLocks() first.
      * @param _campaignId Campaign with rejected milestone
      * @param _evidenceHash IPFS hash of additional evidence
      */
@@ -1052,6 +1078,13 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
         dispute.votesForCreator = 0;
         dispute.votesForBackers = 0;
         dispute.totalVoters = 0;
+        dispute.powerVoted = 0;
+
+        // Power is read as of this block, once every ended lock is expired, so
+        // boosts of locks that are over count neither in votes nor in quorum
+        if (!dreamsStakingContract.expireEndedLocks(DISPUTE_LOCK_EXPIRIES)) revert LockExpiryPending();
+        dispute.snapshotBlock = block.number;
+        dispute.totalPowerAtSnapshot = dreamsStakingContract.getTotalVotingPower();
 
         emit DisputeInitiated(disputeId, _campaignId, milestoneIndex, _evidenceHash, dispute.votingEndTime);
 
@@ -1060,7 +1093,9 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
 
     /**
      * @notice DREAMS stakers vote on a dispute using hybrid quadratic + time-weighted voting
-     * @dev Voting power = sqrt(staked_tokens) × time_multiplier
+     * @dev Voting power = sqrt(staked_tokens) × time_multiplier, with staked tokens
+     *      (and delegations) as of the block the dispute opened in and the
+     *      multiplier for how long the voter had been staked when it opened
      *      Time multipliers: 0-30 days = 1.0x, 30-90 days = 1.25x, 90-180 days = 1.5x, 180+ days = 2.0x
      * @param _campaignId Campaign with active dispute
      * @param _supportCreator True to support creator, false to support backers
@@ -1074,13 +1109,20 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
         if (block.timestamp >= dispute.votingEndTime) revert VotingPeriodEnded();
         if (disputeVotes[_campaignId][msg.sender]) revert AlreadyVotedOnDispute();
 
-        // Get staking info
-        uint256 votingPower = _calculateHybridVotingPower(msg.sender);
+        // Get staking info at the snapshot (own power plus anything delegated to the voter,
+        // plus their share of the staking vault's power)
+        uint256 votes = dreamsStakingContract.getPastVotes(msg.sender, dispute.snapshotBlock);
+        if (address(stakingVault) != address(0)) {
+            votes += stakingVault.getPastVotes(msg.sender, dispute.snapshotBlock);
+        }
+        uint256 openedAt = dispute.votingEndTime - DISPUTE_VOTING_PERIOD;
+        uint256 votingPower = _calculateHybridVotingPower(msg.sender, votes, openedAt);
         if (votingPower == 0) revert NotAStaker();
 
         // Record vote
         disputeVotes[_campaignId][msg.sender] = true;
         dispute.totalVoters++;
+        dispute.powerVoted += votes;
 
         if (_supportCreator) {
             dispute.votesForCreator += votingPower;
@@ -1092,22 +1134,28 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
     }
 
     /**
-     * @notice Calculate hybrid voting power: sqrt(staked) × time_multiplier
-     * @dev Rewards both stake size (quadratic) and loyalty (time-weighted)
+     * @notice Calculate hybrid voting power: sqrt(votes) × time_multiplier
+     * @dev Rewards both stake size (quadratic) and loyalty (time-weighted).
+     *      The quadratic side uses the voter's delegated votes in the staking
+     *      contract: their own power (lock boosts included) unless delegated away,
+     *      plus power delegated to them. The time side uses the voter's own stake,
+     *      so a delegate without a stake of their own votes at 1.0x.
      * @param _voter Address to calculate voting power for
+     * @param _votes Staking votes of the voter (live or at a dispute snapshot)
+     * @param _asOf Time the stake duration is measured at (now, or when a dispute opened).
+     *        A stake started after it counts as 0 days
      * @return votingPower The calculated hybrid voting power (scaled by 1e9 for precision)
      */
-    function _calculateHybridVotingPower(address _voter) internal view returns (uint256) {
-        (uint256 stakedAmount, uint256 startTime, , , ) = dreamsStakingContract.stakes(_voter);
-
-        if (stakedAmount == 0) return 0;
+    function _calculateHybridVotingPower(address _voter, uint256 _votes, uint256 _asOf) internal view returns (uint256) {
+        if (_votes == 0) return 0;
 
-        // Calculate quadratic component: sqrt(staked)
+        // Calculate quadratic component: sqrt(votes, including lock boosts)
         // Using Babylonian method for integer square root
-        uint256 sqrtStaked = _sqrt(stakedAmount);
+        uint256 sqrtStaked = _sqrt(_votes);
 
-        // Calculate time multiplier based on stake duration
-        uint256 stakeDuration = block.timestamp - startTime;
+        // Calculate time multiplier based on the voter's own stake duration
+        (, uint256 startTime) = dreamsStakingContract.stakes(_voter);
+        uint256 stakeDuration = startTime == 0 || startTime > _asOf ? 0 : _asOf - startTime;
         uint256 timeMultiplier;
 
         if (stakeDuration >= 180 days) {
@@ -1157,13 +1205,12 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
         // Check minimum voters requirement
         if (dispute.totalVoters < DISPUTE_MIN_VOTERS) revert QuorumNotReached();
 
-        // Check quorum (10% of total staking power must have voted)
-        uint256 totalVotingPower = dispute.votesForCreator + dispute.votesForBackers;
-        uint256 totalStakingPower = dreamsStakingContract.getTotalVotingPower();
+        // Check quorum (10% of total staking power at the snapshot must have voted, delegated power included)
+        uint256 totalStakingPower = dispute.totalPowerAtSnapshot;
         uint256 requiredQuorum = (totalStakingPower * DISPUTE_QUORUM_BPS) / 10000;
 
-        // Use sqrt of total staking power for quorum to match voting power calculation
-        if (_sqrt(totalVotingPower) < _sqrt(requiredQuorum)) revert QuorumNotReached();
+        // Compare staking power with staking power; the hybrid votes only split the outcome
+        if (dispute.powerVoted < requiredQuorum) revert QuorumNotReached();
 
         // Determine outcome based on vote distribution
         uint256 totalVotes = dispute.votesForCreator + dispute.votesForBackers;
@@ -1207,7 +1254,11 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
      * @return votingPower The calculated hybrid voting power
      */
     function getDisputeVotingPower(address _voter) external view returns (uint256) {
-        return _calculateHybridVotingPower(_voter);
+        uint256 votes = dreamsStakingContract.getVotes(_voter);
+        if (address(stakingVault) != address(0)) {
+            votes += stakingVault.getVotes(_voter);
+        }
+        return _calculateHybridVotingPower(_voter, votes, block.timestamp);
     }
 
     /**
@@ -1278,7 +1329,7 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
      */
     function sweepExpiredRefunds(uint256 _campaignId)
         external
-        onlyAdmin
+        onlyRole(TREASURER_ROLE)
         campaignExists(_campaignId)
     {
         Campaign storage campaign = campaigns[_campaignId];
@@ -1412,20 +1463,24 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
 
     // ============ ADMIN FUNCTIONS ============
 
-    function updateTreasury(address _newTreasury) external onlyAdmin {
+    function updateTreasury(address _newTreasury) external onlyRole(GOVERNOR_ROLE) {
         if (_newTreasury == address(0)) revert InvalidAddress();
         address oldTreasury = treasury;
         treasury = _newTreasury;
         emit TreasuryUpdated(oldTreasury, _newTreasury);
     }
 
-    function updatePriceOracle(address _newOracle) external onlyAdmin {
+    function updatePriceOracle(address _newOracle) external onlyRole(GOVERNOR_ROLE) {
         if (_newOracle == address(0)) revert InvalidAddress();
         address oldOracle = address(priceOracle);
         priceOracle = ISlothPriceOracle(_newOracle);
         emit PriceOracleUpdated(oldOracle, _newOracle);
     }
 
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
     function initiateAdminTransfer(address _newAdmin) external onlyAdmin {
         if (_newAdmin == address(0)) revert InvalidAddress();
         pendingAdmin = _newAdmin;
@@ -1450,18 +1505,30 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
      * @dev Required for decentralized dispute resolution. Stakers vote on disputes.
      * @param _stakingContract Address of the DreamsStaking contract
      */
-    function setDreamsStakingContract(address _stakingContract) external onlyAdmin {
+    function setDreamsStakingContract(address _stakingContract) external onlyRole(GOVERNOR_ROLE) {
         if (_stakingContract == address(0)) revert InvalidAddress();
         address oldContract = address(dreamsStakingContract);
         dreamsStakingContract = IDreamsStaking(_stakingContract);
         emit DreamsStakingContractUpdated(oldContract, _stakingContract);
     }
 
+    /**
+     * @notice Set the DreamsStakingVault whose depositors vote on disputes
+     * @dev The vault's power is already in the staking total, so quorum doesn't
+     *      change; it's just split among depositors. Zero turns it off.
+     * @param _stakingVault Address of the DreamsStakingVault
+     */
+    function setStakingVault(address _stakingVault) external onlyRole(GOVERNOR_ROLE) {
+        address oldVault = address(stakingVault);
+        stakingVault = IDreamsStakingVault(_stakingVault);
+        emit StakingVaultUpdated(oldVault, _stakingVault);
+    }
+
     /**
      * @notice Set the JUICY staking pool address for reward distribution
      * @param _juicyStakingPool Address of the JUICY staking contract
      */
-    function setJuicyStakingPool(address _juicyStakingPool) external onlyAdmin {
+    function setJuicyStakingPool(address _juicyStakingPool) external onlyRole(GOVERNOR_ROLE) {
         juicyStakingPool = _juicyStakingPool;
         emit StakingPoolUpdated("JUICY", _juicyStakingPool);
     }
@@ -1470,7 +1537,7 @@ contract MilestoneCrowdfunding is ReentrancyGuard {
      * @notice Set the DREAMS staking pool address for reward distribution
      * @param _dreamsStakingPool Address of the DREAMS staking contract
      */
-    function setDreamsStakingPool(address _dreamsStakingPool) external onlyAdmin {
+    function setDreamsStakingPool(address _dreamsStakingPool) external onlyRole(GOVERNOR_ROLE) {
         dreamsStakingPool = _dreamsStakingPool;
         emit StakingPoolUpdated("DREAMS", _dreamsStakingPool);
     }
@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "../interfaces/IPriceOracle.sol";
+import "../libraries/ProtocolRoles.sol";
 
 /**
  * @title PriceOracle
@@ -14,7 +15,7 @@ import "../interfaces/IPriceOracle.sol";
  * - Prices automatically expire after 1 hour (forces fresh data)
  * - Two-step admin transfer for safety
  */
-contract PriceOracle is IPriceOracle {
+contract PriceOracle is IPriceOracle, ProtocolRoles {
 
     address public admin;
     address public pendingAdmin;
@@ -58,7 +59,7 @@ contract PriceOracle is IPriceOracle {
      * @param token Token address
      * @param price Price in USD with 8 decimals
      */
-    function updatePrice(address token, uint256 price) external onlyAdmin {
+    function updatePrice(address token, uint256 price) external onlyRole(OPERATOR_ROLE) {
         if (token == address(0)) revert InvalidAddress();
         if (price == 0) revert InvalidPrice();
 
@@ -71,7 +72,7 @@ contract PriceOracle is IPriceOracle {
     /**
      * @notice Batch update prices
      */
-    function updatePrices(address[] calldata tokens, uint256[] calldata _prices) external onlyAdmin {
+    function updatePrices(address[] calldata tokens, uint256[] calldata _prices) external onlyRole(OPERATOR_ROLE) {
         if (tokens.length != _prices.length) revert LengthMismatch();
 
         for (uint256 i = 0; i < tokens.length; i++) {
@@ -95,6 +96,16 @@ contract PriceOracle is IPriceOracle {
         return price;
     }
 
+    /**
+     * @inheritdoc IPriceOracle
+     */
+    function getPriceWithTimestamp(address token) external view override returns (uint256, uint256) {
+        uint256 price = prices[token];
+        if (price == 0) revert PriceNotSet();
+        if (block.timestamp - lastUpdated[token] > MAX_PRICE_AGE) revert PriceTooOld();
+        return (price, lastUpdated[token]);
+    }
+
     /**
      * @inheritdoc IPriceOracle
      */
@@ -110,6 +121,10 @@ contract PriceOracle is IPriceOracle {
 
     // ============ TWO-STEP ADMIN TRANSFER ============
 
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
     /**
      * @notice Initiate admin transfer (step 1)
      * @param newAdmin Address of the new admin
@@ -204,7 +219,7 @@ interface AggregatorV2V3Interface {
  * - On Layer 2 chains: checks that the blockchain itself is working properly
  * - Rejects negative or zero prices (obviously wrong data)
  */
-contract ChainlinkPriceOracle is IPriceOracle {
+contract ChainlinkPriceOracle is IPriceOracle, ProtocolRoles {
 
     // Token address => Chainlink price feed address
     mapping(address => address) public priceFeeds;
@@ -263,7 +278,7 @@ contract ChainlinkPriceOracle is IPriceOracle {
      * @param priceFeed Chainlink price feed address
      * @param heartbeat Maximum age of price in seconds
      */
-    function setPriceFeed(address token, address priceFeed, uint256 heartbeat) external onlyAdmin {
+    function setPriceFeed(address token, address priceFeed, uint256 heartbeat) external onlyRole(GOVERNOR_ROLE) {
         if (token == address(0) || priceFeed == address(0)) revert InvalidAddress();
 
         priceFeeds[token] = priceFeed;
@@ -276,7 +291,7 @@ contract ChainlinkPriceOracle is IPriceOracle {
      * @notice Set L2 sequencer uptime feed
      * @param feed Sequencer uptime feed address
      */
-    function setSequencerUptimeFeed(address feed) external onlyAdmin {
+    function setSequencerUptimeFeed(address feed) external onlyRole(GOVERNOR_ROLE) {
         sequencerUptimeFeed = feed;
         emit SequencerFeedSet(feed);
     }
@@ -317,8 +332,9 @@ contract ChainlinkPriceOracle is IPriceOracle {
      *      4. Is the price valid? (not negative or zero)
      * @param token Which token to get the price for
      * @return normalizedPrice The price in USD with 8 decimal places
+     * @return updatedAt When Chainlink last updated the price
      */
-    function _getValidatedPrice(address token) internal view returns (uint256 normalizedPrice) {
+    function _getValidatedPrice(address token) internal view returns (uint256 normalizedPrice, uint256 updatedAt) {
         // First, make sure the blockchain is working properly (on Layer 2)
         _checkSequencer();
 
@@ -329,13 +345,10 @@ contract ChainlinkPriceOracle is IPriceOracle {
         AggregatorV3Interface priceFeed = AggregatorV3Interface(feed);
 
         // Get the latest price data from Chainlink
-        (
-            uint80 roundId,
-            int256 price,
-            /*uint256 startedAt*/,
-            uint256 updatedAt,
-            uint80 answeredInRound
-        ) = priceFeed.latestRoundData();
+        uint80 roundId;
+        int256 price;
+        uint80 answeredInRound;
+        (roundId, price, , updatedAt, answeredInRound) = priceFeed.latestRoundData();
 
         // Reject obviously wrong prices (negative or zero)
         if (price <= 0) revert InvalidPrice();
@@ -349,13 +362,20 @@ contract ChainlinkPriceOracle is IPriceOracle {
         if (answeredInRound < roundId) revert StaleRound();
 
         // Convert to our standard format (8 decimal places)
-        return _normalizePrice(uint256(price), priceFeed.decimals());
+        normalizedPrice = _normalizePrice(uint256(price), priceFeed.decimals());
     }
 
     /**
      * @inheritdoc IPriceOracle
      */
-    function getPrice(address token) external view override returns (uint256) {
+    function getPrice(address token) external view override returns (uint256 price) {
+        (price, ) = _getValidatedPrice(token);
+    }
+
+    /**
+     * @inheritdoc IPriceOracle
+     */
+    function getPriceWithTimestamp(address token) external view override returns (uint256, uint256) {
         return _getValidatedPrice(token);
     }
 
@@ -363,7 +383,7 @@ contract ChainlinkPriceOracle is IPriceOracle {
      * @inheritdoc IPriceOracle
      */
     function convertToUSD(address token, uint256 amount) external view override returns (uint256) {
-        uint256 price = _getValidatedPrice(token);
+        (uint256 price, ) = _getValidatedPrice(token);
         // Convert: (amount * price) / 1e8
         return (amount * price) / 1e8;
     }
@@ -382,6 +402,10 @@ contract ChainlinkPriceOracle is IPriceOracle {
 
     // ============ TWO-STEP ADMIN TRANSFER ============
 
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
     function initiateAdminTransfer(address newAdmin) external onlyAdmin {
         if (newAdmin == address(0)) revert InvalidAddress();
         pendingAdmin = newAdmin;
@@ -3,13 +3,14 @@ pragma solidity ^0.8.20;
 
 import "../interfaces/ISlothPriceOracle.sol";
 import "../libraries/ReentrancyGuard.sol";
+import "../libraries/ProtocolRoles.sol";
 
 /**
  * @title SlothPriceOracle
  * @notice A composite oracle that can route price queries to the correct underlying oracle for a given token.
  * @dev This allows the system to use Chainlink for some tokens and other oracles (e.g., Uniswap TWAP) for others.
  */
-contract SlothPriceOracle is ISlothPriceOracle, ReentrancyGuard {
+contract SlothPriceOracle is ISlothPriceOracle, ReentrancyGuard, ProtocolRoles {
     address public admin;
     address public pendingAdmin;
 
@@ -41,7 +42,7 @@ contract SlothPriceOracle is ISlothPriceOracle, ReentrancyGuard {
      * @param _token The address of the token.
      * @param _oracle The address of the IPriceOracle compliant contract for that token.
      */
-    function setTokenOracle(address _token, address _oracle) external onlyAdmin {
+    function setTokenOracle(address _token, address _oracle) external onlyRole(GOVERNOR_ROLE) {
         if (_token == address(0) || _oracle == address(0)) revert InvalidAddress();
         tokenOracles[_token] = IPriceOracle(_oracle);
         emit TokenOracleSet(_token, _oracle);
@@ -57,6 +58,16 @@ contract SlothPriceOracle is ISlothPriceOracle, ReentrancyGuard {
         return oracle.getPrice(_token);
     }
 
+    /**
+     * @inheritdoc IPriceOracle
+     */
+    function getPriceWithTimestamp(address _token) external view override returns (uint256, uint256) {
+        IPriceOracle oracle = tokenOracles[_token];
+        if (address(oracle) == address(0)) revert OracleNotSetForToken();
+
+        return oracle.getPriceWithTimestamp(_token);
+    }
+
     /**
      * @inheritdoc IPriceOracle
      */
@@ -69,6 +80,10 @@ contract SlothPriceOracle is ISlothPriceOracle, ReentrancyGuard {
 
     // ============ TWO-STEP ADMIN TRANSFER ============
 
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
     function initiateAdminTransfer(address _newAdmin) external onlyAdmin {
         if (_newAdmin == address(0)) revert InvalidAddress();
         pendingAdmin = _newAdmin;
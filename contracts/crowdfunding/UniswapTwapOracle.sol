@@ -108,11 +108,18 @@ contract UniswapTwapOracle is IPriceOracle {
         return quoteAmount;
     }
 
-    function getPrice(address _token) external view override returns (uint256) {
+    function getPrice(address _token) external view override returns (uint256 price) {
+        (price, ) = _getPrice(_token);
+    }
+
+    /**
+     * @notice The TWAP is computed on the spot, so the price is as old as the ETH/USD price behind it
+     */
+    function getPriceWithTimestamp(address _token) external view override returns (uint256, uint256) {
         return _getPrice(_token);
     }
 
-    function _getPrice(address _token) internal view returns (uint256) {
+    function _getPrice(address _token) internal view returns (uint256 dreamsInUsd, uint256 updatedAt) {
         // This oracle only provides prices for DREAMS tokens
         if (_token != dreamsToken) revert InvalidToken();
 
@@ -123,16 +130,16 @@ contract UniswapTwapOracle is IPriceOracle {
         uint256 juicyPerEth = getTwapPrice(juicyEthPool, juicyToken, wethToken);
 
         // Step 3: How many USD is 1 ETH worth? (from professional Chainlink price feed)
-        uint256 ethInUsd = chainlinkOracle.getPrice(wethToken);
+        uint256 ethInUsd;
+        (ethInUsd, updatedAt) = chainlinkOracle.getPriceWithTimestamp(wethToken);
 
         // Step 4: Chain them together to get DREAMS price in USD
         // Example: 0.5 JUICY × 0.001 ETH × $2000 = $1.00
-        uint256 dreamsInUsd = (((dreamsPerJuicy * juicyPerEth) / 1e18) * ethInUsd) / 1e18;
-        return dreamsInUsd;
+        dreamsInUsd = (((dreamsPerJuicy * juicyPerEth) / 1e18) * ethInUsd) / 1e18;
     }
 
     function convertToUSD(address _token, uint256 _amount) external view override returns (uint256) {
-        uint256 price = _getPrice(_token); // 8 decimals
+        (uint256 price, ) = _getPrice(_token); // 8 decimals
         return (_amount * price) / 1e8;
     }
 
@@ -2,7 +2,11 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "../interfaces/IzDREAMS.sol";
+import "../interfaces/IDreamNFT.sol";
+import "../libraries/ProtocolRoles.sol";
 
 /**
  * @title CloudBoost
@@ -12,7 +16,9 @@ import "../interfaces/IzDREAMS.sol";
  * 1. Users stake DREAMS tokens and receive zDREAMS (staking receipt token)
  * 2. zDREAMS can be spent to "boost" dream clouds, making them larger in the UI
  * 3. Larger clouds = more visibility = more engagement
- * 4. zDREAMS spent on boosts is burned permanently (deflationary)
+ * 4. zDREAMS spent on boosts is burned permanently (deflationary). The staked
+ *    DREAMS behind it can still be unstaked in full - DreamsStaking records the
+ *    zDREAMS it can't burn as boost debt, so restaking doesn't mint it again
  *
  * BOOST TIERS:
  * - Spark (1 zDREAMS): +5% cloud size
@@ -22,10 +28,36 @@ import "../interfaces/IzDREAMS.sol";
  *
  * BOOST MECHANICS:
  * - Boosts stack additively up to a maximum multiplier
- * - Boosts decay over time (7-day half-life)
+ * - Boosts decay exponentially: 0.5^(elapsed / half-life), 7 days by default
  * - Off-chain system reads boost data and applies to cloud rendering
+ *
+ * EPOCH LEADERBOARDS:
+ * - Boosts count towards currentEpoch, which operators advance in step with
+ *   DreamNFT's epochId
+ * - Each epoch keeps the points every dream received (before decay and the
+ *   size cap) and a top-LEADERBOARD_SIZE ranking updated on every boost, so
+ *   "biggest clouds" and epoch prizes can be read straight from the contract
+ *
+ * BOOST REWARDS (optional, off until a reward token and split are set):
+ * - Dream IDs are DreamNFT mongoIds. registerDream(tokenId) links one to its
+ *   token, so the dream's originalCreator can be found
+ * - boostToken(tokenId) boosts a minted dream by token ID, registering it on
+ *   first use. With validateDreamIds on, boosting by dream ID only works for
+ *   registered dreams
+ * - creatorShareBps of each boost's value (zDREAMS spent x rewardRate) accrues
+ *   to the creator of a registered dream, claimable with claimCreatorRewards().
+ *   Creators boosting their own dreams earn no creator share
+ * - boosterShareBps goes into the epoch's booster pool. Once the epoch is over,
+ *   the first EARLY_BOOSTERS accounts to boost the epoch's top dream split it
+ *   by what they spent on that dream, via claimBoosterReward(epoch), for
+ *   BOOSTER_CLAIM_PERIOD. Whatever is left after that (including rounding dust)
+ *   can be swept back into the unreserved balance
+ * - Rewards come out of reward tokens sent to this contract and only accrue
+ *   while there are enough unreserved tokens, so what is owed is always covered
  */
-contract CloudBoost is ReentrancyGuard {
+contract CloudBoost is ReentrancyGuard, ProtocolRoles {
+    using SafeERC20 for IERC20;
+
     // ============ STATE ============
 
     IzDREAMS public zDreamsToken;
@@ -35,8 +67,16 @@ contract CloudBoost is ReentrancyGuard {
     /// @notice Maximum boost multiplier (500% = 5x original size)
     uint256 public constant MAX_BOOST_MULTIPLIER = 500;
 
-    /// @notice Boost decay half-life in seconds (7 days)
-    uint256 public constant BOOST_HALF_LIFE = 7 days;
+    /// @notice Boost decay half-life in seconds
+    uint256 public boostHalfLife = 7 days;
+    uint256 public constant MIN_BOOST_HALF_LIFE = 1 hours;
+    uint256 public constant MAX_BOOST_HALF_LIFE = 365 days;
+
+    /// @notice Fixed-point scale for stored boost points and the decay factor
+    uint256 public constant BOOST_PRECISION = 1e18;
+
+    /// @dev ln(2) scaled by BOOST_PRECISION
+    uint256 private constant LN2 = 693147180559945309;
 
     /// @notice Boost tier definitions
     struct BoostTier {
@@ -49,13 +89,13 @@ contract CloudBoost is ReentrancyGuard {
 
     /// @notice Boost data for each dream
     struct DreamBoost {
-        uint256 totalBoostPoints;  // Raw boost points accumulated
+        uint256 totalBoostPoints;  // Boost points at lastBoostTime, scaled by BOOST_PRECISION
         uint256 lastBoostTime;     // Last time boost was applied
         uint256 totalSpent;        // Total zDREAMS spent on this dream
     }
 
-    /// @notice Dream ID -> Boost data
-    mapping(string => DreamBoost) public dreamBoosts;
+    /// @notice Dream ID -> Boost data, read through dreamBoosts()
+    mapping(string => DreamBoost) private _dreamBoosts;
 
     /// @notice User stats for boosts given
     struct UserBoostStats {
@@ -68,6 +108,73 @@ contract CloudBoost is ReentrancyGuard {
     /// @notice Total zDREAMS burned across all boosts
     uint256 public totalBurned;
 
+    /// @notice Epoch boosts count towards (same numbering as DreamNFT's epochId)
+    uint256 public currentEpoch;
+
+    /// @notice Number of dreams ranked per epoch
+    uint256 public constant LEADERBOARD_SIZE = 20;
+
+    /// @notice Boost points and zDREAMS spent across all dreams, per epoch
+    mapping(uint256 => uint256) public epochTotalPoints;
+    mapping(uint256 => uint256) public epochTotalSpent;
+
+    /// @dev Epoch -> dream key -> boost points received during the epoch
+    mapping(uint256 => mapping(bytes32 => uint256)) private _epochDreamPoints;
+
+    /// @dev Epoch -> dream keys ranked by points, highest first (ties keep the earlier dream ahead)
+    mapping(uint256 => bytes32[]) private _leaderboards;
+
+    /// @dev Dream key (keccak256 of the ID) -> dream ID
+    mapping(bytes32 => string) private _dreamIds;
+
+    /// @notice DreamNFT the dream IDs (mongoIds) belong to
+    IDreamNFT public dreamNFT;
+
+    /// @dev Dream key -> DreamNFT token ID (0 = not registered)
+    mapping(bytes32 => uint256) private _dreamTokenIds;
+
+    /// @notice Only let registered dreams be boosted
+    bool public validateDreamIds;
+
+    /// @notice Token boost rewards are paid in (unset = no rewards) and how much
+    ///         of it one zDREAMS of boost is worth, scaled by BOOST_PRECISION
+    IERC20 public rewardToken;
+    uint256 public rewardRate;
+
+    /// @notice Shares of each boost's value for the dream's creator and the epoch's early boosters
+    uint256 public creatorShareBps;
+    uint256 public boosterShareBps;
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    /// @notice Boosters of a dream, in order, who share its epoch booster reward
+    uint256 public constant EARLY_BOOSTERS = 10;
+
+    /// @notice How long after an epoch ends its booster pool can be claimed
+    uint256 public constant BOOSTER_CLAIM_PERIOD = 90 days;
+
+    /// @notice Reward tokens owed to creators and epoch booster pools
+    uint256 public rewardsReserved;
+
+    /// @notice Unclaimed creator rewards
+    mapping(address => uint256) public creatorRewards;
+
+    /// @notice Epoch -> reward tokens for the early boosters of its top dream
+    mapping(uint256 => uint256) public epochBoosterPool;
+
+    /// @notice Epoch -> booster pool tokens claimed, or swept once the claim period is over
+    mapping(uint256 => uint256) public epochBoosterSettled;
+
+    /// @notice Epoch -> when advanceEpoch moved past it
+    mapping(uint256 => uint256) public epochEndTime;
+
+    /// @dev Epoch -> dream key -> first boosters, and what each of them spent on it
+    mapping(uint256 => mapping(bytes32 => address[])) private _earlyBoosters;
+    mapping(uint256 => mapping(bytes32 => mapping(address => uint256))) private _earlyBoosterSpent;
+    mapping(uint256 => mapping(bytes32 => uint256)) private _earlyBoosterTotalSpent;
+
+    /// @notice Epoch -> booster -> whether their booster reward was claimed
+    mapping(uint256 => mapping(address => bool)) public boosterRewardClaimed;
+
     // ============ EVENTS ============
 
     event DreamBoosted(
@@ -79,6 +186,20 @@ contract CloudBoost is ReentrancyGuard {
     );
     event BoostTierAdded(uint256 indexed tierIndex, uint256 cost, uint256 sizeBoost);
     event BoostTierUpdated(uint256 indexed tierIndex, uint256 cost, uint256 sizeBoost);
+    event BoostHalfLifeUpdated(uint256 oldHalfLife, uint256 newHalfLife);
+    event EpochAdvanced(uint256 oldEpoch, uint256 newEpoch);
+    event DreamRegistered(string dreamId, uint256 indexed tokenId);
+    event DreamNFTUpdated(address indexed oldDreamNFT, address indexed newDreamNFT);
+    event DreamValidationUpdated(bool enabled);
+    event RewardTokenUpdated(address indexed token, uint256 rewardRate);
+    event RewardSplitUpdated(uint256 creatorShareBps, uint256 boosterShareBps);
+    event RewardsFunded(address indexed from, uint256 amount);
+    event CreatorRewardAccrued(address indexed creator, string dreamId, uint256 amount);
+    event CreatorRewardFailed(uint256 indexed tokenId, string dreamId, uint256 amount);
+    event BoosterPoolAccrued(uint256 indexed epoch, uint256 amount);
+    event CreatorRewardsClaimed(address indexed creator, uint256 amount);
+    event BoosterRewardClaimed(uint256 indexed epoch, address indexed booster, uint256 amount);
+    event ExpiredBoosterPoolSwept(uint256 indexed epoch, uint256 amount);
     event AdminTransferInitiated(address indexed currentAdmin, address indexed pendingAdmin);
     event AdminTransferCompleted(address indexed oldAdmin, address indexed newAdmin);
 
@@ -90,6 +211,18 @@ contract CloudBoost is ReentrancyGuard {
     error InvalidTier();
     error InvalidAmount();
     error InsufficientZDreams();
+    error InvalidHalfLife();
+    error InvalidEpoch();
+    error InvalidDream();
+    error UnknownDream(string dreamId);
+    error DreamAlreadyRegistered(uint256 tokenId);
+    error InvalidShare();
+    error RewardsOutstanding();
+    error EpochNotFinished();
+    error NoRewards();
+    error AlreadyClaimed();
+    error ExceedsUnreservedBalance();
+    error NoExpiredRewards();
 
     // ============ MODIFIERS ============
 
@@ -117,10 +250,30 @@ contract CloudBoost is ReentrancyGuard {
 
     /**
      * @notice Boost a dream cloud by spending zDREAMS
+     * @dev With validateDreamIds on, the dream must be registered
      * @param _dreamId The dream to boost
      * @param _tierIndex Which boost tier to use (0-3)
      */
     function boostDream(string calldata _dreamId, uint256 _tierIndex) external nonReentrant {
+        _requireKnownDream(_dreamId);
+        _boostDream(_dreamId, _tierIndex);
+    }
+
+    /**
+     * @notice Boost a DreamNFT's cloud by token ID
+     * @dev Boosts the token's mongoId, registering it first if needed, so a
+     *      typo can't burn zDREAMS into a dream that doesn't exist
+     * @param _tokenId DreamNFT token ID
+     * @param _tierIndex Which boost tier to use (0-3)
+     */
+    function boostToken(uint256 _tokenId, uint256 _tierIndex) external nonReentrant {
+        _boostDream(_resolveDream(_tokenId), _tierIndex);
+    }
+
+    /**
+     * @notice Burn a tier's zDREAMS and boost the dream
+     */
+    function _boostDream(string memory _dreamId, uint256 _tierIndex) internal {
         if (_tierIndex >= boostTiers.length) revert InvalidTier();
         if (bytes(_dreamId).length == 0) revert InvalidAmount();
 
@@ -132,30 +285,9 @@ contract CloudBoost is ReentrancyGuard {
         // Burn zDREAMS for the boost
         zDreamsToken.burnForBoost(msg.sender, tier.cost, _dreamId);
 
-        // Update dream boost data
-        DreamBoost storage boost = dreamBoosts[_dreamId];
-
-        // Apply decay to existing boost before adding new points
-        uint256 currentEffectiveBoost = getEffectiveBoost(_dreamId);
-
-        // Add new boost points
-        boost.totalBoostPoints = currentEffectiveBoost + tier.sizeBoost;
-        boost.lastBoostTime = block.timestamp;
-        boost.totalSpent += tier.cost;
+        uint256 newBoostPoints = _applyBoost(_dreamId, tier.sizeBoost, tier.cost);
 
-        // Cap at max multiplier
-        if (boost.totalBoostPoints > MAX_BOOST_MULTIPLIER) {
-            boost.totalBoostPoints = MAX_BOOST_MULTIPLIER;
-        }
-
-        // Update user stats
-        userStats[msg.sender].totalBoostsGiven += 1;
-        userStats[msg.sender].totalZDreamsSpent += tier.cost;
-
-        // Update global stats
-        totalBurned += tier.cost;
-
-        emit DreamBoosted(msg.sender, _dreamId, _tierIndex, tier.cost, boost.totalBoostPoints);
+        emit DreamBoosted(msg.sender, _dreamId, _tierIndex, tier.cost, newBoostPoints);
     }
 
     /**
@@ -171,6 +303,7 @@ contract CloudBoost is ReentrancyGuard {
     ) external nonReentrant {
         if (bytes(_dreamId).length == 0) revert InvalidAmount();
         if (_tierIndices.length != _counts.length) revert InvalidAmount();
+        _requireKnownDream(_dreamId);
 
         uint256 totalCost = 0;
         uint256 totalSizeBoost = 0;
@@ -193,71 +326,303 @@ contract CloudBoost is ReentrancyGuard {
         // Burn zDREAMS
         zDreamsToken.burnForBoost(msg.sender, totalCost, _dreamId);
 
-        // Update dream boost data
-        DreamBoost storage boost = dreamBoosts[_dreamId];
-        uint256 currentEffectiveBoost = getEffectiveBoost(_dreamId);
+        uint256 newBoostPoints = _applyBoost(_dreamId, totalSizeBoost, totalCost);
 
-        boost.totalBoostPoints = currentEffectiveBoost + totalSizeBoost;
-        boost.lastBoostTime = block.timestamp;
-        boost.totalSpent += totalCost;
+        emit DreamBoosted(msg.sender, _dreamId, type(uint256).max, totalCost, newBoostPoints);
+    }
+
+    /**
+     * @notice Add boost points to a dream and record the spend
+     * @dev The current boost is decayed before the new points are added, then
+     *      the total restarts decaying from now. Points are kept at
+     *      BOOST_PRECISION so re-basing on every boost doesn't lose anything.
+     * @return newBoostPoints Whole boost percentage after the boost
+     */
+    function _applyBoost(string memory _dreamId, uint256 _sizeBoost, uint256 _cost) internal returns (uint256 newBoostPoints) {
+        DreamBoost storage boost = _dreamBoosts[_dreamId];
 
+        uint256 points = _effectiveBoostPoints(boost) + _sizeBoost * BOOST_PRECISION;
         // Cap at max multiplier
-        if (boost.totalBoostPoints > MAX_BOOST_MULTIPLIER) {
-            boost.totalBoostPoints = MAX_BOOST_MULTIPLIER;
+        if (points > MAX_BOOST_MULTIPLIER * BOOST_PRECISION) {
+            points = MAX_BOOST_MULTIPLIER * BOOST_PRECISION;
         }
 
-        // Update stats
+        boost.totalBoostPoints = points;
+        boost.lastBoostTime = block.timestamp;
+        boost.totalSpent += _cost;
+
+        // Update user stats
         userStats[msg.sender].totalBoostsGiven += 1;
-        userStats[msg.sender].totalZDreamsSpent += totalCost;
-        totalBurned += totalCost;
+        userStats[msg.sender].totalZDreamsSpent += _cost;
+
+        // Update global stats
+        totalBurned += _cost;
 
-        emit DreamBoosted(msg.sender, _dreamId, type(uint256).max, totalCost, boost.totalBoostPoints);
+        bytes32 key = keccak256(bytes(_dreamId));
+        _recordEpochBoost(_dreamId, key, _sizeBoost, _cost);
+        _accrueBoostRewards(_dreamId, key, _cost);
+
+        newBoostPoints = points / BOOST_PRECISION;
     }
 
-    // ============ VIEW FUNCTIONS ============
+    /**
+     * @notice Add a boost to the current epoch's totals and leaderboard
+     * @dev The dream moves up past every dream with fewer points. A dream that
+     *      isn't ranked yet takes the last place once the board is full and it
+     *      has more points than the dream there. The dream's first EARLY_BOOSTERS
+     *      boosters are remembered with what they spent, for the booster pool.
+     */
+    function _recordEpochBoost(string memory _dreamId, bytes32 _key, uint256 _sizeBoost, uint256 _cost) internal {
+        uint256 epoch = currentEpoch;
+        mapping(bytes32 => uint256) storage dreamPoints = _epochDreamPoints[epoch];
+
+        uint256 points = dreamPoints[_key] + _sizeBoost;
+        dreamPoints[_key] = points;
+        epochTotalPoints[epoch] += _sizeBoost;
+        epochTotalSpent[epoch] += _cost;
+        if (bytes(_dreamIds[_key]).length == 0) _dreamIds[_key] = _dreamId;
+
+        mapping(address => uint256) storage boosterSpent = _earlyBoosterSpent[epoch][_key];
+        if (boosterSpent[msg.sender] > 0 || _earlyBoosters[epoch][_key].length < EARLY_BOOSTERS) {
+            if (boosterSpent[msg.sender] == 0) _earlyBoosters[epoch][_key].push(msg.sender);
+            boosterSpent[msg.sender] += _cost;
+            _earlyBoosterTotalSpent[epoch][_key] += _cost;
+        }
+
+        bytes32[] storage board = _leaderboards[epoch];
+        uint256 index = board.length;
+        for (uint256 i = 0; i < board.length; i++) {
+            if (board[i] == _key) {
+                index = i;
+                break;
+            }
+        }
+
+        if (index == board.length) {
+            if (board.length < LEADERBOARD_SIZE) {
+                board.push(_key);
+            } else if (points > dreamPoints[board[index - 1]]) {
+                index--;
+                board[index] = _key;
+            } else {
+                return;
+            }
+        }
+
+        while (index > 0 && dreamPoints[board[index - 1]] < points) {
+            board[index] = board[index - 1];
+            board[index - 1] = _key;
+            index--;
+        }
+    }
 
     /**
-     * @notice Get the effective boost percentage for a dream (after decay)
-     * @param _dreamId The dream to check
-     * @return Effective boost percentage (e.g., 50 = +50% size)
+     * @notice Set aside the creator's and the early boosters' share of a boost
+     * @dev Shares are cut down to the unreserved reward balance, so an unfunded
+     *      pool never blocks a boost. Unregistered dreams and boosts by the
+     *      dream's own creator have no creator share.
      */
-    function getEffectiveBoost(string calldata _dreamId) public view returns (uint256) {
-        DreamBoost storage boost = dreamBoosts[_dreamId];
+    function _accrueBoostRewards(string memory _dreamId, bytes32 _key, uint256 _cost) internal {
+        if (address(rewardToken) == address(0)) return;
+
+        uint256 value = (_cost * rewardRate) / BOOST_PRECISION;
+        uint256 available = rewardToken.balanceOf(address(this)) - rewardsReserved;
+
+        uint256 tokenId = _dreamTokenIds[_key];
+        if (tokenId != 0 && creatorShareBps > 0) {
+            uint256 creatorShare = _min((value * creatorShareBps) / BPS_DENOMINATOR, available);
+            // A token DreamNFT can't return (e.g. registered against a previous DreamNFT)
+            // has no creator to pay, but the dream can still be boosted
+            if (creatorShare > 0) {
+                try dreamNFT.getDreamMetadata(tokenId) returns (IDreamNFT.DreamMetadata memory metadata) {
+                    if (metadata.originalCreator != msg.sender) {
+                        creatorRewards[metadata.originalCreator] += creatorShare;
+                        available -= creatorShare;
+                        rewardsReserved += creatorShare;
+                        emit CreatorRewardAccrued(metadata.originalCreator, _dreamId, creatorShare);
+                    }
+                } catch {
+                    emit CreatorRewardFailed(tokenId, _dreamId, creatorShare);
+                }
+            }
+        }
 
-        if (boost.totalBoostPoints == 0 || boost.lastBoostTime == 0) {
-            return 0;
+        uint256 boosterShare = _min((value * boosterShareBps) / BPS_DENOMINATOR, available);
+        if (boosterShare > 0) {
+            epochBoosterPool[currentEpoch] += boosterShare;
+            rewardsReserved += boosterShare;
+            emit BoosterPoolAccrued(currentEpoch, boosterShare);
         }
+    }
+
+    function _min(uint256 _a, uint256 _b) internal pure returns (uint256) {
+        return _a < _b ? _a : _b;
+    }
 
-        uint256 elapsed = block.timestamp - boost.lastBoostTime;
+    // ============ DREAM REGISTRY ============
 
-        // Apply exponential decay with half-life
-        // After 7 days: 50% remains
-        // After 14 days: 25% remains
-        // After 21 days: 12.5% remains
-        if (elapsed >= BOOST_HALF_LIFE * 5) {
-            // After 5 half-lives, boost is essentially zero
-            return 0;
+    /**
+     * @notice Link a dream ID (the token's mongoId) to its DreamNFT token
+     * @dev Anyone can register a minted dream; the link comes from the NFT itself.
+     *      Creator rewards start with the first boost after registering.
+     * @param _tokenId DreamNFT token ID
+     */
+    function registerDream(uint256 _tokenId) external {
+        string memory dreamId = _dreamIdOf(_tokenId);
+
+        bytes32 key = keccak256(bytes(dreamId));
+        if (_dreamTokenIds[key] != 0) revert DreamAlreadyRegistered(_dreamTokenIds[key]);
+        _registerDream(key, dreamId, _tokenId);
+    }
+
+    function _registerDream(bytes32 _key, string memory _dreamId, uint256 _tokenId) internal {
+        _dreamTokenIds[_key] = _tokenId;
+        emit DreamRegistered(_dreamId, _tokenId);
+    }
+
+    /**
+     * @notice Dream ID of a DreamNFT token, registering it on first use
+     * @dev Reverts if the mongoId is already registered to a different token
+     */
+    function _resolveDream(uint256 _tokenId) internal returns (string memory dreamId) {
+        dreamId = _dreamIdOf(_tokenId);
+
+        bytes32 key = keccak256(bytes(dreamId));
+        uint256 registered = _dreamTokenIds[key];
+        if (registered == 0) {
+            _registerDream(key, dreamId, _tokenId);
+        } else if (registered != _tokenId) {
+            revert DreamAlreadyRegistered(registered);
         }
+    }
 
-        // Calculate decay using integer math approximation
-        // decay_factor = 0.5 ^ (elapsed / half_life)
-        uint256 halfLives = elapsed / BOOST_HALF_LIFE;
-        uint256 remainder = elapsed % BOOST_HALF_LIFE;
+    /**
+     * @notice A DreamNFT token's mongoId (reverts for tokens that don't exist)
+     */
+    function _dreamIdOf(uint256 _tokenId) internal view returns (string memory dreamId) {
+        if (address(dreamNFT) == address(0)) revert InvalidAddress();
+        dreamId = dreamNFT.getDreamMetadata(_tokenId).mongoId;
+        if (bytes(dreamId).length == 0) revert InvalidDream();
+    }
 
-        uint256 effectiveBoost = boost.totalBoostPoints;
+    /**
+     * @notice With validation on, only registered dreams can be boosted by ID
+     */
+    function _requireKnownDream(string calldata _dreamId) internal view {
+        if (validateDreamIds && _dreamTokenIds[keccak256(bytes(_dreamId))] == 0) revert UnknownDream(_dreamId);
+    }
+
+    // ============ REWARD CLAIMS ============
+
+    /**
+     * @notice Claim the rewards accrued on dreams you created
+     */
+    function claimCreatorRewards() external nonReentrant {
+        if (creatorRewards[msg.sender] == 0) revert NoRewards();
+        _payCreatorRewards(msg.sender);
+    }
+
+    function _payCreatorRewards(address _creator) internal {
+        uint256 amount = creatorRewards[_creator];
+        creatorRewards[_creator] = 0;
+        rewardsReserved -= amount;
+        rewardToken.safeTransfer(_creator, amount);
+
+        emit CreatorRewardsClaimed(_creator, amount);
+    }
 
-        // Apply full half-lives
-        for (uint256 i = 0; i < halfLives && effectiveBoost > 0; i++) {
-            effectiveBoost = effectiveBoost / 2;
+    /**
+     * @notice Claim your part of a finished epoch's booster pool
+     * @dev Open to the first EARLY_BOOSTERS boosters of the epoch's top dream,
+     *      split by what each spent boosting it during the epoch
+     * @param _epoch Epoch to claim for
+     */
+    function claimBoosterReward(uint256 _epoch) external nonReentrant {
+        if (boosterRewardClaimed[_epoch][msg.sender]) revert AlreadyClaimed();
+        uint256 amount = getBoosterReward(_epoch, msg.sender);
+        if (amount == 0) revert NoRewards();
+
+        boosterRewardClaimed[_epoch][msg.sender] = true;
+        epochBoosterSettled[_epoch] += amount;
+        rewardsReserved -= amount;
+        rewardToken.safeTransfer(msg.sender, amount);
+
+        emit BoosterRewardClaimed(_epoch, msg.sender, amount);
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    /**
+     * @notice Get the boost data for a dream
+     * @param _dreamId The dream to check
+     * @return totalBoostPoints Boost percentage at lastBoostTime, before decay, rounded down
+     * @return lastBoostTime Last time boost was applied
+     * @return totalSpent Total zDREAMS spent on this dream
+     */
+    function dreamBoosts(string calldata _dreamId)
+        external
+        view
+        returns (uint256 totalBoostPoints, uint256 lastBoostTime, uint256 totalSpent)
+    {
+        DreamBoost storage boost = _dreamBoosts[_dreamId];
+        return (boost.totalBoostPoints / BOOST_PRECISION, boost.lastBoostTime, boost.totalSpent);
+    }
+
+    /**
+     * @notice Get the effective boost percentage for a dream (after decay)
+     * @param _dreamId The dream to check
+     * @return Effective boost percentage (e.g., 50 = +50% size), rounded down
+     */
+    function getEffectiveBoost(string calldata _dreamId) public view returns (uint256) {
+        return _effectiveBoostPoints(_dreamBoosts[_dreamId]) / BOOST_PRECISION;
+    }
+
+    /**
+     * @notice Get the fraction of a boost left after some time
+     * @param _elapsed Seconds since the boost
+     * @return factor 0.5^(elapsed / boostHalfLife), scaled by BOOST_PRECISION
+     */
+    function getDecayFactor(uint256 _elapsed) public view returns (uint256 factor) {
+        uint256 halfLives = _elapsed / boostHalfLife;
+        // Below 1 wei after this many halvings
+        if (halfLives >= 60) return 0;
+
+        // 0.5^(fraction of a half-life) = e^(-fraction * ln 2), summed as a
+        // Taylor series. x < ln 2, so the terms shrink fast and alternate, and
+        // the series is exact to a few wei
+        uint256 x = ((_elapsed % boostHalfLife) * LN2) / boostHalfLife;
+        factor = BOOST_PRECISION;
+        uint256 term = BOOST_PRECISION;
+        for (uint256 i = 1; term > 0; i++) {
+            term = (term * x) / (i * BOOST_PRECISION);
+            if (i % 2 == 1) {
+                factor -= term;
+            } else {
+                factor += term;
+            }
         }
 
-        // Apply partial decay for remainder (linear approximation)
-        if (remainder > 0 && effectiveBoost > 0) {
-            uint256 partialDecay = (effectiveBoost * remainder) / (BOOST_HALF_LIFE * 2);
-            effectiveBoost = effectiveBoost > partialDecay ? effectiveBoost - partialDecay : 0;
+        // Then halve once per full half-life
+        factor >>= halfLives;
+    }
+
+    /**
+     * @notice Boost points left after decay, scaled by BOOST_PRECISION
+     */
+    function _effectiveBoostPoints(DreamBoost storage _boost) internal view returns (uint256) {
+        if (_boost.totalBoostPoints == 0 || _boost.lastBoostTime == 0) {
+            return 0;
         }
+        return (_boost.totalBoostPoints * getDecayFactor(block.timestamp - _boost.lastBoostTime)) / BOOST_PRECISION;
+    }
 
-        return effectiveBoost;
+    /**
+     * @notice Get the effective boost percentage of a DreamNFT token's dream
+     * @param _tokenId DreamNFT token ID
+     * @return Effective boost percentage of the token's mongoId, rounded down
+     */
+    function getTokenEffectiveBoost(uint256 _tokenId) external view returns (uint256) {
+        return _effectiveBoostPoints(_dreamBoosts[_dreamIdOf(_tokenId)]) / BOOST_PRECISION;
     }
 
     /**
@@ -286,7 +651,7 @@ contract CloudBoost is ReentrancyGuard {
         uint256 totalSpent,
         uint256 lastBoostTime
     ) {
-        DreamBoost storage boost = dreamBoosts[_dreamId];
+        DreamBoost storage boost = _dreamBoosts[_dreamId];
         return (
             getEffectiveBoost(_dreamId),
             boost.totalSpent,
@@ -294,6 +659,79 @@ contract CloudBoost is ReentrancyGuard {
         );
     }
 
+    /**
+     * @notice Get an epoch's top boosted dreams
+     * @param _epoch Epoch to read
+     * @return dreamIds Ranked dream IDs, highest first (up to LEADERBOARD_SIZE)
+     * @return points Boost points each received during the epoch
+     */
+    function getEpochLeaderboard(uint256 _epoch) external view returns (string[] memory dreamIds, uint256[] memory points) {
+        bytes32[] storage board = _leaderboards[_epoch];
+        dreamIds = new string[](board.length);
+        points = new uint256[](board.length);
+        for (uint256 i = 0; i < board.length; i++) {
+            dreamIds[i] = _dreamIds[board[i]];
+            points[i] = _epochDreamPoints[_epoch][board[i]];
+        }
+    }
+
+    /**
+     * @notice Get the boost points a dream received during an epoch
+     * @param _epoch Epoch to read
+     * @param _dreamId The dream to check
+     */
+    function getEpochBoostPoints(uint256 _epoch, string calldata _dreamId) external view returns (uint256) {
+        return _epochDreamPoints[_epoch][keccak256(bytes(_dreamId))];
+    }
+
+    /**
+     * @notice Get the DreamNFT token a dream ID is registered to
+     * @param _dreamId The dream to check
+     * @return tokenId DreamNFT token ID (0 = not registered)
+     */
+    function getDreamTokenId(string calldata _dreamId) external view returns (uint256) {
+        return _dreamTokenIds[keccak256(bytes(_dreamId))];
+    }
+
+    /**
+     * @notice Get the first boosters of a dream in an epoch and what they spent on it
+     * @param _epoch Epoch to read
+     * @param _dreamId The dream to check
+     */
+    function getEarlyBoosters(uint256 _epoch, string calldata _dreamId)
+        external
+        view
+        returns (address[] memory boosters, uint256[] memory spent)
+    {
+        bytes32 key = keccak256(bytes(_dreamId));
+        boosters = _earlyBoosters[_epoch][key];
+        spent = new uint256[](boosters.length);
+        for (uint256 i = 0; i < boosters.length; i++) {
+            spent[i] = _earlyBoosterSpent[_epoch][key][boosters[i]];
+        }
+    }
+
+    /**
+     * @notice Booster reward an account can claim for a finished epoch
+     * @param _epoch Epoch to check
+     * @param _booster Account to check
+     * @return Reward tokens claimable (0 if already claimed, past BOOSTER_CLAIM_PERIOD
+     *         or the account wasn't an early booster of the top dream)
+     */
+    function getBoosterReward(uint256 _epoch, address _booster) public view returns (uint256) {
+        if (_epoch >= currentEpoch) revert EpochNotFinished();
+        if (boosterRewardClaimed[_epoch][_booster]) return 0;
+        if (block.timestamp > epochEndTime[_epoch] + BOOSTER_CLAIM_PERIOD) return 0;
+
+        bytes32[] storage board = _leaderboards[_epoch];
+        if (board.length == 0) return 0;
+
+        bytes32 top = board[0];
+        uint256 spent = _earlyBoosterSpent[_epoch][top][_booster];
+        if (spent == 0) return 0;
+        return (epochBoosterPool[_epoch] * spent) / _earlyBoosterTotalSpent[_epoch][top];
+    }
+
     /**
      * @notice Get number of boost tiers
      */
@@ -315,7 +753,7 @@ contract CloudBoost is ReentrancyGuard {
      * @param _cost zDREAMS required
      * @param _sizeBoost Size boost percentage
      */
-    function addBoostTier(uint256 _cost, uint256 _sizeBoost) external onlyAdmin {
+    function addBoostTier(uint256 _cost, uint256 _sizeBoost) external onlyRole(OPERATOR_ROLE) {
         if (_cost == 0 || _sizeBoost == 0) revert InvalidAmount();
 
         boostTiers.push(BoostTier({ cost: _cost, sizeBoost: _sizeBoost }));
@@ -328,7 +766,7 @@ contract CloudBoost is ReentrancyGuard {
      * @param _cost New cost
      * @param _sizeBoost New size boost
      */
-    function updateBoostTier(uint256 _tierIndex, uint256 _cost, uint256 _sizeBoost) external onlyAdmin {
+    function updateBoostTier(uint256 _tierIndex, uint256 _cost, uint256 _sizeBoost) external onlyRole(OPERATOR_ROLE) {
         if (_tierIndex >= boostTiers.length) revert InvalidTier();
         if (_cost == 0 || _sizeBoost == 0) revert InvalidAmount();
 
@@ -336,14 +774,145 @@ contract CloudBoost is ReentrancyGuard {
         emit BoostTierUpdated(_tierIndex, _cost, _sizeBoost);
     }
 
+    /**
+     * @notice Set how fast boosts decay
+     * @dev Applies to every dream from its last boost, including time already passed
+     * @param _halfLife Seconds for a boost to lose half its size
+     */
+    function setBoostHalfLife(uint256 _halfLife) external onlyRole(OPERATOR_ROLE) {
+        if (_halfLife < MIN_BOOST_HALF_LIFE || _halfLife > MAX_BOOST_HALF_LIFE) revert InvalidHalfLife();
+        uint256 oldHalfLife = boostHalfLife;
+        boostHalfLife = _halfLife;
+        emit BoostHalfLifeUpdated(oldHalfLife, _halfLife);
+    }
+
+    /**
+     * @notice Start counting boosts towards a new epoch
+     * @dev Epochs only move forward, so finished leaderboards can't change
+     * @param _epoch New epoch (DreamNFT's epochId numbering)
+     */
+    function advanceEpoch(uint256 _epoch) external onlyRole(OPERATOR_ROLE) {
+        if (_epoch <= currentEpoch) revert InvalidEpoch();
+        uint256 oldEpoch = currentEpoch;
+        currentEpoch = _epoch;
+        epochEndTime[oldEpoch] = block.timestamp;
+        emit EpochAdvanced(oldEpoch, _epoch);
+    }
+
+    /**
+     * @notice Send reward tokens for creator and booster rewards
+     * @param _amount Amount of rewardToken to pull from the caller
+     */
+    function fundRewards(uint256 _amount) external {
+        if (address(rewardToken) == address(0)) revert InvalidAddress();
+        if (_amount == 0) revert InvalidAmount();
+        rewardToken.safeTransferFrom(msg.sender, address(this), _amount);
+        emit RewardsFunded(msg.sender, _amount);
+    }
+
+    /**
+     * @notice Set the token boost rewards are paid in and what a zDREAMS of boost is worth in it
+     * @dev The token can only change once nothing is owed: creator rewards claimed or
+     *      settled, and booster pools claimed or swept
+     * @param _rewardToken Reward token (zero turns rewards off)
+     * @param _rewardRate Reward tokens per zDREAMS spent, scaled by BOOST_PRECISION
+     */
+    function setRewardToken(address _rewardToken, uint256 _rewardRate) external onlyRole(GOVERNOR_ROLE) {
+        if (_rewardToken != address(rewardToken) && rewardsReserved > 0) revert RewardsOutstanding();
+        rewardToken = IERC20(_rewardToken);
+        rewardRate = _rewardRate;
+        emit RewardTokenUpdated(_rewardToken, _rewardRate);
+    }
+
+    /**
+     * @notice Set the shares of each boost's value paid to creators and early boosters
+     * @param _creatorShareBps Creator share in basis points
+     * @param _boosterShareBps Booster pool share in basis points
+     */
+    function setRewardSplit(uint256 _creatorShareBps, uint256 _boosterShareBps) external onlyRole(OPERATOR_ROLE) {
+        if (_creatorShareBps + _boosterShareBps > BPS_DENOMINATOR) revert InvalidShare();
+        creatorShareBps = _creatorShareBps;
+        boosterShareBps = _boosterShareBps;
+        emit RewardSplitUpdated(_creatorShareBps, _boosterShareBps);
+    }
+
+    /**
+     * @notice Set the DreamNFT dream IDs are registered against
+     * @dev Existing registrations are kept
+     */
+    function setDreamNFT(address _dreamNFT) external onlyRole(GOVERNOR_ROLE) {
+        if (_dreamNFT == address(0)) revert InvalidAddress();
+        address oldDreamNFT = address(dreamNFT);
+        dreamNFT = IDreamNFT(_dreamNFT);
+        emit DreamNFTUpdated(oldDreamNFT, _dreamNFT);
+    }
+
+    /**
+     * @notice Turn dream ID validation on or off
+     * @dev While on, boostDream and boostDreamMultiple reject dream IDs that
+     *      aren't registered; boostToken always works for minted dreams
+     */
+    function setDreamValidation(bool _enabled) external onlyRole(GOVERNOR_ROLE) {
+        if (_enabled && address(dreamNFT) == address(0)) revert InvalidAddress();
+        validateDreamIds = _enabled;
+        emit DreamValidationUpdated(_enabled);
+    }
+
+    /**
+     * @notice Pay creators the rewards they haven't claimed
+     * @dev Lets owed rewards be cleared, e.g. before changing the reward token
+     * @param _creators Creators to pay (those with nothing owed are skipped)
+     */
+    function settleCreatorRewards(address[] calldata _creators) external onlyRole(TREASURER_ROLE) nonReentrant {
+        for (uint256 i = 0; i < _creators.length; i++) {
+            if (creatorRewards[_creators[i]] > 0) _payCreatorRewards(_creators[i]);
+        }
+    }
+
+    /**
+     * @notice Release what is left of a booster pool once its claim period is over
+     * @dev Unclaimed rewards and rounding dust go back to the unreserved balance,
+     *      where they fund new rewards or can be rescued
+     * @param _epoch Finished epoch to sweep
+     */
+    function sweepExpiredBoosterPool(uint256 _epoch) external onlyRole(TREASURER_ROLE) {
+        if (_epoch >= currentEpoch || block.timestamp <= epochEndTime[_epoch] + BOOSTER_CLAIM_PERIOD) {
+            revert NoExpiredRewards();
+        }
+
+        uint256 amount = epochBoosterPool[_epoch] - epochBoosterSettled[_epoch];
+        if (amount == 0) revert NoExpiredRewards();
+
+        epochBoosterSettled[_epoch] += amount;
+        rewardsReserved -= amount;
+        emit ExpiredBoosterPoolSwept(_epoch, amount);
+    }
+
+    /**
+     * @notice Withdraw tokens that aren't owed to anyone to the caller
+     * @param _token Token address
+     * @param _amount Amount to withdraw
+     */
+    function rescueTokens(address _token, uint256 _amount) external onlyRole(TREASURER_ROLE) {
+        if (_token == address(rewardToken)) {
+            uint256 unreserved = IERC20(_token).balanceOf(address(this)) - rewardsReserved;
+            if (_amount > unreserved) revert ExceedsUnreservedBalance();
+        }
+        IERC20(_token).safeTransfer(msg.sender, _amount);
+    }
+
     /**
      * @notice Update zDREAMS token address
      */
-    function setZDreamsToken(address _zDreamsToken) external onlyAdmin {
+    function setZDreamsToken(address _zDreamsToken) external onlyRole(GOVERNOR_ROLE) {
         if (_zDreamsToken == address(0)) revert InvalidAddress();
         zDreamsToken = IzDREAMS(_zDreamsToken);
     }
 
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
     /**
      * @notice Initiate admin transfer
      */
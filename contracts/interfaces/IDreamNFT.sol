@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IDreamNFT
+ * @notice Interface for DreamNFT - used to look up who created a dream
+ */
+interface IDreamNFT {
+    struct DreamMetadata {
+        string mongoId;          // MongoDB _id, used as the dream ID off-chain
+        string title;
+        string category;
+        string realm;
+        uint256 epochId;
+        address originalCreator;
+        uint256 mintedAt;
+        uint8 ipTier;            // DreamNFT.IPTier
+        uint8 licenseType;       // DreamNFT.LicenseType
+    }
+
+    /**
+     * @notice Get dream metadata for a token
+     * @dev Reverts TokenDoesNotExist for tokens that were never minted or are burned
+     * @param tokenId The token ID
+     */
+    function getDreamMetadata(uint256 tokenId) external view returns (DreamMetadata memory);
+}
@@ -11,8 +11,8 @@ interface IDreamsStaking {
      * @param _account Address to check
      * @return stakedAmount Amount of DREAMS staked
      * @return vestedAmount Amount that can be withdrawn without penalty
-     * @return votingPower Current voting power (= staked amount)
-     * @return pendingRewardsUSD Pending rewards in USD
+     * @return votingPower Current voting power (staked amount plus active lock boosts)
+     * @return pendingRewards Pending rewards in the main reward token
      * @return cliffEnds When cliff period ends
      * @return vestingEnds When full vesting ends
      * @return cliffReached Whether cliff period has passed
@@ -24,7 +24,7 @@ interface IDreamsStaking {
             uint256 stakedAmount,
             uint256 vestedAmount,
             uint256 votingPower,
-            uint256 pendingRewardsUSD,
+            uint256 pendingRewards,
             uint256 cliffEnds,
             uint256 vestingEnds,
             bool cliffReached
@@ -33,7 +33,7 @@ interface IDreamsStaking {
     /**
      * @notice Get voting power for an address
      * @param _account Address to check
-     * @return Voting power (= staked balance)
+     * @return Voting power (staked balance plus active lock boosts)
      */
     function getVotingPower(address _account) external view returns (uint256);
 
@@ -42,20 +42,57 @@ interface IDreamsStaking {
      */
     function getTotalVotingPower() external view returns (uint256);
 
+    /**
+     * @notice Voting power an address votes with: its own unless delegated away, plus delegations to it
+     * @param _account Address to check
+     */
+    function getVotes(address _account) external view returns (uint256);
+
+    /**
+     * @notice Address that votes with an account's staking power (the account itself if not delegated)
+     * @param _account Address to check
+     */
+    function delegates(address _account) external view returns (address);
+
+    /**
+     * @notice Votes an address held at the end of a past block
+     * @param _account Address to check
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastVotes(address _account, uint256 _blockNumber) external view returns (uint256);
+
+    /**
+     * @notice Total voting power at the end of a past block
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastTotalSupply(uint256 _blockNumber) external view returns (uint256);
+
+    /**
+     * @notice Remove the boosts of every lock that has ended, whoever holds it
+     * @param _maxSteps Locks to expire at most
+     * @return done True if no ended lock is left
+     */
+    function expireEndedLocks(uint256 _maxSteps) external returns (bool done);
+
     /**
      * @notice Get the stake data for an account (used for time-weighted voting)
      * @param _account Address to check
      * @return amount Staked token amount
      * @return startTime When the user started staking (0 if never staked)
-     * @return rewardsAccruedUSD Total rewards accrued in USD
-     * @return rewardsClaimed Total rewards claimed
-     * @return lastRewardTime Last time rewards were calculated
-     */
-    function stakes(address _account) external view returns (
-        uint256 amount,
-        uint256 startTime,
-        uint256 rewardsAccruedUSD,
-        uint256 rewardsClaimed,
-        uint256 lastRewardTime
-    );
+     */
+    function stakes(address _account) external view returns (uint256 amount, uint256 startTime);
+
+    /**
+     * @notice Whether a token is streamed to stakers
+     * @param _token Token to check
+     */
+    function isRewardToken(address _token) external view returns (bool);
+
+    /**
+     * @notice Stream a fee share that was just transferred to the staking contract
+     * @dev Only callable by allowed reward distributors
+     * @param _token Reward token that was sent
+     * @param _amount Amount that was sent
+     */
+    function notifyRewardAmount(address _token, uint256 _amount) external;
 }
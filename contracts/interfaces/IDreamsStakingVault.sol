@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IDreamsStakingVault
+ * @notice Interface for DreamsStakingVault - used to count vault depositors' votes
+ */
+interface IDreamsStakingVault {
+    /**
+     * @notice An account's share of the vault's current staking votes
+     * @param _account Address to check
+     */
+    function getVotes(address _account) external view returns (uint256);
+
+    /**
+     * @notice An account's share of the vault's staking votes at the end of a past block
+     * @param _account Address to check
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastVotes(address _account, uint256 _blockNumber) external view returns (uint256);
+
+    /**
+     * @notice An account's share of the vault's current zDREAMS voting power
+     * @param _account Address to check
+     */
+    function getZDreamsVotes(address _account) external view returns (uint256);
+
+    /**
+     * @notice An account's share of the vault's zDREAMS voting power at the end of a past block
+     * @param _account Address to check
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastZDreamsVotes(address _account, uint256 _blockNumber) external view returns (uint256);
+}
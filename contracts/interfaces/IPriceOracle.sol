@@ -14,6 +14,15 @@ interface IPriceOracle {
      */
     function getPrice(address token) external view returns (uint256 price);
 
+    /**
+     * @dev Returns the price together with when it was last updated, so callers
+     *      can apply a tighter freshness bound than the oracle's own
+     * @param token Address of the token
+     * @return price Price in USD (8 decimals)
+     * @return updatedAt Timestamp the price was last updated
+     */
+    function getPriceWithTimestamp(address token) external view returns (uint256 price, uint256 updatedAt);
+
     /**
      * @dev Converts token amount to USD value
      * @param token Address of the token
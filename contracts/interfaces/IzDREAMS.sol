@@ -68,6 +68,19 @@ interface IzDREAMS {
      */
     function getTotalVotingPower() external view returns (uint256);
 
+    /**
+     * @notice Voting power (zDREAMS balance) of an address at the end of a past block
+     * @param _account Address to check
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastVotes(address _account, uint256 _blockNumber) external view returns (uint256);
+
+    /**
+     * @notice Total zDREAMS supply at the end of a past block
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastTotalSupply(uint256 _blockNumber) external view returns (uint256);
+
     /**
      * @notice Get balance of zDREAMS for an account
      * @param _account Address to check
@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ProtocolRoles
+ * @notice Splits day-to-day admin work into narrow roles so the admin key
+ *         can stay in cold storage (or a multisig).
+ *
+ * ROLES:
+ * - Operator: routine parameters (fees, limits, rates, tiers)
+ * - Guardian: can only pause things or trip circuit breakers
+ * - Treasurer: moves funds out (withdrawProfits, rescue, sweeps)
+ * - Governor: wiring changes (which contract points at which)
+ *
+ * The admin holds every role implicitly and is the only one who can grant or
+ * revoke them. Admin itself still moves with the two-step transfer in each
+ * contract.
+ *
+ * @dev Inheriting contracts implement _isAdmin() against their own `admin`.
+ */
+abstract contract ProtocolRoles {
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant GOVERNOR_ROLE = keccak256("GOVERNOR_ROLE");
+
+    mapping(bytes32 => mapping(address => bool)) private _roles;
+
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+
+    error MissingRole(bytes32 role, address account);
+    error NotRoleAdmin();
+    error UnknownRole(bytes32 role);
+
+    modifier onlyRole(bytes32 role) {
+        if (!hasRole(role, msg.sender)) revert MissingRole(role, msg.sender);
+        _;
+    }
+
+    /**
+     * @dev For on/off switches: turning something off is a guardian job,
+     *      turning it back on needs an operator
+     * @param enabled Current state of the switch being flipped
+     */
+    modifier onlyPauseToggle(bool enabled) {
+        if (!hasRole(OPERATOR_ROLE, msg.sender) && !(enabled && _roles[GUARDIAN_ROLE][msg.sender])) {
+            revert MissingRole(enabled ? GUARDIAN_ROLE : OPERATOR_ROLE, msg.sender);
+        }
+        _;
+    }
+
+    /**
+     * @notice Check whether an account can act with a role (admin always can)
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return _roles[role][account] || _isAdmin(account);
+    }
+
+    /**
+     * @notice Give an account a role
+     * @param role One of OPERATOR_ROLE, GUARDIAN_ROLE, TREASURER_ROLE, GOVERNOR_ROLE
+     * @param account Address receiving the role
+     */
+    function grantRole(bytes32 role, address account) external {
+        if (!_isAdmin(msg.sender)) revert NotRoleAdmin();
+        _checkKnownRole(role);
+        if (!_roles[role][account]) {
+            _roles[role][account] = true;
+            emit RoleGranted(role, account, msg.sender);
+        }
+    }
+
+    /**
+     * @notice Take a role away from an account
+     */
+    function revokeRole(bytes32 role, address account) external {
+        if (!_isAdmin(msg.sender)) revert NotRoleAdmin();
+        _checkKnownRole(role);
+        if (_roles[role][account]) {
+            _roles[role][account] = false;
+            emit RoleRevoked(role, account, msg.sender);
+        }
+    }
+
+    /**
+     * @notice Give up one of your own roles (e.g. a compromised ops key)
+     */
+    function renounceRole(bytes32 role) external {
+        _checkKnownRole(role);
+        if (_roles[role][msg.sender]) {
+            _roles[role][msg.sender] = false;
+            emit RoleRevoked(role, msg.sender, msg.sender);
+        }
+    }
+
+    function _checkKnownRole(bytes32 role) private pure {
+        if (role != OPERATOR_ROLE && role != GUARDIAN_ROLE && role != TREASURER_ROLE && role != GOVERNOR_ROLE) {
+            revert UnknownRole(role);
+        }
+    }
+
+    function _isAdmin(address account) internal view virtual returns (bool);
+}
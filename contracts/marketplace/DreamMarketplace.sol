@@ -6,6 +6,15 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "../libraries/ProtocolRoles.sol";
+
+/**
+ * @notice NFTs whose holder can take value out of the token (DreamsStakePositions)
+ *         report a nonce that changes every time they do
+ */
+interface IPositionNonce {
+    function positionNonce(uint256 tokenId) external view returns (uint256);
+}
 
 /**
  * @title DreamMarketplace
@@ -26,13 +35,18 @@ import "@openzeppelin/contracts/interfaces/IERC2981.sol";
  * - Platform Treasury: 2.5 ETH (2.5% platform fee)
  * - Seller: 72.5 ETH (what's left after fees)
  *
+ * OFFERS ON STAKE POSITIONS:
+ * - When the NFT reports a positionNonce, an offer is only good for the position
+ *   as it was when the offer was made. After the holder claims or unstakes from
+ *   it, the offer can't be accepted (the buyer can still cancel it for a refund)
+ *
  * AUCTION RULES:
  * - Minimum bid must be 5% higher than current highest bid
  * - If someone bids in the final 10 minutes, auction extends by 10 more minutes
  *   (this prevents last-second sniping)
  * - You can only cancel an auction if no one has bid yet
  */
-contract DreamMarketplace is ReentrancyGuard {
+contract DreamMarketplace is ReentrancyGuard, ProtocolRoles {
     using SafeERC20 for IERC20;
 
     // ============ STATE ============
@@ -120,6 +134,9 @@ contract DreamMarketplace is ReentrancyGuard {
     // tokenId => offer count
     mapping(uint256 => uint256) public offerCount;
 
+    // tokenId => offerId => the NFT's positionNonce when the offer was made
+    mapping(uint256 => mapping(uint256 => uint256)) public offerPositionNonce;
+
     // ============ EVENTS ============
 
     event Listed(
@@ -191,6 +208,7 @@ contract DreamMarketplace is ReentrancyGuard {
     event PaymentTokensUpdated(address dreams, address juicy);
     event AdminTransferInitiated(address indexed currentAdmin, address indexed pendingAdmin);
     event AdminTransferCompleted(address indexed oldAdmin, address indexed newAdmin);
+    event AdminTransferCancelled(address indexed admin);
 
     // ============ ERRORS ============
 
@@ -199,6 +217,7 @@ contract DreamMarketplace is ReentrancyGuard {
     error NotSeller();
     error NotAdmin();
     error NotPendingAdmin();
+    error NoPendingAdmin();
     error InvalidPrice();
     error InvalidDuration();
     error InvalidPaymentToken();
@@ -219,6 +238,7 @@ contract DreamMarketplace is ReentrancyGuard {
     error InvalidAddress();
     error TokenAlreadyListed();
     error AuctionActive();
+    error PositionChanged();
 
     // ============ MODIFIERS ============
 
@@ -519,6 +539,7 @@ contract DreamMarketplace is ReentrancyGuard {
 
         uint256 offerId = offerCount[tokenId];
         offerCount[tokenId]++;
+        offerPositionNonce[tokenId][offerId] = _positionNonce(tokenId);
 
         offers[tokenId][offerId] = Offer({
             buyer: msg.sender,
@@ -545,6 +566,7 @@ contract DreamMarketplace is ReentrancyGuard {
         if (offer.accepted) revert OfferAlreadyAccepted();
         if (offer.cancelled) revert OfferAlreadyCancelled();
         if (block.timestamp >= offer.expiresAt) revert OfferExpired();
+        if (_positionNonce(tokenId) != offerPositionNonce[tokenId][offerId]) revert PositionChanged();
 
         offer.accepted = true;
 
@@ -593,6 +615,17 @@ contract DreamMarketplace is ReentrancyGuard {
 
     // ============ INTERNAL FUNCTIONS ============
 
+    /**
+     * @dev The NFT's positionNonce, or 0 for NFTs that don't have one (Dream NFTs)
+     */
+    function _positionNonce(uint256 tokenId) internal view returns (uint256) {
+        try IPositionNonce(address(dreamNFT)).positionNonce(tokenId) returns (uint256 nonce) {
+            return nonce;
+        } catch {
+            return 0;
+        }
+    }
+
     function _validatePaymentToken(PaymentToken paymentToken) internal view {
         if (paymentToken == PaymentToken.DREAMS && address(dreamsToken) == address(0)) {
             revert InvalidPaymentToken();
@@ -786,7 +819,8 @@ contract DreamMarketplace is ReentrancyGuard {
     }
 
     /**
-     * @notice Check if an offer is valid (not expired, not accepted, not cancelled)
+     * @notice Check if an offer is valid (not expired, not accepted, not cancelled,
+     *         and made on the position as it is now)
      * @param tokenId The token ID
      * @param offerId The offer ID
      */
@@ -795,7 +829,8 @@ contract DreamMarketplace is ReentrancyGuard {
         return offer.buyer != address(0) &&
                !offer.accepted &&
                !offer.cancelled &&
-               block.timestamp < offer.expiresAt;
+               block.timestamp < offer.expiresAt &&
+               _positionNonce(tokenId) == offerPositionNonce[tokenId][offerId];
     }
 
     // ============ ADMIN FUNCTIONS ============
@@ -803,7 +838,7 @@ contract DreamMarketplace is ReentrancyGuard {
     /**
      * @notice Toggle marketplace enabled/disabled
      */
-    function toggleMarketplace() external onlyAdmin {
+    function toggleMarketplace() external onlyPauseToggle(marketplaceEnabled) {
         marketplaceEnabled = !marketplaceEnabled;
         emit MarketplaceToggled(marketplaceEnabled);
     }
@@ -812,7 +847,7 @@ contract DreamMarketplace is ReentrancyGuard {
      * @notice Update treasury address
      * @param _treasury New treasury address
      */
-    function updateTreasury(address _treasury) external onlyAdmin {
+    function updateTreasury(address _treasury) external onlyRole(GOVERNOR_ROLE) {
         if (_treasury == address(0)) revert InvalidAddress();
         address oldTreasury = treasury;
         treasury = _treasury;
@@ -824,26 +859,30 @@ contract DreamMarketplace is ReentrancyGuard {
      * @param _dreams DREAMS token address
      * @param _juicy JUICY token address
      */
-    function updatePaymentTokens(address _dreams, address _juicy) external onlyAdmin {
+    function updatePaymentTokens(address _dreams, address _juicy) external onlyRole(GOVERNOR_ROLE) {
         dreamsToken = IERC20(_dreams);
         juicyToken = IERC20(_juicy);
         emit PaymentTokensUpdated(_dreams, _juicy);
     }
 
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
     /**
-     * @notice Initiate admin transfer
+     * @notice Initiate admin transfer (step 1)
      * @param _newAdmin New admin address
      */
-    function transferAdmin(address _newAdmin) external onlyAdmin {
+    function initiateAdminTransfer(address _newAdmin) public onlyAdmin {
         if (_newAdmin == address(0)) revert InvalidAddress();
         pendingAdmin = _newAdmin;
         emit AdminTransferInitiated(admin, _newAdmin);
     }
 
     /**
-     * @notice Accept admin transfer
+     * @notice Accept admin transfer (step 2 - must be called by pending admin)
      */
-    function acceptAdmin() external {
+    function acceptAdminTransfer() public {
         if (msg.sender != pendingAdmin) revert NotPendingAdmin();
         address oldAdmin = admin;
         admin = pendingAdmin;
@@ -852,29 +891,53 @@ contract DreamMarketplace is ReentrancyGuard {
     }
 
     /**
-     * @notice Emergency rescue stuck tokens
+     * @notice Old name of initiateAdminTransfer, kept so existing integrations keep working
+     * @param _newAdmin New admin address
+     */
+    function transferAdmin(address _newAdmin) external {
+        initiateAdminTransfer(_newAdmin);
+    }
+
+    /**
+     * @notice Old name of acceptAdminTransfer, kept so existing integrations keep working
+     */
+    function acceptAdmin() external {
+        acceptAdminTransfer();
+    }
+
+    /**
+     * @notice Cancel pending admin transfer
+     */
+    function cancelAdminTransfer() external onlyAdmin {
+        if (pendingAdmin == address(0)) revert NoPendingAdmin();
+        pendingAdmin = address(0);
+        emit AdminTransferCancelled(admin);
+    }
+
+    /**
+     * @notice Emergency rescue stuck tokens to the treasury
      * @param token Token address (address(0) for native)
      * @param amount Amount to rescue
      */
-    function rescueTokens(address token, uint256 amount) external onlyAdmin {
+    function rescueTokens(address token, uint256 amount) external onlyRole(TREASURER_ROLE) {
         if (token == address(0)) {
-            (bool sent, ) = admin.call{value: amount}("");
+            (bool sent, ) = treasury.call{value: amount}("");
             if (!sent) revert TransferFailed();
         } else {
-            IERC20(token).safeTransfer(admin, amount);
+            IERC20(token).safeTransfer(treasury, amount);
         }
     }
 
     /**
-     * @notice Emergency rescue stuck NFT
+     * @notice Emergency rescue stuck NFT to the treasury
      * @param tokenId The token ID to rescue
      */
-    function rescueNFT(uint256 tokenId) external onlyAdmin {
+    function rescueNFT(uint256 tokenId) external onlyRole(TREASURER_ROLE) {
         // Only if not actively listed/auctioned
         if (listings[tokenId].listingType != ListingType.NONE) revert TokenAlreadyListed();
         if (auctions[tokenId].endTime > block.timestamp && !auctions[tokenId].settled) revert AuctionActive();
 
-        dreamNFT.transferFrom(address(this), admin, tokenId);
+        dreamNFT.transferFrom(address(this), treasury, tokenId);
     }
 
     // ============ RECEIVE ============
@@ -0,0 +1,230 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@layerzerolabs/solidity-examples/contracts/lzApp/interfaces/ILayerZeroEndpoint.sol";
+import "@layerzerolabs/solidity-examples/contracts/lzApp/interfaces/ILayerZeroReceiver.sol";
+
+/**
+ * @title LZEndpointMock
+ * @notice Local LayerZero V1 endpoint for testing DreamsOFT / DreamsProxyOFT
+ * @dev Messages are delivered synchronously: send() on one mock calls
+ *      receivePayload() on the paired mock for the destination chain, which
+ *      calls lzReceive() on the destination app in the same transaction.
+ *
+ *      Like the real endpoint, a reverting lzReceive() stores the payload and
+ *      blocks the path until retryPayload() or forceResumeReceive().
+ *      Fees are a flat base fee plus a per-byte fee, both configurable.
+ */
+contract LZEndpointMock is ILayerZeroEndpoint {
+    struct StoredPayload {
+        uint64 payloadLength;
+        address dstAddress;
+        bytes32 payloadHash;
+    }
+
+    uint16 public immutable chainId;
+
+    // Remote chain ID => endpoint mock that delivers for that chain
+    mapping(uint16 => address) public remoteEndpoints;
+
+    // Nonces
+    mapping(uint16 => mapping(address => uint64)) public outboundNonce;
+    mapping(uint16 => mapping(bytes => uint64)) public inboundNonce;
+
+    // Blocked paths
+    mapping(uint16 => mapping(bytes => StoredPayload)) public storedPayload;
+
+    // Fee model
+    uint256 public nativeFeeBase = 0.001 ether;
+    uint256 public nativeFeePerByte = 1 gwei;
+
+    bool private _sending;
+    bool private _receiving;
+
+    event RemoteEndpointSet(uint16 indexed remoteChainId, address endpoint);
+    event FeesUpdated(uint256 baseFee, uint256 feePerByte);
+    event PayloadStored(uint16 srcChainId, bytes srcAddress, address dstAddress, uint64 nonce, bytes payload, bytes reason);
+    event PayloadCleared(uint16 srcChainId, bytes srcAddress, uint64 nonce, address dstAddress);
+    event UaForceResumeReceive(uint16 chainId, bytes srcAddress);
+
+    constructor(uint16 _chainId) {
+        chainId = _chainId;
+    }
+
+    // ============ Testing Functions ============
+
+    /**
+     * @notice Register the endpoint mock that delivers messages for a remote chain
+     */
+    function setRemoteEndpoint(uint16 _remoteChainId, address _endpoint) external {
+        remoteEndpoints[_remoteChainId] = _endpoint;
+        emit RemoteEndpointSet(_remoteChainId, _endpoint);
+    }
+
+    /**
+     * @notice Set the messaging fee model
+     */
+    function setFees(uint256 _baseFee, uint256 _feePerByte) external {
+        nativeFeeBase = _baseFee;
+        nativeFeePerByte = _feePerByte;
+        emit FeesUpdated(_baseFee, _feePerByte);
+    }
+
+    // ============ Sending ============
+
+    function send(
+        uint16 _dstChainId,
+        bytes calldata _path,
+        bytes calldata _payload,
+        address payable _refundAddress,
+        address,
+        bytes calldata
+    ) external payable override {
+        require(!_sending, "LZEndpointMock: no send reentrancy");
+        require(_path.length == 40, "LZEndpointMock: incorrect remote address size");
+
+        address remoteEndpoint = remoteEndpoints[_dstChainId];
+        require(remoteEndpoint != address(0), "LZEndpointMock: destination LayerZero Endpoint not found");
+
+        uint256 nativeFee = _quote(_payload.length);
+        require(msg.value >= nativeFee, "LZEndpointMock: not enough native for fees");
+
+        _sending = true;
+
+        uint64 nonce = ++outboundNonce[_dstChainId][msg.sender];
+
+        // Refund any excess fee
+        uint256 excess = msg.value - nativeFee;
+        if (excess > 0) {
+            (bool sent, ) = _refundAddress.call{value: excess}("");
+            require(sent, "LZEndpointMock: failed to refund");
+        }
+
+        // Path is (remote address, local address) - the receiver sees (local, remote)
+        address dstAddress;
+        assembly {
+            dstAddress := shr(96, calldataload(_path.offset))
+        }
+        bytes memory srcPath = abi.encodePacked(msg.sender, dstAddress);
+
+        LZEndpointMock(remoteEndpoint).receivePayload(chainId, srcPath, dstAddress, nonce, 0, _payload);
+
+        _sending = false;
+    }
+
+    function estimateFees(
+        uint16,
+        address,
+        bytes calldata _payload,
+        bool,
+        bytes calldata
+    ) external view override returns (uint256 nativeFee, uint256 zroFee) {
+        return (_quote(_payload.length), 0);
+    }
+
+    function _quote(uint256 _payloadLength) internal view returns (uint256) {
+        return nativeFeeBase + _payloadLength * nativeFeePerByte;
+    }
+
+    // ============ Receiving ============
+
+    function receivePayload(
+        uint16 _srcChainId,
+        bytes calldata _srcAddress,
+        address _dstAddress,
+        uint64 _nonce,
+        uint256,
+        bytes calldata _payload
+    ) external override {
+        require(msg.sender == remoteEndpoints[_srcChainId], "LZEndpointMock: unknown source endpoint");
+
+        StoredPayload storage sp = storedPayload[_srcChainId][_srcAddress];
+        require(sp.payloadHash == bytes32(0), "LZEndpointMock: in message blocking");
+        require(_nonce == ++inboundNonce[_srcChainId][_srcAddress], "LZEndpointMock: wrong nonce");
+
+        _receiving = true;
+        try ILayerZeroReceiver(_dstAddress).lzReceive(_srcChainId, _srcAddress, _nonce, _payload) {
+            // Delivered
+        } catch (bytes memory reason) {
+            storedPayload[_srcChainId][_srcAddress] = StoredPayload(uint64(_payload.length), _dstAddress, keccak256(_payload));
+            emit PayloadStored(_srcChainId, _srcAddress, _dstAddress, _nonce, _payload, reason);
+        }
+        _receiving = false;
+    }
+
+    function retryPayload(uint16 _srcChainId, bytes calldata _srcAddress, bytes calldata _payload) external override {
+        StoredPayload storage sp = storedPayload[_srcChainId][_srcAddress];
+        require(sp.payloadHash != bytes32(0), "LZEndpointMock: no stored payload");
+        require(_payload.length == sp.payloadLength && keccak256(_payload) == sp.payloadHash, "LZEndpointMock: invalid payload");
+
+        address dstAddress = sp.dstAddress;
+        delete storedPayload[_srcChainId][_srcAddress];
+
+        uint64 nonce = inboundNonce[_srcChainId][_srcAddress];
+        ILayerZeroReceiver(dstAddress).lzReceive(_srcChainId, _srcAddress, nonce, _payload);
+        emit PayloadCleared(_srcChainId, _srcAddress, nonce, dstAddress);
+    }
+
+    function hasStoredPayload(uint16 _srcChainId, bytes calldata _srcAddress) external view override returns (bool) {
+        return storedPayload[_srcChainId][_srcAddress].payloadHash != bytes32(0);
+    }
+
+    // ============ User Application Config ============
+
+    function forceResumeReceive(uint16 _srcChainId, bytes calldata _srcAddress) external override {
+        StoredPayload storage sp = storedPayload[_srcChainId][_srcAddress];
+        require(sp.payloadHash != bytes32(0), "LZEndpointMock: no stored payload");
+        require(sp.dstAddress == msg.sender, "LZEndpointMock: invalid caller");
+
+        delete storedPayload[_srcChainId][_srcAddress];
+        emit UaForceResumeReceive(_srcChainId, _srcAddress);
+    }
+
+    function setConfig(uint16, uint16, uint256, bytes calldata) external override {}
+
+    function setSendVersion(uint16) external override {}
+
+    function setReceiveVersion(uint16) external override {}
+
+    function getConfig(uint16, uint16, address, uint256) external pure override returns (bytes memory) {
+        return "";
+    }
+
+    // ============ Views ============
+
+    function getInboundNonce(uint16 _srcChainId, bytes calldata _srcAddress) external view override returns (uint64) {
+        return inboundNonce[_srcChainId][_srcAddress];
+    }
+
+    function getOutboundNonce(uint16 _dstChainId, address _srcAddress) external view override returns (uint64) {
+        return outboundNonce[_dstChainId][_srcAddress];
+    }
+
+    function getChainId() external view override returns (uint16) {
+        return chainId;
+    }
+
+    function getSendLibraryAddress(address) external view override returns (address) {
+        return address(this);
+    }
+
+    function getReceiveLibraryAddress(address) external view override returns (address) {
+        return address(this);
+    }
+
+    function isSendingPayload() external view override returns (bool) {
+        return _sending;
+    }
+
+    function isReceivingPayload() external view override returns (bool) {
+        return _receiving;
+    }
+
+    function getSendVersion(address) external pure override returns (uint16) {
+        return 1;
+    }
+
+    function getReceiveVersion(address) external pure override returns (uint16) {
+        return 1;
+    }
+}
@@ -16,9 +16,6 @@ contract MockDreamsStaking {
     struct StakeInfo {
         uint256 amount;
         uint256 startTime;
-        uint256 rewardsAccruedUSD;
-        uint256 rewardsClaimed;
-        uint256 lastRewardTime;
     }
 
     mapping(address => StakeInfo) public stakes;
@@ -52,10 +49,7 @@ contract MockDreamsStaking {
     function mockStake(address user, uint256 amount) external {
         stakes[user] = StakeInfo({
             amount: amount,
-            startTime: block.timestamp,
-            rewardsAccruedUSD: 0,
-            rewardsClaimed: 0,
-            lastRewardTime: block.timestamp
+            startTime: block.timestamp
         });
         totalStaked += amount;
     }
@@ -66,10 +60,7 @@ contract MockDreamsStaking {
     function mockStakeWithTime(address user, uint256 amount, uint256 startTime) external {
         stakes[user] = StakeInfo({
             amount: amount,
-            startTime: startTime,
-            rewardsAccruedUSD: 0,
-            rewardsClaimed: 0,
-            lastRewardTime: startTime
+            startTime: startTime
         });
         totalStaked += amount;
     }
@@ -141,7 +132,7 @@ contract MockDreamsStaking {
         uint256 stakedAmount,
         uint256 vestedAmount,
         uint256 votingPower,
-        uint256 pendingRewardsUSD,
+        uint256 pendingRewards,
         uint256 cliffEnds,
         uint256 vestingEnds,
         bool cliffReached
@@ -164,7 +155,7 @@ contract MockDreamsStaking {
         }
 
         votingPower = stakedAmount; // Simplified
-        pendingRewardsUSD = stake.rewardsAccruedUSD - stake.rewardsClaimed;
+        pendingRewards = 0;
     }
 
     /**
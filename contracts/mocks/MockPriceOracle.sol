@@ -10,10 +10,16 @@ import "../interfaces/IPriceOracle.sol";
 contract MockPriceOracle is IPriceOracle {
     mapping(address => uint256) public prices;  // 8 decimals
     mapping(address => bool) public priceSet;
+    mapping(address => uint256) public updatedAt;
 
     function setPrice(address token, uint256 price) external {
         prices[token] = price;
         priceSet[token] = true;
+        updatedAt[token] = block.timestamp;
+    }
+
+    function setUpdatedAt(address token, uint256 timestamp) external {
+        updatedAt[token] = timestamp;
     }
 
     function getPrice(address token) external view override returns (uint256) {
@@ -21,6 +27,11 @@ contract MockPriceOracle is IPriceOracle {
         return prices[token];
     }
 
+    function getPriceWithTimestamp(address token) external view override returns (uint256, uint256) {
+        require(priceSet[token], "Price not set");
+        return (prices[token], updatedAt[token]);
+    }
+
     function convertToUSD(address token, uint256 amount) external view override returns (uint256) {
         require(priceSet[token], "Price not set");
         // Price has 8 decimals, amount has 18 decimals
@@ -74,6 +74,15 @@ contract MockZDreams is ERC20, IzDREAMS {
         return totalSupply();
     }
 
+    // No history in the mock - past lookups return the current values
+    function getPastVotes(address _account, uint256) external view override returns (uint256) {
+        return balanceOf(_account);
+    }
+
+    function getPastTotalSupply(uint256) external view override returns (uint256) {
+        return totalSupply();
+    }
+
     function setStakingContract(address _stakingContract) external override {
         require(msg.sender == admin, "Only admin");
         address oldContract = stakingContract;
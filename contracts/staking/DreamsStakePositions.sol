@@ -0,0 +1,211 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./StakePositionAccount.sol";
+
+/**
+ * @title DreamsStakePositions
+ * @notice Stake DREAMS as an ERC-721 position that can be transferred or sold.
+ *
+ * HOW IT WORKS:
+ * - openPosition() creates a StakePositionAccount for the new token and stakes
+ *   through it (optionally locked). The account is the staker in DreamsStaking,
+ *   so the lot keeps its own cliff, vesting schedule, lock and multiplier and
+ *   its zDREAMS stay with it
+ * - Whoever holds the NFT controls the account: they claim its rewards and
+ *   unstake from it (the usual early-unstake penalty and lock rules apply)
+ * - The account delegates its staking votes to the NFT holder and re-delegates
+ *   on every transfer, so votes follow the position. While a marketplace holds
+ *   the NFT in escrow, the marketplace holds the votes
+ * - Fully unstaking pays out any rewards left and burns the NFT
+ *
+ * SELLING:
+ * - Any ERC-721 venue works. For DreamMarketplace, deploy an instance with this
+ *   contract as its NFT (positions carry no royalty)
+ * - Listings and auctions hold the NFT in escrow, so the seller can't claim or
+ *   unstake while it is for sale. Offers are made on NFTs the holder keeps:
+ *   positionNonce changes on every claim and unstake, and DreamMarketplace
+ *   won't accept an offer made before the last change, so a holder can't
+ *   empty a position and then sell it to an old offer
+ *
+ * LIMITATIONS:
+ * - Only positions opened here are transferable. Stakes made directly in
+ *   DreamsStaking stay bound to the staker's address
+ * - zDREAMS held by a position can't be spent on CloudBoost
+ */
+contract DreamsStakePositions is ERC721, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using Counters for Counters.Counter;
+
+    // ============ STATE VARIABLES ============
+
+    IPositionStaking public immutable dreamsStaking;
+    IERC20 public immutable dreamsToken;
+    address public immutable accountImplementation;
+
+    Counters.Counter private _tokenIds;
+
+    // Token ID => account staking for it
+    mapping(uint256 => address) public positionAccount;
+
+    // Token ID => number of times the holder has taken value out (claims and unstakes)
+    mapping(uint256 => uint256) public positionNonce;
+
+    // ============ EVENTS ============
+
+    event PositionOpened(uint256 indexed tokenId, address indexed owner, address account, uint256 amount, uint256 lockDuration);
+    event PositionRewardsClaimed(uint256 indexed tokenId, address indexed owner);
+    event PositionUnstaked(uint256 indexed tokenId, address indexed owner, uint256 amount, uint256 received);
+    event PositionClosed(uint256 indexed tokenId, address indexed owner);
+
+    // ============ ERRORS ============
+
+    error InvalidAddress();
+    error InvalidAmount();
+    error NotPositionOwner();
+
+    // ============ MODIFIERS ============
+
+    modifier onlyPositionOwner(uint256 _tokenId) {
+        if (ownerOf(_tokenId) != msg.sender) revert NotPositionOwner();
+        _;
+    }
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(address _dreamsStaking) ERC721("DREAMS Stake Position", "DREAMS-POS") {
+        if (_dreamsStaking == address(0)) revert InvalidAddress();
+        dreamsStaking = IPositionStaking(_dreamsStaking);
+        dreamsToken = IPositionStaking(_dreamsStaking).dreamsToken();
+        accountImplementation = address(new StakePositionAccount());
+    }
+
+    // ============ POSITIONS ============
+
+    /**
+     * @notice Stake DREAMS as a new transferable position
+     * @param _amount Amount of DREAMS to stake
+     * @param _lockDuration Lock length for a boosted lot (0 = not locked; must be
+     *        a duration DreamsStaking allows)
+     * @return tokenId The new position's token ID
+     */
+    function openPosition(uint256 _amount, uint256 _lockDuration) external nonReentrant returns (uint256 tokenId) {
+        if (_amount == 0) revert InvalidAmount();
+
+        _tokenIds.increment();
+        tokenId = _tokenIds.current();
+
+        StakePositionAccount account = StakePositionAccount(Clones.clone(accountImplementation));
+        account.initialize(address(dreamsStaking));
+        positionAccount[tokenId] = address(account);
+
+        dreamsToken.safeTransferFrom(msg.sender, address(account), _amount);
+        account.stake(_amount, _lockDuration);
+
+        // Delegates the position's votes to the holder
+        _safeMint(msg.sender, tokenId);
+
+        emit PositionOpened(tokenId, msg.sender, address(account), _amount, _lockDuration);
+    }
+
+    /**
+     * @notice Claim every reward token a position has earned
+     * @param _tokenId Position to claim for
+     */
+    function claimRewards(uint256 _tokenId) external nonReentrant onlyPositionOwner(_tokenId) {
+        positionNonce[_tokenId]++;
+        StakePositionAccount(positionAccount[_tokenId]).claimAll(msg.sender);
+        emit PositionRewardsClaimed(_tokenId, msg.sender);
+    }
+
+    /**
+     * @notice Unstake DREAMS from a position
+     * @dev Taking everything out also sends any rewards left and burns the NFT
+     * @param _tokenId Position to unstake from
+     * @param _amount Amount to unstake (before any penalty)
+     * @return received DREAMS sent to the holder
+     */
+    function unstake(uint256 _tokenId, uint256 _amount)
+        external
+        nonReentrant
+        onlyPositionOwner(_tokenId)
+        returns (uint256 received)
+    {
+        positionNonce[_tokenId]++;
+        StakePositionAccount account = StakePositionAccount(positionAccount[_tokenId]);
+        received = account.unstake(_amount, msg.sender);
+        emit PositionUnstaked(_tokenId, msg.sender, _amount, received);
+
+        (uint256 remaining, ) = dreamsStaking.stakes(address(account));
+        if (remaining == 0) {
+            // Nothing left to claim is fine
+            try account.claimAll(msg.sender) {} catch {}
+            _burn(_tokenId);
+            emit PositionClosed(_tokenId, msg.sender);
+        }
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    /**
+     * @notice Get the stake behind a position
+     * @dev A position opens with one lot, but anyone can stakeFor its account and
+     *      add more, so every lot is returned (getPositionBalances has the totals)
+     * @param _tokenId Position to look up
+     * @return account Account staking for the position
+     * @return lots The position's lots, oldest first: amount, withdrawn, start
+     *         time, cliff end, vesting end, lock end and multiplier
+     */
+    function getPosition(uint256 _tokenId)
+        external
+        view
+        returns (address account, IPositionStaking.StakeLot[] memory lots)
+    {
+        _requireMinted(_tokenId);
+        account = positionAccount[_tokenId];
+        lots = dreamsStaking.getStakeLots(account);
+    }
+
+    /**
+     * @notice Get what a position holds right now
+     * @param _tokenId Position to look up
+     * @return stakedAmount DREAMS still staked
+     * @return vestedAmount DREAMS that can be unstaked without penalty
+     * @return votingPower Voting power the holder gets from the position
+     * @return zDreamsBalance zDREAMS held by the position
+     */
+    function getPositionBalances(uint256 _tokenId)
+        external
+        view
+        returns (uint256 stakedAmount, uint256 vestedAmount, uint256 votingPower, uint256 zDreamsBalance)
+    {
+        _requireMinted(_tokenId);
+        address account = positionAccount[_tokenId];
+        (stakedAmount, ) = dreamsStaking.stakes(account);
+        vestedAmount = dreamsStaking.getVestedAmount(account);
+        votingPower = dreamsStaking.getVotingPower(account);
+        IzDREAMS zDreams = dreamsStaking.zDreamsToken();
+        if (address(zDreams) != address(0)) zDreamsBalance = zDreams.balanceOf(account);
+    }
+
+    // ============ INTERNAL FUNCTIONS ============
+
+    /**
+     * @dev Votes follow the NFT: mints and transfers re-delegate to the new holder
+     */
+    function _afterTokenTransfer(address _from, address _to, uint256 _firstTokenId, uint256 _batchSize)
+        internal
+        override
+    {
+        super._afterTokenTransfer(_from, _to, _firstTokenId, _batchSize);
+        if (_to != address(0)) {
+            StakePositionAccount(positionAccount[_firstTokenId]).delegate(_to);
+        }
+    }
+}
@@ -4,8 +4,11 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 import "../interfaces/IPriceOracle.sol";
 import "../interfaces/IzDREAMS.sol";
+import "../libraries/ProtocolRoles.sol";
 
 /**
  * @title DreamsStaking
@@ -24,25 +27,58 @@ import "../interfaces/IzDREAMS.sol";
  *   Each day, a little more becomes available.
  * - Early Withdrawal: If you withdraw before fully vested, you pay a 20% penalty
  *   on the unvested portion.
+ * - Every deposit is its own "lot" with its own cliff and vesting clock, so
+ *   topping up later never makes your older tokens wait again.
  *
- * REWARD SYSTEM (protects you from price swings):
- * - Rewards accrue in US dollar value, not token count
- * - When you claim, dollars convert to tokens at the current price
- * - Example: You earn $100 in rewards. If token price is $2, you get 50 tokens.
- *   If token price drops to $1, you get 100 tokens. Either way, you get $100 worth.
+ * LOCK BOOSTS (optional, for committed holders):
+ * - Lock a deposit for 30, 90, 180 or 365 days and it counts 1.1x, 1.25x,
+ *   1.5x or 2x for zDREAMS, voting power and rewards while the lock runs
+ * - Locked tokens can't be withdrawn at all until the lock ends
+ * - A lock can be extended but never shortened; when it ends the boost goes away.
+ *   Rewards stop counting it at the lock's end, votes once it is expired
+ *
+ * DELEGATION (for stakers who don't vote themselves):
+ * - Your voting power counts for yourself until you delegate it to someone else
+ * - Delegating moves your whole voting power (stake plus lock boosts), and
+ *   later stakes and unstakes follow it; your tokens and rewards stay yours
+ * - Delegated totals are checkpointed per block, see getVotes() and
+ *   getPastVotes(); crowdfunding disputes read power from the block they open
+ *
+ * UNBONDING (penalty-free exit, the slow way):
+ * - Instead of paying the early-unstake penalty, request a withdrawal and wait
+ *   out the unbonding period (14 days by default)
+ * - Unbonding tokens earn no rewards and carry no voting power or zDREAMS
+ * - After the wait, withdraw them; or cancel before that to stake them again
+ *   (as a new lot with a fresh vesting timer)
+ *
+ * REWARD SYSTEM (only pays out what was actually funded):
+ * - Several reward tokens can stream at once (JUICY, DREAMS, USDC, ...), each
+ *   with its own schedule
+ * - Admins fund a reward period: a fixed amount of a token streamed over a
+ *   fixed duration (e.g. 100,000 JUICY over 30 days)
+ * - Crowdfunding fees for DREAMS stakers are streamed the same way as they arrive
+ * - Every second, each stream is shared by all stakers in proportion to their
+ *   stake (lock boosts count extra)
+ * - Example: 1,000 JUICY/day and you hold 10% of the stake -> you earn 100 JUICY/day
+ * - Rewards can never exceed what the contract holds; see getRewardSolvency()
+ * - Claim one token with claim(token) or everything with claimAll()
  *
  * COMPOUNDING (for long-term holders):
  * - You can add your rewards back into your stake
- * - Warning: This resets your vesting timer! But you get more voting power.
+ * - The compounded tokens start a new lot with a fresh vesting timer; the rest
+ *   of your stake keeps vesting where it was.
  */
-contract DreamsStaking is ReentrancyGuard {
+contract DreamsStaking is ReentrancyGuard, ProtocolRoles {
     using SafeERC20 for IERC20;
+    using Checkpoints for Checkpoints.Trace224;
 
     // ============ STATE ============
 
     IERC20 public immutable dreamsToken;
     IzDREAMS public zDreamsToken;
     IPriceOracle public priceOracle;
+    uint256 public maxPriceAge = 1 hours;               // USD views only use prices at most this old
+    uint256 public constant MAX_PRICE_AGE_LIMIT = 1 days;
 
     address public admin;
     address public pendingAdmin;
@@ -51,6 +87,7 @@ contract DreamsStaking is ReentrancyGuard {
     uint256 public cliffPeriod = 30 days;      // Minimum stake time before rewards
     uint256 public vestingPeriod = 180 days;   // Full vesting duration after cliff
     uint256 public earlyUnstakePenaltyBps = 2000; // 20% penalty for early unstake
+    uint256 public constant MAX_PENALTY_BPS = 5000; // Max 50% penalty
 
     // Staking state
     uint256 public totalStaked;
@@ -59,16 +96,97 @@ contract DreamsStaking is ReentrancyGuard {
     struct StakeInfo {
         uint256 amount;              // DREAMS staked
         uint256 startTime;           // When stake began
-        uint256 rewardsAccruedUSD;   // Rewards in USD (18 decimals)
-        uint256 rewardsClaimed;      // Rewards already claimed (in reward tokens)
-        uint256 lastRewardTime;      // Last time rewards were calculated
     }
 
     mapping(address => StakeInfo) public stakes;
 
+    struct StakeLot {
+        uint256 amount;              // DREAMS deposited into this lot
+        uint256 withdrawn;           // DREAMS already taken out of this lot
+        uint256 startTime;           // When the lot was created
+        uint256 cliffEnd;            // Schedule is fixed when the lot is created,
+        uint256 vestingEnd;          // later config changes don't move it
+        uint256 lockEnd;             // Can't be withdrawn before this (0 = not locked)
+        uint256 multiplierBps;       // Boost while locked (10000 = 1x, no boost)
+    }
+
+    // Each stake / stakeFor / compound adds a lot, oldest first
+    mapping(address => StakeLot[]) private _stakeLots;
+    uint256 public constant MAX_STAKE_LOTS = 50; // Beyond this, deposits merge into a matching lot
+    uint256 public constant MAX_THIRD_PARTY_LOTS = 40; // stakeFor can't open lots past this, the rest are the owner's
+
+    // Lock boosts: lock duration => multiplier (0 = not an allowed duration)
+    mapping(uint256 => uint256) public lockMultiplierBps;
+    uint256 public constant MAX_LOCK_MULTIPLIER_BPS = 30000; // Max 3x
+    mapping(address => uint256) public lockBoost; // Extra voting power from locks, until expired
+
+    // Every lock, queued by duration so expireEndedLocks() can find the ended ones.
+    // A lock ends its duration after it was made, so each queue is in lock-end order.
+    struct LockQueueEntry {
+        address account;
+        uint256 lockEnd;
+    }
+
+    struct LockQueue {
+        LockQueueEntry[] entries;
+        uint256 head;                // Entries before this have been expired
+    }
+
+    mapping(uint256 => LockQueue) private _lockQueues; // lock duration => queue
+    uint256[] private _lockDurations;                  // Every duration a lock was made with
+
+    // zDREAMS an exit should have burned but was already spent on cloud boosts;
+    // held back from the account's next zDREAMS mints until paid off
+    mapping(address => uint256) public boostDebt;
+
+    // Delegation: account => delegate (unset = votes for itself)
+    mapping(address => address) private _delegates;
+    mapping(address => Checkpoints.Trace224) private _delegateCheckpoints; // Votes held by a delegate, per block
+    Checkpoints.Trace224 private _totalVotingPowerCheckpoints;
+
+    // Unbonding: tokens taken out of the stake that can be withdrawn without penalty after a wait
+    struct UnbondingRequest {
+        uint256 amount;              // DREAMS waiting to be withdrawn
+        uint256 maturity;            // Can be withdrawn from this time on
+        uint256 cliffEnd;            // Schedule of the newest lot the tokens left,
+        uint256 vestingEnd;          // which they go back on if unbonding is cancelled
+    }
+
+    mapping(address => UnbondingRequest[]) private _unbonding;
+    uint256 public totalUnbonding;                     // Held for unbonding requests, not staked
+    uint256 public unbondingPeriod = 14 days;
+    uint256 public constant MAX_UNBONDING_PERIOD = 90 days;
+    uint256 public constant MAX_UNBONDING_REQUESTS = 10;
+
     // Reward configuration
-    address public rewardToken;           // Token paid as rewards (e.g., JUICY)
-    uint256 public rewardRateUSDPerSecond; // USD rewards per second per staked token (scaled by 1e18)
+    address public rewardToken;           // Main reward token (e.g., JUICY), always rewardTokens[0]
+
+    // Each reward token streams a funded amount over a fixed period, split by
+    // reward weight (staked amount + lock boost) through its own accumulator
+    struct RewardStream {
+        uint256 rate;                  // Tokens per second for the whole pool
+        uint256 periodFinish;          // When the current period ends
+        uint256 lastUpdateTime;        // Last time rewardPerTokenStored was brought up to date
+        uint256 rewardPerTokenStored;  // Rewards per unit of weight so far (scaled by 1e18)
+        uint256 outstanding;           // Emitted to stakers but not yet claimed
+    }
+
+    address[] public rewardTokens;
+    mapping(address => bool) public isRewardToken;
+    mapping(address => RewardStream) public rewardStreams;
+    // rewardPerTokenStored at every settlement, keyed by lastUpdateTime, so an
+    // expired lock boost can be settled at the moment its lock ended
+    mapping(address => Checkpoints.Trace224) private _rewardPerTokenHistory;
+    uint256 public constant MAX_REWARD_TOKENS = 8;
+
+    // user => token => value
+    mapping(address => mapping(address => uint256)) public userRewardPerTokenPaid;
+    mapping(address => mapping(address => uint256)) public rewardsAccrued;   // Earned but not claimed
+    mapping(address => mapping(address => uint256)) public rewardsClaimed;
+
+    // Contracts that send fee shares here (e.g. MilestoneCrowdfunding)
+    mapping(address => bool) public rewardDistributors;
+    uint256 public feeRewardDuration = 7 days; // Fee shares are streamed over at least this long
 
     // Treasury for penalties
     address public treasury;
@@ -77,6 +195,7 @@ contract DreamsStaking is ReentrancyGuard {
     address public treasurySaleContract;   // DreamsTreasurySale contract
     address public buybackContract;         // DreamsTreasuryBuyback contract
     uint256 public treasuryBonusBps = 1000; // 10% bonus zDREAMS for treasury purchases
+    uint256 public constant MAX_TREASURY_BONUS_BPS = 5000; // Max 50% bonus
     uint256 public constant BPS_DENOMINATOR = 10000;
 
     // ============ EVENTS ============
@@ -84,11 +203,11 @@ contract DreamsStaking is ReentrancyGuard {
     event Staked(address indexed user, uint256 amount, uint256 vestingEnd);
     event StakedFor(address indexed beneficiary, address indexed depositor, uint256 amount, uint256 vestingEnd);
     event Unstaked(address indexed user, uint256 amount, uint256 penalty);
-    event RewardsClaimed(address indexed user, uint256 usdValue, uint256 tokenAmount);
-    event RewardsCompounded(address indexed user, uint256 usdValue, uint256 tokenAmount, uint256 newVestingEnd);
-    event RewardRateUpdated(uint256 oldRate, uint256 newRate);
+    event RewardsClaimed(address indexed user, address indexed token, uint256 amount);
+    event RewardsCompounded(address indexed user, uint256 amount, uint256 newVestingEnd);
+    event RewardPeriodFunded(address indexed token, uint256 amount, uint256 duration, uint256 rewardRate, uint256 periodFinish);
     event VestingConfigUpdated(uint256 cliff, uint256 vesting, uint256 penaltyBps);
-    event RewardsDeposited(address indexed depositor, uint256 amount);
+    event RewardsDeposited(address indexed depositor, address indexed token, uint256 amount);
     event AdminTransferInitiated(address indexed currentAdmin, address indexed pendingAdmin);
     event AdminTransferCompleted(address indexed oldAdmin, address indexed newAdmin);
     event zDreamsTokenUpdated(address indexed oldToken, address indexed newToken);
@@ -96,6 +215,20 @@ contract DreamsStaking is ReentrancyGuard {
     event BuybackContractUpdated(address indexed oldContract, address indexed newContract);
     event TreasuryBonusUpdated(uint256 oldBonus, uint256 newBonus);
     event UnstakedForBuyback(address indexed user, uint256 amount, uint256 toRecipient, uint256 penalty, address recipient);
+    event StakeLocked(address indexed user, uint256 amount, uint256 lockEnd, uint256 multiplierBps);
+    event LockExtended(address indexed user, uint256 indexed lotIndex, uint256 lockEnd, uint256 multiplierBps);
+    event LockBoostExpired(address indexed user, uint256 boost);
+    event LockMultiplierUpdated(uint256 indexed lockDuration, uint256 oldMultiplierBps, uint256 newMultiplierBps);
+    event RewardTokenAdded(address indexed token);
+    event RewardDistributorUpdated(address indexed distributor, bool allowed);
+    event FeeRewardDurationUpdated(uint256 oldDuration, uint256 newDuration);
+    event UnbondingRequested(address indexed user, uint256 amount, uint256 maturity);
+    event UnbondingCancelled(address indexed user, uint256 amount);
+    event UnbondingWithdrawn(address indexed user, uint256 amount);
+    event UnbondingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod);
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegateVotesChanged(address indexed delegate, uint256 previousBalance, uint256 newBalance);
+    event MaxPriceAgeUpdated(uint256 oldAge, uint256 newAge);
 
     // ============ ERRORS ============
 
@@ -110,6 +243,22 @@ contract DreamsStaking is ReentrancyGuard {
     error InvalidConfiguration();
     error OnlyBuybackContract();
     error BonusTooHigh();
+    error InvalidLockDuration();
+    error LockNotExtendable();
+    error TokensLocked();
+    error InvalidLot();
+    error TooManyLots();
+    error InsufficientRewardBalance();
+    error UnknownRewardToken();
+    error RewardTokenExists();
+    error TooManyRewardTokens();
+    error OnlyRewardDistributor();
+    error TooManyUnbondingRequests();
+    error InvalidUnbondingRequest();
+    error NothingToWithdraw();
+    error FutureLookup();
+    error InsufficientOutput(uint256 amount, uint256 minAmount);
+    error StalePrice(address token, uint256 updatedAt);
 
     // ============ MODIFIERS ============
 
@@ -124,10 +273,7 @@ contract DreamsStaking is ReentrancyGuard {
     }
 
     modifier updateRewards(address _account) {
-        if (_account != address(0) && stakes[_account].amount > 0) {
-            stakes[_account].rewardsAccruedUSD += _calculatePendingRewardsUSD(_account);
-            stakes[_account].lastRewardTime = block.timestamp;
-        }
+        _updateRewards(_account);
         _;
     }
 
@@ -144,9 +290,16 @@ contract DreamsStaking is ReentrancyGuard {
 
         dreamsToken = IERC20(_dreamsToken);
         rewardToken = _rewardToken;
+        rewardTokens.push(_rewardToken);
+        isRewardToken[_rewardToken] = true;
         priceOracle = IPriceOracle(_priceOracle);
         treasury = _treasury;
         admin = msg.sender;
+
+        lockMultiplierBps[30 days] = 11000;  // 1.1x
+        lockMultiplierBps[90 days] = 12500;  // 1.25x
+        lockMultiplierBps[180 days] = 15000; // 1.5x
+        lockMultiplierBps[365 days] = 20000; // 2x
     }
 
     // ============ STAKING FUNCTIONS ============
@@ -157,33 +310,339 @@ contract DreamsStaking is ReentrancyGuard {
      * @param _beneficiary Address that will own the staked tokens
      * @param _amount Amount of DREAMS to stake
      * @param _fromTreasury Whether this stake originates from treasury sale (gets bonus zDREAMS)
+     * @param _lockDuration Lock length for a boosted lot (0 = no lock)
      * @return vestingEndTime The calculated vesting end time
      */
-    function _processStake(address _beneficiary, uint256 _amount, bool _fromTreasury) internal returns (uint256 vestingEndTime) {
+    function _processStake(
+        address _beneficiary,
+        uint256 _amount,
+        bool _fromTreasury,
+        uint256 _lockDuration
+    ) internal returns (uint256 vestingEndTime) {
         StakeInfo storage userStake = stakes[_beneficiary];
 
         // If first time staking or adding to existing stake
         if (userStake.amount == 0) {
             userStake.startTime = block.timestamp;
-            userStake.lastRewardTime = block.timestamp;
         }
 
         userStake.amount += _amount;
         totalStaked += _amount;
-        totalVotingPower += _amount;
+        _addVotingPower(_beneficiary, _amount);
 
         // Mint zDREAMS for voting power and cloud boosts
         // Treasury purchases get bonus zDREAMS (10% extra voting power incentive)
+        uint256 zDreamsToMint = _amount;
+        if (_fromTreasury && treasuryBonusBps > 0) {
+            // Example: 1000 DREAMS staked via treasury → 1100 zDREAMS (10% bonus)
+            zDreamsToMint = (_amount * (BPS_DENOMINATOR + treasuryBonusBps)) / BPS_DENOMINATOR;
+        }
+        _mintZDreams(_beneficiary, zDreamsToMint);
+
+        // After the base mint so a lock boost is minted on top
+        vestingEndTime = _addLot(_beneficiary, _amount, _lockDuration);
+    }
+
+    /**
+     * @notice Record a deposit as a new lot with the current vesting schedule
+     * @dev A deposit in the same block as the newest lot is merged into it when
+     *      the lock matches. Once a user has MAX_STAKE_LOTS lots, deposits merge
+     *      into the newest lot with the same lock (reverting if there is none).
+     *      A merged lot takes the new (later) schedule, so merging never vests
+     *      tokens sooner. This keeps lot loops bounded even if someone spams
+     *      stakeFor with dust.
+     * @return vestingEndTime When the lot holding this deposit is fully vested
+     */
+    function _addLot(address _account, uint256 _amount, uint256 _lockDuration) internal returns (uint256 vestingEndTime) {
+        StakeLot[] storage lots = _stakeLots[_account];
+        uint256 cliffEnd = block.timestamp + cliffPeriod;
+        vestingEndTime = cliffEnd + vestingPeriod;
+
+        uint256 lockEnd;
+        uint256 multiplierBps = BPS_DENOMINATOR;
+        if (_lockDuration > 0) {
+            multiplierBps = lockMultiplierBps[_lockDuration];
+            if (multiplierBps == 0) revert InvalidLockDuration();
+            lockEnd = block.timestamp + _lockDuration;
+        }
+
+        uint256 count = lots.length;
+        uint256 mergeInto = type(uint256).max;
+        if (count > 0 && lots[count - 1].startTime == block.timestamp && _sameLock(lots[count - 1], lockEnd, multiplierBps)) {
+            mergeInto = count - 1;
+        } else if (count >= MAX_STAKE_LOTS) {
+            for (uint256 i = count; i > 0; i--) {
+                if (_sameLock(lots[i - 1], lockEnd, multiplierBps)) {
+                    mergeInto = i - 1;
+                    break;
+                }
+            }
+            if (mergeInto == type(uint256).max) revert TooManyLots();
+        }
+
+        StakeLot storage lot;
+        uint256 oldBoost;
+        if (mergeInto != type(uint256).max) {
+            lot = lots[mergeInto];
+            oldBoost = _lotBoost(lot);
+        } else {
+            lot = lots.push();
+            lot.lockEnd = lockEnd;
+            lot.multiplierBps = multiplierBps;
+            if (lockEnd > 0) _queueLock(_account, _lockDuration, lockEnd);
+        }
+        lot.amount += _amount;
+        lot.startTime = block.timestamp;
+        lot.cliffEnd = cliffEnd;
+        lot.vestingEnd = vestingEndTime;
+        _syncBoost(_account, oldBoost, _lotBoost(lot));
+    }
+
+    /**
+     * @notice Whether a lot is locked the same way as a new deposit (expired locks count as unlocked)
+     */
+    function _sameLock(StakeLot storage _lot, uint256 _lockEnd, uint256 _multiplierBps) internal view returns (bool) {
+        if (_lot.lockEnd <= block.timestamp) return _lockEnd == 0;
+        return _lot.lockEnd == _lockEnd && _lot.multiplierBps == _multiplierBps;
+    }
+
+    /**
+     * @notice Extra weight a lot carries on top of its balance while its lock runs
+     */
+    function _lotBoost(StakeLot storage _lot) internal view returns (uint256) {
+        if (_lot.multiplierBps <= BPS_DENOMINATOR) return 0;
+        return ((_lot.amount - _lot.withdrawn) * (_lot.multiplierBps - BPS_DENOMINATOR)) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @notice Move a user's lock boost (and the matching zDREAMS) from one value to another
+     * @dev Rewards must be settled before calling, since the boost changes the reward weight
+     */
+    function _syncBoost(address _account, uint256 _oldBoost, uint256 _newBoost) internal {
+        if (_newBoost == _oldBoost) return;
+
+        if (_newBoost > _oldBoost) {
+            uint256 added = _newBoost - _oldBoost;
+            lockBoost[_account] += added;
+            _addVotingPower(_account, added);
+            _mintZDreams(_account, added);
+        } else {
+            uint256 removed = _oldBoost - _newBoost;
+            lockBoost[_account] -= removed;
+            _removeVotingPower(_account, removed);
+            _burnZDreams(_account, removed);
+        }
+    }
+
+    /**
+     * @notice Mint zDREAMS to a staker, once the zDREAMS token is set
+     * @dev Pays off boostDebt first: zDREAMS spent on boosts and then unstaked
+     *      can't be minted again by staking the same DREAMS again
+     */
+    function _mintZDreams(address _account, uint256 _amount) internal {
+        if (address(zDreamsToken) == address(0)) return;
+
+        uint256 debt = boostDebt[_account];
+        uint256 repaid = debt < _amount ? debt : _amount;
+        if (repaid > 0) boostDebt[_account] = debt - repaid;
+        if (_amount > repaid) zDreamsToken.mint(_account, _amount - repaid);
+    }
+
+    /**
+     * @notice Burn zDREAMS a staker no longer has the stake for
+     * @dev zDREAMS already spent on cloud boosts can't be burned, so an exit
+     *      never fails on it; what is missing becomes boostDebt instead
+     */
+    function _burnZDreams(address _account, uint256 _amount) internal {
+        if (address(zDreamsToken) == address(0)) return;
+
+        uint256 zBalance = zDreamsToken.balanceOf(_account);
+        uint256 burned = _amount < zBalance ? _amount : zBalance;
+        if (burned > 0) zDreamsToken.burn(_account, burned);
+        if (_amount > burned) boostDebt[_account] += _amount - burned;
+    }
+
+    /**
+     * @notice Drop the boost of every lot whose lock has ended
+     * @dev Rewards were just settled at the full weight, so what the boost earned
+     *      after its lock ended is taken back and freed for later periods
+     */
+    function _expireLocks(address _account) internal {
+        if (lockBoost[_account] == 0) return;
+
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address token = rewardTokens[i];
+            uint256 forfeited = _expiredBoostRewards(_account, token, rewardStreams[token].rewardPerTokenStored);
+            if (forfeited > 0) {
+                rewardsAccrued[_account][token] -= forfeited;
+                rewardStreams[token].outstanding -= forfeited;
+            }
+        }
+
+        StakeLot[] storage lots = _stakeLots[_account];
+        uint256 expired;
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (lots[i].multiplierBps > BPS_DENOMINATOR && lots[i].lockEnd <= block.timestamp) {
+                expired += _lotBoost(lots[i]);
+                lots[i].multiplierBps = BPS_DENOMINATOR;
+            }
+        }
+
+        if (expired > 0) {
+            _syncBoost(_account, expired, 0);
+            emit LockBoostExpired(_account, expired);
+        }
+    }
+
+    /**
+     * @notice Take DREAMS out of a user's stake: lots, staked total, voting power and zDREAMS
+     * @dev The DREAMS themselves are left to the caller
+     * @param _penaltyBps Penalty on unvested tokens (0 when unbonding)
+     * @return penalty Penalty on the unvested part of the withdrawal
+     */
+    function _removeStake(address _account, uint256 _amount, uint256 _penaltyBps) internal returns (uint256 penalty) {
+        if (_amount == 0) revert InvalidAmount();
+
+        StakeInfo storage userStake = stakes[_account];
+        if (userStake.amount < _amount) revert InsufficientBalance();
+
+        penalty = _withdrawFromLots(_account, _amount, _penaltyBps);
+
+        userStake.amount -= _amount;
+        totalStaked -= _amount;
+        _removeVotingPower(_account, _amount);
+
+        // Burn 1:1, or the withdrawal's share of the balance when that is more, so a
+        // treasury bonus goes proportionally and a full exit burns whatever is left.
+        // Boost zDREAMS belongs to locked lots, which aren't being withdrawn
         if (address(zDreamsToken) != address(0)) {
-            uint256 zDreamsToMint = _amount;
-            if (_fromTreasury && treasuryBonusBps > 0) {
-                // Example: 1000 DREAMS staked via treasury → 1100 zDREAMS (10% bonus)
-                zDreamsToMint = (_amount * (BPS_DENOMINATOR + treasuryBonusBps)) / BPS_DENOMINATOR;
+            uint256 zBalance = zDreamsToken.balanceOf(_account);
+            zBalance = zBalance > lockBoost[_account] ? zBalance - lockBoost[_account] : 0;
+            uint256 zShare = (zBalance * _amount) / (userStake.amount + _amount);
+            _burnZDreams(_account, zShare > _amount ? zShare : _amount);
+        }
+
+        // Reset if fully unstaked
+        if (userStake.amount == 0) {
+            userStake.startTime = 0;
+        }
+    }
+
+    /**
+     * @notice Take DREAMS out of a user's lots and work out the early exit penalty
+     * @dev Vested tokens are taken first from every lot, so an exit never pays a
+     *      penalty it could have avoided. Anything left comes out of the unvested
+     *      part of the newest lots first, leaving the lots closest to vesting running.
+     *      Locked lots are skipped. Emptied lots are removed (order is kept).
+     * @param _penaltyBps Penalty on unvested tokens (0 when unbonding)
+     * @return penalty Penalty on the unvested part of the withdrawal
+     */
+    function _withdrawFromLots(address _account, uint256 _amount, uint256 _penaltyBps) internal returns (uint256 penalty) {
+        StakeLot[] storage lots = _stakeLots[_account];
+        uint256 remaining = _amount;
+
+        for (uint256 i = 0; i < lots.length && remaining > 0; i++) {
+            if (lots[i].lockEnd > block.timestamp) continue;
+            uint256 take = _lotVested(lots[i]);
+            if (take > remaining) take = remaining;
+            lots[i].withdrawn += take;
+            remaining -= take;
+        }
+
+        // Whatever is left is unvested and pays the penalty
+        // Example: 100 vested + 50 unvested withdrawn at 20% = 10 penalty
+        penalty = (remaining * _penaltyBps) / BPS_DENOMINATOR;
+
+        for (uint256 i = lots.length; i > 0 && remaining > 0; i--) {
+            StakeLot storage lot = lots[i - 1];
+            if (lot.lockEnd > block.timestamp) continue;
+            uint256 take = lot.amount - lot.withdrawn;
+            if (take > remaining) take = remaining;
+            lot.withdrawn += take;
+            remaining -= take;
+        }
+        if (remaining > 0) revert TokensLocked();
+
+        uint256 kept = 0;
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (lots[i].withdrawn < lots[i].amount) {
+                if (kept != i) lots[kept] = lots[i];
+                kept++;
             }
-            zDreamsToken.mint(_beneficiary, zDreamsToMint);
         }
+        while (lots.length > kept) lots.pop();
+    }
+
+    /**
+     * @notice Part of a lot that is vested and still in the contract
+     */
+    function _lotVested(StakeLot storage _lot) internal view returns (uint256) {
+        if (block.timestamp < _lot.cliffEnd) return 0;
+
+        uint256 vested = _lot.amount;
+        if (block.timestamp < _lot.vestingEnd) {
+            vested = (_lot.amount * (block.timestamp - _lot.cliffEnd)) / (_lot.vestingEnd - _lot.cliffEnd);
+        }
+
+        return vested > _lot.withdrawn ? vested - _lot.withdrawn : 0;
+    }
+
+    /**
+     * @notice Queue a new lock end for expireEndedLocks()
+     */
+    function _queueLock(address _account, uint256 _lockDuration, uint256 _lockEnd) internal {
+        LockQueue storage queue = _lockQueues[_lockDuration];
+        if (queue.entries.length == 0) _lockDurations.push(_lockDuration);
+        queue.entries.push(LockQueueEntry({account: _account, lockEnd: _lockEnd}));
+    }
+
+    /**
+     * @notice Add voting power to an account and to the votes of its delegate
+     */
+    function _addVotingPower(address _account, uint256 _amount) internal {
+        totalVotingPower += _amount;
+        _totalVotingPowerCheckpoints.push(SafeCast.toUint32(block.number), SafeCast.toUint224(totalVotingPower));
+        _moveDelegateVotes(address(0), delegates(_account), _amount);
+    }
+
+    /**
+     * @notice Remove voting power from an account and from the votes of its delegate
+     */
+    function _removeVotingPower(address _account, uint256 _amount) internal {
+        totalVotingPower -= _amount;
+        _totalVotingPowerCheckpoints.push(SafeCast.toUint32(block.number), SafeCast.toUint224(totalVotingPower));
+        _moveDelegateVotes(delegates(_account), address(0), _amount);
+    }
+
+    /**
+     * @notice Move votes between delegates and checkpoint both (address(0) = none)
+     */
+    function _moveDelegateVotes(address _from, address _to, uint256 _amount) internal {
+        if (_from == _to || _amount == 0) return;
+
+        uint32 blockNumber = SafeCast.toUint32(block.number);
+        if (_from != address(0)) {
+            uint256 oldVotes = _delegateCheckpoints[_from].latest();
+            _delegateCheckpoints[_from].push(blockNumber, SafeCast.toUint224(oldVotes - _amount));
+            emit DelegateVotesChanged(_from, oldVotes, oldVotes - _amount);
+        }
+        if (_to != address(0)) {
+            uint256 oldVotes = _delegateCheckpoints[_to].latest();
+            _delegateCheckpoints[_to].push(blockNumber, SafeCast.toUint224(oldVotes + _amount));
+            emit DelegateVotesChanged(_to, oldVotes, oldVotes + _amount);
+        }
+    }
+
+    /**
+     * @notice Point an account's voting power at a new delegate
+     */
+    function _delegate(address _account, address _delegatee) internal {
+        address oldDelegate = delegates(_account);
+        _delegates[_account] = _delegatee;
+
+        emit DelegateChanged(_account, oldDelegate, _delegatee);
 
-        return userStake.startTime + cliffPeriod + vestingPeriod;
+        _moveDelegateVotes(oldDelegate, _delegatee, _rewardWeight(_account));
     }
 
     /**
@@ -194,11 +653,88 @@ contract DreamsStaking is ReentrancyGuard {
         if (_amount == 0) revert InvalidAmount();
 
         // Regular stake - no treasury bonus
-        uint256 vestingEndTime = _processStake(msg.sender, _amount, false);
+        uint256 vestingEndTime = _processStake(msg.sender, _amount, false, 0);
+
+        dreamsToken.safeTransferFrom(msg.sender, address(this), _amount);
+
+        emit Staked(msg.sender, _amount, vestingEndTime);
+    }
+
+    /**
+     * @notice Stake DREAMS with a fixed-term lock for boosted zDREAMS, voting power and rewards
+     * @dev The lot vests on the normal schedule but can't be withdrawn before the lock ends
+     * @param _amount Amount of DREAMS to stake
+     * @param _lockDuration 30, 90, 180 or 365 days (see lockMultiplierBps)
+     */
+    function stakeLocked(uint256 _amount, uint256 _lockDuration) external nonReentrant updateRewards(msg.sender) {
+        if (_amount == 0) revert InvalidAmount();
+        if (_lockDuration == 0) revert InvalidLockDuration();
+
+        uint256 vestingEndTime = _processStake(msg.sender, _amount, false, _lockDuration);
 
         dreamsToken.safeTransferFrom(msg.sender, address(this), _amount);
 
         emit Staked(msg.sender, _amount, vestingEndTime);
+        emit StakeLocked(msg.sender, _amount, block.timestamp + _lockDuration, lockMultiplierBps[_lockDuration]);
+    }
+
+    /**
+     * @notice Lock one of your lots (again) for a new duration counted from now
+     * @dev The new lock must end later than the current one - locks can't be shortened.
+     *      The lot takes the multiplier of the new duration.
+     * @param _lotIndex Index in getStakeLots()
+     * @param _lockDuration 30, 90, 180 or 365 days (see lockMultiplierBps)
+     */
+    function extendLock(uint256 _lotIndex, uint256 _lockDuration) external nonReentrant updateRewards(msg.sender) {
+        StakeLot[] storage lots = _stakeLots[msg.sender];
+        if (_lotIndex >= lots.length) revert InvalidLot();
+
+        uint256 multiplierBps = lockMultiplierBps[_lockDuration];
+        if (multiplierBps == 0) revert InvalidLockDuration();
+
+        StakeLot storage lot = lots[_lotIndex];
+        uint256 newLockEnd = block.timestamp + _lockDuration;
+        if (newLockEnd <= lot.lockEnd) revert LockNotExtendable();
+
+        uint256 oldBoost = _lotBoost(lot);
+        lot.lockEnd = newLockEnd;
+        lot.multiplierBps = multiplierBps;
+        _queueLock(msg.sender, _lockDuration, newLockEnd);
+        _syncBoost(msg.sender, oldBoost, _lotBoost(lot));
+
+        emit LockExtended(msg.sender, _lotIndex, newLockEnd, multiplierBps);
+    }
+
+    /**
+     * @notice Remove expired lock boosts from an account
+     * @dev Anyone can call this to keep getTotalVotingPower() and delegate votes
+     *      current; it also happens automatically on the account's next stake,
+     *      unstake or claim. Rewards are settled as of each lock's end either way.
+     */
+    function expireLocks(address _account) external nonReentrant updateRewards(_account) {}
+
+    /**
+     * @notice Remove the boosts of every lock that has ended, whoever holds it
+     * @dev Ended locks count in votes and the total until they are expired, so run
+     *      this before taking a vote snapshot. Picks up where the last call stopped.
+     * @param _maxSteps Locks to expire at most
+     * @return done True if no ended lock is left
+     */
+    function expireEndedLocks(uint256 _maxSteps) external nonReentrant returns (bool done) {
+        for (uint256 i = 0; i < _lockDurations.length; i++) {
+            LockQueue storage queue = _lockQueues[_lockDurations[i]];
+            uint256 head = queue.head;
+            while (head < queue.entries.length && queue.entries[head].lockEnd <= block.timestamp) {
+                if (_maxSteps == 0) {
+                    queue.head = head;
+                    return false;
+                }
+                _maxSteps--;
+                _updateRewards(queue.entries[head++].account);
+            }
+            queue.head = head;
+        }
+        return true;
     }
 
     /**
@@ -206,6 +742,8 @@ contract DreamsStaking is ReentrancyGuard {
      * @dev Tokens are pulled from msg.sender but staked for _beneficiary
      *      Used by DreamsTreasurySale to auto-stake purchased tokens
      *      If called by treasurySaleContract, user gets 10% bonus zDREAMS for voting power
+     *      Other callers can't open a lot once the beneficiary has MAX_THIRD_PARTY_LOTS,
+     *      so dust deposits can't use up the lots the owner stakes into
      * @param _beneficiary Address that will own the staked tokens
      * @param _amount Amount of DREAMS to stake
      */
@@ -215,7 +753,10 @@ contract DreamsStaking is ReentrancyGuard {
 
         // Check if this is from treasury sale contract (gets bonus zDREAMS)
         bool fromTreasury = (msg.sender == treasurySaleContract);
-        uint256 vestingEndTime = _processStake(_beneficiary, _amount, fromTreasury);
+        if (!fromTreasury && msg.sender != _beneficiary && _stakeLots[_beneficiary].length >= MAX_THIRD_PARTY_LOTS) {
+            revert TooManyLots();
+        }
+        uint256 vestingEndTime = _processStake(_beneficiary, _amount, fromTreasury, 0);
 
         // Pull tokens from caller (e.g., treasury sale contract)
         dreamsToken.safeTransferFrom(msg.sender, address(this), _amount);
@@ -229,32 +770,12 @@ contract DreamsStaking is ReentrancyGuard {
      * @param _amount Amount of DREAMS to unstake
      */
     function unstake(uint256 _amount) external nonReentrant updateRewards(msg.sender) {
-        if (_amount == 0) revert InvalidAmount();
-
-        StakeInfo storage userStake = stakes[msg.sender];
-        if (userStake.amount < _amount) revert InsufficientBalance();
-
-        uint256 vestedAmount = getVestedAmount(msg.sender);
-        uint256 penalty = 0;
-
         // If you withdraw early, you pay a penalty on tokens that haven't fully vested yet
         // Example: if only 50% is vested and you withdraw 100 tokens, 50 of them have a penalty
-        if (_amount > vestedAmount) {
-            uint256 unvestedWithdraw = _amount - vestedAmount;
-            penalty = (unvestedWithdraw * earlyUnstakePenaltyBps) / 10000;
-        }
+        uint256 penalty = _removeStake(msg.sender, _amount, earlyUnstakePenaltyBps);
 
         uint256 toUser = _amount - penalty;
 
-        userStake.amount -= _amount;
-        totalStaked -= _amount;
-        totalVotingPower -= _amount;
-
-        // Burn zDREAMS 1:1 with unstaked amount
-        if (address(zDreamsToken) != address(0)) {
-            zDreamsToken.burn(msg.sender, _amount);
-        }
-
         // Transfer to user
         dreamsToken.safeTransfer(msg.sender, toUser);
 
@@ -263,91 +784,223 @@ contract DreamsStaking is ReentrancyGuard {
             dreamsToken.safeTransfer(treasury, penalty);
         }
 
-        // Reset if fully unstaked
-        if (userStake.amount == 0) {
-            userStake.startTime = 0;
-        }
-
         emit Unstaked(msg.sender, toUser, penalty);
     }
 
     /**
-     * @notice Claim accrued rewards
-     * @dev Rewards in USD converted to reward tokens at current price
+     * @notice Let another address vote with your staking power
+     * @dev Moves your current power and everything you stake later, until you
+     *      delegate elsewhere or undelegate. Expired lock boosts are removed first.
+     * @param _delegatee Address that will vote with your power
      */
-    function claimRewards() external nonReentrant updateRewards(msg.sender) {
-        StakeInfo storage userStake = stakes[msg.sender];
+    function delegate(address _delegatee) external nonReentrant updateRewards(msg.sender) {
+        if (_delegatee == address(0)) revert InvalidAddress();
+        _delegate(msg.sender, _delegatee);
+    }
 
-        // Check cliff period
-        if (block.timestamp < userStake.startTime + cliffPeriod) {
-            revert CliffNotReached();
+    /**
+     * @notice Take your voting power back from your delegate
+     */
+    function undelegate() external nonReentrant updateRewards(msg.sender) {
+        _delegate(msg.sender, msg.sender);
+    }
+
+    /**
+     * @notice Start a penalty-free withdrawal that can be completed after unbondingPeriod
+     * @dev The tokens leave your stake right away: they stop earning rewards and
+     *      their share of zDREAMS and their voting power are removed. Locked lots can't be unbonded.
+     * @param _amount Amount of DREAMS to unbond
+     */
+    function requestUnbonding(uint256 _amount) external nonReentrant updateRewards(msg.sender) {
+        UnbondingRequest[] storage requests = _unbonding[msg.sender];
+        if (requests.length >= MAX_UNBONDING_REQUESTS) revert TooManyUnbondingRequests();
+
+        // Unvested tokens are taken from the newest unlocked lot first, so its schedule
+        // is the latest any of them had
+        StakeLot[] storage lots = _stakeLots[msg.sender];
+        uint256 newest = lots.length;
+        while (newest > 0 && lots[newest - 1].lockEnd > block.timestamp) newest--;
+        if (newest == 0) revert TokensLocked();
+        StakeLot storage lot = lots[newest - 1];
+        uint256 cliffEnd = lot.cliffEnd;
+        uint256 vestingEnd = lot.vestingEnd;
+
+        // Same lot order as unstake, but nothing is charged for unvested tokens
+        _removeStake(msg.sender, _amount, 0);
+        totalUnbonding += _amount;
+
+        uint256 maturity = block.timestamp + unbondingPeriod;
+        UnbondingRequest storage request = requests.push();
+        request.amount = _amount;
+        request.maturity = maturity;
+        request.cliffEnd = cliffEnd;
+        request.vestingEnd = vestingEnd;
+
+        emit UnbondingRequested(msg.sender, _amount, maturity);
+    }
+
+    /**
+     * @notice Stop unbonding and stake the tokens again
+     * @dev The tokens come back as a lot on the schedule of the newest lot they were
+     *      unbonded from, so cancelling neither restarts nor speeds up their vesting.
+     *      If they can't get a lot of their own (same-block stake, or MAX_STAKE_LOTS
+     *      reached) they are merged like a new deposit and take a fresh schedule.
+     *      The last request is moved into the cancelled one's index.
+     * @param _index Index in getUnbondingRequests()
+     */
+    function cancelUnbonding(uint256 _index) external nonReentrant updateRewards(msg.sender) {
+        UnbondingRequest[] storage requests = _unbonding[msg.sender];
+        if (_index >= requests.length) revert InvalidUnbondingRequest();
+
+        UnbondingRequest memory request = requests[_index];
+        uint256 amount = request.amount;
+        requests[_index] = requests[requests.length - 1];
+        requests.pop();
+
+        totalUnbonding -= amount;
+        StakeLot[] storage lots = _stakeLots[msg.sender];
+        uint256 count = lots.length;
+        uint256 vestingEndTime = _processStake(msg.sender, amount, false, 0);
+        if (lots.length > count) {
+            StakeLot storage lot = lots[count];
+            lot.cliffEnd = request.cliffEnd;
+            lot.vestingEnd = vestingEndTime = request.vestingEnd;
         }
 
-        uint256 rewardsUSD = userStake.rewardsAccruedUSD;
-        if (rewardsUSD == 0) revert NoRewardsToClaim();
+        emit UnbondingCancelled(msg.sender, amount);
+        emit Staked(msg.sender, amount, vestingEndTime);
+    }
 
-        // Convert USD to reward tokens at current price
-        uint256 rewardTokenPrice = priceOracle.getPrice(rewardToken); // 8 decimals
-        uint256 tokenAmount = (rewardsUSD * 1e8) / rewardTokenPrice;  // Convert to token amount
+    /**
+     * @notice Withdraw every unbonding request that has matured
+     */
+    function withdrawUnbonded() external nonReentrant {
+        UnbondingRequest[] storage requests = _unbonding[msg.sender];
+
+        uint256 amount;
+        uint256 kept;
+        for (uint256 i = 0; i < requests.length; i++) {
+            if (requests[i].maturity <= block.timestamp) {
+                amount += requests[i].amount;
+            } else {
+                if (kept != i) requests[kept] = requests[i];
+                kept++;
+            }
+        }
+        if (amount == 0) revert NothingToWithdraw();
+        while (requests.length > kept) requests.pop();
 
-        // Reset accrued rewards
-        userStake.rewardsAccruedUSD = 0;
-        userStake.rewardsClaimed += tokenAmount;
+        totalUnbonding -= amount;
+        dreamsToken.safeTransfer(msg.sender, amount);
 
-        // Transfer reward tokens
-        IERC20(rewardToken).safeTransfer(msg.sender, tokenAmount);
+        emit UnbondingWithdrawn(msg.sender, amount);
+    }
 
-        emit RewardsClaimed(msg.sender, rewardsUSD, tokenAmount);
+    /**
+     * @notice Claim accrued rewards in one token
+     * @param _token Reward token to claim
+     */
+    function claim(address _token) external nonReentrant updateRewards(msg.sender) {
+        _claim(_token);
     }
 
     /**
-     * @notice Add your rewards back into your stake to earn even more
-     * @dev WARNING: Compounding resets your vesting timer! Your existing stake's
-     *      vesting progress is NOT lost, but the newly added rewards start a fresh
-     *      vesting period. Only works when reward token is DREAMS (can't stake JUICY here).
+     * @notice Claim accrued rewards in one token, or revert if they come to less than expected
+     * @dev Claims pay the token amount from earned() and never go through the oracle,
+     *      so no price can change the payout; this guards against the amount itself
+     *      moving (e.g. a lock boost ending) between reading earned() and the claim.
+     * @param _token Reward token to claim
+     * @param _minTokensOut Smallest amount to accept
      */
-    function compoundRewards() external nonReentrant updateRewards(msg.sender) {
-        // Compounding only makes sense if rewards are in DREAMS (same token we stake)
-        if (rewardToken != address(dreamsToken)) revert CannotCompoundNonDreams();
+    function claimWithMinOut(address _token, uint256 _minTokensOut) external nonReentrant updateRewards(msg.sender) {
+        uint256 amount = _claim(_token);
+        if (amount < _minTokensOut) revert InsufficientOutput(amount, _minTokensOut);
+    }
 
-        StakeInfo storage userStake = stakes[msg.sender];
+    function _claim(address _token) internal returns (uint256 amount) {
+        if (!isRewardToken[_token]) revert UnknownRewardToken();
+        _checkRewardCliff(msg.sender);
 
-        // Must have passed the cliff period first
-        if (block.timestamp < userStake.startTime + cliffPeriod) {
-            revert CliffNotReached();
+        amount = _payReward(msg.sender, _token);
+        if (amount == 0) revert NoRewardsToClaim();
+    }
+
+    /**
+     * @notice Claim accrued rewards in every reward token
+     */
+    function claimAll() external nonReentrant updateRewards(msg.sender) {
+        _claimAll(false);
+    }
+
+    /**
+     * @notice Claim accrued rewards in every reward token, or revert if together they are worth less than expected
+     * @dev Each token paid out is valued like getPendingRewardsUSD, at getRewardPrice, so
+     *      the claim reverts StalePrice while one of them has no fresh price. The payout
+     *      is still the token amounts from earned(); prices only decide whether it goes through.
+     * @param _minUsdOut Smallest USD value (18 decimals) to accept
+     */
+    function claimAllWithMinUSD(uint256 _minUsdOut) external nonReentrant updateRewards(msg.sender) {
+        uint256 usd = _claimAll(true);
+        if (usd < _minUsdOut) revert InsufficientOutput(usd, _minUsdOut);
+    }
+
+    function _claimAll(bool _priced) internal returns (uint256 usd) {
+        _checkRewardCliff(msg.sender);
+
+        bool claimedAny;
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            uint256 amount = _payReward(msg.sender, rewardTokens[i]);
+            if (amount == 0) continue;
+            claimedAny = true;
+            if (_priced) usd += (amount * getRewardPrice(rewardTokens[i])) / 1e8;
         }
+        if (!claimedAny) revert NoRewardsToClaim();
+    }
 
-        uint256 rewardsUSD = userStake.rewardsAccruedUSD;
-        if (rewardsUSD == 0) revert NoRewardsToClaim();
+    /**
+     * @notice Add your rewards back into your stake to earn even more
+     * @dev The compounded tokens become a new lot with a fresh cliff and vesting
+     *      period; your existing lots keep their schedule. Only compounds the
+     *      DREAMS reward stream (can't stake JUICY here) - claim other tokens.
+     */
+    function compoundRewards() external nonReentrant updateRewards(msg.sender) {
+        _compoundRewards();
+    }
+
+    /**
+     * @notice Compound your DREAMS rewards, or revert if they come to less than expected
+     * @param _minDreamsOut Smallest amount of DREAMS to restake
+     */
+    function compoundRewardsWithMinOut(uint256 _minDreamsOut) external nonReentrant updateRewards(msg.sender) {
+        uint256 amount = _compoundRewards();
+        if (amount < _minDreamsOut) revert InsufficientOutput(amount, _minDreamsOut);
+    }
 
-        // Convert your USD rewards to DREAMS tokens at current market price
-        uint256 dreamsPrice = priceOracle.getPrice(address(dreamsToken));
-        uint256 tokenAmount = (rewardsUSD * 1e8) / dreamsPrice;
+    function _compoundRewards() internal returns (uint256 tokenAmount) {
+        // Compounding only makes sense for rewards in DREAMS (same token we stake)
+        address dreams = address(dreamsToken);
+        if (!isRewardToken[dreams]) revert CannotCompoundNonDreams();
 
-        // Clear the rewards (you're converting them to stake)
-        userStake.rewardsAccruedUSD = 0;
+        // Must have passed the cliff period first
+        _checkRewardCliff(msg.sender);
 
-        // Add rewards to your stake - but this RESETS the vesting timer!
-        // This is a tradeoff: more staked = more voting power and more rewards,
-        // but you have to wait again before you can withdraw penalty-free
-        userStake.amount += tokenAmount;
-        userStake.startTime = block.timestamp;  // Reset vesting clock
-        userStake.lastRewardTime = block.timestamp;
+        tokenAmount = rewardsAccrued[msg.sender][dreams];
+        if (tokenAmount == 0) revert NoRewardsToClaim();
 
-        totalStaked += tokenAmount;
-        totalVotingPower += tokenAmount;
+        // Clear the rewards (you're converting them to stake). The DREAMS are
+        // already in the contract, they just move from rewards to staked.
+        rewardsAccrued[msg.sender][dreams] = 0;
+        rewardStreams[dreams].outstanding -= tokenAmount;
 
-        // Mint additional zDREAMS for the compounded amount
-        if (address(zDreamsToken) != address(0)) {
-            zDreamsToken.mint(msg.sender, tokenAmount);
-        }
+        // Add rewards to your stake as a new lot (mints zDREAMS like a regular stake)
+        uint256 vestingEndTime = _processStake(msg.sender, tokenAmount, false, 0);
 
-        emit RewardsCompounded(msg.sender, rewardsUSD, tokenAmount, block.timestamp + cliffPeriod + vestingPeriod);
+        emit RewardsCompounded(msg.sender, tokenAmount, vestingEndTime);
     }
 
     /**
      * @notice Unstake DREAMS for buyback contract (closed-loop economy)
-     * @dev Only callable by the buyback contract. Burns zDREAMS (including any bonus),
+     * @dev Only callable by the buyback contract. Burns the withdrawn share of zDREAMS,
      *      sends DREAMS to recipient (usually treasury), applies vesting penalty.
      * @param _user User whose position is being unstaked
      * @param _amount Amount of DREAMS to unstake
@@ -359,42 +1012,13 @@ contract DreamsStaking is ReentrancyGuard {
         uint256 _amount,
         address _recipient
     ) external nonReentrant onlyBuybackContract updateRewards(_user) returns (uint256 penalty) {
-        if (_amount == 0) revert InvalidAmount();
         if (_recipient == address(0)) revert InvalidAddress();
 
-        StakeInfo storage userStake = stakes[_user];
-        if (userStake.amount < _amount) revert InsufficientBalance();
-
         // Calculate penalty on unvested portion (same logic as regular unstake)
-        uint256 vestedAmount = getVestedAmount(_user);
-        if (_amount > vestedAmount) {
-            uint256 unvestedWithdraw = _amount - vestedAmount;
-            penalty = (unvestedWithdraw * earlyUnstakePenaltyBps) / 10000;
-        }
+        penalty = _removeStake(_user, _amount, earlyUnstakePenaltyBps);
 
         uint256 toRecipient = _amount - penalty;
 
-        // Update staking state
-        userStake.amount -= _amount;
-        totalStaked -= _amount;
-        totalVotingPower -= _amount;
-
-        // Burn ALL zDREAMS for this user's unstaked amount
-        // This includes any treasury bonus - when you exit, you lose the bonus voting power
-        if (address(zDreamsToken) != address(0)) {
-            uint256 zBalance = zDreamsToken.balanceOf(_user);
-            // Burn proportional amount of zDREAMS
-            // If user had bonus, they lose the bonus proportionally
-            uint256 zToBurn = _amount;
-            if (userStake.amount + _amount > 0) {
-                // Calculate ratio of zDREAMS to burn based on original stake proportion
-                zToBurn = (zBalance * _amount) / (userStake.amount + _amount);
-            }
-            // Ensure we don't try to burn more than they have
-            if (zToBurn > zBalance) zToBurn = zBalance;
-            zDreamsToken.burn(_user, zToBurn);
-        }
-
         // Send DREAMS to recipient (buyback contract will forward to treasury)
         dreamsToken.safeTransfer(_recipient, toRecipient);
 
@@ -403,11 +1027,6 @@ contract DreamsStaking is ReentrancyGuard {
             dreamsToken.safeTransfer(treasury, penalty);
         }
 
-        // Reset if fully unstaked
-        if (userStake.amount == 0) {
-            userStake.startTime = 0;
-        }
-
         emit UnstakedForBuyback(_user, _amount, toRecipient, penalty, _recipient);
     }
 
@@ -415,78 +1034,217 @@ contract DreamsStaking is ReentrancyGuard {
 
     /**
      * @notice Get voting power for an address
+     * @dev Locks that have ended stop counting here right away, even before expireLocks()
      * @param _account Address to check
-     * @return Voting power (= staked balance)
+     * @return power Voting power (= staked balance plus active lock boosts)
      */
-    function getVotingPower(address _account) external view returns (uint256) {
-        return stakes[_account].amount;
+    function getVotingPower(address _account) public view returns (uint256 power) {
+        power = stakes[_account].amount;
+
+        StakeLot[] storage lots = _stakeLots[_account];
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (lots[i].lockEnd > block.timestamp) power += _lotBoost(lots[i]);
+        }
     }
 
     /**
      * @notice Get total voting power
+     * @dev Includes lock boosts until they are expired (see expireLocks and expireEndedLocks)
      */
     function getTotalVotingPower() external view returns (uint256) {
         return totalVotingPower;
     }
 
+    /**
+     * @notice Address that votes with an account's staking power
+     * @return The delegate, or the account itself if it hasn't delegated
+     */
+    function delegates(address _account) public view returns (address) {
+        address delegatee = _delegates[_account];
+        return delegatee == address(0) ? _account : delegatee;
+    }
+
+    /**
+     * @notice Voting power an address can vote with: its own (unless delegated away)
+     *         plus everything delegated to it
+     * @dev Counts lock boosts until they are expired (see expireEndedLocks), like getTotalVotingPower()
+     */
+    function getVotes(address _account) external view returns (uint256) {
+        return _delegateCheckpoints[_account].latest();
+    }
+
+    /**
+     * @notice Votes an address held at the end of a past block
+     * @param _account Address to check
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastVotes(address _account, uint256 _blockNumber) external view returns (uint256) {
+        if (_blockNumber >= block.number) revert FutureLookup();
+        return _pastValue(_delegateCheckpoints[_account], _blockNumber);
+    }
+
+    /**
+     * @notice Total voting power at the end of a past block
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastTotalSupply(uint256 _blockNumber) external view returns (uint256) {
+        if (_blockNumber >= block.number) revert FutureLookup();
+        return _pastValue(_totalVotingPowerCheckpoints, _blockNumber);
+    }
+
     /**
      * @notice Calculate how much of your stake is fully unlocked
-     * @dev Vesting works in three phases:
+     * @dev Each lot vests in three phases, counted from when it was deposited:
      *      1. Cliff period (first 30 days): Nothing is vested, withdrawing costs 20% penalty
      *      2. Vesting period (next 180 days): Tokens unlock gradually each day
      *      3. After vesting: Everything is fully unlocked, no penalty to withdraw
      * @param _account Address to check
-     * @return Amount of DREAMS that can be withdrawn without penalty
+     * @return total Amount of DREAMS that can be withdrawn without penalty, summed over all lots
      */
-    function getVestedAmount(address _account) public view returns (uint256) {
-        StakeInfo storage userStake = stakes[_account];
+    function getVestedAmount(address _account) public view returns (uint256 total) {
+        StakeLot[] storage lots = _stakeLots[_account];
+        for (uint256 i = 0; i < lots.length; i++) {
+            total += _lotVested(lots[i]);
+        }
+    }
+
+    /**
+     * @notice List every lot of an account, oldest first
+     * @dev A lot's remaining balance is amount - withdrawn
+     */
+    function getStakeLots(address _account) external view returns (StakeLot[] memory) {
+        return _stakeLots[_account];
+    }
+
+    /**
+     * @notice Pending unbonding requests of an account, oldest first
+     */
+    function getUnbondingRequests(address _account) external view returns (UnbondingRequest[] memory) {
+        return _unbonding[_account];
+    }
 
-        if (userStake.amount == 0) return 0;
+    /**
+     * @notice Number of open lots for an account
+     */
+    function getStakeLotCount(address _account) external view returns (uint256) {
+        return _stakeLots[_account].length;
+    }
 
-        uint256 elapsed = block.timestamp - userStake.startTime;
+    /**
+     * @notice Get pending rewards in one reward token for an account
+     * @param _account Address to check
+     * @param _token Reward token
+     * @return Tokens claimable once the cliff has passed
+     */
+    function earned(address _account, address _token) public view returns (uint256) {
+        return rewardsAccrued[_account][_token] + _earnedSinceSettle(_account, _token)
+            - _expiredBoostRewards(_account, _token, rewardPerToken(_token));
+    }
 
-        // During the cliff period: nothing is vested yet
-        if (elapsed < cliffPeriod) {
-            return 0;
+    /**
+     * @notice Get pending rewards in every reward token for an account
+     * @return tokens Reward tokens, in rewardTokens order
+     * @return amounts Pending amount of each
+     */
+    function getPendingRewards(address _account) external view returns (address[] memory tokens, uint256[] memory amounts) {
+        tokens = rewardTokens;
+        amounts = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            amounts[i] = earned(_account, tokens[i]);
         }
+    }
 
-        // After full vesting period: everything is unlocked
-        if (elapsed >= cliffPeriod + vestingPeriod) {
-            return userStake.amount;
+    /**
+     * @notice Get pending rewards across all reward tokens valued in USD
+     * @dev Display only - claims pay the token amounts from earned() and never
+     *      touch the oracle. A token without a fresh price (see getRewardPrice)
+     *      doesn't fail the whole view: its flag in `priced` is false and its
+     *      pending amount is not in `total`.
+     * @param _account Address to check
+     * @return total Pending rewards in USD (18 decimals) of the priced tokens
+     * @return priced Whether each reward token, in rewardTokens order, was priced
+     */
+    function getPendingRewardsUSD(address _account) external view returns (uint256 total, bool[] memory priced) {
+        priced = new bool[](rewardTokens.length);
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            try this.getRewardPrice(rewardTokens[i]) returns (uint256 price) { // 8 decimals
+                priced[i] = true;
+                total += (earned(_account, rewardTokens[i]) * price) / 1e8;
+            } catch {}
         }
+    }
 
-        // During vesting: linear unlock (e.g., after 90 days of 180-day vesting = 50% vested)
-        uint256 vestingElapsed = elapsed - cliffPeriod;
-        return (userStake.amount * vestingElapsed) / vestingPeriod;
+    /**
+     * @notice USD price of a reward token, as long as it is no older than maxPriceAge
+     * @dev Reverts StalePrice with the price's timestamp when it is too old, on top of
+     *      whatever freshness checks the oracle makes itself
+     * @param _token Reward token
+     * @return price USD price (8 decimals)
+     */
+    function getRewardPrice(address _token) public view returns (uint256 price) {
+        uint256 updatedAt;
+        (price, updatedAt) = priceOracle.getPriceWithTimestamp(_token);
+        if (updatedAt + maxPriceAge < block.timestamp) revert StalePrice(_token, updatedAt);
     }
 
     /**
-     * @notice Get pending rewards in USD for an account
-     * @param _account Address to check
-     * @return Pending rewards in USD (18 decimals)
+     * @notice Every token rewards are (or were) streamed in
      */
-    function getPendingRewardsUSD(address _account) external view returns (uint256) {
-        StakeInfo storage userStake = stakes[_account];
-        return userStake.rewardsAccruedUSD + _calculatePendingRewardsUSD(_account);
+    function getRewardTokens() external view returns (address[] memory) {
+        return rewardTokens;
     }
 
     /**
-     * @notice Get pending rewards converted to token amount
-     * @param _account Address to check
-     * @return Estimated reward tokens at current price
+     * @notice Last moment the current period of a reward token pays for
      */
-    function getPendingRewardsTokens(address _account) external view returns (uint256) {
-        StakeInfo storage userStake = stakes[_account];
-        uint256 totalUSD = userStake.rewardsAccruedUSD + _calculatePendingRewardsUSD(_account);
+    function lastTimeRewardApplicable(address _token) public view returns (uint256) {
+        uint256 finish = rewardStreams[_token].periodFinish;
+        return block.timestamp < finish ? block.timestamp : finish;
+    }
 
-        if (totalUSD == 0) return 0;
+    /**
+     * @notice Rewards earned per unit of reward weight since the start (scaled by 1e18)
+     */
+    function rewardPerToken(address _token) public view returns (uint256) {
+        uint256 stored = rewardStreams[_token].rewardPerTokenStored;
+        if (totalVotingPower == 0) return stored;
+        return stored + (_unsettledEmission(_token) * 1e18) / totalVotingPower;
+    }
 
-        uint256 rewardTokenPrice = priceOracle.getPrice(rewardToken);
-        return (totalUSD * 1e8) / rewardTokenPrice;
+    /**
+     * @notice Compare funded rewards of one token with what the contract has promised
+     * @dev The token is solvent while balance >= scheduled + outstanding.
+     *      For DREAMS, staked and unbonding DREAMS are not counted as balance.
+     * @return balance Tokens held for rewards
+     * @return scheduled Still to be streamed in the current period
+     * @return outstanding Already earned by stakers but not claimed
+     */
+    function getRewardSolvency(address _token) public view returns (uint256 balance, uint256 scheduled, uint256 outstanding) {
+        balance = IERC20(_token).balanceOf(address(this));
+        if (_token == address(dreamsToken)) {
+            uint256 held = totalStaked + totalUnbonding;
+            balance = balance > held ? balance - held : 0;
+        }
+
+        RewardStream storage stream = rewardStreams[_token];
+        if (block.timestamp < stream.periodFinish) {
+            scheduled = (stream.periodFinish - block.timestamp) * stream.rate;
+        }
+        outstanding = stream.outstanding + (totalVotingPower > 0 ? _unsettledEmission(_token) : 0);
+    }
+
+    /**
+     * @notice Reward tokens held but not promised to anyone (can fund the next period)
+     */
+    function unallocatedRewards(address _token) public view returns (uint256) {
+        (uint256 balance, uint256 scheduled, uint256 outstanding) = getRewardSolvency(_token);
+        return balance > scheduled + outstanding ? balance - scheduled - outstanding : 0;
     }
 
     /**
      * @notice Get complete stake info for an account
+     * @dev With several lots, cliffEnds is the earliest cliff and vestingEnds the
+     *      latest vesting end (when everything is unlocked)
      */
     function getStakeInfo(address _account)
         external
@@ -495,7 +1253,7 @@ contract DreamsStaking is ReentrancyGuard {
             uint256 stakedAmount,
             uint256 vestedAmount,
             uint256 votingPower,
-            uint256 pendingRewardsUSD,
+            uint256 pendingRewards,
             uint256 cliffEnds,
             uint256 vestingEnds,
             bool cliffReached
@@ -505,38 +1263,286 @@ contract DreamsStaking is ReentrancyGuard {
 
         stakedAmount = userStake.amount;
         vestedAmount = getVestedAmount(_account);
-        votingPower = userStake.amount;
-        pendingRewardsUSD = userStake.rewardsAccruedUSD + _calculatePendingRewardsUSD(_account);
-        cliffEnds = userStake.startTime + cliffPeriod;
-        vestingEnds = userStake.startTime + cliffPeriod + vestingPeriod;
+        votingPower = getVotingPower(_account);
+        pendingRewards = earned(_account, rewardToken);
+
+        StakeLot[] storage lots = _stakeLots[_account];
+        if (lots.length == 0) {
+            cliffEnds = userStake.startTime + cliffPeriod;
+            vestingEnds = userStake.startTime + cliffPeriod + vestingPeriod;
+        } else {
+            cliffEnds = lots[0].cliffEnd;
+            for (uint256 i = 0; i < lots.length; i++) {
+                if (lots[i].cliffEnd < cliffEnds) cliffEnds = lots[i].cliffEnd;
+                if (lots[i].vestingEnd > vestingEnds) vestingEnds = lots[i].vestingEnd;
+            }
+        }
         cliffReached = block.timestamp >= cliffEnds;
     }
 
     /**
-     * @notice Calculate pending rewards since last update
+     * @notice Reward weight of an account: staked amount plus lock boosts not yet expired
      */
-    function _calculatePendingRewardsUSD(address _account) internal view returns (uint256) {
-        StakeInfo storage userStake = stakes[_account];
+    function _rewardWeight(address _account) internal view returns (uint256) {
+        return stakes[_account].amount + lockBoost[_account];
+    }
 
-        if (userStake.amount == 0 || rewardRateUSDPerSecond == 0) {
-            return 0;
+    /**
+     * @notice Rewards of one token earned since the account was last settled
+     */
+    function _earnedSinceSettle(address _account, address _token) internal view returns (uint256) {
+        uint256 delta = rewardPerToken(_token) - userRewardPerTokenPaid[_account][_token];
+        return (_rewardWeight(_account) * delta) / 1e18;
+    }
+
+    /**
+     * @notice Rewards lock boosts earned after their lock ended, up to `_rewardPerToken`
+     * @dev Only counts locks that have ended but are not expired yet
+     */
+    function _expiredBoostRewards(address _account, address _token, uint256 _rewardPerToken)
+        internal
+        view
+        returns (uint256 total)
+    {
+        if (lockBoost[_account] == 0) return 0;
+
+        StakeLot[] storage lots = _stakeLots[_account];
+        for (uint256 i = 0; i < lots.length; i++) {
+            if (lots[i].multiplierBps > BPS_DENOMINATOR && lots[i].lockEnd <= block.timestamp) {
+                uint256 delta = _rewardPerToken - _rewardPerTokenAt(_token, lots[i].lockEnd);
+                total += (_lotBoost(lots[i]) * delta) / 1e18;
+            }
+        }
+    }
+
+    /**
+     * @notice rewardPerToken() as it was (or will be, with nothing settled) at `_time`
+     * @dev Between two settlements a stream pays at a constant rate per unit of
+     *      weight, so the value grows linearly from one checkpoint to the next
+     */
+    function _rewardPerTokenAt(address _token, uint256 _time) internal view returns (uint256) {
+        RewardStream storage stream = rewardStreams[_token];
+        if (_time >= stream.lastUpdateTime) {
+            uint256 end = _time < stream.periodFinish ? _time : stream.periodFinish;
+            if (end <= stream.lastUpdateTime || totalVotingPower == 0) return stream.rewardPerTokenStored;
+            return stream.rewardPerTokenStored + ((end - stream.lastUpdateTime) * stream.rate * 1e18) / totalVotingPower;
+        }
+
+        // First checkpoint after _time; there is one, since the latest is at lastUpdateTime
+        Checkpoints.Checkpoint224[] storage points = _rewardPerTokenHistory[_token]._checkpoints;
+        uint256 low = _checkpointsUpTo(points, _time);
+        if (low == 0) return 0;
+
+        Checkpoints.Checkpoint224 storage prev = points[low - 1];
+        Checkpoints.Checkpoint224 storage next = points[low];
+        return prev._value + ((next._value - prev._value) * (_time - prev._key)) / (next._key - prev._key);
+    }
+
+    /**
+     * @notice Number of checkpoints with a key at or before `_key`
+     */
+    function _checkpointsUpTo(Checkpoints.Checkpoint224[] storage _points, uint256 _key) internal view returns (uint256 low) {
+        uint256 high = _points.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (_points[mid]._key > _key) high = mid;
+            else low = mid + 1;
+        }
+    }
+
+    /**
+     * @notice Value of a checkpoint trace at the end of block `_blockNumber`
+     */
+    function _pastValue(Checkpoints.Trace224 storage _trace, uint256 _blockNumber) internal view returns (uint256) {
+        uint256 pos = _checkpointsUpTo(_trace._checkpoints, _blockNumber);
+        return pos == 0 ? 0 : _trace._checkpoints[pos - 1]._value;
+    }
+
+    /**
+     * @notice Emission since lastUpdateTime that is not yet in rewardPerTokenStored
+     */
+    function _unsettledEmission(address _token) internal view returns (uint256) {
+        RewardStream storage stream = rewardStreams[_token];
+        uint256 applicable = lastTimeRewardApplicable(_token);
+        if (applicable <= stream.lastUpdateTime) return 0;
+        return (applicable - stream.lastUpdateTime) * stream.rate;
+    }
+
+    /**
+     * @notice Settle rewards of every token before anything changes a reward weight
+     */
+    function _updateRewards(address _account) internal {
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address token = rewardTokens[i];
+            _updateRewardPerToken(token);
+            if (_account != address(0)) {
+                rewardsAccrued[_account][token] += _earnedSinceSettle(_account, token);
+                userRewardPerTokenPaid[_account][token] = rewardStreams[token].rewardPerTokenStored;
+            }
+        }
+        if (_account != address(0)) _expireLocks(_account);
+    }
+
+    /**
+     * @notice Bring a token's accumulator up to now
+     * @dev While nobody is staked the emission is skipped, so those tokens stay
+     *      unallocated and can fund a later period
+     */
+    function _updateRewardPerToken(address _token) internal {
+        RewardStream storage stream = rewardStreams[_token];
+        uint256 emitted = _unsettledEmission(_token);
+        if (emitted > 0 && totalVotingPower > 0) {
+            stream.rewardPerTokenStored += (emitted * 1e18) / totalVotingPower;
+            stream.outstanding += emitted;
         }
+        stream.lastUpdateTime = lastTimeRewardApplicable(_token);
+        _checkpointRewardPerToken(_token);
+    }
 
-        uint256 elapsed = block.timestamp - userStake.lastRewardTime;
-        // Rewards = staked amount * rate * time / 1e18 (for precision)
-        return (userStake.amount * rewardRateUSDPerSecond * elapsed) / 1e18;
+    function _checkpointRewardPerToken(address _token) internal {
+        RewardStream storage stream = rewardStreams[_token];
+        _rewardPerTokenHistory[_token].push(
+            SafeCast.toUint32(stream.lastUpdateTime),
+            SafeCast.toUint224(stream.rewardPerTokenStored)
+        );
+    }
+
+    /**
+     * @notice Rewards can only be claimed once the position is past its cliff
+     */
+    function _checkRewardCliff(address _account) internal view {
+        if (block.timestamp < stakes[_account].startTime + cliffPeriod) {
+            revert CliffNotReached();
+        }
+    }
+
+    /**
+     * @notice Send an account everything it has accrued in one token
+     * @return tokenAmount Amount sent (0 if nothing was owed)
+     */
+    function _payReward(address _account, address _token) internal returns (uint256 tokenAmount) {
+        tokenAmount = rewardsAccrued[_account][_token];
+        if (tokenAmount == 0) return 0;
+
+        rewardsAccrued[_account][_token] = 0;
+        rewardsClaimed[_account][_token] += tokenAmount;
+        rewardStreams[_token].outstanding -= tokenAmount;
+
+        IERC20(_token).safeTransfer(_account, tokenAmount);
+
+        emit RewardsClaimed(_account, _token, tokenAmount);
+    }
+
+    /**
+     * @notice Stream `_amount` of a token over `_duration`, rolling in what is left of the running period
+     */
+    function _startRewardPeriod(address _token, uint256 _amount, uint256 _duration) internal {
+        if (_amount > unallocatedRewards(_token)) revert InsufficientRewardBalance();
+
+        RewardStream storage stream = rewardStreams[_token];
+        uint256 leftover;
+        if (block.timestamp < stream.periodFinish) {
+            leftover = (stream.periodFinish - block.timestamp) * stream.rate;
+        }
+
+        stream.rate = (_amount + leftover) / _duration;
+        if (stream.rate == 0) revert InvalidAmount();
+
+        stream.lastUpdateTime = block.timestamp;
+        stream.periodFinish = block.timestamp + _duration;
+        _checkpointRewardPerToken(_token);
+
+        emit RewardPeriodFunded(_token, _amount, _duration, stream.rate, stream.periodFinish);
     }
 
     // ============ ADMIN FUNCTIONS ============
 
     /**
-     * @notice Set reward rate (USD per second per staked token)
-     * @param _ratePerSecond New rate (scaled by 1e18)
+     * @notice Start a reward period that streams `_amount` of a reward token over `_duration`
+     * @dev Send the tokens first (depositRewards or a plain transfer); they must be
+     *      unallocated. Anything left of a running period is rolled into the new one.
+     * @param _token Reward token (see addRewardToken)
+     * @param _amount Tokens to add to the stream
+     * @param _duration Length of the new period in seconds
+     */
+    function fundRewardPeriod(address _token, uint256 _amount, uint256 _duration)
+        external
+        onlyRole(TREASURER_ROLE)
+        updateRewards(address(0))
+    {
+        if (!isRewardToken[_token]) revert UnknownRewardToken();
+        if (_amount == 0 || _duration == 0) revert InvalidAmount();
+
+        _startRewardPeriod(_token, _amount, _duration);
+    }
+
+    /**
+     * @notice Stream a fee share that a distributor has just sent
+     * @dev Called by MilestoneCrowdfunding after transferring the DREAMS staker
+     *      share. Streams over feeRewardDuration, or until the end of the running
+     *      period if that is later, so a long funded period isn't cut short.
+     * @param _token Reward token that was sent
+     * @param _amount Amount that was sent
      */
-    function setRewardRate(uint256 _ratePerSecond) external onlyAdmin {
-        uint256 oldRate = rewardRateUSDPerSecond;
-        rewardRateUSDPerSecond = _ratePerSecond;
-        emit RewardRateUpdated(oldRate, _ratePerSecond);
+    function notifyRewardAmount(address _token, uint256 _amount) external nonReentrant updateRewards(address(0)) {
+        if (!rewardDistributors[msg.sender]) revert OnlyRewardDistributor();
+        if (!isRewardToken[_token]) revert UnknownRewardToken();
+        if (_amount == 0) return;
+
+        uint256 duration = feeRewardDuration;
+        uint256 finish = rewardStreams[_token].periodFinish;
+        if (finish > block.timestamp + duration) duration = finish - block.timestamp;
+
+        _startRewardPeriod(_token, _amount, duration);
+    }
+
+    /**
+     * @notice Start paying rewards in another token
+     * @param _token ERC20 to pay rewards in (e.g. USDC from crowdfunding fees)
+     */
+    function addRewardToken(address _token) external onlyRole(GOVERNOR_ROLE) {
+        if (_token == address(0)) revert InvalidAddress();
+        if (isRewardToken[_token]) revert RewardTokenExists();
+        if (rewardTokens.length >= MAX_REWARD_TOKENS) revert TooManyRewardTokens();
+
+        rewardTokens.push(_token);
+        isRewardToken[_token] = true;
+
+        emit RewardTokenAdded(_token);
+    }
+
+    /**
+     * @notice Allow or stop a contract streaming fee shares with notifyRewardAmount
+     * @param _distributor Contract sending fees (e.g. MilestoneCrowdfunding)
+     * @param _allowed Whether it may call notifyRewardAmount
+     */
+    function setRewardDistributor(address _distributor, bool _allowed) external onlyRole(GOVERNOR_ROLE) {
+        if (_distributor == address(0)) revert InvalidAddress();
+        rewardDistributors[_distributor] = _allowed;
+        emit RewardDistributorUpdated(_distributor, _allowed);
+    }
+
+    /**
+     * @notice Set the minimum time fee shares are streamed over
+     * @param _duration Duration in seconds
+     */
+    function setFeeRewardDuration(uint256 _duration) external onlyRole(OPERATOR_ROLE) {
+        if (_duration == 0) revert InvalidConfiguration();
+        uint256 oldDuration = feeRewardDuration;
+        feeRewardDuration = _duration;
+        emit FeeRewardDurationUpdated(oldDuration, _duration);
+    }
+
+    /**
+     * @notice Set how long new unbonding requests wait before they can be withdrawn
+     * @dev Requests already made keep their maturity
+     * @param _period Duration in seconds
+     */
+    function setUnbondingPeriod(uint256 _period) external onlyRole(OPERATOR_ROLE) {
+        if (_period == 0 || _period > MAX_UNBONDING_PERIOD) revert InvalidConfiguration();
+        uint256 oldPeriod = unbondingPeriod;
+        unbondingPeriod = _period;
+        emit UnbondingPeriodUpdated(oldPeriod, _period);
     }
 
     /**
@@ -549,8 +1555,8 @@ contract DreamsStaking is ReentrancyGuard {
         uint256 _cliffPeriod,
         uint256 _vestingPeriod,
         uint256 _penaltyBps
-    ) external onlyAdmin {
-        if (_penaltyBps > 5000) revert InvalidConfiguration(); // Max 50% penalty
+    ) external onlyRole(OPERATOR_ROLE) {
+        if (_penaltyBps > MAX_PENALTY_BPS) revert InvalidConfiguration();
 
         cliffPeriod = _cliffPeriod;
         vestingPeriod = _vestingPeriod;
@@ -559,11 +1565,38 @@ contract DreamsStaking is ReentrancyGuard {
         emit VestingConfigUpdated(_cliffPeriod, _vestingPeriod, _penaltyBps);
     }
 
+    /**
+     * @notice Set the boost for a lock duration
+     * @dev Existing locks keep the multiplier they were created with
+     * @param _lockDuration Lock length in seconds
+     * @param _multiplierBps Boost (e.g. 15000 = 1.5x), or 0 to stop offering this duration
+     */
+    function setLockMultiplier(uint256 _lockDuration, uint256 _multiplierBps) external onlyRole(OPERATOR_ROLE) {
+        if (_lockDuration == 0) revert InvalidLockDuration();
+        if (_multiplierBps != 0 && (_multiplierBps < BPS_DENOMINATOR || _multiplierBps > MAX_LOCK_MULTIPLIER_BPS)) {
+            revert InvalidConfiguration();
+        }
+        uint256 oldMultiplier = lockMultiplierBps[_lockDuration];
+        lockMultiplierBps[_lockDuration] = _multiplierBps;
+        emit LockMultiplierUpdated(_lockDuration, oldMultiplier, _multiplierBps);
+    }
+
+    /**
+     * @notice Set how old a price the USD views accept
+     * @param _maxPriceAge Max age in seconds (1 second to MAX_PRICE_AGE_LIMIT)
+     */
+    function setMaxPriceAge(uint256 _maxPriceAge) external onlyRole(OPERATOR_ROLE) {
+        if (_maxPriceAge == 0 || _maxPriceAge > MAX_PRICE_AGE_LIMIT) revert InvalidConfiguration();
+        uint256 oldAge = maxPriceAge;
+        maxPriceAge = _maxPriceAge;
+        emit MaxPriceAgeUpdated(oldAge, _maxPriceAge);
+    }
+
     /**
      * @notice Update price oracle
      * @param _oracle New oracle address
      */
-    function setPriceOracle(address _oracle) external onlyAdmin {
+    function setPriceOracle(address _oracle) external onlyRole(GOVERNOR_ROLE) {
         if (_oracle == address(0)) revert InvalidAddress();
         priceOracle = IPriceOracle(_oracle);
     }
@@ -572,7 +1605,7 @@ contract DreamsStaking is ReentrancyGuard {
      * @notice Update treasury address
      * @param _treasury New treasury address
      */
-    function setTreasury(address _treasury) external onlyAdmin {
+    function setTreasury(address _treasury) external onlyRole(GOVERNOR_ROLE) {
         if (_treasury == address(0)) revert InvalidAddress();
         treasury = _treasury;
     }
@@ -581,7 +1614,7 @@ contract DreamsStaking is ReentrancyGuard {
      * @notice Set zDREAMS token contract
      * @param _zDreamsToken New zDREAMS token address
      */
-    function setZDreamsToken(address _zDreamsToken) external onlyAdmin {
+    function setZDreamsToken(address _zDreamsToken) external onlyRole(GOVERNOR_ROLE) {
         if (_zDreamsToken == address(0)) revert InvalidAddress();
         address oldToken = address(zDreamsToken);
         zDreamsToken = IzDREAMS(_zDreamsToken);
@@ -592,7 +1625,7 @@ contract DreamsStaking is ReentrancyGuard {
      * @notice Set treasury sale contract (for bonus zDREAMS)
      * @param _treasurySaleContract Address of DreamsTreasurySale contract
      */
-    function setTreasurySaleContract(address _treasurySaleContract) external onlyAdmin {
+    function setTreasurySaleContract(address _treasurySaleContract) external onlyRole(GOVERNOR_ROLE) {
         address oldContract = treasurySaleContract;
         treasurySaleContract = _treasurySaleContract;
         emit TreasurySaleContractUpdated(oldContract, _treasurySaleContract);
@@ -602,7 +1635,7 @@ contract DreamsStaking is ReentrancyGuard {
      * @notice Set buyback contract (for closed-loop exits)
      * @param _buybackContract Address of DreamsTreasuryBuyback contract
      */
-    function setBuybackContract(address _buybackContract) external onlyAdmin {
+    function setBuybackContract(address _buybackContract) external onlyRole(GOVERNOR_ROLE) {
         address oldContract = buybackContract;
         buybackContract = _buybackContract;
         emit BuybackContractUpdated(oldContract, _buybackContract);
@@ -612,8 +1645,8 @@ contract DreamsStaking is ReentrancyGuard {
      * @notice Set treasury bonus for purchases via treasury sale
      * @param _bonusBps Bonus in basis points (e.g., 1000 = 10% bonus zDREAMS)
      */
-    function setTreasuryBonus(uint256 _bonusBps) external onlyAdmin {
-        if (_bonusBps > 5000) revert BonusTooHigh(); // Max 50% bonus
+    function setTreasuryBonus(uint256 _bonusBps) external onlyRole(OPERATOR_ROLE) {
+        if (_bonusBps > MAX_TREASURY_BONUS_BPS) revert BonusTooHigh();
         uint256 oldBonus = treasuryBonusBps;
         treasuryBonusBps = _bonusBps;
         emit TreasuryBonusUpdated(oldBonus, _bonusBps);
@@ -621,24 +1654,34 @@ contract DreamsStaking is ReentrancyGuard {
 
     /**
      * @notice Deposit reward tokens to contract
+     * @dev Deposits only pay out once they are streamed with fundRewardPeriod
+     * @param _token Reward token
      * @param _amount Amount to deposit
      */
-    function depositRewards(uint256 _amount) external {
-        IERC20(rewardToken).safeTransferFrom(msg.sender, address(this), _amount);
-        emit RewardsDeposited(msg.sender, _amount);
+    function depositRewards(address _token, uint256 _amount) external {
+        if (!isRewardToken[_token]) revert UnknownRewardToken();
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+        emit RewardsDeposited(msg.sender, _token, _amount);
     }
 
     /**
-     * @notice Emergency withdraw stuck tokens
+     * @notice Emergency withdraw stuck tokens to the treasury
      * @param _token Token address
      * @param _amount Amount to withdraw
      */
-    function rescueTokens(address _token, uint256 _amount) external onlyAdmin {
+    function rescueTokens(address _token, uint256 _amount) external onlyRole(TREASURER_ROLE) {
         if (_token == address(dreamsToken)) {
-            uint256 excess = IERC20(_token).balanceOf(address(this)) - totalStaked;
-            require(_amount <= excess, "Cannot withdraw staked tokens");
+            uint256 excess = IERC20(_token).balanceOf(address(this)) - totalStaked - totalUnbonding;
+            if (_amount > excess) revert InsufficientBalance(); // Can't withdraw staked tokens
         }
-        IERC20(_token).safeTransfer(admin, _amount);
+        if (isRewardToken[_token]) {
+            if (_amount > unallocatedRewards(_token)) revert InsufficientRewardBalance(); // Can't withdraw committed rewards
+        }
+        IERC20(_token).safeTransfer(treasury, _amount);
+    }
+
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
     }
 
     /**
@@ -0,0 +1,456 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "../libraries/ProtocolRoles.sol";
+
+/**
+ * @title DreamsStakingVault
+ * @notice Auto-compounding DREAMS staking. Deposit DREAMS, get transferable
+ *         vault shares; the vault stakes everything in DreamsStaking and keeps
+ *         restaking the rewards.
+ *
+ * HOW IT WORKS:
+ * - Deposits are staked right away (the vault is the staker, so it holds the
+ *   zDREAMS and the voting power)
+ * - harvest() claims every reward token, swaps the non-DREAMS ones to DREAMS
+ *   on the configured DEX and stakes the result. Share value grows as it does
+ * - Shares are a plain ERC-4626 token: transfer them, or redeem for DREAMS
+ *
+ * EXITS:
+ * - The vault's DREAMS are pooled, so no share is tied to its own vesting
+ *   clock. Every exit pays the early-unstake penalty on the vault-wide
+ *   unvested share of what it takes out: with half the vault's stake
+ *   unvested and a 20% penalty, any holder exiting pays 10%. A fresh
+ *   deposit can't be taken out penalty-free on DREAMS that vested for
+ *   older holders.
+ * - DREAMS are paid from idle DREAMS first, then unstaked vested-first from
+ *   the vault's position. Whatever the exit was charged beyond the penalty
+ *   the vault actually paid stays in the vault for the remaining holders.
+ *   previewRedeem / previewWithdraw / maxWithdraw already include the charge.
+ *
+ * VOTING:
+ * - Share balances are checkpointed per block. getVotes / getPastVotes give
+ *   each holder their share of the vault's staking votes, which
+ *   MilestoneCrowdfunding counts in dispute votes. The vault never delegates.
+ * - getZDreamsVotes / getPastZDreamsVotes do the same for the zDREAMS
+ *   minted for the vault's stake, so a holder's zDREAMS voting power is
+ *   their share of the vault's zDREAMS balance.
+ * - The zDREAMS itself stays with the vault and is never spent: holders
+ *   can't use it on cloud boosts. Stake directly (or through
+ *   DreamsStakePositions) to boost.
+ *
+ * MULTI-CHAIN SUPPORT:
+ * - BASE: Uniswap V3 exactInputSingle (poolFee)
+ * - Avalanche: Trader Joe swapExactTokensForTokens
+ */
+
+// ============ INTERFACES ============
+
+interface ISwapRouter {
+    struct ExactInputSingleParams {
+        address tokenIn;
+        address tokenOut;
+        uint24 fee;
+        address recipient;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+        uint160 sqrtPriceLimitX96;
+    }
+
+    function exactInputSingle(ExactInputSingleParams calldata params) external payable returns (uint256 amountOut);
+}
+
+interface ITraderJoeRouter {
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts);
+}
+
+interface IDreamsStaking {
+    function stake(uint256 amount) external;
+    function unstake(uint256 amount) external;
+    function claimAll() external;
+    function stakes(address user) external view returns (uint256 amount, uint256 startTime);
+    function getVestedAmount(address account) external view returns (uint256);
+    function getRewardTokens() external view returns (address[] memory);
+    function earlyUnstakePenaltyBps() external view returns (uint256);
+    function getVotes(address account) external view returns (uint256);
+    function getPastVotes(address account, uint256 blockNumber) external view returns (uint256);
+    function zDreamsToken() external view returns (address);
+}
+
+interface IzDREAMSVotes {
+    function balanceOf(address account) external view returns (uint256);
+    function getPastVotes(address account, uint256 blockNumber) external view returns (uint256);
+}
+
+contract DreamsStakingVault is ERC4626, ReentrancyGuard, ProtocolRoles {
+    using SafeERC20 for IERC20;
+    using Checkpoints for Checkpoints.Trace224;
+
+    // ============ STATE ============
+
+    IERC20 public immutable dreams;
+    IDreamsStaking public immutable dreamsStaking;
+
+    // DEX configuration
+    address public dexRouter;
+    uint24 public poolFee = 3000;  // 0.3% for Uniswap V3 (ignored on Trader Joe)
+    bool public immutable isAvalanche;
+
+    // Admin
+    address public admin;
+    address public pendingAdmin;
+
+    uint256 public constant BPS_DENOMINATOR = 10000;
+
+    /// @notice Share balance and supply history, keyed by block number
+    mapping(address => Checkpoints.Trace224) private _balanceCheckpoints;
+    Checkpoints.Trace224 private _totalSupplyCheckpoints;
+
+    // ============ EVENTS ============
+
+    event Harvested(uint256 dreamsFromSwaps, uint256 restaked);
+    event RewardSwapFailed(address indexed token, uint256 amount);
+    event RouterUpdated(address oldRouter, address newRouter);
+    event PoolFeeUpdated(uint24 oldFee, uint24 newFee);
+    event AdminTransferInitiated(address indexed currentAdmin, address indexed pendingAdmin);
+    event AdminTransferCompleted(address indexed oldAdmin, address indexed newAdmin);
+
+    // ============ ERRORS ============
+
+    error InvalidAddress();
+    error OnlyAdmin();
+    error NotPendingAdmin();
+    error InsufficientOutput();
+    error FutureLookup();
+
+    // ============ MODIFIERS ============
+
+    modifier onlyAdmin() {
+        if (msg.sender != admin) revert OnlyAdmin();
+        _;
+    }
+
+    // ============ CONSTRUCTOR ============
+
+    constructor(
+        address _dreams,
+        address _dreamsStaking,
+        address _dexRouter,
+        bool _isAvalanche
+    ) ERC20("Auto-compounding DREAMS", "acDREAMS") ERC4626(IERC20(_dreams)) {
+        if (_dreams == address(0)) revert InvalidAddress();
+        if (_dreamsStaking == address(0)) revert InvalidAddress();
+        if (_dexRouter == address(0)) revert InvalidAddress();
+
+        dreams = IERC20(_dreams);
+        dreamsStaking = IDreamsStaking(_dreamsStaking);
+        dexRouter = _dexRouter;
+        isAvalanche = _isAvalanche;
+        admin = msg.sender;
+
+        IERC20(_dreams).approve(_dreamsStaking, type(uint256).max);
+    }
+
+    // ============ ERC-4626 ============
+
+    /**
+     * @notice DREAMS held for share holders: the staked position plus anything idle
+     * @dev Counted before exit penalties - those are charged on the way out
+     */
+    function totalAssets() public view override returns (uint256) {
+        (uint256 staked, ) = dreamsStaking.stakes(address(this));
+        return staked + dreams.balanceOf(address(this));
+    }
+
+    /**
+     * @notice DREAMS an owner would get for all of their shares right now
+     */
+    function maxWithdraw(address _owner) public view override returns (uint256) {
+        return previewRedeem(balanceOf(_owner));
+    }
+
+    /**
+     * @notice DREAMS paid for redeeming shares, after the exit penalty
+     */
+    function previewRedeem(uint256 _shares) public view override returns (uint256) {
+        uint256 gross = _convertToAssets(_shares, Math.Rounding.Down);
+        return gross - _exitPenalty(gross);
+    }
+
+    /**
+     * @notice Shares burned to withdraw DREAMS, covering the exit penalty
+     */
+    function previewWithdraw(uint256 _assets) public view override returns (uint256) {
+        return _convertToShares(_grossForNet(_assets), Math.Rounding.Up);
+    }
+
+    /**
+     * @dev Stake every deposit straight away
+     */
+    function _deposit(address _caller, address _receiver, uint256 _assets, uint256 _shares) internal override nonReentrant {
+        super._deposit(_caller, _receiver, _assets, _shares);
+        if (_assets > 0) dreamsStaking.stake(_assets);
+    }
+
+    /**
+     * @dev Unstake whatever idle DREAMS don't cover. The exit penalty was
+     *      already added to the shares burned and is never less than what
+     *      unstaking costs, so the vault's other holders don't pay for it.
+     *      Rounding dust stays in the vault.
+     */
+    function _withdraw(
+        address _caller,
+        address _receiver,
+        address _owner,
+        uint256 _assets,
+        uint256 _shares
+    ) internal override nonReentrant {
+        uint256 idle = dreams.balanceOf(address(this));
+        if (_assets > idle) {
+            // Capped for the last exit, where rounding up could ask for a wei more than is staked
+            (uint256 staked, ) = dreamsStaking.stakes(address(this));
+            dreamsStaking.unstake(Math.min(_unstakeForNet(_assets - idle), staked));
+        }
+        super._withdraw(_caller, _receiver, _owner, _assets, _shares);
+    }
+
+    /**
+     * @notice Exit penalty on `_gross` DREAMS of vault assets
+     * @dev earlyUnstakePenaltyBps on the unvested share of `_gross`, where the
+     *      unvested share is the vault's unvested stake over totalAssets()
+     */
+    function _exitPenalty(uint256 _gross) internal view returns (uint256) {
+        (uint256 unvested, uint256 assets) = _unvested();
+        if (unvested == 0) return 0;
+        return Math.mulDiv(
+            _gross,
+            unvested * dreamsStaking.earlyUnstakePenaltyBps(),
+            assets * BPS_DENOMINATOR,
+            Math.Rounding.Up
+        );
+    }
+
+    /**
+     * @notice Vault assets an exit has to give up to be paid `_net` after the exit penalty
+     */
+    function _grossForNet(uint256 _net) internal view returns (uint256) {
+        (uint256 unvested, uint256 assets) = _unvested();
+        if (unvested == 0) return _net;
+        uint256 scale = assets * BPS_DENOMINATOR;
+        return Math.mulDiv(_net, scale, scale - unvested * dreamsStaking.earlyUnstakePenaltyBps(), Math.Rounding.Up);
+    }
+
+    /**
+     * @notice DREAMS to unstake for `_net` to come back, mirroring DreamsStaking:
+     *         vested DREAMS come out free, the rest pays earlyUnstakePenaltyBps
+     */
+    function _unstakeForNet(uint256 _net) internal view returns (uint256) {
+        uint256 vested = dreamsStaking.getVestedAmount(address(this));
+        if (_net <= vested) return _net;
+        uint256 keptBps = BPS_DENOMINATOR - dreamsStaking.earlyUnstakePenaltyBps();
+        return vested + Math.ceilDiv((_net - vested) * BPS_DENOMINATOR, keptBps);
+    }
+
+    /**
+     * @return unvested The vault's staked DREAMS that haven't vested yet
+     * @return assets totalAssets()
+     */
+    function _unvested() internal view returns (uint256 unvested, uint256 assets) {
+        (uint256 staked, ) = dreamsStaking.stakes(address(this));
+        unvested = staked - dreamsStaking.getVestedAmount(address(this));
+        assets = staked + dreams.balanceOf(address(this));
+    }
+
+    // ============ COMPOUNDING ============
+
+    /**
+     * @notice Claim all staking rewards, swap them to DREAMS and stake everything idle
+     * @dev Operator-only so swaps can't be sandwiched with a zero minimum. Claiming
+     *      is skipped while the vault is inside the reward cliff or has nothing
+     *      to claim. A token the DEX can't swap is kept for a later harvest.
+     * @param _minDreamsOut Least DREAMS the swaps must return in total
+     * @return restaked DREAMS added to the vault's stake
+     */
+    function harvest(uint256 _minDreamsOut) external nonReentrant onlyRole(OPERATOR_ROLE) returns (uint256 restaked) {
+        try dreamsStaking.claimAll() {} catch {}
+
+        address[] memory tokens = dreamsStaking.getRewardTokens();
+        uint256 fromSwaps;
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] == address(dreams)) continue;
+            uint256 balance = IERC20(tokens[i]).balanceOf(address(this));
+            if (balance > 0) fromSwaps += _swapToDreams(tokens[i], balance);
+        }
+        if (fromSwaps < _minDreamsOut) revert InsufficientOutput();
+
+        restaked = dreams.balanceOf(address(this));
+        if (restaked > 0) dreamsStaking.stake(restaked);
+
+        emit Harvested(fromSwaps, restaked);
+    }
+
+    /**
+     * @notice Swap one reward token to DREAMS on the configured DEX
+     * @return dreamsOut DREAMS received (0 if the swap failed)
+     */
+    function _swapToDreams(address _token, uint256 _amount) internal returns (uint256 dreamsOut) {
+        IERC20(_token).forceApprove(dexRouter, _amount);
+
+        if (isAvalanche) {
+            address[] memory path = new address[](2);
+            path[0] = _token;
+            path[1] = address(dreams);
+            try ITraderJoeRouter(dexRouter).swapExactTokensForTokens(
+                _amount,
+                0,  // Checked in total by harvest
+                path,
+                address(this),
+                block.timestamp + 300
+            ) returns (uint256[] memory amounts) {
+                dreamsOut = amounts[1];
+            } catch {}
+        } else {
+            ISwapRouter.ExactInputSingleParams memory params = ISwapRouter.ExactInputSingleParams({
+                tokenIn: _token,
+                tokenOut: address(dreams),
+                fee: poolFee,
+                recipient: address(this),
+                amountIn: _amount,
+                amountOutMinimum: 0,  // Checked in total by harvest
+                sqrtPriceLimitX96: 0
+            });
+            try ISwapRouter(dexRouter).exactInputSingle(params) returns (uint256 amountOut) {
+                dreamsOut = amountOut;
+            } catch {}
+        }
+
+        if (dreamsOut == 0) {
+            IERC20(_token).forceApprove(dexRouter, 0);
+            emit RewardSwapFailed(_token, _amount);
+        }
+    }
+
+    // ============ VOTING ============
+
+    /**
+     * @notice An account's share of the vault's current staking votes
+     * @param _account Address to check
+     */
+    function getVotes(address _account) external view returns (uint256) {
+        uint256 supply = totalSupply();
+        if (supply == 0) return 0;
+        return (dreamsStaking.getVotes(address(this)) * balanceOf(_account)) / supply;
+    }
+
+    /**
+     * @notice An account's share of the vault's staking votes at the end of a past block
+     * @param _account Address to check
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastVotes(address _account, uint256 _blockNumber) external view returns (uint256) {
+        if (_blockNumber >= block.number) revert FutureLookup();
+        uint32 key = SafeCast.toUint32(_blockNumber);
+
+        uint256 supply = _totalSupplyCheckpoints.upperLookupRecent(key);
+        if (supply == 0) return 0;
+        uint256 shares = _balanceCheckpoints[_account].upperLookupRecent(key);
+        return (dreamsStaking.getPastVotes(address(this), _blockNumber) * shares) / supply;
+    }
+
+    /**
+     * @notice An account's share of the vault's current zDREAMS voting power
+     * @dev Zero until DreamsStaking has a zDREAMS token set
+     * @param _account Address to check
+     */
+    function getZDreamsVotes(address _account) external view returns (uint256) {
+        address zDreams = dreamsStaking.zDreamsToken();
+        uint256 supply = totalSupply();
+        if (zDreams == address(0) || supply == 0) return 0;
+        return (IzDREAMSVotes(zDreams).balanceOf(address(this)) * balanceOf(_account)) / supply;
+    }
+
+    /**
+     * @notice An account's share of the vault's zDREAMS voting power at the end of a past block
+     * @param _account Address to check
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastZDreamsVotes(address _account, uint256 _blockNumber) external view returns (uint256) {
+        if (_blockNumber >= block.number) revert FutureLookup();
+        address zDreams = dreamsStaking.zDreamsToken();
+        uint32 key = SafeCast.toUint32(_blockNumber);
+
+        uint256 supply = _totalSupplyCheckpoints.upperLookupRecent(key);
+        if (zDreams == address(0) || supply == 0) return 0;
+        uint256 shares = _balanceCheckpoints[_account].upperLookupRecent(key);
+        return (IzDREAMSVotes(zDreams).getPastVotes(address(this), _blockNumber) * shares) / supply;
+    }
+
+    /**
+     * @dev Checkpoint share balances and supply after every mint, burn and transfer
+     */
+    function _afterTokenTransfer(address _from, address _to, uint256 _amount) internal override {
+        super._afterTokenTransfer(_from, _to, _amount);
+
+        uint32 blockNumber = SafeCast.toUint32(block.number);
+        if (_from != address(0)) {
+            _balanceCheckpoints[_from].push(blockNumber, SafeCast.toUint224(balanceOf(_from)));
+        }
+        if (_to != address(0)) {
+            _balanceCheckpoints[_to].push(blockNumber, SafeCast.toUint224(balanceOf(_to)));
+        }
+        if (_from == address(0) || _to == address(0)) {
+            _totalSupplyCheckpoints.push(blockNumber, SafeCast.toUint224(totalSupply()));
+        }
+    }
+
+    // ============ ADMIN FUNCTIONS ============
+
+    function updateRouter(address _newRouter) external onlyRole(GOVERNOR_ROLE) {
+        if (_newRouter == address(0)) revert InvalidAddress();
+        address oldRouter = dexRouter;
+        dexRouter = _newRouter;
+        emit RouterUpdated(oldRouter, _newRouter);
+    }
+
+    function setPoolFee(uint24 _fee) external onlyRole(OPERATOR_ROLE) {
+        uint24 oldFee = poolFee;
+        poolFee = _fee;
+        emit PoolFeeUpdated(oldFee, _fee);
+    }
+
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
+    /**
+     * @notice Initiate admin transfer (2-step for safety)
+     */
+    function initiateAdminTransfer(address _newAdmin) external onlyAdmin {
+        if (_newAdmin == address(0)) revert InvalidAddress();
+        pendingAdmin = _newAdmin;
+        emit AdminTransferInitiated(admin, _newAdmin);
+    }
+
+    /**
+     * @notice Accept admin transfer
+     */
+    function acceptAdminTransfer() external {
+        if (msg.sender != pendingAdmin) revert NotPendingAdmin();
+        address oldAdmin = admin;
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+        emit AdminTransferCompleted(oldAdmin, admin);
+    }
+}
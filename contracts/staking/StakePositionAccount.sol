@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IzDREAMS.sol";
+
+// ============ INTERFACES ============
+
+/**
+ * @notice The DreamsStaking functions stake positions use
+ */
+interface IPositionStaking {
+    struct StakeLot {
+        uint256 amount;
+        uint256 withdrawn;
+        uint256 startTime;
+        uint256 cliffEnd;
+        uint256 vestingEnd;
+        uint256 lockEnd;
+        uint256 multiplierBps;
+    }
+
+    function dreamsToken() external view returns (IERC20);
+    function zDreamsToken() external view returns (IzDREAMS);
+    function stake(uint256 _amount) external;
+    function stakeLocked(uint256 _amount, uint256 _lockDuration) external;
+    function unstake(uint256 _amount) external;
+    function claimAll() external;
+    function delegate(address _delegatee) external;
+    function stakes(address _account) external view returns (uint256 amount, uint256 startTime);
+    function getStakeLots(address _account) external view returns (StakeLot[] memory);
+    function getVestedAmount(address _account) external view returns (uint256);
+    function getVotingPower(address _account) external view returns (uint256);
+    function getRewardTokens() external view returns (address[] memory);
+}
+
+/**
+ * @title StakePositionAccount
+ * @notice Holds the stake behind one DreamsStakePositions NFT.
+ * @dev Deployed as a minimal clone per position. It is the staker of record in
+ *      DreamsStaking, so the lot, its zDREAMS and its rewards belong to the
+ *      account - and the account belongs to whoever holds the NFT. Only the
+ *      positions contract that created it can use it.
+ */
+contract StakePositionAccount {
+    using SafeERC20 for IERC20;
+
+    address public positions;
+    IPositionStaking public dreamsStaking;
+
+    error AlreadyInitialized();
+    error OnlyPositions();
+
+    modifier onlyPositions() {
+        if (msg.sender != positions) revert OnlyPositions();
+        _;
+    }
+
+    /**
+     * @notice Bind a fresh clone to the positions contract creating it
+     * @param _dreamsStaking Staking contract the position lives in
+     */
+    function initialize(address _dreamsStaking) external {
+        if (positions != address(0)) revert AlreadyInitialized();
+        positions = msg.sender;
+        dreamsStaking = IPositionStaking(_dreamsStaking);
+        dreamsStaking.dreamsToken().approve(_dreamsStaking, type(uint256).max);
+    }
+
+    /**
+     * @notice Stake the DREAMS this account was sent
+     * @param _amount Amount of DREAMS to stake
+     * @param _lockDuration Lock length for a boosted lot (0 = not locked)
+     */
+    function stake(uint256 _amount, uint256 _lockDuration) external onlyPositions {
+        if (_lockDuration == 0) {
+            dreamsStaking.stake(_amount);
+        } else {
+            dreamsStaking.stakeLocked(_amount, _lockDuration);
+        }
+    }
+
+    /**
+     * @notice Unstake and send what comes out (after any penalty) on
+     * @return received DREAMS sent to `_to`
+     */
+    function unstake(uint256 _amount, address _to) external onlyPositions returns (uint256 received) {
+        IERC20 dreams = dreamsStaking.dreamsToken();
+        uint256 balanceBefore = dreams.balanceOf(address(this));
+        dreamsStaking.unstake(_amount);
+        received = dreams.balanceOf(address(this)) - balanceBefore;
+        dreams.safeTransfer(_to, received);
+    }
+
+    /**
+     * @notice Claim every reward token and send it on
+     */
+    function claimAll(address _to) external onlyPositions {
+        dreamsStaking.claimAll();
+
+        address[] memory tokens = dreamsStaking.getRewardTokens();
+        for (uint256 i = 0; i < tokens.length; i++) {
+            uint256 balance = IERC20(tokens[i]).balanceOf(address(this));
+            if (balance > 0) IERC20(tokens[i]).safeTransfer(_to, balance);
+        }
+    }
+
+    /**
+     * @notice Let `_delegatee` vote with this position's staking power
+     */
+    function delegate(address _delegatee) external onlyPositions {
+        dreamsStaking.delegate(_delegatee);
+    }
+}
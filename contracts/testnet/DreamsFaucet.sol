@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "../libraries/ProtocolRoles.sol";
 
 /**
  * @title DreamsFaucet
@@ -13,13 +14,14 @@ import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
  * WARNING: This contract is for TESTNET USE ONLY
  * Do not deploy on mainnet - it allows free token distribution
  */
-contract DreamsFaucet is ReentrancyGuard {
+contract DreamsFaucet is ReentrancyGuard, ProtocolRoles {
     using SafeERC20 for IERC20;
 
     // ============ STATE ============
 
     IERC20 public immutable dreamsToken;
     address public admin;
+    address public pendingAdmin;
 
     // Rate limiting
     uint256 public claimAmount = 10_000 ether;      // 10,000 DREAMS per claim
@@ -45,6 +47,9 @@ contract DreamsFaucet is ReentrancyGuard {
     error DailyLimitReached();
     error InsufficientFaucetBalance();
     error OnlyAdmin();
+    error OnlyPendingAdmin();
+    error NoPendingAdmin();
+    error InvalidAddress();
     error InvalidAmount();
 
     // ============ EVENTS ============
@@ -54,7 +59,9 @@ contract DreamsFaucet is ReentrancyGuard {
     event ClaimAmountUpdated(uint256 oldAmount, uint256 newAmount);
     event CooldownUpdated(uint256 oldCooldown, uint256 newCooldown);
     event FaucetFunded(address indexed funder, uint256 amount);
-    event AdminTransferred(address indexed oldAdmin, address indexed newAdmin);
+    event AdminTransferInitiated(address indexed currentAdmin, address indexed pendingAdmin);
+    event AdminTransferCompleted(address indexed oldAdmin, address indexed newAdmin);
+    event AdminTransferCancelled(address indexed admin);
 
     // ============ CONSTRUCTOR ============
 
@@ -193,7 +200,7 @@ contract DreamsFaucet is ReentrancyGuard {
     /**
      * @notice Toggle faucet on/off
      */
-    function toggleFaucet() external onlyAdmin {
+    function toggleFaucet() external onlyPauseToggle(faucetEnabled) {
         faucetEnabled = !faucetEnabled;
         emit FaucetToggled(faucetEnabled);
     }
@@ -202,7 +209,7 @@ contract DreamsFaucet is ReentrancyGuard {
      * @notice Update claim amount
      * @param _newAmount New amount per claim (in wei)
      */
-    function setClaimAmount(uint256 _newAmount) external onlyAdmin {
+    function setClaimAmount(uint256 _newAmount) external onlyRole(OPERATOR_ROLE) {
         if (_newAmount == 0) revert InvalidAmount();
         uint256 oldAmount = claimAmount;
         claimAmount = _newAmount;
@@ -213,7 +220,7 @@ contract DreamsFaucet is ReentrancyGuard {
      * @notice Update cooldown period
      * @param _newCooldown New cooldown in seconds
      */
-    function setCooldown(uint256 _newCooldown) external onlyAdmin {
+    function setCooldown(uint256 _newCooldown) external onlyRole(OPERATOR_ROLE) {
         uint256 oldCooldown = claimCooldown;
         claimCooldown = _newCooldown;
         emit CooldownUpdated(oldCooldown, _newCooldown);
@@ -223,7 +230,7 @@ contract DreamsFaucet is ReentrancyGuard {
      * @notice Update max claims per address
      * @param _maxClaims New max claims
      */
-    function setMaxClaims(uint256 _maxClaims) external onlyAdmin {
+    function setMaxClaims(uint256 _maxClaims) external onlyRole(OPERATOR_ROLE) {
         maxClaimsPerAddress = _maxClaims;
     }
 
@@ -231,33 +238,57 @@ contract DreamsFaucet is ReentrancyGuard {
      * @notice Update daily distribution limit
      * @param _maxDaily New daily limit (in wei)
      */
-    function setMaxDailyDistribution(uint256 _maxDaily) external onlyAdmin {
+    function setMaxDailyDistribution(uint256 _maxDaily) external onlyRole(OPERATOR_ROLE) {
         maxDailyDistribution = _maxDaily;
     }
 
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
     /**
-     * @notice Transfer admin role
+     * @notice Initiate admin transfer (step 1)
      * @param _newAdmin New admin address
      */
-    function transferAdmin(address _newAdmin) external onlyAdmin {
+    function initiateAdminTransfer(address _newAdmin) external onlyAdmin {
+        if (_newAdmin == address(0)) revert InvalidAddress();
+        pendingAdmin = _newAdmin;
+        emit AdminTransferInitiated(admin, _newAdmin);
+    }
+
+    /**
+     * @notice Accept admin transfer (step 2 - must be called by pending admin)
+     */
+    function acceptAdminTransfer() external {
+        if (msg.sender != pendingAdmin) revert OnlyPendingAdmin();
         address oldAdmin = admin;
-        admin = _newAdmin;
-        emit AdminTransferred(oldAdmin, _newAdmin);
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+        emit AdminTransferCompleted(oldAdmin, admin);
+    }
+
+    /**
+     * @notice Cancel pending admin transfer
+     */
+    function cancelAdminTransfer() external onlyAdmin {
+        if (pendingAdmin == address(0)) revert NoPendingAdmin();
+        pendingAdmin = address(0);
+        emit AdminTransferCancelled(admin);
     }
 
     /**
-     * @notice Withdraw tokens from faucet (emergency)
+     * @notice Withdraw tokens from faucet to the caller (emergency)
      * @param _amount Amount to withdraw
      */
-    function withdrawTokens(uint256 _amount) external onlyAdmin {
-        dreamsToken.safeTransfer(admin, _amount);
+    function withdrawTokens(uint256 _amount) external onlyRole(TREASURER_ROLE) {
+        dreamsToken.safeTransfer(msg.sender, _amount);
     }
 
     /**
      * @notice Reset a user's claim count (for testing)
      * @param _user Address to reset
      */
-    function resetUserClaims(address _user) external onlyAdmin {
+    function resetUserClaims(address _user) external onlyRole(OPERATOR_ROLE) {
         totalClaims[_user] = 0;
         lastClaimTime[_user] = 0;
     }
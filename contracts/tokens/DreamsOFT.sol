@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@layerzerolabs/solidity-examples/contracts/token/oft/v2/fee/OFTWithFee.sol";
+
+/**
+ * @title DreamsOFT
+ * @notice DREAMS on Avalanche - a LayerZero token that is minted when DREAMS
+ *         arrives from Base and burned when it leaves.
+ *
+ * HOW BRIDGING WORKS:
+ * - DREAMS lives on Base. To move it to Avalanche, you send it through
+ *   DreamsProxyOFT on Base, which locks your tokens in a vault.
+ * - LayerZero carries the message across and this contract mints the same
+ *   amount to you on Avalanche.
+ * - Going back burns the tokens here and unlocks them on Base.
+ * - Total supply across both chains always equals the DREAMS supply on Base.
+ *
+ * SAFETY:
+ * - Only messages from the trusted peer (DreamsProxyOFT on Base) can mint
+ * - Amounts travel with 6 shared decimals - any "dust" below that precision
+ *   stays with the sender, and `_minAmount` on sendFrom() guards against it
+ * - Optional bridge fee (in basis points) is configurable per destination
+ */
+contract DreamsOFT is OFTWithFee {
+    /// @notice Decimals used on the wire (must be the minimum across all chains)
+    uint8 public constant SHARED_DECIMALS = 6;
+
+    /**
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param _lzEndpoint LayerZero endpoint on this chain
+     * @param _owner Owner who configures peers and fees
+     */
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        address _lzEndpoint,
+        address _owner
+    ) OFTWithFee(_name, _symbol, SHARED_DECIMALS, _lzEndpoint) {
+        require(_owner != address(0), "DreamsOFT: owner is zero address");
+        _transferOwnership(_owner);
+        feeOwner = _owner;
+    }
+}
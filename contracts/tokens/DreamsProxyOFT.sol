@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@layerzerolabs/solidity-examples/contracts/token/oft/v2/fee/ProxyOFTWithFee.sol";
+
+/**
+ * @title DreamsProxyOFT
+ * @notice The Base side of the DREAMS bridge - a lockbox that holds DREAMS
+ *         while it is on other chains.
+ *
+ * HOW IT WORKS:
+ * - Sending to Avalanche: your DREAMS are locked in this contract and
+ *   DreamsOFT mints the same amount to you on Avalanche.
+ * - Coming back: DreamsOFT burns on Avalanche and this contract releases
+ *   your locked DREAMS.
+ * - The existing DREAMS token is never modified - this only needs an approval.
+ *
+ * There must only ever be ONE proxy per token, on the token's home chain.
+ */
+contract DreamsProxyOFT is ProxyOFTWithFee {
+    /// @notice Decimals used on the wire (must match DreamsOFT)
+    uint8 public constant SHARED_DECIMALS = 6;
+
+    /**
+     * @param _lzEndpoint LayerZero endpoint on this chain
+     * @param _token DREAMS token to lock
+     * @param _owner Owner who configures peers and fees
+     */
+    constructor(
+        address _lzEndpoint,
+        address _token,
+        address _owner
+    ) ProxyOFTWithFee(_token, SHARED_DECIMALS, _lzEndpoint) {
+        require(_owner != address(0), "DreamsProxyOFT: owner is zero address");
+        _transferOwnership(_owner);
+        feeOwner = _owner;
+    }
+}
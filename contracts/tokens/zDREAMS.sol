@@ -2,6 +2,9 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "../libraries/ProtocolRoles.sol";
 
 /**
  * @title zDREAMS
@@ -25,12 +28,21 @@ import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
  * - Can only be burned when you unstake or spend on cloud boosts
  * - This prevents vote-buying and ensures voting power stays with stakers
  *
+ * HISTORY:
+ * - Balances and total supply are checkpointed every block they change, so
+ *   getPastVotes / getPastTotalSupply can read them for any mined block
+ *
  * MINTING/BURNING:
  * - Stake 100 DREAMS -> Receive 100 zDREAMS
  * - Unstake 50 DREAMS -> Burn 50 zDREAMS
  * - Boost a cloud with 10 zDREAMS -> Burn 10 zDREAMS (cloud gets bigger!)
+ * - Unstake after boosting -> Burn 1:1 from what's left: with 100 staked and
+ *   90 zDREAMS, unstaking 100 burns 90 and the missing 10 becomes boost debt,
+ *   paid off before the next stake mints anything. Boosting never blocks an exit
  */
-contract zDREAMS is ERC20 {
+contract zDREAMS is ERC20, ProtocolRoles {
+    using Checkpoints for Checkpoints.Trace224;
+
     // ============ STATE ============
 
     /// @notice The staking contract that can mint/burn zDREAMS
@@ -46,6 +58,10 @@ contract zDREAMS is ERC20 {
     /// @notice Total zDREAMS burned for cloud boosts (tracking metric)
     uint256 public totalBurnedForBoosts;
 
+    /// @notice Balance and supply history, keyed by block number
+    mapping(address => Checkpoints.Trace224) private _balanceCheckpoints;
+    Checkpoints.Trace224 private _totalSupplyCheckpoints;
+
     // ============ EVENTS ============
 
     event StakingContractUpdated(address indexed oldContract, address indexed newContract);
@@ -63,6 +79,7 @@ contract zDREAMS is ERC20 {
     error TransferDisabled();
     error InvalidAddress();
     error InsufficientBalance();
+    error FutureLookup();
 
     // ============ MODIFIERS ============
 
@@ -103,7 +120,7 @@ contract zDREAMS is ERC20 {
      * @notice Burn zDREAMS when user unstakes DREAMS
      * @dev Only callable by the staking contract
      * @param _from Address to burn from
-     * @param _amount Amount to burn (1:1 with unstaked DREAMS)
+     * @param _amount Amount to burn (1:1 with unstaked DREAMS, capped at the balance)
      */
     function burn(address _from, uint256 _amount) external onlyStakingContract {
         _burn(_from, _amount);
@@ -136,7 +153,8 @@ contract zDREAMS is ERC20 {
     /**
      * @notice Get voting power for an address
      * @dev This is a simple 1:1 mapping, but MilestoneCrowdfunding applies
-     *      additional quadratic and time-weighted calculations
+     *      additional quadratic and time-weighted calculations. Delegated
+     *      power is tracked by DreamsStaking.getVotes(), not here.
      * @param _account Address to check
      * @return Voting power (= zDREAMS balance)
      */
@@ -152,6 +170,25 @@ contract zDREAMS is ERC20 {
         return totalSupply();
     }
 
+    /**
+     * @notice Voting power (zDREAMS balance) of an address at the end of a past block
+     * @param _account Address to check
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastVotes(address _account, uint256 _blockNumber) external view returns (uint256) {
+        if (_blockNumber >= block.number) revert FutureLookup();
+        return _balanceCheckpoints[_account].upperLookupRecent(SafeCast.toUint32(_blockNumber));
+    }
+
+    /**
+     * @notice Total zDREAMS supply at the end of a past block
+     * @param _blockNumber Block to look up (must already be mined)
+     */
+    function getPastTotalSupply(uint256 _blockNumber) external view returns (uint256) {
+        if (_blockNumber >= block.number) revert FutureLookup();
+        return _totalSupplyCheckpoints.upperLookupRecent(SafeCast.toUint32(_blockNumber));
+    }
+
     // ============ TRANSFER OVERRIDES (DISABLED) ============
 
     /**
@@ -176,13 +213,31 @@ contract zDREAMS is ERC20 {
         revert TransferDisabled();
     }
 
+    /**
+     * @dev Checkpoint balances and supply after every mint and burn
+     */
+    function _afterTokenTransfer(address _from, address _to, uint256 _amount) internal override {
+        super._afterTokenTransfer(_from, _to, _amount);
+
+        uint32 blockNumber = SafeCast.toUint32(block.number);
+        if (_from != address(0)) {
+            _balanceCheckpoints[_from].push(blockNumber, SafeCast.toUint224(balanceOf(_from)));
+        }
+        if (_to != address(0)) {
+            _balanceCheckpoints[_to].push(blockNumber, SafeCast.toUint224(balanceOf(_to)));
+        }
+        if (_from == address(0) || _to == address(0)) {
+            _totalSupplyCheckpoints.push(blockNumber, SafeCast.toUint224(totalSupply()));
+        }
+    }
+
     // ============ ADMIN FUNCTIONS ============
 
     /**
      * @notice Set the staking contract address
      * @param _stakingContract New staking contract
      */
-    function setStakingContract(address _stakingContract) external onlyAdmin {
+    function setStakingContract(address _stakingContract) external onlyRole(GOVERNOR_ROLE) {
         if (_stakingContract == address(0)) revert InvalidAddress();
         address oldContract = stakingContract;
         stakingContract = _stakingContract;
@@ -193,13 +248,17 @@ contract zDREAMS is ERC20 {
      * @notice Set the cloud boost contract address
      * @param _cloudBoostContract New cloud boost contract
      */
-    function setCloudBoostContract(address _cloudBoostContract) external onlyAdmin {
+    function setCloudBoostContract(address _cloudBoostContract) external onlyRole(GOVERNOR_ROLE) {
         if (_cloudBoostContract == address(0)) revert InvalidAddress();
         address oldContract = cloudBoostContract;
         cloudBoostContract = _cloudBoostContract;
         emit CloudBoostContractUpdated(oldContract, _cloudBoostContract);
     }
 
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
     /**
      * @notice Initiate admin transfer (2-step for safety)
      */
@@ -6,6 +6,7 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "../interfaces/IPriceOracle.sol";
 import "../interfaces/IzDREAMS.sol";
+import "../libraries/ProtocolRoles.sol";
 
 /**
  * @title DreamsTreasuryBuyback (DEX Wrapper Model)
@@ -91,19 +92,13 @@ interface IDreamsStaking {
         uint256 stakedAmount,
         uint256 vestedAmount,
         uint256 votingPower,
-        uint256 pendingRewardsUSD,
+        uint256 pendingRewards,
         uint256 cliffEnds,
         uint256 vestingEnds,
         bool cliffReached
     );
 
-    function stakes(address user) external view returns (
-        uint256 amount,
-        uint256 startTime,
-        uint256 rewardsAccruedUSD,
-        uint256 rewardsClaimed,
-        uint256 lastRewardTime
-    );
+    function stakes(address user) external view returns (uint256 amount, uint256 startTime);
 
     function totalStaked() external view returns (uint256);
 }
@@ -127,7 +122,7 @@ interface AggregatorV3Interface {
     function decimals() external view returns (uint8);
 }
 
-contract DreamsTreasuryBuyback is ReentrancyGuard {
+contract DreamsTreasuryBuyback is ReentrancyGuard, ProtocolRoles {
     using SafeERC20 for IERC20;
 
     // ============ TOKENS & CONTRACTS ============
@@ -224,6 +219,8 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
     // Circuit breaker events
     event CircuitBreakerTriggered(uint256 currentPrice, uint256 referencePrice, uint256 deviationBps);
     event CircuitBreakerReset(address indexed admin);
+    event CircuitBreakerTripped(address indexed guardian);
+    event CircuitBreakerSettingsUpdated(uint256 maxDeviationBps, uint256 cooldown, uint256 updateInterval);
     event ReferencePriceUpdated(uint256 oldPrice, uint256 newPrice);
     event VolatilitySpreadActivated(uint256 spreadBps, uint256 priceDropBps);
     event VolatilitySpreadDeactivated();
@@ -247,7 +244,7 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
     error ExceedsUserDailyLimit();
     error ExceedsGlobalDailyLimit();
     error CliffNotReached();
-    error InsufficientZDreams();
+    error InsufficientStake();
     error SpreadTooHigh();
     error TransferFailed();
     error CircuitBreakerActive();
@@ -355,12 +352,12 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
 
         // ========== STANDARD CHECKS ==========
 
-        // Check user has enough zDREAMS
-        uint256 zBalance = zDreamsToken.balanceOf(msg.sender);
-        if (zBalance < _dreamsAmount) revert InsufficientZDreams();
+        // Check the staked position covers the sell. zDREAMS spent on cloud boosts
+        // doesn't block it: DreamsStaking burns what is left and records the rest as boost debt
+        (uint256 stakedAmount,,,,,, bool cliffReached) = dreamsStaking.getStakeInfo(msg.sender);
+        if (stakedAmount < _dreamsAmount) revert InsufficientStake();
 
         // Check cliff period
-        (,,,,,, bool cliffReached) = dreamsStaking.getStakeInfo(msg.sender);
         if (!cliffReached) revert CliffNotReached();
 
         // Check daily limits
@@ -751,7 +748,7 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
 
     // ============ ADMIN FUNCTIONS ============
 
-    function setSpread(uint256 _spreadBps) external onlyAdmin {
+    function setSpread(uint256 _spreadBps) external onlyRole(OPERATOR_ROLE) {
         if (_spreadBps > MAX_SPREAD_BPS) revert SpreadTooHigh();
         uint256 oldSpread = sellSpreadBps;
         sellSpreadBps = _spreadBps;
@@ -762,19 +759,19 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
         uint256 _maxPerTx,
         uint256 _dailyGlobal,
         uint256 _dailyUser
-    ) external onlyAdmin {
+    ) external onlyRole(OPERATOR_ROLE) {
         maxSellPerTx = _maxPerTx;
         dailySellLimit = _dailyGlobal;
         userDailyLimit = _dailyUser;
         emit LimitsUpdated(_maxPerTx, _dailyGlobal, _dailyUser);
     }
 
-    function toggleBuyback() external onlyAdmin {
+    function toggleBuyback() external onlyPauseToggle(buybackEnabled) {
         buybackEnabled = !buybackEnabled;
         emit BuybackToggled(buybackEnabled);
     }
 
-    function updateRouter(address _newRouter) external onlyAdmin {
+    function updateRouter(address _newRouter) external onlyRole(GOVERNOR_ROLE) {
         if (_newRouter == address(0)) revert InvalidAddress();
         address oldRouter = dexRouter;
         dexRouter = _newRouter;
@@ -788,21 +785,21 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
         emit RouterUpdated(oldRouter, _newRouter);
     }
 
-    function setPoolFee(uint24 _fee) external onlyAdmin {
+    function setPoolFee(uint24 _fee) external onlyRole(OPERATOR_ROLE) {
         poolFee = _fee;
     }
 
-    function setPriceOracle(address _oracle) external onlyAdmin {
+    function setPriceOracle(address _oracle) external onlyRole(GOVERNOR_ROLE) {
         if (_oracle == address(0)) revert InvalidAddress();
         priceOracle = IPriceOracle(_oracle);
     }
 
-    function setDreamsStaking(address _staking) external onlyAdmin {
+    function setDreamsStaking(address _staking) external onlyRole(GOVERNOR_ROLE) {
         if (_staking == address(0)) revert InvalidAddress();
         dreamsStaking = IDreamsStaking(_staking);
     }
 
-    function setTreasury(address _treasury) external onlyAdmin {
+    function setTreasury(address _treasury) external onlyRole(GOVERNOR_ROLE) {
         if (_treasury == address(0)) revert InvalidAddress();
         treasury = _treasury;
     }
@@ -851,14 +848,24 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
         return false;
     }
 
-    function resetCircuitBreaker() external onlyAdmin {
+    /**
+     * @notice Halt sell-backs for one circuit breaker cooldown without waiting
+     *         for the price check (e.g. when an exploit is spotted off-chain)
+     */
+    function tripCircuitBreaker() external onlyRole(GUARDIAN_ROLE) {
+        circuitBreakerTriggered = true;
+        lastCircuitBreakerTrigger = block.timestamp;
+        emit CircuitBreakerTripped(msg.sender);
+    }
+
+    function resetCircuitBreaker() external onlyRole(OPERATOR_ROLE) {
         circuitBreakerTriggered = false;
         volatilitySpreadBps = 0;
         emit CircuitBreakerReset(msg.sender);
         emit VolatilitySpreadDeactivated();
     }
 
-    function forceUpdateReferencePrice() external onlyAdmin {
+    function forceUpdateReferencePrice() external onlyRole(OPERATOR_ROLE) {
         uint256 oldPrice = referencePrice;
         uint256 currentPrice = _getOraclePrice();
         referencePrice = currentPrice;
@@ -872,16 +879,17 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
         uint256 _maxDeviationBps,
         uint256 _cooldown,
         uint256 _updateInterval
-    ) external onlyAdmin {
+    ) external onlyRole(OPERATOR_ROLE) {
         maxPriceDeviationBps = _maxDeviationBps;
         circuitBreakerCooldown = _cooldown;
         referencePriceUpdateInterval = _updateInterval;
+        emit CircuitBreakerSettingsUpdated(_maxDeviationBps, _cooldown, _updateInterval);
     }
 
     function setVolatilitySettings(
         uint256 _maxVolatilityBps,
         uint256 _dropThresholdBps
-    ) external onlyAdmin {
+    ) external onlyRole(OPERATOR_ROLE) {
         maxVolatilitySpreadBps = _maxVolatilityBps;
         priceDropThresholdBps = _dropThresholdBps;
     }
@@ -889,7 +897,7 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
     function setLargeSellSettings(
         uint256 _threshold,
         uint256 _cooldown
-    ) external onlyAdmin {
+    ) external onlyRole(OPERATOR_ROLE) {
         largeSellThreshold = _threshold;
         largeSellCooldown = _cooldown;
     }
@@ -899,7 +907,7 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
     function setChainlinkFeeds(
         address _ethUsdFeed,
         address _avaxUsdFeed
-    ) external onlyAdmin {
+    ) external onlyRole(GOVERNOR_ROLE) {
         chainlinkEthUsd = AggregatorV3Interface(_ethUsdFeed);
         chainlinkAvaxUsd = AggregatorV3Interface(_avaxUsdFeed);
         emit ChainlinkFeedUpdated(_ethUsdFeed, _avaxUsdFeed);
@@ -908,7 +916,7 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
     function setChainlinkSettings(
         bool _enabled,
         uint256 _heartbeat
-    ) external onlyAdmin {
+    ) external onlyRole(OPERATOR_ROLE) {
         useChainlinkFallback = _enabled;
         chainlinkHeartbeat = _heartbeat;
     }
@@ -916,7 +924,7 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
     function setManualPriceOverride(
         uint256 _price,
         uint256 _duration
-    ) external onlyAdmin {
+    ) external onlyRole(OPERATOR_ROLE) {
         manualPriceOverride = _price;
         manualPriceExpiry = _price > 0 ? block.timestamp + _duration : 0;
         emit ManualPriceOverrideSet(_price, manualPriceExpiry);
@@ -927,7 +935,7 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
     /**
      * @notice Withdraw accumulated spread profits to treasury
      */
-    function withdrawProfits() external onlyAdmin {
+    function withdrawProfits() external onlyRole(TREASURER_ROLE) {
         uint256 balance = address(this).balance;
         if (balance == 0) revert InvalidAmount();
 
@@ -938,7 +946,7 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
     /**
      * @notice Emergency withdraw all funds
      */
-    function emergencyWithdraw() external onlyAdmin {
+    function emergencyWithdraw() external onlyRole(TREASURER_ROLE) {
         buybackEnabled = false;
 
         // Withdraw native
@@ -964,12 +972,16 @@ contract DreamsTreasuryBuyback is ReentrancyGuard {
     /**
      * @notice Rescue stuck tokens
      */
-    function rescueTokens(address _token, uint256 _amount) external onlyAdmin {
+    function rescueTokens(address _token, uint256 _amount) external onlyRole(TREASURER_ROLE) {
         IERC20(_token).safeTransfer(treasury, _amount);
     }
 
     // ============ ADMIN TRANSFER ============
 
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
     function initiateAdminTransfer(address _newAdmin) external onlyAdmin {
         if (_newAdmin == address(0)) revert InvalidAddress();
         pendingAdmin = _newAdmin;
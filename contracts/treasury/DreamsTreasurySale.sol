@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "../libraries/ProtocolRoles.sol";
 
 /**
  * @title DreamsTreasurySale
@@ -72,7 +73,7 @@ interface IDreamsStaking {
     function stakeFor(address beneficiary, uint256 amount) external;
 }
 
-contract DreamsTreasurySale is ReentrancyGuard {
+contract DreamsTreasurySale is ReentrancyGuard, ProtocolRoles {
     using SafeERC20 for IERC20;
 
     // ============ STATE ============
@@ -81,6 +82,7 @@ contract DreamsTreasurySale is ReentrancyGuard {
     address public immutable wrappedNative;  // WETH on BASE, WAVAX on AVAX
     address public treasury;
     address public admin;
+    address public pendingAdmin;
 
     // DEX Router (Uniswap on BASE, Trader Joe on AVAX)
     address public dexRouter;
@@ -124,11 +126,16 @@ contract DreamsTreasurySale is ReentrancyGuard {
     event AutoStakeToggled(bool enabled);
     event StakingUpdated(address oldStaking, address newStaking);
     event AutoStaked(address indexed buyer, uint256 amount);
+    event AdminTransferInitiated(address indexed currentAdmin, address indexed pendingAdmin);
+    event AdminTransferCompleted(address indexed oldAdmin, address indexed newAdmin);
+    event AdminTransferCancelled(address indexed admin);
 
     // ============ ERRORS ============
     error SalesDisabled();
     error InvalidAmount();
     error OnlyAdmin();
+    error OnlyPendingAdmin();
+    error NoPendingAdmin();
     error SwapFailed();
     error InvalidAddress();
 
@@ -457,12 +464,12 @@ contract DreamsTreasurySale is ReentrancyGuard {
 
     // ============ ADMIN FUNCTIONS ============
 
-    function toggleSales() external onlyAdmin {
+    function toggleSales() external onlyPauseToggle(salesEnabled) {
         salesEnabled = !salesEnabled;
         emit SalesToggled(salesEnabled);
     }
 
-    function updateRouter(address _newRouter) external onlyAdmin {
+    function updateRouter(address _newRouter) external onlyRole(GOVERNOR_ROLE) {
         if (_newRouter == address(0)) revert InvalidAddress();
         address oldRouter = dexRouter;
         dexRouter = _newRouter;
@@ -476,23 +483,23 @@ contract DreamsTreasurySale is ReentrancyGuard {
         emit RouterUpdated(oldRouter, _newRouter);
     }
 
-    function updateTreasury(address _newTreasury) external onlyAdmin {
+    function updateTreasury(address _newTreasury) external onlyRole(GOVERNOR_ROLE) {
         if (_newTreasury == address(0)) revert InvalidAddress();
         address oldTreasury = treasury;
         treasury = _newTreasury;
         emit TreasuryUpdated(oldTreasury, _newTreasury);
     }
 
-    function updatePoolFee(uint24 _newFee) external onlyAdmin {
+    function updatePoolFee(uint24 _newFee) external onlyRole(OPERATOR_ROLE) {
         poolFee = _newFee;
     }
 
-    function toggleAutoStake() external onlyAdmin {
+    function toggleAutoStake() external onlyRole(OPERATOR_ROLE) {
         autoStakeEnabled = !autoStakeEnabled;
         emit AutoStakeToggled(autoStakeEnabled);
     }
 
-    function updateStaking(address _newStaking) external onlyAdmin {
+    function updateStaking(address _newStaking) external onlyRole(GOVERNOR_ROLE) {
         address oldStaking = dreamsStaking;
         dreamsStaking = _newStaking;
 
@@ -507,23 +514,52 @@ contract DreamsTreasurySale is ReentrancyGuard {
         emit StakingUpdated(oldStaking, _newStaking);
     }
 
-    function transferAdmin(address _newAdmin) external onlyAdmin {
+    function _isAdmin(address account) internal view override returns (bool) {
+        return account == admin;
+    }
+
+    /**
+     * @notice Initiate admin transfer (step 1)
+     * @param _newAdmin New admin address
+     */
+    function initiateAdminTransfer(address _newAdmin) external onlyAdmin {
         if (_newAdmin == address(0)) revert InvalidAddress();
-        admin = _newAdmin;
+        pendingAdmin = _newAdmin;
+        emit AdminTransferInitiated(admin, _newAdmin);
+    }
+
+    /**
+     * @notice Accept admin transfer (step 2 - must be called by pending admin)
+     */
+    function acceptAdminTransfer() external {
+        if (msg.sender != pendingAdmin) revert OnlyPendingAdmin();
+        address oldAdmin = admin;
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+        emit AdminTransferCompleted(oldAdmin, admin);
+    }
+
+    /**
+     * @notice Cancel pending admin transfer
+     */
+    function cancelAdminTransfer() external onlyAdmin {
+        if (pendingAdmin == address(0)) revert NoPendingAdmin();
+        pendingAdmin = address(0);
+        emit AdminTransferCancelled(admin);
     }
 
     /**
-     * @notice Emergency withdraw stuck tokens
+     * @notice Emergency withdraw stuck tokens to the treasury
      */
-    function rescueTokens(address _token, uint256 _amount) external onlyAdmin {
-        IERC20(_token).safeTransfer(admin, _amount);
+    function rescueTokens(address _token, uint256 _amount) external onlyRole(TREASURER_ROLE) {
+        IERC20(_token).safeTransfer(treasury, _amount);
     }
 
     /**
-     * @notice Emergency withdraw stuck ETH/AVAX
+     * @notice Emergency withdraw stuck ETH/AVAX to the treasury
      */
-    function rescueNative() external onlyAdmin {
-        (bool success, ) = admin.call{value: address(this).balance}("");
+    function rescueNative() external onlyRole(TREASURER_ROLE) {
+        (bool success, ) = treasury.call{value: address(this).balance}("");
         require(success, "Transfer failed");
     }
 
@@ -1,16 +1,40 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+require("./tasks/verify-wiring");
+require("./tasks/verify-deployment");
+require("./tasks/admin");
+require("./tasks/handover");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.20",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200
-      },
-      viaIR: true
+    compilers: [
+      {
+        version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200
+          },
+          viaIR: true
+        }
+      }
+    ],
+    overrides: {
+      // Optimized for size: the full staking contract sits close to the 24 KB limit.
+      // Shanghai (PUSH0) is live on both Avalanche C-Chain and Base.
+      "contracts/staking/DreamsStaking.sol": {
+        version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1
+          },
+          evmVersion: "shanghai",
+          viaIR: true
+        }
+      }
     }
   },
   networks: {
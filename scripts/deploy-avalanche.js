@@ -0,0 +1,27 @@
+/**
+ * Avalanche deployment (mainnet or testnet).
+ *
+ * Usage: npx hardhat run scripts/deploy-avalanche.js --network <network>
+ * External addresses are read from .env - see .env.example.
+ */
+const hre = require("hardhat");
+const { Deployer } = require("./lib/deployer");
+const { deploySystem } = require("./lib/system");
+const { getNetworkConfig } = require("./lib/networks");
+
+const SUPPORTED_NETWORKS = ["avalanche", "avalancheFuji"];
+
+async function main() {
+  if (!SUPPORTED_NETWORKS.includes(hre.network.name)) {
+    throw new Error(`scripts/deploy-avalanche.js supports ${SUPPORTED_NETWORKS.join(", ")}, got ${hre.network.name}`);
+  }
+
+  const config = getNetworkConfig(hre.network.name);
+  const deployer = await new Deployer(hre, { reset: process.env.DEPLOY_RESET === "true" }).init();
+  await deploySystem(deployer, config);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,24 @@
+/**
+ * Local deployment: mock tokens, mock DEX router, manual price oracle and the
+ * full protocol, wired together.
+ *
+ * Usage: npx hardhat run scripts/deploy.js --network localhost
+ */
+const hre = require("hardhat");
+const { Deployer } = require("./lib/deployer");
+const { deploySystem } = require("./lib/system");
+const { isLocalNetwork } = require("./lib/networks");
+
+async function main() {
+  if (!isLocalNetwork(hre.network.name)) {
+    throw new Error(`scripts/deploy.js deploys mocks - use the chain-specific script for ${hre.network.name}`);
+  }
+
+  const deployer = await new Deployer(hre, { reset: process.env.DEPLOY_RESET === "true" }).init();
+  await deploySystem(deployer, null);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
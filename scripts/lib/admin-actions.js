@@ -0,0 +1,495 @@
+/**
+ * Admin setters exposed as Hardhat tasks (see tasks/admin.js).
+ *
+ * Each entry describes one role-gated function:
+ * - role: ProtocolRoles role the sender needs (the admin holds every role)
+ * - params: typed task parameters, in call order (types live in admin.js);
+ *   a token amount with `decimalsOf` is counted in the decimals of the ERC20
+ *   given by that earlier address param
+ * - current(contract, args): on-chain values shown next to the proposed ones,
+ *   aligned with params (a string is shown as-is)
+ * - validate(contract, args, decimals): returns an error message when the proposed
+ *   values break an on-chain bound, so nothing is sent that would revert
+ *   (decimals is aligned with params, set for params with `decimalsOf`)
+ */
+
+const { ZeroAddress, formatUnits } = require("ethers");
+
+/**
+ * Admin setter that repoints one contract at another
+ */
+const pointer = (task, description, contract, method, getter) => ({
+  task,
+  description,
+  contract,
+  method,
+  role: "GOVERNOR_ROLE",
+  params: [{ name: "target", type: "address", description: "New address" }],
+  current: async (instance) => [await instance[getter]()],
+  validate: async (_instance, [target]) => {
+    if (target === ZeroAddress) return "target cannot be the zero address";
+  },
+});
+
+const ACTIONS = [
+  // ============ Wiring ============
+  pointer("zdreams:set-staking", "Point zDREAMS at the staking contract that mints it", "zDREAMS", "setStakingContract", "stakingContract"),
+  pointer("zdreams:set-cloud-boost", "Point zDREAMS at the CloudBoost contract that burns it", "zDREAMS", "setCloudBoostContract", "cloudBoostContract"),
+  pointer("boost:set-dream-nft", "Point CloudBoost at the DreamNFT it registers dreams from", "CloudBoost", "setDreamNFT", "dreamNFT"),
+  pointer("staking:set-zdreams", "Point DreamsStaking at zDREAMS", "DreamsStaking", "setZDreamsToken", "zDreamsToken"),
+  pointer("staking:set-treasury-sale", "Point DreamsStaking at DreamsTreasurySale", "DreamsStaking", "setTreasurySaleContract", "treasurySaleContract"),
+  pointer("staking:set-buyback", "Point DreamsStaking at DreamsTreasuryBuyback", "DreamsStaking", "setBuybackContract", "buybackContract"),
+  pointer("sale:set-staking", "Point DreamsTreasurySale at DreamsStaking for auto-stake", "DreamsTreasurySale", "updateStaking", "dreamsStaking"),
+  pointer("crowdfunding:set-staking", "Point crowdfunding dispute voting at DreamsStaking", "MilestoneCrowdfunding", "setDreamsStakingContract", "dreamsStakingContract"),
+  pointer("crowdfunding:set-dreams-pool", "Set where the DREAMS staker fee share goes", "MilestoneCrowdfunding", "setDreamsStakingPool", "dreamsStakingPool"),
+  pointer("crowdfunding:set-juicy-pool", "Set where the JUICY staker fee share goes", "MilestoneCrowdfunding", "setJuicyStakingPool", "juicyStakingPool"),
+  pointer("crowdfunding:set-treasury", "Set where crowdfunding platform fees go", "MilestoneCrowdfunding", "updateTreasury", "treasury"),
+  pointer("crowdfunding:set-price-oracle", "Point crowdfunding at the oracle that values contributions", "MilestoneCrowdfunding", "updatePriceOracle", "priceOracle"),
+  pointer("buyback:set-staking", "Point DreamsTreasuryBuyback at DreamsStaking", "DreamsTreasuryBuyback", "setDreamsStaking", "dreamsStaking"),
+  pointer("buyback:set-router", "Point DreamsTreasuryBuyback at the DEX router it swaps on", "DreamsTreasuryBuyback", "updateRouter", "dexRouter"),
+  pointer("buyback:set-price-oracle", "Point DreamsTreasuryBuyback at the DREAMS price oracle", "DreamsTreasuryBuyback", "setPriceOracle", "priceOracle"),
+  pointer("buyback:set-treasury", "Set where buyback profits are withdrawn to", "DreamsTreasuryBuyback", "setTreasury", "treasury"),
+  pointer("marketplace:set-treasury", "Set where marketplace fees go", "DreamMarketplace", "updateTreasury", "treasury"),
+  {
+    task: "crowdfunding:set-staking-vault",
+    description: "Let DreamsStakingVault depositors vote in disputes with their share (zero turns it off)",
+    contract: "MilestoneCrowdfunding",
+    method: "setStakingVault",
+    role: "GOVERNOR_ROLE",
+    params: [{ name: "target", type: "address", description: "DreamsStakingVault, or the zero address" }],
+    current: async (crowdfunding) => [await crowdfunding.stakingVault()],
+  },
+  {
+    task: "marketplace:set-payment-tokens",
+    description: "Set the DREAMS and JUICY tokens the marketplace accepts",
+    contract: "DreamMarketplace",
+    method: "updatePaymentTokens",
+    role: "GOVERNOR_ROLE",
+    params: [
+      { name: "dreams", type: "address", description: "DREAMS token" },
+      { name: "juicy", type: "address", description: "JUICY token" },
+    ],
+    current: async (marketplace) => [await marketplace.dreamsToken(), await marketplace.juicyToken()],
+  },
+
+  // ============ DreamsTreasuryBuyback ============
+  {
+    task: "buyback:set-spread",
+    description: "Set the sell-back spread kept by the treasury",
+    contract: "DreamsTreasuryBuyback",
+    method: "setSpread",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "spreadBps", type: "bps", description: "Spread in basis points" }],
+    current: async (buyback) => [await buyback.sellSpreadBps()],
+    validate: async (buyback, [spreadBps]) => {
+      const max = await buyback.MAX_SPREAD_BPS();
+      if (spreadBps > max) return `spreadBps ${spreadBps} exceeds MAX_SPREAD_BPS (${max})`;
+    },
+  },
+  {
+    task: "buyback:set-limits",
+    description: "Set the per-transaction, global daily and per-user daily sell limits",
+    contract: "DreamsTreasuryBuyback",
+    method: "setLimits",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "maxPerTx", type: "token", description: "Max DREAMS per sell" },
+      { name: "dailyGlobal", type: "token", description: "Max DREAMS sold back per day" },
+      { name: "dailyUser", type: "token", description: "Max DREAMS per user per day" },
+    ],
+    current: async (buyback) => [
+      await buyback.maxSellPerTx(),
+      await buyback.dailySellLimit(),
+      await buyback.userDailyLimit(),
+    ],
+  },
+  {
+    task: "buyback:set-circuit-breaker",
+    description: "Set the price-deviation circuit breaker",
+    contract: "DreamsTreasuryBuyback",
+    method: "setCircuitBreakerSettings",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "maxDeviationBps", type: "bps", description: "Max deviation from the reference price" },
+      { name: "cooldown", type: "duration", description: "Cooldown after the breaker trips" },
+      { name: "updateInterval", type: "duration", description: "How often the reference price refreshes" },
+    ],
+    current: async (buyback) => [
+      await buyback.maxPriceDeviationBps(),
+      await buyback.circuitBreakerCooldown(),
+      await buyback.referencePriceUpdateInterval(),
+    ],
+  },
+  {
+    task: "buyback:set-volatility",
+    description: "Set the extra spread charged after a sharp price drop",
+    contract: "DreamsTreasuryBuyback",
+    method: "setVolatilitySettings",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "maxVolatilityBps", type: "bps", description: "Most extra spread a drop can add" },
+      { name: "dropThresholdBps", type: "bps", description: "Drop from the reference price that turns it on" },
+    ],
+    current: async (buyback) => [await buyback.maxVolatilitySpreadBps(), await buyback.priceDropThresholdBps()],
+  },
+  {
+    task: "buyback:set-large-sell",
+    description: "Set what counts as a large sell and the wait between a seller's large sells",
+    contract: "DreamsTreasuryBuyback",
+    method: "setLargeSellSettings",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "threshold", type: "token", description: "DREAMS from which a sell is large" },
+      { name: "cooldown", type: "duration", description: "Wait between large sells" },
+    ],
+    current: async (buyback) => [await buyback.largeSellThreshold(), await buyback.largeSellCooldown()],
+  },
+  {
+    task: "buyback:set-pool-fee",
+    description: "Set the Uniswap V3 pool fee tier swaps go through",
+    contract: "DreamsTreasuryBuyback",
+    method: "setPoolFee",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "fee", type: "uint", description: "Fee tier in hundredths of a bip (3000 = 0.3%)" }],
+    current: async (buyback) => [await buyback.poolFee()],
+    validate: async (_buyback, [fee]) => {
+      if (fee > 0xffffffn) return "fee must fit in a uint24";
+    },
+  },
+  {
+    task: "buyback:set-chainlink",
+    description: "Turn the Chainlink price fallback on or off and set how old its prices may be",
+    contract: "DreamsTreasuryBuyback",
+    method: "setChainlinkSettings",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "enabled", type: "bool", description: "Use Chainlink when the oracle has no price" },
+      { name: "heartbeat", type: "duration", description: "Oldest Chainlink price accepted" },
+    ],
+    current: async (buyback) => [await buyback.useChainlinkFallback(), await buyback.chainlinkHeartbeat()],
+  },
+  {
+    task: "buyback:set-chainlink-feeds",
+    description: "Set the Chainlink ETH/USD and AVAX/USD feeds of the price fallback",
+    contract: "DreamsTreasuryBuyback",
+    method: "setChainlinkFeeds",
+    role: "GOVERNOR_ROLE",
+    params: [
+      { name: "ethUsdFeed", type: "address", description: "ETH/USD aggregator (zero if none on this chain)" },
+      { name: "avaxUsdFeed", type: "address", description: "AVAX/USD aggregator (zero if none on this chain)" },
+    ],
+    current: async (buyback) => [await buyback.chainlinkEthUsd(), await buyback.chainlinkAvaxUsd()],
+  },
+  {
+    task: "buyback:set-price-override",
+    description: "Pin the DREAMS price for a limited time (0 clears the override)",
+    contract: "DreamsTreasuryBuyback",
+    method: "setManualPriceOverride",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "price", type: "price", description: "USD price, e.g. 0.25" },
+      { name: "duration", type: "duration", description: "How long the override lasts" },
+    ],
+    current: async (buyback) => {
+      const expiry = await buyback.manualPriceExpiry();
+      const { timestamp } = await buyback.runner.provider.getBlock("latest");
+      const remaining = expiry > BigInt(timestamp) ? expiry - BigInt(timestamp) : 0n;
+      return [await buyback.manualPriceOverride(), remaining];
+    },
+  },
+
+  // ============ DreamsStaking ============
+  {
+    task: "staking:fund-rewards",
+    description: "Stream reward tokens already sent to DreamsStaking over a new period",
+    contract: "DreamsStaking",
+    method: "fundRewardPeriod",
+    role: "TREASURER_ROLE",
+    params: [
+      { name: "token", type: "address", description: "Reward token (see staking:add-reward-token)" },
+      { name: "amount", type: "token", decimalsOf: "token", description: "Tokens to stream, in the token's own units (send them to the contract first)" },
+      { name: "duration", type: "duration", description: "Length of the reward period" },
+    ],
+    current: async (staking, [token]) => {
+      const [, scheduled] = await staking.getRewardSolvency(token);
+      const { periodFinish } = await staking.rewardStreams(token);
+      const { timestamp } = await staking.runner.provider.getBlock("latest");
+      return [token, scheduled, periodFinish > BigInt(timestamp) ? periodFinish - BigInt(timestamp) : 0n];
+    },
+    validate: async (staking, [token, amount, duration], [, decimals]) => {
+      if (!(await staking.isRewardToken(token))) return `${token} is not a reward token - add it with staking:add-reward-token`;
+      if (amount === 0n || duration === 0n) return "amount and duration must be greater than zero";
+      const unallocated = await staking.unallocatedRewards(token);
+      if (amount > unallocated) {
+        return `amount ${formatUnits(amount, decimals)} exceeds the unallocated reward balance (${formatUnits(unallocated, decimals)}) - transfer the tokens first`;
+      }
+    },
+  },
+  {
+    task: "staking:add-reward-token",
+    description: "Start paying DreamsStaking rewards in another token",
+    contract: "DreamsStaking",
+    method: "addRewardToken",
+    role: "GOVERNOR_ROLE",
+    params: [{ name: "token", type: "address", description: "ERC20 to stream as rewards" }],
+    validate: async (staking, [token]) => {
+      if (token === ZeroAddress) return "token cannot be the zero address";
+      if (await staking.isRewardToken(token)) return `${token} is already a reward token`;
+      const count = (await staking.getRewardTokens()).length;
+      const max = await staking.MAX_REWARD_TOKENS();
+      if (BigInt(count) >= max) return `already streaming MAX_REWARD_TOKENS (${max}) tokens`;
+    },
+  },
+  {
+    task: "staking:set-vesting",
+    description: "Set the cliff, vesting period and early-unstake penalty",
+    contract: "DreamsStaking",
+    method: "setVestingConfig",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "cliff", type: "duration", description: "Cliff before rewards" },
+      { name: "vesting", type: "duration", description: "Linear vesting after the cliff" },
+      { name: "penaltyBps", type: "bps", description: "Early-unstake penalty" },
+    ],
+    current: async (staking) => [
+      await staking.cliffPeriod(),
+      await staking.vestingPeriod(),
+      await staking.earlyUnstakePenaltyBps(),
+    ],
+    validate: async (staking, [, , penaltyBps]) => {
+      const max = await staking.MAX_PENALTY_BPS();
+      if (penaltyBps > max) return `penaltyBps ${penaltyBps} exceeds MAX_PENALTY_BPS (${max})`;
+    },
+  },
+  {
+    task: "staking:set-treasury-bonus",
+    description: "Set the bonus zDREAMS for treasury purchases",
+    contract: "DreamsStaking",
+    method: "setTreasuryBonus",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "bonusBps", type: "bps", description: "Bonus in basis points" }],
+    current: async (staking) => [await staking.treasuryBonusBps()],
+    validate: async (staking, [bonusBps]) => {
+      const max = await staking.MAX_TREASURY_BONUS_BPS();
+      if (bonusBps > max) return `bonusBps ${bonusBps} exceeds MAX_TREASURY_BONUS_BPS (${max})`;
+    },
+  },
+
+  {
+    task: "staking:set-lock-multiplier",
+    description: "Set the boost for a lock duration (0 stops offering it)",
+    contract: "DreamsStaking",
+    method: "setLockMultiplier",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "lockDuration", type: "duration", description: "Lock length" },
+      { name: "multiplierBps", type: "uint", description: "Boost in basis points (15000 = 1.5x)" },
+    ],
+    current: async (staking, [lockDuration]) => [lockDuration, await staking.lockMultiplierBps(lockDuration)],
+    validate: async (staking, [, multiplierBps]) => {
+      const max = await staking.MAX_LOCK_MULTIPLIER_BPS();
+      if (multiplierBps !== 0n && (multiplierBps < 10000n || multiplierBps > max)) {
+        return `multiplierBps ${multiplierBps} must be 0 or between 10000 and MAX_LOCK_MULTIPLIER_BPS (${max})`;
+      }
+    },
+  },
+  {
+    task: "staking:set-unbonding-period",
+    description: "Set how long penalty-free unbonding takes",
+    contract: "DreamsStaking",
+    method: "setUnbondingPeriod",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "period", type: "duration", description: "Wait before unbonded DREAMS can be withdrawn" }],
+    current: async (staking) => [await staking.unbondingPeriod()],
+    validate: async (staking, [period]) => {
+      const max = await staking.MAX_UNBONDING_PERIOD();
+      if (period === 0n || period > max) return `period must be between 1s and MAX_UNBONDING_PERIOD (${max}s)`;
+    },
+  },
+  {
+    task: "staking:set-max-price-age",
+    description: "Set how old a price the staking USD views accept",
+    contract: "DreamsStaking",
+    method: "setMaxPriceAge",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "age", type: "duration", description: "Oldest price accepted" }],
+    current: async (staking) => [await staking.maxPriceAge()],
+    validate: async (staking, [age]) => {
+      const max = await staking.MAX_PRICE_AGE_LIMIT();
+      if (age === 0n || age > max) return `age must be between 1s and MAX_PRICE_AGE_LIMIT (${max}s)`;
+    },
+  },
+
+  // ============ CloudBoost ============
+  {
+    task: "boost:add-tier",
+    description: "Add a boost tier",
+    contract: "CloudBoost",
+    method: "addBoostTier",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "cost", type: "token", description: "zDREAMS burned per boost" },
+      { name: "sizeBoost", type: "uint", description: "Size boost percentage" },
+    ],
+    current: async (boost) => {
+      const count = await boost.getBoostTierCount();
+      return [`(new tier #${count})`, `(new tier #${count})`];
+    },
+    validate: async (boost, [cost, sizeBoost]) => {
+      if (cost === 0n || sizeBoost === 0n) return "cost and sizeBoost must be greater than zero";
+    },
+  },
+  {
+    task: "boost:update-tier",
+    description: "Change the cost and size boost of an existing tier",
+    contract: "CloudBoost",
+    method: "updateBoostTier",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "tierIndex", type: "uint", description: "Tier to update" },
+      { name: "cost", type: "token", description: "zDREAMS burned per boost" },
+      { name: "sizeBoost", type: "uint", description: "Size boost percentage" },
+    ],
+    current: async (boost, [tierIndex]) => {
+      if (tierIndex >= (await boost.getBoostTierCount())) return [tierIndex, "-", "-"];
+      const tier = await boost.boostTiers(tierIndex);
+      return [tierIndex, tier.cost, tier.sizeBoost];
+    },
+    validate: async (boost, [tierIndex, cost, sizeBoost]) => {
+      const count = await boost.getBoostTierCount();
+      if (tierIndex >= count) return `tierIndex ${tierIndex} does not exist (${count} tiers)`;
+      if (cost === 0n || sizeBoost === 0n) return "cost and sizeBoost must be greater than zero";
+    },
+  },
+
+  {
+    task: "boost:set-half-life",
+    description: "Set how fast cloud boosts decay",
+    contract: "CloudBoost",
+    method: "setBoostHalfLife",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "halfLife", type: "duration", description: "Time for a boost to lose half its size" }],
+    current: async (boost) => [await boost.boostHalfLife()],
+    validate: async (boost, [halfLife]) => {
+      const min = await boost.MIN_BOOST_HALF_LIFE();
+      const max = await boost.MAX_BOOST_HALF_LIFE();
+      if (halfLife < min || halfLife > max) return `halfLife must be between MIN_BOOST_HALF_LIFE (${min}s) and MAX_BOOST_HALF_LIFE (${max}s)`;
+    },
+  },
+
+  {
+    task: "boost:set-reward-split",
+    description: "Set the shares of boost value paid to dream creators and early boosters",
+    contract: "CloudBoost",
+    method: "setRewardSplit",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "creatorShareBps", type: "bps", description: "Creator share in basis points" },
+      { name: "boosterShareBps", type: "bps", description: "Early booster pool share in basis points" },
+    ],
+    current: async (boost) => [await boost.creatorShareBps(), await boost.boosterShareBps()],
+    validate: async (boost, [creatorShareBps, boosterShareBps]) => {
+      const max = await boost.BPS_DENOMINATOR();
+      if (creatorShareBps + boosterShareBps > max) return `shares together exceed BPS_DENOMINATOR (${max})`;
+    },
+  },
+  {
+    task: "boost:advance-epoch",
+    description: "Start counting boosts towards a new epoch (DreamNFT epochId)",
+    contract: "CloudBoost",
+    method: "advanceEpoch",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "epoch", type: "uint", description: "New epoch number" }],
+    current: async (boost) => [await boost.currentEpoch()],
+    validate: async (boost, [epoch]) => {
+      const current = await boost.currentEpoch();
+      if (epoch <= current) return `epoch must be greater than the current epoch (${current})`;
+    },
+  },
+
+  // ============ DreamsFaucet (testnet) ============
+  {
+    task: "faucet:set-claim-amount",
+    description: "Set the DREAMS paid out per faucet claim",
+    contract: "DreamsFaucet",
+    method: "setClaimAmount",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "amount", type: "token", description: "DREAMS per claim" }],
+    current: async (faucet) => [await faucet.claimAmount()],
+    validate: async (_faucet, [amount]) => {
+      if (amount === 0n) return "amount must be greater than zero";
+    },
+  },
+  {
+    task: "faucet:set-cooldown",
+    description: "Set the time between faucet claims",
+    contract: "DreamsFaucet",
+    method: "setCooldown",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "cooldown", type: "duration", description: "Time between claims" }],
+    current: async (faucet) => [await faucet.claimCooldown()],
+  },
+  {
+    task: "faucet:set-max-claims",
+    description: "Set how many times one address can claim from the faucet",
+    contract: "DreamsFaucet",
+    method: "setMaxClaims",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "maxClaims", type: "uint", description: "Claims per address" }],
+    current: async (faucet) => [await faucet.maxClaimsPerAddress()],
+  },
+  {
+    task: "faucet:set-max-daily",
+    description: "Set the most DREAMS the faucet pays out per day",
+    contract: "DreamsFaucet",
+    method: "setMaxDailyDistribution",
+    role: "OPERATOR_ROLE",
+    params: [{ name: "amount", type: "token", description: "DREAMS per day, all claims together" }],
+    current: async (faucet) => [await faucet.maxDailyDistribution()],
+  },
+
+  // ============ Price oracles ============
+  {
+    task: "oracle:set-price",
+    description: "Set a token's USD price on the test PriceOracle",
+    contract: "PriceOracle",
+    method: "updatePrice",
+    role: "OPERATOR_ROLE",
+    params: [
+      { name: "token", type: "address", description: "Token to price" },
+      { name: "price", type: "price", description: "USD price, e.g. 0.25" },
+    ],
+    current: async (oracle, [token]) => [token, await oracle.prices(token)],
+    validate: async (_oracle, [token, price]) => {
+      if (token === ZeroAddress) return "token cannot be the zero address";
+      if (price === 0n) return "price must be greater than zero";
+    },
+  },
+  {
+    task: "chainlink:set-feed",
+    description: "Set the Chainlink feed a token is priced from",
+    contract: "ChainlinkPriceOracle",
+    method: "setPriceFeed",
+    role: "GOVERNOR_ROLE",
+    params: [
+      { name: "token", type: "address", description: "Token to price" },
+      { name: "feed", type: "address", description: "Chainlink aggregator" },
+      { name: "heartbeat", type: "duration", description: "Oldest price accepted (0 for DEFAULT_HEARTBEAT)" },
+    ],
+    current: async (oracle, [token]) => [token, await oracle.priceFeeds(token), await oracle.heartbeats(token)],
+    validate: async (_oracle, [token, feed]) => {
+      if (token === ZeroAddress || feed === ZeroAddress) return "token and feed cannot be the zero address";
+    },
+  },
+  {
+    task: "chainlink:set-sequencer-feed",
+    description: "Set the L2 sequencer uptime feed (zero turns the check off)",
+    contract: "ChainlinkPriceOracle",
+    method: "setSequencerUptimeFeed",
+    role: "GOVERNOR_ROLE",
+    params: [{ name: "feed", type: "address", description: "Sequencer uptime feed, or the zero address" }],
+    current: async (oracle) => [await oracle.sequencerUptimeFeed()],
+  },
+];
+
+module.exports = { ACTIONS };
@@ -0,0 +1,259 @@
+/**
+ * Runner for the admin setter tasks.
+ *
+ * FLOW:
+ * 1. Resolve the target from deployments/<network>.json (or --address)
+ * 2. Parse and validate the proposed values against on-chain bounds
+ * 3. Show current vs proposed and ask for confirmation
+ * 4. Send, wait, and print the events the contract emitted
+ *
+ * In export mode step 4 is replaced by appending the call to a Safe
+ * Transaction Builder batch, so a multisig admin can review and sign it.
+ */
+
+const { Contract, formatUnits, getAddress, parseUnits } = require("ethers");
+const { formatTable } = require("./report");
+const { appendToBatchFile, toSafeTransaction } = require("./safe");
+
+const DURATION_UNITS = { s: 1n, m: 60n, h: 3600n, d: 86400n, w: 604800n };
+
+/**
+ * Parameter types: how a CLI string becomes a call argument and how an
+ * on-chain value is shown. Token amounts are 18 decimals unless the param
+ * names the token param it is counted in (`decimalsOf`).
+ */
+const TYPES = {
+  uint: {
+    parse: (value) => {
+      if (!/^\d+$/.test(value)) throw new Error("expected a whole number");
+      return BigInt(value);
+    },
+    format: (value) => value.toString(),
+  },
+  bps: {
+    parse: (value) => TYPES.uint.parse(value),
+    format: (value) => `${value} (${Number(value) / 100}%)`,
+  },
+  token: {
+    parse: (value, decimals = 18) => parseUnits(value, decimals),
+    format: (value, decimals = 18) => formatUnits(value, decimals),
+  },
+  price: {
+    parse: (value) => parseUnits(value, 8),
+    format: (value) => `$${formatUnits(value, 8)}`,
+  },
+  duration: {
+    parse: (value) => {
+      const match = /^(\d+)([smhdw]?)$/.exec(value);
+      if (!match) throw new Error("expected seconds or a number with s/m/h/d/w");
+      return BigInt(match[1]) * DURATION_UNITS[match[2] || "s"];
+    },
+    format: (value) => `${value}s (${humanizeDuration(value)})`,
+  },
+  address: {
+    parse: (value) => getAddress(value),
+    format: (value) => value,
+  },
+  bool: {
+    parse: (value) => {
+      if (!/^(true|false)$/.test(value)) throw new Error("expected true or false");
+      return value === "true";
+    },
+    format: (value) => String(value),
+  },
+};
+
+class AdminActionError extends Error {}
+
+/**
+ * Build everything needed to send (or review) an admin call without sending it
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} action Entry from admin-actions.js
+ * @param {object} taskArgs Raw task arguments (strings)
+ * @param {object} [options]
+ * @param {object} [options.manifest] Parsed deployments/<network>.json
+ * @param {string} [options.address] Explicit target, overrides the manifest
+ */
+async function planAdminAction(hre, action, taskArgs, options = {}) {
+  const target = options.address || options.manifest?.contracts[action.contract]?.address;
+  if (!target) {
+    throw new AdminActionError(`${action.contract} is not in the deployment manifest - pass --address`);
+  }
+
+  const contract = await hre.ethers.getContractAt(action.contract, target);
+
+  const args = [];
+  const decimals = [];
+  for (const { name, type, decimalsOf } of action.params) {
+    const token = decimalsOf && args[action.params.findIndex((param) => param.name === decimalsOf)];
+    decimals.push(token ? await tokenDecimals(hre, token) : undefined);
+    try {
+      args.push(TYPES[type].parse(String(taskArgs[name]), decimals.at(-1)));
+    } catch (error) {
+      throw new AdminActionError(`Invalid --${kebab(name)} "${taskArgs[name]}": ${error.shortMessage || error.message}`);
+    }
+  }
+
+  const problem = action.validate ? await action.validate(contract, args, decimals) : undefined;
+  if (problem) throw new AdminActionError(`${action.contract}.${action.method}: ${problem}`);
+
+  const current = action.current ? await action.current(contract, args) : [];
+  const rows = action.params.map(({ name, type }, i) => ({
+    param: name,
+    current: current[i] === undefined ? "-" : typeof current[i] === "string" ? current[i] : TYPES[type].format(current[i], decimals[i]),
+    proposed: TYPES[type].format(args[i], decimals[i]),
+  }));
+
+  return {
+    action,
+    contract,
+    target: getAddress(target),
+    args,
+    rows,
+    admin: await contract.admin(),
+    data: contract.interface.encodeFunctionData(action.method, args),
+  };
+}
+
+/**
+ * Send a planned call from the connected signer and decode its events
+ * @param {object} plan From planAdminAction()
+ * @param {object} [options]
+ * @param {Function} [options.confirm] async (question) => boolean
+ * @param {Function} [options.log]
+ * @returns {Promise<{hash: string, events: Array<{name: string, args: object}>}|null>} null if declined
+ */
+async function executeAdminAction(hre, plan, options = {}) {
+  const log = options.log || console.log;
+  const confirm = options.confirm || promptConfirm;
+  const { action, contract, target, args } = plan;
+
+  const [signer] = await hre.ethers.getSigners();
+  if (!(await contract.hasRole(await contract[action.role](), signer.address))) {
+    throw new AdminActionError(
+      `Signer ${signer.address} is not the ${action.contract} admin (${plan.admin}) and does not hold ${action.role} - use --export to propose it to the admin multisig`
+    );
+  }
+
+  logPlan(plan, log);
+
+  if (!(await confirm(`\nSend ${action.method} from ${signer.address}?`))) {
+    log("Aborted");
+    return null;
+  }
+
+  const tx = await contract.connect(signer)[action.method](...args);
+  const receipt = await tx.wait();
+  log(`\nMined ${tx.hash} in block ${receipt.blockNumber}`);
+
+  const events = receipt.logs
+    .filter((entry) => entry.address === target)
+    .map((entry) => contract.interface.parseLog(entry))
+    .filter(Boolean)
+    .map((event) => ({ name: event.name, args: namedArgs(event) }));
+
+  for (const event of events) {
+    const fields = Object.entries(event.args).map(([key, value]) => `${key}=${value}`);
+    log(`  ${event.name}(${fields.join(", ")})`);
+  }
+  if (events.length === 0) log("  (no events emitted)");
+
+  return { hash: tx.hash, events };
+}
+
+/**
+ * Append a planned call to a Safe Transaction Builder batch instead of sending it
+ * @param {object} plan From planAdminAction()
+ * @param {object} options
+ * @param {string} options.file Batch file to create or append to
+ * @param {string} [options.safe] Safe that will execute the batch
+ * @param {Function} [options.log]
+ * @returns {Promise<{file: string, transaction: object, batch: object}>}
+ */
+async function exportAdminAction(hre, plan, options) {
+  const log = options.log || console.log;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  logPlan(plan, log);
+
+  const { contract, action } = plan;
+  if (options.safe && !(await contract.hasRole(await contract[action.role](), options.safe))) {
+    log(
+      `\n! ${options.safe} is not the current ${action.contract} admin (${plan.admin}) and does not hold ${action.role} - the call will revert until it does`
+    );
+  }
+
+  const transaction = toSafeTransaction({
+    to: plan.target,
+    data: plan.data,
+    fragment: contract.interface.getFunction(action.method),
+    args: plan.args,
+  });
+  const batch = appendToBatchFile(options.file, { chainId, safeAddress: options.safe }, [transaction]);
+
+  log(`\nExported to ${options.file} (${batch.transactions.length} transaction${batch.transactions.length === 1 ? "" : "s"} in batch)`);
+  return { file: options.file, transaction, batch };
+}
+
+/**
+ * Decimals of the ERC20 a token amount is counted in
+ */
+async function tokenDecimals(hre, token) {
+  const erc20 = new Contract(token, ["function decimals() view returns (uint8)"], hre.ethers.provider);
+  try {
+    return Number(await erc20.decimals());
+  } catch (error) {
+    throw new AdminActionError(`Could not read decimals() of ${token}: ${error.shortMessage || error.message}`);
+  }
+}
+
+function logPlan(plan, log) {
+  log(`\n${plan.action.contract}.${plan.action.method} on ${plan.target}\n`);
+  log(formatTable(plan.rows, [
+    { key: "param", label: "Parameter" },
+    { key: "current", label: "Current" },
+    { key: "proposed", label: "Proposed" },
+  ]));
+}
+
+/**
+ * Interactive y/N prompt. Refuses to guess when there is no terminal.
+ */
+async function promptConfirm(question) {
+  if (!process.stdin.isTTY) {
+    throw new AdminActionError("No terminal to confirm on - pass --yes to send without a prompt");
+  }
+  const readline = require("readline/promises");
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+function namedArgs(event) {
+  return Object.fromEntries(event.fragment.inputs.map((input, i) => [input.name || String(i), event.args[i].toString()]));
+}
+
+function humanizeDuration(seconds) {
+  const value = Number(seconds);
+  for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60]]) {
+    if (value >= size && value % size === 0) return `${value / size}${unit}`;
+  }
+  return `${value}s`;
+}
+
+function kebab(name) {
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+module.exports = {
+  AdminActionError,
+  TYPES,
+  executeAdminAction,
+  exportAdminAction,
+  planAdminAction,
+  promptConfirm,
+};
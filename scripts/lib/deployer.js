@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Thin wrapper around hardhat-ethers that deploys contracts, sends wiring
+ * transactions and records every step in a per-network manifest
+ * (`deployments/<network>.json`).
+ *
+ * RESUMING:
+ * Public RPCs regularly drop a deploy halfway. The manifest is written after
+ * every transaction is sent and again once it is mined, so rerunning the same
+ * script picks up where it stopped:
+ * - A contract whose recorded address has code (and same constructor args) is
+ *   reused instead of redeployed
+ * - A wiring step already mined against the same target is skipped
+ * - A transaction that was sent but never confirmed is waited on, not resent
+ */
+class Deployer {
+  /**
+   * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+   * @param {object} [options]
+   * @param {string} [options.deploymentsDir] Where manifests are written (defaults to <root>/deployments)
+   * @param {boolean} [options.quiet] Suppress progress logging
+   * @param {boolean} [options.reset] Ignore any existing manifest and deploy from scratch
+   */
+  constructor(hre, options = {}) {
+    this.hre = hre;
+    this.ethers = hre.ethers;
+    this.networkName = hre.network.name;
+    this.deploymentsDir = options.deploymentsDir || path.join(hre.config.paths.root, "deployments");
+    this.quiet = Boolean(options.quiet);
+    this.reset = Boolean(options.reset);
+    this.contracts = {};
+    this.manifest = null;
+  }
+
+  get manifestPath() {
+    return path.join(this.deploymentsDir, `${this.networkName}.json`);
+  }
+
+  async init() {
+    [this.signer] = await this.ethers.getSigners();
+    const chainId = Number((await this.ethers.provider.getNetwork()).chainId);
+
+    const previous = this.reset ? null : this._readManifest();
+    if (previous && previous.chainId !== chainId) {
+      throw new Error(
+        `${this.manifestPath} was written for chainId ${previous.chainId}, connected to ${chainId} - rerun with reset to start over`
+      );
+    }
+
+    this.manifest = {
+      network: this.networkName,
+      chainId,
+      deployer: this.signer.address,
+      updatedAt: null,
+      contracts: previous ? previous.contracts : {},
+      steps: previous && previous.steps ? previous.steps : {},
+    };
+
+    this.log(`Deploying to ${this.networkName} (chainId ${chainId}) from ${this.signer.address}`);
+    if (previous) this.log(`Resuming from ${this.manifestPath}`);
+    return this;
+  }
+
+  log(message) {
+    if (!this.quiet) console.log(message);
+  }
+
+  /**
+   * Deploy a contract and record it in the manifest. If the manifest already
+   * holds a live deployment of the same contract with the same arguments, that
+   * deployment is reused.
+   * @param {string} name Manifest key (e.g. "DreamsStaking", "DreamsToken")
+   * @param {string} contractName Artifact name to deploy
+   * @param {Array} args Constructor arguments
+   */
+  async deploy(name, contractName, args = []) {
+    const factory = await this.ethers.getContractFactory(contractName, this.signer);
+    const serializedArgs = serialize(args);
+
+    const existing = this.manifest.contracts[name];
+    if (existing && (await this._isDeployed(existing))) {
+      if (existing.contract !== contractName || !sameArgs(existing.args, serializedArgs)) {
+        throw new Error(
+          `${name} is already deployed at ${existing.address} with a different contract or constructor args - rerun with reset to redeploy`
+        );
+      }
+
+      if (existing.status !== "deployed") {
+        existing.status = "deployed";
+        this.save();
+      }
+
+      const contract = factory.attach(existing.address);
+      this.contracts[name] = contract;
+      this.log(`  ${name.padEnd(24)} ${existing.address} (existing)`);
+      return contract;
+    }
+
+    const contract = await factory.deploy(...args);
+    const address = await contract.getAddress();
+    const txHash = contract.deploymentTransaction().hash;
+
+    // Record before waiting so a dropped connection can still find the tx
+    this.manifest.contracts[name] = { contract: contractName, address, args: serializedArgs, txHash, status: "pending" };
+    this.save();
+
+    await contract.waitForDeployment();
+
+    this.contracts[name] = contract;
+    this.manifest.contracts[name].status = "deployed";
+    this.save();
+
+    this.log(`  ${name.padEnd(24)} ${address}`);
+    return contract;
+  }
+
+  /**
+   * Send a wiring/configuration transaction and wait for it to be mined.
+   * Steps already mined against the same contract with the same arguments are
+   * skipped.
+   * @param {string} label Unique step name, used as the manifest key
+   * @param {import("ethers").Contract} contract Target contract
+   * @param {string} method Function name
+   * @param {Array} args Function arguments
+   */
+  async call(label, contract, method, args = []) {
+    const target = await contract.getAddress();
+    const serializedArgs = serialize(args);
+
+    const existing = this.manifest.steps[label];
+    if (existing && existing.target === target && existing.method === method && sameArgs(existing.args, serializedArgs)) {
+      if (await this._isMined(existing)) {
+        if (existing.status !== "done") {
+          existing.status = "done";
+          this.save();
+        }
+        this.log(`  - ${label} (already done)`);
+        return null;
+      }
+    }
+
+    const tx = await contract[method](...args);
+    this.manifest.steps[label] = { target, method, args: serializedArgs, txHash: tx.hash, status: "pending" };
+    this.save();
+
+    await tx.wait();
+
+    this.manifest.steps[label].status = "done";
+    this.save();
+
+    this.log(`  ✓ ${label}`);
+    return tx;
+  }
+
+  /**
+   * Get a deployed contract by manifest key
+   */
+  get(name) {
+    const contract = this.contracts[name];
+    if (!contract) throw new Error(`Contract "${name}" has not been deployed`);
+    return contract;
+  }
+
+  address(name) {
+    const entry = this.manifest.contracts[name];
+    if (!entry) throw new Error(`Contract "${name}" has not been deployed`);
+    return entry.address;
+  }
+
+  save() {
+    this.manifest.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.deploymentsDir, { recursive: true });
+    fs.writeFileSync(this.manifestPath, JSON.stringify(this.manifest, null, 2) + "\n");
+  }
+
+  _readManifest() {
+    if (!fs.existsSync(this.manifestPath)) return null;
+    return JSON.parse(fs.readFileSync(this.manifestPath, "utf8"));
+  }
+
+  /**
+   * Wait for a recorded transaction that is still in the mempool.
+   * @returns {Promise<import("ethers").TransactionReceipt|null>} null if the node no longer knows the tx
+   */
+  async _settle(txHash) {
+    if (!txHash) return null;
+    const tx = await this.ethers.provider.getTransaction(txHash);
+    if (!tx) return null;
+    if (!tx.blockNumber) this.log(`  … waiting for ${txHash}`);
+    return tx.wait().catch(() => null);
+  }
+
+  async _isDeployed(entry) {
+    if (entry.status === "pending") await this._settle(entry.txHash);
+    const code = await this.ethers.provider.getCode(entry.address);
+    return code !== "0x";
+  }
+
+  async _isMined(step) {
+    // A done step is only trusted if the node still has its receipt - a
+    // restarted local node forgets everything
+    const receipt = await this._settle(step.txHash);
+    return Boolean(receipt && receipt.status === 1);
+  }
+}
+
+/**
+ * Load the manifest for the network hre is connected to
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} [deploymentsDir] Defaults to <root>/deployments
+ */
+function readManifest(hre, deploymentsDir) {
+  const dir = deploymentsDir || path.join(hre.config.paths.root, "deployments");
+  const file = path.join(dir, `${hre.network.name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment manifest at ${file} - deploy to ${hre.network.name} first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Make constructor / call arguments JSON-safe (bigints become strings)
+ */
+function serialize(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serialize);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serialize(item)]));
+  }
+  return value;
+}
+
+function sameArgs(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = { Deployer, readManifest };
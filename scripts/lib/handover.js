@@ -0,0 +1,251 @@
+/**
+ * System-wide admin handover (see tasks/handover.js).
+ *
+ * The pattern is read from each contract's ABI, so the right call is made
+ * without a hand-kept list:
+ *
+ * | Pattern  | Current admin calls        | New admin calls       |
+ * |----------|----------------------------|-----------------------|
+ * | two-step | initiateAdminTransfer(new) | acceptAdminTransfer() |
+ * | ownable  | transferOwnership(new)     | - (immediate)         |
+ * | fixed    | - (no transfer function)   | -                     |
+ *
+ * FLOW:
+ * 1. Read admin / pendingAdmin of every manifest contract
+ * 2. Send (or export to a Safe batch) the calls the current admin has to make
+ * 3. Write the accept calls the new admin has to make as a second batch
+ * 4. Print which contracts are done and which still wait on an accept
+ */
+
+const { ZeroAddress, getAddress } = require("ethers");
+const { AdminActionError, promptConfirm } = require("./admin");
+const { formatTable } = require("./report");
+const { appendToBatchFile, toSafeTransaction } = require("./safe");
+
+const PATTERNS = {
+  "two-step": { getter: "admin", pending: "pendingAdmin", initiate: "initiateAdminTransfer", accept: "acceptAdminTransfer" },
+  ownable: { getter: "owner", initiate: "transferOwnership" },
+  fixed: { getter: "admin" },
+};
+
+const STATUS = {
+  DONE: "done",
+  PENDING: "pending accept",
+  NOT_STARTED: "not started",
+  FIXED: "not transferable",
+};
+
+/**
+ * Work out the admin-transfer pattern from an ABI
+ * @returns {string|null} Key of PATTERNS, or null if the contract has no admin
+ */
+function detectAdminPattern(abi) {
+  const has = (name) => abi.some((item) => item.type === "function" && item.name === name);
+
+  if (has("initiateAdminTransfer") && has("acceptAdminTransfer")) return "two-step";
+  if (has("transferOwnership") && has("owner")) return "ownable";
+  if (has("admin")) return "fixed";
+  return null;
+}
+
+/**
+ * Read the admin state of every manifest contract that has an admin
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} manifest Parsed deployments/<network>.json
+ * @param {string} newAdmin Address taking over
+ * @returns {Promise<Array<{name: string, address: string, pattern: string, admin: string, pending: string|null, status: string, contract: import("ethers").Contract}>>}
+ */
+async function inspectAdmins(hre, manifest, newAdmin) {
+  const target = getAddress(newAdmin);
+  const entries = [];
+
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    const { abi } = await hre.artifacts.readArtifact(entry.contract);
+    const pattern = detectAdminPattern(abi);
+    if (!pattern) continue;
+
+    const { getter, pending: pendingGetter } = PATTERNS[pattern];
+    const contract = await hre.ethers.getContractAt(entry.contract, entry.address);
+    const admin = await contract[getter]();
+    const pending = pendingGetter ? await contract[pendingGetter]() : null;
+
+    let status;
+    if (admin === target) status = STATUS.DONE;
+    else if (pattern === "fixed") status = STATUS.FIXED;
+    else if (pending === target) status = STATUS.PENDING;
+    else status = STATUS.NOT_STARTED;
+
+    entries.push({ name, address: getAddress(entry.address), pattern, admin, pending, status, contract });
+  }
+
+  return entries;
+}
+
+/**
+ * Calls the current admin makes to start (or, for Ownable contracts, complete)
+ * the handover
+ */
+function initiateCalls(entries, newAdmin) {
+  return entries
+    .filter((entry) => entry.status === STATUS.NOT_STARTED)
+    .map((entry) => encodeCall(entry, PATTERNS[entry.pattern].initiate, [getAddress(newAdmin)]));
+}
+
+/**
+ * Calls the new admin makes to finish two-step transfers. Covers contracts
+ * about to be initiated as well as ones already pending.
+ */
+function acceptCalls(entries) {
+  return entries
+    .filter((entry) => PATTERNS[entry.pattern].accept && [STATUS.NOT_STARTED, STATUS.PENDING].includes(entry.status))
+    .map((entry) => encodeCall(entry, PATTERNS[entry.pattern].accept, []));
+}
+
+/**
+ * Hand admin of the whole deployment to a new address
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} manifest Parsed deployments/<network>.json
+ * @param {string} newAdmin Address taking over (usually a Safe)
+ * @param {object} [options]
+ * @param {boolean} [options.status] Only print the report
+ * @param {string} [options.export] Write the initiating calls to this Safe batch instead of sending
+ * @param {string} [options.safe] Safe that will execute the exported initiating batch
+ * @param {string} [options.acceptExport] Write the new admin's accept calls to this Safe batch
+ * @param {Function} [options.confirm] async (question) => boolean
+ * @param {Function} [options.log]
+ * @returns {Promise<{entries: Array, initiated: Array, accepts: Array}>} entries is the state after any sends
+ */
+async function runHandover(hre, manifest, newAdmin, options = {}) {
+  const log = options.log || console.log;
+  const confirm = options.confirm || promptConfirm;
+
+  let target;
+  try {
+    target = getAddress(newAdmin);
+  } catch {
+    throw new AdminActionError(`Invalid --new-admin "${newAdmin}"`);
+  }
+  if (target === ZeroAddress) throw new AdminActionError("New admin cannot be the zero address");
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  let entries = await inspectAdmins(hre, manifest, target);
+
+  log(`\nAdmin handover to ${target} on ${hre.network.name}\n`);
+  logReport(entries, log);
+
+  if (options.status) {
+    logRemaining(entries, log);
+    return { entries, initiated: [], accepts: acceptCalls(entries) };
+  }
+
+  const accepts = acceptCalls(entries);
+  let calls = initiateCalls(entries, target);
+  let initiated = [];
+
+  if (calls.length === 0) {
+    log("\nNothing to initiate");
+  } else if (options.export) {
+    if (options.safe) {
+      for (const call of calls) {
+        const { admin } = entries.find((entry) => entry.name === call.name);
+        if (getAddress(options.safe) !== admin) {
+          log(`! ${options.safe} is not the current ${call.name} admin (${admin}) - that call will revert until it is`);
+        }
+      }
+    }
+    const batch = appendToBatchFile(options.export, { chainId, safeAddress: options.safe }, calls.map(toSafeTransaction));
+    log(`\nExported ${calls.length} initiating call${calls.length === 1 ? "" : "s"} to ${options.export} (${batch.transactions.length} in batch)`);
+    initiated = calls;
+  } else {
+    const [signer] = await hre.ethers.getSigners();
+    const skipped = calls.filter((call) => entries.find((entry) => entry.name === call.name).admin !== signer.address);
+    for (const call of skipped) {
+      log(`! Skipping ${call.name}: signer ${signer.address} is not its admin - use --export to propose it to the admin multisig`);
+    }
+    calls = calls.filter((call) => !skipped.includes(call));
+
+    if (calls.length > 0) {
+      log("");
+      for (const call of calls) {
+        const { pattern } = entries.find((entry) => entry.name === call.name);
+        const immediate = !PATTERNS[pattern].accept ? " (immediate - cannot be undone)" : "";
+        log(`  ${call.name}.${call.method}(${target})${immediate}`);
+      }
+
+      if (!(await confirm(`\nSend ${calls.length} transaction${calls.length === 1 ? "" : "s"} from ${signer.address}?`))) {
+        log("Aborted");
+        return { entries, initiated: [], accepts };
+      }
+
+      for (const call of calls) {
+        const tx = await signer.sendTransaction({ to: call.to, data: call.data });
+        await tx.wait();
+        log(`  ${call.name}.${call.method} ${tx.hash}`);
+      }
+      initiated = calls;
+      entries = await inspectAdmins(hre, manifest, target);
+    }
+  }
+
+  if (accepts.length > 0) {
+    log(`\n${target} must then call:`);
+    for (const call of accepts) log(`  ${call.name}.${call.method}() on ${call.to}`);
+
+    if (options.acceptExport) {
+      appendToBatchFile(options.acceptExport, { chainId, safeAddress: target }, accepts.map(toSafeTransaction));
+      log(`Exported ${accepts.length} accept call${accepts.length === 1 ? "" : "s"} to ${options.acceptExport}`);
+    }
+  }
+
+  if (initiated.length > 0 && !options.export) {
+    log("");
+    logReport(entries, log);
+  }
+  logRemaining(entries, log);
+
+  return { entries, initiated, accepts };
+}
+
+function logReport(entries, log) {
+  log(formatTable(
+    entries.map((entry) => ({ ...entry, pending: entry.pending && entry.pending !== ZeroAddress ? entry.pending : "-" })),
+    [
+      { key: "name", label: "Contract" },
+      { key: "pattern", label: "Pattern" },
+      { key: "admin", label: "Admin" },
+      { key: "pending", label: "Pending" },
+      { key: "status", label: "Status" },
+    ]
+  ));
+}
+
+function logRemaining(entries, log) {
+  const remaining = entries.filter((entry) => entry.status !== STATUS.DONE);
+  if (remaining.length === 0) {
+    log("\nHandover complete");
+    return;
+  }
+  log(`\nStill pending: ${remaining.map((entry) => `${entry.name} (${entry.status})`).join(", ")}`);
+}
+
+function encodeCall(entry, method, args) {
+  const fragment = entry.contract.interface.getFunction(method);
+  return {
+    name: entry.name,
+    to: entry.address,
+    method,
+    args,
+    fragment,
+    data: entry.contract.interface.encodeFunctionData(fragment, args),
+  };
+}
+
+module.exports = {
+  PATTERNS,
+  STATUS,
+  acceptCalls,
+  detectAdminPattern,
+  initiateCalls,
+  inspectAdmins,
+  runHandover,
+};
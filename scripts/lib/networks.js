@@ -0,0 +1,90 @@
+/**
+ * Per-network deployment configuration.
+ *
+ * Live networks read every external address from the environment so nothing
+ * chain-specific is hardcoded here. Token variables follow the existing
+ * `DREAMS_BASE` / `DREAMS_AVALANCHE` naming: `<NAME>_<CHAIN>`.
+ */
+
+const CHAINS = {
+  base: { suffix: "BASE", isAvalanche: false },
+  baseSepolia: { suffix: "BASE_SEPOLIA", isAvalanche: false },
+  avalanche: { suffix: "AVALANCHE", isAvalanche: true },
+  avalancheFuji: { suffix: "AVALANCHE_FUJI", isAvalanche: true },
+};
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const DEFAULT_TWAP_PERIOD = 1800; // 30 minutes
+const DEFAULT_FEED_HEARTBEAT = 3600; // 1 hour
+
+function isLocalNetwork(networkName) {
+  return LOCAL_NETWORKS.includes(networkName);
+}
+
+/**
+ * Build the deployment config for a live network from environment variables.
+ * Throws with the full list of missing variables rather than failing one at a time.
+ * @param {string} networkName Hardhat network name (e.g. "base")
+ * @param {object} env Environment to read from (defaults to process.env)
+ */
+function getNetworkConfig(networkName, env = process.env) {
+  const chain = CHAINS[networkName];
+  if (!chain) {
+    throw new Error(`No deployment config for network "${networkName}"`);
+  }
+
+  const missing = [];
+  const read = (name, { optional = false, fallback } = {}) => {
+    const key = `${name}_${chain.suffix}`;
+    const value = env[key] || fallback;
+    if (!value && !optional) missing.push(key);
+    return value || null;
+  };
+
+  const wrappedNative = read(chain.isAvalanche ? "WAVAX" : "WETH");
+
+  const config = {
+    network: networkName,
+    isAvalanche: chain.isAvalanche,
+    treasury: env.TREASURY_ADDRESS || null,
+    tokens: {
+      dreams: read("DREAMS"),
+      juicy: read("JUICY"),
+      usdc: read("USDC"),
+      wrappedNative,
+      // MilestoneCrowdfunding accepts both ETH and AVAX on every chain;
+      // the native side defaults to the wrapped native token
+      eth: read("ETH_TOKEN", { fallback: chain.isAvalanche ? undefined : wrappedNative }),
+      avax: read("AVAX_TOKEN", { fallback: chain.isAvalanche ? wrappedNative : undefined }),
+    },
+    dexRouter: read("DEX_ROUTER"),
+    oracles: {
+      ethUsdFeed: read("CHAINLINK_ETH_USD"),
+      avaxUsdFeed: read("CHAINLINK_AVAX_USD"),
+      usdcUsdFeed: read("CHAINLINK_USDC_USD"),
+      feedHeartbeat: Number(env.CHAINLINK_HEARTBEAT || DEFAULT_FEED_HEARTBEAT),
+      sequencerUptimeFeed: read("SEQUENCER_UPTIME_FEED", { optional: true }),
+      dreamsJuicyPool: read("DREAMS_JUICY_POOL"),
+      juicyNativePool: read("JUICY_NATIVE_POOL"),
+      twapPeriod: Number(env.TWAP_PERIOD || DEFAULT_TWAP_PERIOD),
+      juicyOracle: read("JUICY_ORACLE", { optional: true }),
+    },
+    backendMinter: env.BACKEND_MINTER_ADDRESS || null,
+    juicyStakingPool: read("JUICY_STAKING_POOL", { optional: true }),
+  };
+
+  if (!config.treasury) missing.push("TREASURY_ADDRESS");
+  if (missing.length > 0) {
+    throw new Error(`Missing deployment config for ${networkName}: ${missing.join(", ")}`);
+  }
+
+  return config;
+}
+
+module.exports = {
+  CHAINS,
+  DEFAULT_TWAP_PERIOD,
+  getNetworkConfig,
+  isLocalNetwork,
+};
@@ -0,0 +1,26 @@
+/**
+ * Plain-text table output for tasks and scripts.
+ */
+
+/**
+ * Render rows as an aligned text table
+ * @param {Array<object>} rows
+ * @param {Array<{key: string, label: string}>} columns
+ * @returns {string}
+ */
+function formatTable(rows, columns) {
+  const cell = (row, key) => String(row[key] ?? "");
+  const widths = columns.map(({ key, label }) =>
+    Math.max(label.length, ...rows.map((row) => cell(row, key).length))
+  );
+
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join("  ").trimEnd();
+
+  return [
+    line(columns.map(({ label }) => label)),
+    line(widths.map((width) => "-".repeat(width))),
+    ...rows.map((row) => line(columns.map(({ key }) => cell(row, key)))),
+  ].join("\n");
+}
+
+module.exports = { formatTable };
@@ -0,0 +1,125 @@
+/**
+ * Safe Transaction Builder batch files.
+ *
+ * Admin actions can be exported instead of sent, so a multisig can review and
+ * sign them in the Safe{Wallet} Transaction Builder app ("Load batch"). Each
+ * transaction carries the raw calldata plus the decoded method and params.
+ * Exporting to an existing file appends, so several changes can be proposed
+ * as one batch.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { solidityPackedKeccak256 } = require("ethers");
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+/**
+ * Safe transaction for one encoded contract call
+ * @param {object} call
+ * @param {string} call.to Target contract
+ * @param {string} call.data ABI-encoded calldata
+ * @param {import("ethers").FunctionFragment} call.fragment Function being called
+ * @param {Array} call.args Call arguments
+ */
+function toSafeTransaction({ to, data, fragment, args }) {
+  const inputs = fragment.inputs.map((input) => ({
+    internalType: input.type,
+    name: input.name,
+    type: input.type,
+  }));
+
+  return {
+    to,
+    value: "0",
+    data,
+    contractMethod: { inputs, name: fragment.name, payable: fragment.payable },
+    contractInputsValues: Object.fromEntries(fragment.inputs.map((input, i) => [input.name, stringify(args[i])])),
+  };
+}
+
+/**
+ * Build a batch file
+ * @param {object} options
+ * @param {number|bigint} options.chainId
+ * @param {string} [options.safeAddress]
+ * @param {string} [options.name]
+ * @param {string} [options.description]
+ * @param {Array} options.transactions From toSafeTransaction()
+ */
+function createBatch({ chainId, safeAddress, name, description, transactions }) {
+  const batch = {
+    version: "1.0",
+    chainId: String(chainId),
+    createdAt: Date.now(),
+    meta: {
+      name: name || "SlothLabs admin batch",
+      description: description || "",
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress || "",
+      createdFromOwnerAddress: "",
+    },
+    transactions,
+  };
+  batch.meta.checksum = calculateChecksum(batch);
+  return batch;
+}
+
+/**
+ * Append transactions to a batch file, creating it if needed
+ * @returns {object} The batch as written
+ */
+function appendToBatchFile(file, { chainId, safeAddress }, transactions) {
+  let batch;
+  if (fs.existsSync(file)) {
+    const existing = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (existing.chainId !== String(chainId)) {
+      throw new Error(`${file} is a batch for chainId ${existing.chainId}, not ${chainId}`);
+    }
+    batch = createBatch({
+      chainId,
+      safeAddress: existing.meta?.createdFromSafeAddress || safeAddress,
+      name: existing.meta?.name,
+      description: existing.meta?.description,
+      transactions: [...existing.transactions, ...transactions],
+    });
+  } else {
+    batch = createBatch({ chainId, safeAddress, transactions });
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+  return batch;
+}
+
+/**
+ * Same checksum the Transaction Builder computes on import: keccak256 of the
+ * key-sorted serialization, with meta.name blanked
+ */
+function calculateChecksum(batch) {
+  const meta = { ...batch.meta, name: null };
+  delete meta.checksum;
+  return solidityPackedKeccak256(["string"], [serialize({ ...batch, meta })]);
+}
+
+function serialize(value) {
+  const replacer = (_key, item) => (item === undefined ? null : item);
+  if (Array.isArray(value)) return `[${value.map(serialize).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${JSON.stringify(keys, replacer)}${keys.map((key) => `${serialize(value[key])},`).join("")}}`;
+  }
+  return JSON.stringify(value, replacer);
+}
+
+function stringify(value) {
+  if (Array.isArray(value)) return JSON.stringify(value.map(stringify));
+  return value.toString();
+}
+
+module.exports = {
+  appendToBatchFile,
+  calculateChecksum,
+  createBatch,
+  toSafeTransaction,
+};
@@ -0,0 +1,322 @@
+/**
+ * Full SlothLabs deployment pipeline.
+ *
+ * ORDER:
+ * 1. Price oracle stack (Chainlink + Uniswap TWAP behind SlothPriceOracle,
+ *    or a manual PriceOracle for local networks)
+ * 2. Core contracts in dependency order
+ * 3. Cross-contract wiring (admin setters)
+ *
+ * Everything is recorded in deployments/<network>.json by the Deployer.
+ */
+
+const { ethers } = require("ethers");
+
+// Local fixture prices (8 decimals, Chainlink format)
+const LOCAL_PRICES = {
+  dreams: ethers.parseUnits("1", 8),
+  juicy: ethers.parseUnits("0.5", 8),
+  usdc: ethers.parseUnits("1", 8),
+  wrappedNative: ethers.parseUnits("2000", 8),
+  avax: ethers.parseUnits("30", 8),
+};
+
+const ROUTER_LIQUIDITY = ethers.parseEther("1000000");
+
+/**
+ * Deploy mock tokens, a mock DEX router and a manual price oracle so the
+ * whole system can run on a local node. Returns a config in the same shape
+ * as getNetworkConfig().
+ * @param {import("./deployer").Deployer} deployer
+ */
+async function deployLocalFixtures(deployer) {
+  deployer.log("\nLocal fixtures:");
+
+  const dreams = await deployer.deploy("DreamsToken", "MockERC20", ["DREAMS Token", "DREAMS", 18]);
+  const juicy = await deployer.deploy("JuicyToken", "MockERC20", ["JUICY Token", "JUICY", 18]);
+  const usdc = await deployer.deploy("USDC", "MockERC20", ["USD Coin", "USDC", 6]);
+  const avax = await deployer.deploy("AvaxToken", "MockERC20", ["Wrapped AVAX", "WAVAX", 18]);
+  const weth = await deployer.deploy("WrappedNative", "MockWETH");
+
+  const tokens = {
+    dreams: await dreams.getAddress(),
+    juicy: await juicy.getAddress(),
+    usdc: await usdc.getAddress(),
+    wrappedNative: await weth.getAddress(),
+    eth: await weth.getAddress(),
+    avax: await avax.getAddress(),
+  };
+
+  const router = await deployer.deploy("DexRouter", "MockDexRouter", [tokens.wrappedNative, tokens.juicy, tokens.dreams]);
+  const routerAddress = await router.getAddress();
+  await deployer.call("Fund router with JUICY", juicy, "mint", [routerAddress, ROUTER_LIQUIDITY]);
+  await deployer.call("Fund router with DREAMS", dreams, "mint", [routerAddress, ROUTER_LIQUIDITY]);
+
+  return {
+    network: deployer.networkName,
+    isAvalanche: false,
+    treasury: process.env.TREASURY_ADDRESS || deployer.signer.address,
+    tokens,
+    dexRouter: routerAddress,
+    oracles: null,
+    backendMinter: process.env.BACKEND_MINTER_ADDRESS || null,
+    juicyStakingPool: null,
+  };
+}
+
+/**
+ * Local oracle stack: manual PriceOracle behind SlothPriceOracle
+ * @returns {Promise<string>} SlothPriceOracle address
+ */
+async function deployLocalOracleStack(deployer, config) {
+  deployer.log("\nOracle stack (local):");
+
+  const priceOracle = await deployer.deploy("PriceOracle", "PriceOracle");
+  const slothOracle = await deployer.deploy("SlothPriceOracle", "SlothPriceOracle");
+  const priceOracleAddress = await priceOracle.getAddress();
+
+  const { tokens } = config;
+  const priced = [
+    [tokens.dreams, LOCAL_PRICES.dreams],
+    [tokens.juicy, LOCAL_PRICES.juicy],
+    [tokens.usdc, LOCAL_PRICES.usdc],
+    [tokens.wrappedNative, LOCAL_PRICES.wrappedNative],
+    [tokens.avax, LOCAL_PRICES.avax],
+  ];
+
+  await deployer.call(
+    "PriceOracle.updatePrices",
+    priceOracle,
+    "updatePrices",
+    [priced.map(([token]) => token), priced.map(([, price]) => price)]
+  );
+
+  for (const [token] of priced) {
+    await deployer.call(`SlothPriceOracle.setTokenOracle(${token})`, slothOracle, "setTokenOracle", [token, priceOracleAddress]);
+  }
+
+  return slothOracle.getAddress();
+}
+
+/**
+ * Production oracle stack: Chainlink feeds for majors, Uniswap TWAP for DREAMS,
+ * both routed through SlothPriceOracle
+ * @returns {Promise<string>} SlothPriceOracle address
+ */
+async function deployOracleStack(deployer, config) {
+  deployer.log("\nOracle stack:");
+
+  const { tokens, oracles } = config;
+
+  const chainlink = await deployer.deploy("ChainlinkPriceOracle", "ChainlinkPriceOracle");
+  const chainlinkAddress = await chainlink.getAddress();
+
+  const nativeFeed = config.isAvalanche ? oracles.avaxUsdFeed : oracles.ethUsdFeed;
+  const feeds = [
+    ["wrapped native", tokens.wrappedNative, nativeFeed],
+    ["ETH", tokens.eth, oracles.ethUsdFeed],
+    ["AVAX", tokens.avax, oracles.avaxUsdFeed],
+    ["USDC", tokens.usdc, oracles.usdcUsdFeed],
+  ];
+  const seen = new Set();
+  for (const [label, token, feed] of feeds) {
+    if (seen.has(token)) continue;
+    seen.add(token);
+    await deployer.call(`ChainlinkPriceOracle.setPriceFeed(${label})`, chainlink, "setPriceFeed", [token, feed, oracles.feedHeartbeat]);
+  }
+
+  if (oracles.sequencerUptimeFeed) {
+    await deployer.call("ChainlinkPriceOracle.setSequencerUptimeFeed", chainlink, "setSequencerUptimeFeed", [oracles.sequencerUptimeFeed]);
+  }
+
+  const twap = await deployer.deploy("UniswapTwapOracle", "UniswapTwapOracle", [
+    oracles.dreamsJuicyPool,
+    oracles.juicyNativePool,
+    tokens.dreams,
+    tokens.juicy,
+    tokens.wrappedNative,
+    chainlinkAddress,
+    oracles.twapPeriod,
+  ]);
+
+  const slothOracle = await deployer.deploy("SlothPriceOracle", "SlothPriceOracle");
+  await deployer.call("SlothPriceOracle.setTokenOracle(DREAMS)", slothOracle, "setTokenOracle", [tokens.dreams, await twap.getAddress()]);
+  for (const token of seen) {
+    await deployer.call(`SlothPriceOracle.setTokenOracle(${token})`, slothOracle, "setTokenOracle", [token, chainlinkAddress]);
+  }
+
+  if (oracles.juicyOracle) {
+    await deployer.call("SlothPriceOracle.setTokenOracle(JUICY)", slothOracle, "setTokenOracle", [tokens.juicy, oracles.juicyOracle]);
+  } else {
+    deployer.log("  ! No JUICY oracle configured - DreamsStaking USD reward views need a JUICY price source");
+  }
+
+  return slothOracle.getAddress();
+}
+
+/**
+ * Deploy the core protocol contracts in dependency order
+ * @param {import("./deployer").Deployer} deployer
+ * @param {object} config Network config
+ * @param {string} priceOracle SlothPriceOracle address
+ */
+async function deployCore(deployer, config, priceOracle) {
+  deployer.log("\nCore contracts:");
+
+  const { tokens, treasury } = config;
+
+  const staking = await deployer.deploy("DreamsStaking", "DreamsStaking", [
+    tokens.dreams,
+    tokens.juicy,
+    priceOracle,
+    treasury,
+  ]);
+  const stakingAddress = await staking.getAddress();
+
+  const zDreams = await deployer.deploy("zDREAMS", "zDREAMS");
+  const zDreamsAddress = await zDreams.getAddress();
+
+  await deployer.deploy("CloudBoost", "CloudBoost", [zDreamsAddress]);
+
+  const dreamNFT = await deployer.deploy("DreamNFT", "DreamNFT");
+
+  await deployer.deploy("DreamMarketplace", "DreamMarketplace", [
+    await dreamNFT.getAddress(),
+    treasury,
+    tokens.dreams,
+    tokens.juicy,
+  ]);
+
+  await deployer.deploy("MilestoneCrowdfunding", "MilestoneCrowdfunding", [
+    tokens.usdc,
+    tokens.eth,
+    tokens.avax,
+    tokens.dreams,
+    priceOracle,
+    treasury,
+  ]);
+
+  await deployer.deploy("DreamsTreasurySale", "DreamsTreasurySale", [
+    tokens.dreams,
+    tokens.juicy,
+    tokens.wrappedNative,
+    config.dexRouter,
+    treasury,
+    config.isAvalanche,
+  ]);
+
+  await deployer.deploy("DreamsTreasuryBuyback", "DreamsTreasuryBuyback", [
+    tokens.dreams,
+    tokens.juicy,
+    tokens.wrappedNative,
+    config.dexRouter,
+    zDreamsAddress,
+    priceOracle,
+    stakingAddress,
+    treasury,
+    config.isAvalanche,
+  ]);
+
+  await deployer.deploy("DreamsStakingVault", "DreamsStakingVault", [
+    tokens.dreams,
+    stakingAddress,
+    config.dexRouter,
+    config.isAvalanche,
+  ]);
+
+  // Transferable stake positions, sold on their own marketplace instance
+  const stakePositions = await deployer.deploy("DreamsStakePositions", "DreamsStakePositions", [stakingAddress]);
+  await deployer.deploy("StakePositionMarketplace", "DreamMarketplace", [
+    await stakePositions.getAddress(),
+    treasury,
+    tokens.dreams,
+    tokens.juicy,
+  ]);
+}
+
+/**
+ * Cross-wire the core contracts. Every pointer that previously had to be set
+ * by hand lives here.
+ */
+async function wireCore(deployer, config) {
+  deployer.log("\nWiring:");
+
+  const staking = deployer.get("DreamsStaking");
+  const zDreams = deployer.get("zDREAMS");
+  const dreamNFT = deployer.get("DreamNFT");
+  const crowdfunding = deployer.get("MilestoneCrowdfunding");
+  const treasurySale = deployer.get("DreamsTreasurySale");
+
+  const stakingAddress = deployer.address("DreamsStaking");
+
+  // Staking <-> zDREAMS <-> CloudBoost
+  await deployer.call("DreamsStaking.setZDreamsToken", staking, "setZDreamsToken", [deployer.address("zDREAMS")]);
+  await deployer.call("zDREAMS.setStakingContract", zDreams, "setStakingContract", [stakingAddress]);
+  await deployer.call("zDREAMS.setCloudBoostContract", zDreams, "setCloudBoostContract", [deployer.address("CloudBoost")]);
+  await deployer.call("CloudBoost.setDreamNFT", deployer.get("CloudBoost"), "setDreamNFT", [deployer.address("DreamNFT")]);
+
+  // Closed-loop treasury
+  await deployer.call("DreamsStaking.setTreasurySaleContract", staking, "setTreasurySaleContract", [deployer.address("DreamsTreasurySale")]);
+  await deployer.call("DreamsStaking.setBuybackContract", staking, "setBuybackContract", [deployer.address("DreamsTreasuryBuyback")]);
+  await deployer.call("DreamsTreasurySale.updateStaking", treasurySale, "updateStaking", [stakingAddress]);
+
+  // NFT minting rights
+  await deployer.call("DreamNFT.authorizeMinter(marketplace)", dreamNFT, "authorizeMinter", [deployer.address("DreamMarketplace")]);
+  if (config.backendMinter) {
+    await deployer.call("DreamNFT.authorizeMinter(backend)", dreamNFT, "authorizeMinter", [config.backendMinter]);
+  }
+
+  // Crowdfunding dispute voting and fee distribution
+  await deployer.call("MilestoneCrowdfunding.setDreamsStakingContract", crowdfunding, "setDreamsStakingContract", [stakingAddress]);
+  await deployer.call("MilestoneCrowdfunding.setDreamsStakingPool", crowdfunding, "setDreamsStakingPool", [stakingAddress]);
+  await deployer.call("MilestoneCrowdfunding.setStakingVault", crowdfunding, "setStakingVault", [deployer.address("DreamsStakingVault")]);
+  await deployer.call("DreamsStaking.setRewardDistributor(crowdfunding)", staking, "setRewardDistributor", [deployer.address("MilestoneCrowdfunding"), true]);
+  // Every token crowdfunding takes fees in, so no staker share is left unstreamed
+  const feeTokens = [
+    ["USDC", config.tokens.usdc],
+    ["ETH", config.tokens.eth],
+    ["AVAX", config.tokens.avax],
+    ["DREAMS", config.tokens.dreams],
+  ];
+  const added = new Set();
+  for (const [name, token] of feeTokens) {
+    if (added.has(token.toLowerCase())) continue;
+    added.add(token.toLowerCase());
+    await deployer.call(`DreamsStaking.addRewardToken(${name})`, staking, "addRewardToken", [token]);
+  }
+  if (config.juicyStakingPool) {
+    await deployer.call("MilestoneCrowdfunding.setJuicyStakingPool", crowdfunding, "setJuicyStakingPool", [config.juicyStakingPool]);
+  }
+}
+
+/**
+ * Run the full pipeline
+ * @param {import("./deployer").Deployer} deployer Initialized deployer
+ * @param {object|null} config Network config, or null to deploy local fixtures
+ */
+async function deploySystem(deployer, config) {
+  let priceOracle;
+  if (config) {
+    priceOracle = await deployOracleStack(deployer, config);
+  } else {
+    config = await deployLocalFixtures(deployer);
+    priceOracle = await deployLocalOracleStack(deployer, config);
+  }
+
+  await deployCore(deployer, config, priceOracle);
+  await wireCore(deployer, config);
+
+  deployer.save();
+  deployer.log(`\nManifest written to ${deployer.manifestPath}`);
+
+  return deployer.manifest;
+}
+
+module.exports = {
+  deployCore,
+  deployLocalFixtures,
+  deployLocalOracleStack,
+  deployOracleStack,
+  deploySystem,
+  wireCore,
+};
@@ -0,0 +1,117 @@
+/**
+ * Block-explorer verification driven by deployments/<network>.json.
+ *
+ * Constructor args come from the manifest. Manifests written before args were
+ * recorded still work: the args are recovered from the deploy transaction by
+ * stripping the artifact's creation bytecode and ABI-decoding the rest.
+ */
+
+const { AbiCoder, Interface } = require("ethers");
+
+/**
+ * Recover constructor args from a deploy transaction
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} contractName Artifact name
+ * @param {string} txHash Deploy transaction hash
+ */
+async function recoverConstructorArgs(hre, contractName, txHash) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const tx = await hre.ethers.provider.getTransaction(txHash);
+  if (!tx) throw new Error(`deploy tx ${txHash} not found`);
+
+  const data = tx.data.toLowerCase();
+  const bytecode = artifact.bytecode.toLowerCase();
+  if (!data.startsWith(bytecode)) {
+    throw new Error(`deploy tx ${txHash} does not match the ${contractName} artifact - recompile with the deploy settings`);
+  }
+
+  const { inputs } = new Interface(artifact.abi).deploy;
+  const decoded = AbiCoder.defaultAbiCoder().decode(inputs, "0x" + data.slice(bytecode.length));
+  return toPlain(decoded.toArray(true));
+}
+
+/**
+ * Constructor args for a manifest entry, recovering them if they were not recorded
+ */
+async function resolveConstructorArgs(hre, entry) {
+  if (Array.isArray(entry.args)) return entry.args;
+  if (!entry.txHash) throw new Error("no constructor args or deploy tx in manifest");
+  return recoverConstructorArgs(hre, entry.contract, entry.txHash);
+}
+
+/**
+ * Default explorer check: the same Etherscan client hardhat-verify uses
+ */
+async function explorerIsVerified(hre, address) {
+  const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+  const chainConfig = await Etherscan.getCurrentChainConfig(hre.network.name, hre.network.provider, hre.config.etherscan.customChains);
+  return Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig).isVerified(address);
+}
+
+async function explorerVerify(hre, { address, constructorArguments, contract }) {
+  await hre.run("verify:verify", { address, constructorArguments, contract });
+}
+
+/**
+ * Verify every contract in the manifest, skipping ones the explorer already has
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} manifest Parsed deployments/<network>.json
+ * @param {object} [options]
+ * @param {string[]} [options.only] Restrict to these manifest keys
+ * @param {Function} [options.isVerified] (hre, address) => Promise<boolean>
+ * @param {Function} [options.verify] (hre, {address, constructorArguments, contract}) => Promise
+ * @param {Function} [options.log]
+ * @returns {Promise<Array<{name: string, address: string, status: string, detail: string}>>}
+ */
+async function verifyManifest(hre, manifest, options = {}) {
+  const isVerified = options.isVerified || explorerIsVerified;
+  const verify = options.verify || explorerVerify;
+  const log = options.log || (() => {});
+
+  const names = Object.keys(manifest.contracts).filter((name) => !options.only || options.only.includes(name));
+  const results = [];
+
+  for (const name of names) {
+    const entry = manifest.contracts[name];
+    const result = { name, address: entry.address, status: "", detail: "" };
+    results.push(result);
+
+    try {
+      if (await isVerified(hre, entry.address)) {
+        result.status = "skipped";
+        result.detail = "already verified";
+        log(`  - ${name} already verified`);
+        continue;
+      }
+
+      const constructorArguments = await resolveConstructorArgs(hre, entry);
+      const artifact = await hre.artifacts.readArtifact(entry.contract);
+      const contract = `${artifact.sourceName}:${artifact.contractName}`;
+
+      log(`  … ${name} (${contract})`);
+      await verify(hre, { address: entry.address, constructorArguments, contract });
+
+      result.status = "verified";
+      result.detail = Array.isArray(entry.args) ? "" : "args recovered from deploy tx";
+      log(`  ✓ ${name}`);
+    } catch (error) {
+      result.status = "failed";
+      result.detail = (error.message || String(error)).split("\n")[0];
+      log(`  ✗ ${name}: ${result.detail}`);
+    }
+  }
+
+  return results;
+}
+
+function toPlain(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  return value;
+}
+
+module.exports = {
+  recoverConstructorArgs,
+  resolveConstructorArgs,
+  verifyManifest,
+};
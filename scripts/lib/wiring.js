@@ -0,0 +1,126 @@
+/**
+ * Post-deploy wiring audit.
+ *
+ * Reads every cross-contract pointer from chain and compares it with the
+ * addresses in deployments/<network>.json. Mirrors the steps in wireCore()
+ * so a half-finished or hand-edited deployment shows up as failed checks.
+ */
+
+const { ZeroAddress } = require("ethers");
+
+/**
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment["ethers"]} ethers
+ * @param {object} manifest Parsed deployments/<network>.json
+ * @returns {Promise<Array<{check: string, expected: string, actual: string, ok: boolean}>>}
+ */
+async function checkWiring(ethers, manifest) {
+  const results = [];
+
+  const address = (name) => manifest.contracts[name]?.address ?? null;
+  const contract = (name) => ethers.getContractAt(manifest.contracts[name].contract, address(name));
+
+  const record = (check, expected, actual, ok = sameAddress(expected, actual)) => {
+    results.push({ check, expected: String(expected), actual: String(actual), ok });
+  };
+
+  /**
+   * Run one check, turning a missing contract or a failed read into a failed row
+   * @param {string} check Row label
+   * @param {string[]} needs Manifest keys the check reads
+   * @param {Function} fn Records the row(s)
+   */
+  const run = async (check, needs, fn) => {
+    const missing = needs.filter((name) => !address(name));
+    if (missing.length > 0) {
+      record(check, "-", `${missing.join(", ")} not in manifest`, false);
+      return;
+    }
+    try {
+      await fn();
+    } catch (error) {
+      record(check, "-", `read failed: ${error.shortMessage || error.message}`, false);
+    }
+  };
+
+  // Staking <-> zDREAMS <-> CloudBoost
+  await run("zDREAMS.stakingContract", ["zDREAMS", "DreamsStaking"], async () => {
+    record("zDREAMS.stakingContract", address("DreamsStaking"), await (await contract("zDREAMS")).stakingContract());
+  });
+  await run("zDREAMS.cloudBoostContract", ["zDREAMS", "CloudBoost"], async () => {
+    record("zDREAMS.cloudBoostContract", address("CloudBoost"), await (await contract("zDREAMS")).cloudBoostContract());
+  });
+  await run("DreamsStaking.zDreamsToken", ["DreamsStaking", "zDREAMS"], async () => {
+    record("DreamsStaking.zDreamsToken", address("zDREAMS"), await (await contract("DreamsStaking")).zDreamsToken());
+  });
+  await run("CloudBoost.zDreamsToken", ["CloudBoost", "zDREAMS"], async () => {
+    record("CloudBoost.zDreamsToken", address("zDREAMS"), await (await contract("CloudBoost")).zDreamsToken());
+  });
+  await run("CloudBoost.dreamNFT", ["CloudBoost", "DreamNFT"], async () => {
+    record("CloudBoost.dreamNFT", address("DreamNFT"), await (await contract("CloudBoost")).dreamNFT());
+  });
+
+  // Closed-loop treasury
+  await run("DreamsStaking.buybackContract", ["DreamsStaking", "DreamsTreasuryBuyback"], async () => {
+    record("DreamsStaking.buybackContract", address("DreamsTreasuryBuyback"), await (await contract("DreamsStaking")).buybackContract());
+  });
+  await run("DreamsStaking.treasurySaleContract", ["DreamsStaking", "DreamsTreasurySale"], async () => {
+    record("DreamsStaking.treasurySaleContract", address("DreamsTreasurySale"), await (await contract("DreamsStaking")).treasurySaleContract());
+  });
+  await run("DreamsTreasuryBuyback.dreamsStaking", ["DreamsTreasuryBuyback", "DreamsStaking"], async () => {
+    record("DreamsTreasuryBuyback.dreamsStaking", address("DreamsStaking"), await (await contract("DreamsTreasuryBuyback")).dreamsStaking());
+  });
+  await run("DreamsTreasurySale.dreamsStaking", ["DreamsTreasurySale", "DreamsStaking"], async () => {
+    const sale = await contract("DreamsTreasurySale");
+    if (await sale.autoStakeEnabled()) {
+      record("DreamsTreasurySale.dreamsStaking", address("DreamsStaking"), await sale.dreamsStaking());
+    } else {
+      record("DreamsTreasurySale.dreamsStaking", "- (auto-stake off)", await sale.dreamsStaking(), true);
+    }
+  });
+
+  // Crowdfunding dispute voting and fee distribution
+  await run("MilestoneCrowdfunding.dreamsStakingContract", ["MilestoneCrowdfunding", "DreamsStaking"], async () => {
+    const crowdfunding = await contract("MilestoneCrowdfunding");
+    record("MilestoneCrowdfunding.dreamsStakingContract", address("DreamsStaking"), await crowdfunding.dreamsStakingContract());
+    record("MilestoneCrowdfunding.dreamsStakingPool", address("DreamsStaking"), await crowdfunding.dreamsStakingPool());
+
+    const staking = await contract("DreamsStaking");
+    const distributor = await staking.rewardDistributors(address("MilestoneCrowdfunding"));
+    record("DreamsStaking.rewardDistributors(crowdfunding)", "true", String(distributor), distributor);
+    for (const name of ["USDC", "ETH", "AVAX", "DREAMS"]) {
+      const listed = await staking.isRewardToken(await crowdfunding[`${name}_ADDRESS`]());
+      record(`DreamsStaking.isRewardToken(${name})`, "true", String(listed), listed);
+    }
+
+    // Lives outside this repo - only require that it is set
+    const juicyPool = await crowdfunding.juicyStakingPool();
+    record("MilestoneCrowdfunding.juicyStakingPool", "(set)", juicyPool, juicyPool !== ZeroAddress);
+  });
+
+  await run("MilestoneCrowdfunding.stakingVault", ["MilestoneCrowdfunding", "DreamsStakingVault"], async () => {
+    record("MilestoneCrowdfunding.stakingVault", address("DreamsStakingVault"), await (await contract("MilestoneCrowdfunding")).stakingVault());
+  });
+  await run("DreamsStakingVault.dreamsStaking", ["DreamsStakingVault", "DreamsStaking"], async () => {
+    record("DreamsStakingVault.dreamsStaking", address("DreamsStaking"), await (await contract("DreamsStakingVault")).dreamsStaking());
+  });
+  await run("DreamsStakePositions.dreamsStaking", ["DreamsStakePositions", "DreamsStaking"], async () => {
+    record("DreamsStakePositions.dreamsStaking", address("DreamsStaking"), await (await contract("DreamsStakePositions")).dreamsStaking());
+  });
+  await run("StakePositionMarketplace.dreamNFT", ["StakePositionMarketplace", "DreamsStakePositions"], async () => {
+    record("StakePositionMarketplace.dreamNFT", address("DreamsStakePositions"), await (await contract("StakePositionMarketplace")).dreamNFT());
+  });
+
+  // NFT minting rights
+  await run("DreamNFT.authorizedMinters(marketplace)", ["DreamNFT", "DreamMarketplace"], async () => {
+    const authorized = await (await contract("DreamNFT")).authorizedMinters(address("DreamMarketplace"));
+    record("DreamNFT.authorizedMinters(marketplace)", "true", String(authorized), authorized);
+  });
+
+  return results;
+}
+
+function sameAddress(a, b) {
+  return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = { checkWiring };
@@ -0,0 +1,54 @@
+/**
+ * One Hardhat task per admin setter, e.g.
+ *
+ *   npx hardhat buyback:set-spread --spread-bps 300 --network base
+ *   npx hardhat staking:set-vesting --cliff 30d --vesting 180d --penalty-bps 2000 --network base
+ *   npx hardhat buyback:set-spread --spread-bps 300 --export batch.json --safe <safe> --network base
+ *
+ * Setters are declared in scripts/lib/admin-actions.js.
+ */
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/lib/deployer");
+const { ACTIONS } = require("../scripts/lib/admin-actions");
+const { AdminActionError, executeAdminAction, exportAdminAction, planAdminAction } = require("../scripts/lib/admin");
+
+for (const action of ACTIONS) {
+  const definition = task(action.task, `${action.description} (${action.contract}.${action.method})`);
+
+  for (const param of action.params) {
+    definition.addParam(param.name, `${param.description} [${param.type}]`);
+  }
+
+  definition
+    .addOptionalParam("address", `${action.contract} address (default: from the deployment manifest)`)
+    .addOptionalParam("deployments", "Directory holding <network>.json manifests")
+    .addOptionalParam("export", "Append to this Safe Transaction Builder batch file instead of sending")
+    .addOptionalParam("safe", "Safe that will execute the exported batch")
+    .addFlag("yes", "Send without asking for confirmation")
+    .setAction(async (taskArgs, hre) => {
+      let manifest = null;
+      if (!taskArgs.address) {
+        try {
+          manifest = readManifest(hre, taskArgs.deployments);
+        } catch (error) {
+          throw new HardhatPluginError(action.task, error.message);
+        }
+      }
+
+      try {
+        const plan = await planAdminAction(hre, action, taskArgs, { manifest, address: taskArgs.address });
+        if (taskArgs.export) {
+          return await exportAdminAction(hre, plan, { file: taskArgs.export, safe: taskArgs.safe });
+        }
+        return await executeAdminAction(hre, plan, {
+          confirm: taskArgs.yes ? async () => true : undefined,
+        });
+      } catch (error) {
+        if (error instanceof AdminActionError) {
+          throw new HardhatPluginError(action.task, error.message);
+        }
+        throw error;
+      }
+    });
+}
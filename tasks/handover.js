@@ -0,0 +1,46 @@
+/**
+ * Move admin of every deployed contract to a new address, e.g. a Safe:
+ *
+ *   npx hardhat admin:handover --new-admin <safe> --accept-export accept.json --network base
+ *   npx hardhat admin:handover --new-admin <safe> --export initiate.json --safe <old-safe> --network base
+ *   npx hardhat admin:handover --new-admin <safe> --status --network base
+ *
+ * Patterns and flow are described in scripts/lib/handover.js.
+ */
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/lib/deployer");
+const { AdminActionError } = require("../scripts/lib/admin");
+const { runHandover } = require("../scripts/lib/handover");
+
+task("admin:handover", "Hand admin of every deployed contract to a new address and report what is still pending")
+  .addParam("newAdmin", "Address taking over admin")
+  .addOptionalParam("deployments", "Directory holding <network>.json manifests")
+  .addOptionalParam("export", "Append the initiating calls to this Safe Transaction Builder batch file instead of sending")
+  .addOptionalParam("safe", "Safe that will execute the exported initiating batch")
+  .addOptionalParam("acceptExport", "Write the new admin's accept calls to this Safe Transaction Builder batch file")
+  .addFlag("status", "Only report each contract's handover state")
+  .addFlag("yes", "Send without asking for confirmation")
+  .setAction(async (taskArgs, hre) => {
+    let manifest;
+    try {
+      manifest = readManifest(hre, taskArgs.deployments);
+    } catch (error) {
+      throw new HardhatPluginError("admin:handover", error.message);
+    }
+
+    try {
+      return await runHandover(hre, manifest, taskArgs.newAdmin, {
+        status: taskArgs.status,
+        export: taskArgs.export,
+        safe: taskArgs.safe,
+        acceptExport: taskArgs.acceptExport,
+        confirm: taskArgs.yes ? async () => true : undefined,
+      });
+    } catch (error) {
+      if (error instanceof AdminActionError) {
+        throw new HardhatPluginError("admin:handover", error.message);
+      }
+      throw error;
+    }
+  });
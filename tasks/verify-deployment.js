@@ -0,0 +1,56 @@
+/**
+ * npx hardhat verify-deployment --network <network>
+ *
+ * Verifies every contract in deployments/<network>.json on the block explorer
+ * configured in hardhat.config.js (Basescan / Snowtrace), skipping contracts
+ * that are already verified, and prints a summary.
+ */
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/lib/deployer");
+const { isLocalNetwork } = require("../scripts/lib/networks");
+const { verifyManifest } = require("../scripts/lib/verification");
+const { formatTable } = require("../scripts/lib/report");
+
+task("verify-deployment", "Verify every deployed contract on the block explorer")
+  .addOptionalParam("deployments", "Directory holding <network>.json manifests")
+  .addOptionalParam("only", "Comma-separated manifest names to verify (default: all)")
+  .setAction(async ({ deployments, only }, hre) => {
+    if (isLocalNetwork(hre.network.name)) {
+      throw new HardhatPluginError("verify-deployment", `${hre.network.name} has no block explorer`);
+    }
+
+    let manifest;
+    try {
+      manifest = readManifest(hre, deployments);
+    } catch (error) {
+      throw new HardhatPluginError("verify-deployment", error.message);
+    }
+
+    console.log(`Verifying ${hre.network.name} deployment:`);
+    const results = await verifyManifest(hre, manifest, {
+      only: only ? only.split(",").map((name) => name.trim()) : undefined,
+      log: console.log,
+    });
+
+    console.log(
+      "\n" +
+        formatTable(results, [
+          { key: "name", label: "Contract" },
+          { key: "address", label: "Address" },
+          { key: "status", label: "Status" },
+          { key: "detail", label: "Detail" },
+        ])
+    );
+
+    const count = (status) => results.filter((row) => row.status === status).length;
+    console.log(`\n${count("verified")} verified, ${count("skipped")} already verified, ${count("failed")} failed`);
+
+    if (count("failed") > 0) {
+      throw new HardhatPluginError(
+        "verify-deployment",
+        `Verification failed for ${results.filter((row) => row.status === "failed").map((row) => row.name).join(", ")}`
+      );
+    }
+    return results;
+  });
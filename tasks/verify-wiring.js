@@ -0,0 +1,44 @@
+/**
+ * npx hardhat verify-wiring --network <network>
+ *
+ * Audits every cross-contract pointer against deployments/<network>.json,
+ * prints a pass/fail table and fails (non-zero exit) on any mismatch.
+ */
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { readManifest } = require("../scripts/lib/deployer");
+const { checkWiring } = require("../scripts/lib/wiring");
+const { formatTable } = require("../scripts/lib/report");
+
+task("verify-wiring", "Check that the deployed contracts point at each other")
+  .addOptionalParam("deployments", "Directory holding <network>.json manifests")
+  .setAction(async ({ deployments }, hre) => {
+    let manifest;
+    try {
+      manifest = readManifest(hre, deployments);
+    } catch (error) {
+      throw new HardhatPluginError("verify-wiring", error.message);
+    }
+    const results = await checkWiring(hre.ethers, manifest);
+
+    console.log(`\nWiring on ${hre.network.name} (chainId ${manifest.chainId}):\n`);
+    console.log(
+      formatTable(
+        results.map((row) => ({ ...row, result: row.ok ? "PASS" : "FAIL" })),
+        [
+          { key: "result", label: "Result" },
+          { key: "check", label: "Check" },
+          { key: "expected", label: "Expected" },
+          { key: "actual", label: "Actual" },
+        ]
+      )
+    );
+
+    const failed = results.filter((row) => !row.ok);
+    console.log(`\n${results.length - failed.length}/${results.length} checks passed`);
+
+    if (failed.length > 0) {
+      throw new HardhatPluginError("verify-wiring", `Wiring check failed: ${failed.map((row) => row.check).join(", ")}`);
+    }
+    return results;
+  });
@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Deployer } = require("../scripts/lib/deployer");
+const { deploySystem } = require("../scripts/lib/system");
+const { STATUS, detectAdminPattern, runHandover } = require("../scripts/lib/handover");
+
+describe("Admin handover", function () {
+  const { ethers } = hre;
+
+  let deploymentsDir;
+  let deployer, manifest, owner, newAdmin;
+  let output;
+
+  const TWO_STEP = [
+    "PriceOracle",
+    "SlothPriceOracle",
+    "DreamsStaking",
+    "zDREAMS",
+    "CloudBoost",
+    "DreamMarketplace",
+    "MilestoneCrowdfunding",
+    "DreamsTreasurySale",
+    "DreamsTreasuryBuyback",
+    "DreamsStakingVault",
+    "StakePositionMarketplace",
+  ];
+  const IMMEDIATE = ["DreamNFT"];
+
+  // Run the task and capture what it prints
+  async function runTask(args) {
+    const log = console.log;
+    output = [];
+    console.log = (...parts) => output.push(parts.join(" "));
+    try {
+      return await hre.run("admin:handover", { deployments: deploymentsDir, yes: true, newAdmin: newAdmin.address, ...args });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  const statusOf = (result) => Object.fromEntries(result.entries.map((entry) => [entry.name, entry.status]));
+
+  beforeEach(async function () {
+    [owner, , newAdmin] = await ethers.getSigners();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "slothlabs-deployments-"));
+    deployer = await new Deployer(hre, { deploymentsDir, quiet: true }).init();
+    manifest = await deploySystem(deployer, null);
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  describe("Patterns", function () {
+    it("should detect the transfer pattern of each contract", async function () {
+      const expected = {
+        DreamsStaking: "two-step",
+        PriceOracle: "two-step",
+        DreamMarketplace: "two-step",
+        DreamsTreasurySale: "two-step",
+        DreamsFaucet: "two-step",
+        DreamNFT: "ownable",
+        UniswapTwapOracle: "fixed",
+        MockERC20: null,
+      };
+      for (const [contract, pattern] of Object.entries(expected)) {
+        const { abi } = await hre.artifacts.readArtifact(contract);
+        expect(detectAdminPattern(abi), contract).to.equal(pattern);
+      }
+    });
+  });
+
+  describe("Status", function () {
+    it("should report every admin contract without sending anything", async function () {
+      const result = await runTask({ status: true });
+
+      const names = result.entries.map((entry) => entry.name);
+      expect(names).to.have.members([...TWO_STEP, ...IMMEDIATE]);
+      expect(Object.values(statusOf(result)).every((status) => status === STATUS.NOT_STARTED)).to.be.true;
+      expect(result.initiated).to.be.empty;
+      expect(await deployer.get("DreamsStaking").pendingAdmin()).to.equal(ethers.ZeroAddress);
+      expect(output.join("\n")).to.include("Still pending");
+    });
+  });
+
+  describe("Handover", function () {
+    it("should initiate two-step transfers and complete ownership transfers", async function () {
+      const result = await runTask({});
+
+      const status = statusOf(result);
+      for (const name of TWO_STEP) expect(status[name], name).to.equal(STATUS.PENDING);
+      for (const name of IMMEDIATE) expect(status[name], name).to.equal(STATUS.DONE);
+
+      expect(await deployer.get("DreamsStaking").pendingAdmin()).to.equal(newAdmin.address);
+      expect(await deployer.get("DreamsStaking").admin()).to.equal(owner.address);
+      expect(await deployer.get("DreamMarketplace").pendingAdmin()).to.equal(newAdmin.address);
+      expect(await deployer.get("DreamsTreasurySale").pendingAdmin()).to.equal(newAdmin.address);
+      expect(await deployer.get("DreamNFT").owner()).to.equal(newAdmin.address);
+
+      expect(output.join("\n")).to.include("(immediate - cannot be undone)");
+    });
+
+    it("should produce the accept-side calls for the new admin", async function () {
+      const acceptFile = path.join(deploymentsDir, "accept.json");
+      const result = await runTask({ acceptExport: acceptFile });
+
+      expect(result.accepts.map((call) => call.name)).to.have.members(TWO_STEP);
+      expect(result.accepts.every((call) => call.method === "acceptAdminTransfer")).to.be.true;
+
+      const batch = JSON.parse(fs.readFileSync(acceptFile, "utf8"));
+      expect(batch.meta.createdFromSafeAddress).to.equal(newAdmin.address);
+      expect(batch.transactions).to.have.length(TWO_STEP.length);
+
+      // The new admin executes the batch
+      for (const tx of batch.transactions) {
+        await newAdmin.sendTransaction({ to: tx.to, data: tx.data });
+      }
+
+      const after = await runTask({ status: true });
+      expect(Object.values(statusOf(after)).every((status) => status === STATUS.DONE)).to.be.true;
+      expect(await deployer.get("CloudBoost").admin()).to.equal(newAdmin.address);
+      expect(output.join("\n")).to.include("Handover complete");
+    });
+
+    it("should report only the contracts still waiting on an accept", async function () {
+      await runTask({});
+      await deployer.get("DreamsStaking").connect(newAdmin).acceptAdminTransfer();
+      await deployer.get("DreamMarketplace").connect(newAdmin).acceptAdminTransfer();
+
+      const result = await runTask({});
+
+      expect(result.initiated).to.be.empty;
+      expect(result.accepts.map((call) => call.name)).to.have.members(
+        TWO_STEP.filter((name) => !["DreamsStaking", "DreamMarketplace"].includes(name))
+      );
+      const pending = output.find((line) => line.includes("Still pending"));
+      expect(pending).to.include("CloudBoost (pending accept)");
+      expect(pending).to.not.include("DreamsStaking (pending accept)");
+    });
+
+    it("should skip contracts the signer does not administer", async function () {
+      const [, other] = await ethers.getSigners();
+      await deployer.get("CloudBoost").initiateAdminTransfer(other.address);
+      await deployer.get("CloudBoost").connect(other).acceptAdminTransfer();
+
+      const result = await runTask({});
+
+      expect(statusOf(result).CloudBoost).to.equal(STATUS.NOT_STARTED);
+      expect(result.initiated.map((call) => call.name)).to.not.include("CloudBoost");
+      expect(output.join("\n")).to.include("Skipping CloudBoost");
+    });
+
+    it("should not send anything when confirmation is declined", async function () {
+      const result = await runHandover(hre, manifest, newAdmin.address, {
+        confirm: async () => false,
+        log: () => {},
+      });
+
+      expect(result.initiated).to.be.empty;
+      expect(await deployer.get("DreamNFT").owner()).to.equal(owner.address);
+    });
+
+    it("should reject the zero address", async function () {
+      await expect(runTask({ newAdmin: ethers.ZeroAddress })).to.be.rejectedWith("zero address");
+    });
+  });
+
+  describe("Safe export", function () {
+    it("should export the initiating calls instead of sending them", async function () {
+      const file = path.join(deploymentsDir, "initiate.json");
+      const result = await runTask({ export: file, safe: owner.address });
+
+      const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+      expect(batch.transactions).to.have.length(TWO_STEP.length + IMMEDIATE.length);
+      const methods = Object.fromEntries(result.initiated.map((call) => [call.name, call.method]));
+      expect(methods.DreamsStaking).to.equal("initiateAdminTransfer");
+      expect(methods.DreamMarketplace).to.equal("initiateAdminTransfer");
+      expect(methods.DreamNFT).to.equal("transferOwnership");
+
+      expect(await deployer.get("DreamsStaking").pendingAdmin()).to.equal(ethers.ZeroAddress);
+      expect(await deployer.get("DreamNFT").owner()).to.equal(owner.address);
+    });
+  });
+});
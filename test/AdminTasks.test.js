@@ -0,0 +1,401 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Deployer } = require("../scripts/lib/deployer");
+const { deploySystem } = require("../scripts/lib/system");
+const { ACTIONS } = require("../scripts/lib/admin-actions");
+const { TYPES, executeAdminAction, planAdminAction } = require("../scripts/lib/admin");
+const { calculateChecksum } = require("../scripts/lib/safe");
+
+describe("Admin tasks", function () {
+  const { ethers } = hre;
+
+  let deploymentsDir;
+  let deployer, manifest, other;
+  let output;
+
+  // Run a task and capture what it prints
+  async function runTask(name, args) {
+    const log = console.log;
+    output = [];
+    console.log = (...parts) => output.push(parts.join(" "));
+    try {
+      return await hre.run(name, { deployments: deploymentsDir, yes: true, ...args });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  const action = (name) => ACTIONS.find((a) => a.task === name);
+
+  beforeEach(async function () {
+    [, other] = await ethers.getSigners();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "slothlabs-deployments-"));
+    deployer = await new Deployer(hre, { deploymentsDir, quiet: true }).init();
+    manifest = await deploySystem(deployer, null);
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  describe("Registration", function () {
+    it("should register a task for every action", async function () {
+      for (const { task } of ACTIONS) {
+        expect(hre.tasks[task], task).to.not.be.undefined;
+      }
+    });
+
+    it("should point every action at an existing function", async function () {
+      for (const { task, contract, method, params } of ACTIONS) {
+        const { abi } = await hre.artifacts.readArtifact(contract);
+        const fragment = abi.find((item) => item.type === "function" && item.name === method);
+        expect(fragment, task).to.not.be.undefined;
+        expect(fragment.inputs, task).to.have.length(params.length);
+      }
+    });
+
+    it("should require a role every target contract defines", async function () {
+      for (const { task, contract, role } of ACTIONS) {
+        const { abi } = await hre.artifacts.readArtifact(contract);
+        expect(abi.some((item) => item.type === "function" && item.name === role), task).to.equal(true);
+      }
+    });
+  });
+
+  describe("Sending", function () {
+    it("should set the buyback spread and print the event", async function () {
+      const result = await runTask("buyback:set-spread", { spreadBps: "300" });
+
+      expect(await deployer.get("DreamsTreasuryBuyback").sellSpreadBps()).to.equal(300);
+      expect(result.events).to.deep.equal([{ name: "SpreadUpdated", args: { oldSpread: "250", newSpread: "300" } }]);
+      expect(output.join("\n")).to.include("SpreadUpdated(oldSpread=250, newSpread=300)");
+    });
+
+    it("should show current next to proposed values", async function () {
+      await runTask("staking:set-vesting", { cliff: "7d", vesting: "90d", penaltyBps: "1000" });
+
+      const table = output.join("\n");
+      expect(table).to.match(/cliff\s+2592000s \(30d\)\s+604800s \(7d\)/);
+      expect(table).to.match(/penaltyBps\s+2000 \(20%\)\s+1000 \(10%\)/);
+
+      const staking = deployer.get("DreamsStaking");
+      expect(await staking.cliffPeriod()).to.equal(7 * 86400);
+      expect(await staking.vestingPeriod()).to.equal(90 * 86400);
+    });
+
+    it("should set buyback limits in whole tokens", async function () {
+      await runTask("buyback:set-limits", { maxPerTx: "50000", dailyGlobal: "500000", dailyUser: "50000" });
+
+      const buyback = deployer.get("DreamsTreasuryBuyback");
+      expect(await buyback.maxSellPerTx()).to.equal(ethers.parseEther("50000"));
+      expect(await buyback.dailySellLimit()).to.equal(ethers.parseEther("500000"));
+    });
+
+    it("should set a manual price override with 8 decimals", async function () {
+      const result = await runTask("buyback:set-price-override", { price: "0.25", duration: "1h" });
+
+      expect(await deployer.get("DreamsTreasuryBuyback").manualPriceOverride()).to.equal(25000000n);
+      expect(result.events[0].name).to.equal("ManualPriceOverrideSet");
+    });
+
+    it("should print circuit breaker updates", async function () {
+      const result = await runTask("buyback:set-circuit-breaker", { maxDeviationBps: "1500", cooldown: "2h", updateInterval: "12h" });
+
+      expect(result.events[0]).to.deep.equal({
+        name: "CircuitBreakerSettingsUpdated",
+        args: { maxDeviationBps: "1500", cooldown: "7200", updateInterval: "43200" },
+      });
+    });
+
+    it("should add a boost tier", async function () {
+      await runTask("boost:add-tier", { cost: "50", sizeBoost: "60" });
+
+      expect(output.join("\n")).to.include("(new tier #4)");
+      const tier = await deployer.get("CloudBoost").boostTiers(4);
+      expect(tier.cost).to.equal(ethers.parseEther("50"));
+      expect(tier.sizeBoost).to.equal(60);
+    });
+
+    it("should target contracts outside the manifest with --address", async function () {
+      const DreamsFaucet = await ethers.getContractFactory("DreamsFaucet");
+      const faucet = await DreamsFaucet.deploy(deployer.address("DreamsToken"));
+      const address = await faucet.getAddress();
+
+      await runTask("faucet:set-claim-amount", { amount: "500", address });
+      await runTask("faucet:set-max-claims", { maxClaims: "3", address });
+      await runTask("faucet:set-max-daily", { amount: "20000", address });
+      expect(await faucet.claimAmount()).to.equal(ethers.parseEther("500"));
+      expect(await faucet.maxClaimsPerAddress()).to.equal(3);
+      expect(await faucet.maxDailyDistribution()).to.equal(ethers.parseEther("20000"));
+    });
+
+    it("should set the buyback's price fallback", async function () {
+      const buyback = deployer.get("DreamsTreasuryBuyback");
+
+      await runTask("buyback:set-chainlink", { enabled: "false", heartbeat: "2h" });
+      expect(await buyback.useChainlinkFallback()).to.equal(false);
+      expect(await buyback.chainlinkHeartbeat()).to.equal(7200);
+
+      await runTask("buyback:set-chainlink-feeds", { ethUsdFeed: other.address, avaxUsdFeed: ethers.ZeroAddress });
+      expect(await buyback.chainlinkEthUsd()).to.equal(other.address);
+
+      await expect(runTask("buyback:set-chainlink", { enabled: "yes", heartbeat: "2h" })).to.be.rejectedWith(
+        /Invalid --enabled "yes": expected true or false/
+      );
+    });
+
+    it("should set a price on the test oracle", async function () {
+      const token = deployer.address("JuicyToken");
+      const result = await runTask("oracle:set-price", { token, price: "0.25" });
+
+      expect(await deployer.get("PriceOracle").prices(token)).to.equal(25000000n);
+      expect(result.events[0].name).to.equal("PriceUpdated");
+    });
+
+    it("should turn dispute votes for vault depositors off with the zero address", async function () {
+      await runTask("crowdfunding:set-staking-vault", { target: ethers.ZeroAddress });
+      expect(await deployer.get("MilestoneCrowdfunding").stakingVault()).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Validation", function () {
+    it("should reject a spread above MAX_SPREAD_BPS without sending", async function () {
+      const nonce = await ethers.provider.getTransactionCount(deployer.signer.address);
+
+      await expect(runTask("buyback:set-spread", { spreadBps: "1001" })).to.be.rejectedWith(
+        /exceeds MAX_SPREAD_BPS \(1000\)/
+      );
+      expect(await ethers.provider.getTransactionCount(deployer.signer.address)).to.equal(nonce);
+    });
+
+    it("should reject a penalty above MAX_PENALTY_BPS", async function () {
+      await expect(runTask("staking:set-vesting", { cliff: "0", vesting: "0", penaltyBps: "5001" })).to.be.rejectedWith(
+        /exceeds MAX_PENALTY_BPS \(5000\)/
+      );
+    });
+
+    it("should reject a treasury bonus above MAX_TREASURY_BONUS_BPS", async function () {
+      await expect(runTask("staking:set-treasury-bonus", { bonusBps: "6000" })).to.be.rejectedWith(
+        /exceeds MAX_TREASURY_BONUS_BPS/
+      );
+    });
+
+    it("should reject a boost tier without a cost", async function () {
+      await expect(runTask("boost:add-tier", { cost: "0", sizeBoost: "60" })).to.be.rejectedWith(
+        /cost and sizeBoost must be greater than zero/
+      );
+    });
+
+    it("should reject an unknown boost tier", async function () {
+      await expect(runTask("boost:update-tier", { tierIndex: "9", cost: "1", sizeBoost: "5" })).to.be.rejectedWith(
+        /tierIndex 9 does not exist \(4 tiers\)/
+      );
+    });
+
+    it("should reject a boost half-life outside its bounds", async function () {
+      await expect(runTask("boost:set-half-life", { halfLife: "30m" })).to.be.rejectedWith(
+        /halfLife must be between MIN_BOOST_HALF_LIFE \(3600s\)/
+      );
+    });
+
+    it("should only reject what the contract would", async function () {
+      // setLimits takes any limits, so the task doesn't second-guess them
+      await runTask("buyback:set-limits", { maxPerTx: "100", dailyGlobal: "50", dailyUser: "10" });
+      expect(await deployer.get("DreamsTreasuryBuyback").maxSellPerTx()).to.equal(ethers.parseEther("100"));
+
+      await expect(runTask("buyback:set-pool-fee", { fee: "16777216" })).to.be.rejectedWith(/fee must fit in a uint24/);
+      await expect(runTask("oracle:set-price", { token: ethers.ZeroAddress, price: "1" })).to.be.rejectedWith(
+        /token cannot be the zero address/
+      );
+    });
+
+    it("should reject funding more rewards than the contract holds", async function () {
+      const token = deployer.address("JuicyToken");
+      await expect(runTask("staking:fund-rewards", { token, amount: "1000", duration: "30d" })).to.be.rejectedWith(
+        /exceeds the unallocated reward balance \(0\.0\) - transfer the tokens first/
+      );
+
+      await deployer.get("JuicyToken").mint(deployer.address("DreamsStaking"), ethers.parseEther("1000"));
+      await runTask("staking:fund-rewards", { token, amount: "1000", duration: "30d" });
+      expect((await deployer.get("DreamsStaking").rewardStreams(token)).periodFinish).to.be.gt(0);
+    });
+
+    it("should count reward amounts in the reward token's decimals", async function () {
+      const token = deployer.address("USDC"); // 6 decimals
+      await deployer.get("USDC").mint(deployer.address("DreamsStaking"), ethers.parseUnits("1000", 6));
+      await expect(runTask("staking:fund-rewards", { token, amount: "1000.5", duration: "30d" })).to.be.rejectedWith(
+        /amount 1000\.5 exceeds the unallocated reward balance \(1000\.0\)/
+      );
+
+      await runTask("staking:fund-rewards", { token, amount: "1000", duration: "30d" });
+      const { rate } = await deployer.get("DreamsStaking").rewardStreams(token);
+      expect(rate).to.equal(ethers.parseUnits("1000", 6) / BigInt(30 * 24 * 60 * 60));
+    });
+
+    it("should reject funding a token that is not streamed", async function () {
+      await expect(
+        runTask("staking:fund-rewards", { token: deployer.address("zDREAMS"), amount: "1", duration: "1d" })
+      ).to.be.rejectedWith(/is not a reward token - add it with staking:add-reward-token/);
+    });
+
+    it("should reject malformed values", async function () {
+      await expect(runTask("buyback:set-spread", { spreadBps: "2.5" })).to.be.rejectedWith(
+        /Invalid --spread-bps "2.5": expected a whole number/
+      );
+      await expect(runTask("staking:set-vesting", { cliff: "soon", vesting: "1d", penaltyBps: "0" })).to.be.rejectedWith(
+        /Invalid --cliff/
+      );
+    });
+
+    it("should refuse to send from a non-admin signer", async function () {
+      await deployer.get("DreamsTreasuryBuyback").initiateAdminTransfer(other.address);
+      await deployer.get("DreamsTreasuryBuyback").connect(other).acceptAdminTransfer();
+
+      await expect(runTask("buyback:set-spread", { spreadBps: "300" })).to.be.rejectedWith(
+        /is not the DreamsTreasuryBuyback admin/
+      );
+    });
+
+    it("should send from a signer holding the action's role", async function () {
+      const buyback = deployer.get("DreamsTreasuryBuyback");
+      await buyback.initiateAdminTransfer(other.address);
+      await buyback.connect(other).acceptAdminTransfer();
+      await buyback.connect(other).grantRole(await buyback.OPERATOR_ROLE(), deployer.signer.address);
+
+      await runTask("buyback:set-spread", { spreadBps: "300" });
+      expect(await buyback.sellSpreadBps()).to.equal(300);
+
+      await expect(runTask("zdreams:set-staking", { target: other.address })).to.be.fulfilled;
+      await deployer.get("zDREAMS").initiateAdminTransfer(other.address);
+      await deployer.get("zDREAMS").connect(other).acceptAdminTransfer();
+      await expect(runTask("zdreams:set-staking", { target: other.address })).to.be.rejectedWith(
+        /does not hold GOVERNOR_ROLE/
+      );
+    });
+  });
+
+  describe("Confirmation", function () {
+    it("should not send when declined", async function () {
+      const plan = await planAdminAction(hre, action("buyback:set-spread"), { spreadBps: "400" }, { manifest });
+      const result = await executeAdminAction(hre, plan, { confirm: async () => false, log: () => {} });
+
+      expect(result).to.equal(null);
+      expect(await deployer.get("DreamsTreasuryBuyback").sellSpreadBps()).to.equal(250);
+    });
+
+    it("should ask before sending", async function () {
+      const questions = [];
+      const plan = await planAdminAction(hre, action("staking:set-treasury-bonus"), { bonusBps: "500" }, { manifest });
+      await executeAdminAction(hre, plan, {
+        confirm: async (question) => questions.push(question) > 0,
+        log: () => {},
+      });
+
+      expect(questions).to.have.length(1);
+      expect(questions[0]).to.include("setTreasuryBonus");
+      expect(await deployer.get("DreamsStaking").treasuryBonusBps()).to.equal(500);
+    });
+  });
+
+  describe("Safe export", function () {
+    let batchFile;
+
+    beforeEach(function () {
+      batchFile = path.join(deploymentsDir, "batch.json");
+    });
+
+    const readBatch = () => JSON.parse(fs.readFileSync(batchFile, "utf8"));
+
+    it("should write a Transaction Builder batch instead of sending", async function () {
+      const nonce = await ethers.provider.getTransactionCount(deployer.signer.address);
+      await runTask("buyback:set-spread", { spreadBps: "300", export: batchFile, safe: other.address });
+
+      expect(await ethers.provider.getTransactionCount(deployer.signer.address)).to.equal(nonce);
+      expect(await deployer.get("DreamsTreasuryBuyback").sellSpreadBps()).to.equal(250);
+
+      const batch = readBatch();
+      expect(batch.version).to.equal("1.0");
+      expect(batch.chainId).to.equal("31337");
+      expect(batch.meta.createdFromSafeAddress).to.equal(other.address);
+      expect(batch.meta.checksum).to.equal(calculateChecksum(batch));
+
+      const buyback = deployer.get("DreamsTreasuryBuyback");
+      expect(batch.transactions).to.deep.equal([
+        {
+          to: deployer.address("DreamsTreasuryBuyback"),
+          value: "0",
+          data: buyback.interface.encodeFunctionData("setSpread", [300]),
+          contractMethod: {
+            inputs: [{ internalType: "uint256", name: "_spreadBps", type: "uint256" }],
+            name: "setSpread",
+            payable: false,
+          },
+          contractInputsValues: { _spreadBps: "300" },
+        },
+      ]);
+    });
+
+    it("should append to an existing batch", async function () {
+      await runTask("staking:set-vesting", { cliff: "7d", vesting: "90d", penaltyBps: "1000", export: batchFile });
+      await runTask("staking:set-buyback", { target: other.address, export: batchFile });
+
+      const batch = readBatch();
+      expect(batch.transactions.map((tx) => tx.contractMethod.name)).to.deep.equal(["setVestingConfig", "setBuybackContract"]);
+      expect(batch.transactions[0].contractInputsValues).to.deep.equal({
+        _cliffPeriod: "604800",
+        _vestingPeriod: "7776000",
+        _penaltyBps: "1000",
+      });
+      expect(batch.meta.checksum).to.equal(calculateChecksum(batch));
+    });
+
+    it("should export when the signer is not the admin and the admin can execute it", async function () {
+      const buyback = deployer.get("DreamsTreasuryBuyback");
+      await buyback.initiateAdminTransfer(other.address);
+      await buyback.connect(other).acceptAdminTransfer();
+
+      await runTask("buyback:set-limits", {
+        maxPerTx: "10",
+        dailyGlobal: "1000",
+        dailyUser: "100",
+        export: batchFile,
+        safe: other.address,
+      });
+
+      const [tx] = readBatch().transactions;
+      await other.sendTransaction({ to: tx.to, data: tx.data, value: tx.value });
+      expect(await buyback.maxSellPerTx()).to.equal(ethers.parseEther("10"));
+    });
+
+    it("should warn when the Safe is not the current admin", async function () {
+      await runTask("buyback:set-spread", { spreadBps: "300", export: batchFile, safe: other.address });
+      expect(output.join("\n")).to.include(`${other.address} is not the current DreamsTreasuryBuyback admin`);
+    });
+
+    it("should still validate before exporting", async function () {
+      await expect(runTask("buyback:set-spread", { spreadBps: "5000", export: batchFile })).to.be.rejectedWith(
+        /exceeds MAX_SPREAD_BPS/
+      );
+      expect(fs.existsSync(batchFile)).to.equal(false);
+    });
+
+    it("should refuse to append to a batch for another chain", async function () {
+      fs.writeFileSync(batchFile, JSON.stringify({ version: "1.0", chainId: "8453", meta: {}, transactions: [] }));
+      await expect(runTask("buyback:set-spread", { spreadBps: "300", export: batchFile })).to.be.rejectedWith(
+        /batch for chainId 8453/
+      );
+    });
+  });
+
+  describe("Types", function () {
+    it("should parse durations with units", function () {
+      expect(TYPES.duration.parse("90")).to.equal(90n);
+      expect(TYPES.duration.parse("2h")).to.equal(7200n);
+      expect(TYPES.duration.parse("30d")).to.equal(2592000n);
+      expect(TYPES.duration.format(86400n)).to.equal("86400s (1d)");
+    });
+  });
+});
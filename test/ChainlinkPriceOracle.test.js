@@ -45,6 +45,17 @@ describe("ChainlinkPriceOracle", function () {
       expect(price).to.equal(ethers.parseUnits("2000", 8));
     });
 
+    it("should return the price with the time it was updated", async function () {
+      const now = await time.latest();
+      const oneHourAgo = now - 3600;
+      await mockPriceFeed.set(1, ethers.parseUnits("2000", 8), now - 60, now - 60, 1);
+      await mockSequencerFeed.set(1, 0, oneHourAgo, oneHourAgo, 1);
+
+      const [price, updatedAt] = await chainlinkOracle.getPriceWithTimestamp(await tokenA.getAddress());
+      expect(price).to.equal(ethers.parseUnits("2000", 8));
+      expect(updatedAt).to.equal(now - 60);
+    });
+
     it("should revert if sequencer is down", async function () {
         const now = await time.latest();
         const oneHourAgo = now - 3600;
@@ -91,4 +102,46 @@ describe("ChainlinkPriceOracle", function () {
         ).to.be.revertedWithCustomError(chainlinkOracle, "PriceFeedNotSet");
     });
   });
+
+  describe("Roles", function () {
+
+    it("should let the admin grant and revoke roles", async function () {
+      const role = await chainlinkOracle.OPERATOR_ROLE();
+
+      await expect(chainlinkOracle.connect(admin).grantRole(role, owner.address))
+        .to.emit(chainlinkOracle, "RoleGranted")
+        .withArgs(role, owner.address, admin.address);
+      expect(await chainlinkOracle.hasRole(role, owner.address)).to.equal(true);
+
+      await expect(chainlinkOracle.connect(admin).revokeRole(role, owner.address))
+        .to.emit(chainlinkOracle, "RoleRevoked")
+        .withArgs(role, owner.address, admin.address);
+      expect(await chainlinkOracle.hasRole(role, owner.address)).to.equal(false);
+    });
+
+    it("should reject role changes from non-admin", async function () {
+      const role = await chainlinkOracle.GOVERNOR_ROLE();
+
+      await expect(
+        chainlinkOracle.connect(owner).grantRole(role, owner.address)
+      ).to.be.revertedWithCustomError(chainlinkOracle, "NotRoleAdmin");
+
+      await expect(
+        chainlinkOracle.connect(owner).revokeRole(role, admin.address)
+      ).to.be.revertedWithCustomError(chainlinkOracle, "NotRoleAdmin");
+    });
+
+    it("should let a governor set price feeds but not an operator", async function () {
+      await chainlinkOracle.connect(admin).grantRole(await chainlinkOracle.OPERATOR_ROLE(), owner.address);
+
+      await expect(
+        chainlinkOracle.connect(owner).setSequencerUptimeFeed(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(chainlinkOracle, "MissingRole")
+        .withArgs(await chainlinkOracle.GOVERNOR_ROLE(), owner.address);
+
+      await chainlinkOracle.connect(admin).grantRole(await chainlinkOracle.GOVERNOR_ROLE(), owner.address);
+      await chainlinkOracle.connect(owner).setSequencerUptimeFeed(ethers.ZeroAddress);
+      expect(await chainlinkOracle.sequencerUptimeFeed()).to.equal(ethers.ZeroAddress);
+    });
+  });
 });
@@ -0,0 +1,703 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("CloudBoost", function () {
+  let cloudBoost, zDreams;
+  let owner, user;
+
+  beforeEach(async function () {
+    [owner, user] = await ethers.getSigners();
+
+    const ZDREAMS = await ethers.getContractFactory("zDREAMS");
+    zDreams = await ZDREAMS.deploy();
+
+    const CloudBoost = await ethers.getContractFactory("CloudBoost");
+    cloudBoost = await CloudBoost.deploy(await zDreams.getAddress());
+  });
+
+  describe("Roles", function () {
+
+    it("should let the admin grant and revoke roles", async function () {
+      const role = await cloudBoost.OPERATOR_ROLE();
+
+      await expect(cloudBoost.connect(owner).grantRole(role, user.address))
+        .to.emit(cloudBoost, "RoleGranted")
+        .withArgs(role, user.address, owner.address);
+      expect(await cloudBoost.hasRole(role, user.address)).to.equal(true);
+
+      await expect(cloudBoost.connect(owner).revokeRole(role, user.address))
+        .to.emit(cloudBoost, "RoleRevoked")
+        .withArgs(role, user.address, owner.address);
+      expect(await cloudBoost.hasRole(role, user.address)).to.equal(false);
+    });
+
+    it("should reject role changes from non-admin", async function () {
+      const role = await cloudBoost.GOVERNOR_ROLE();
+
+      await expect(
+        cloudBoost.connect(user).grantRole(role, user.address)
+      ).to.be.revertedWithCustomError(cloudBoost, "NotRoleAdmin");
+
+      await expect(
+        cloudBoost.connect(user).revokeRole(role, owner.address)
+      ).to.be.revertedWithCustomError(cloudBoost, "NotRoleAdmin");
+    });
+
+    it("should let an operator manage boost tiers but not rewire the contract", async function () {
+      await cloudBoost.grantRole(await cloudBoost.OPERATOR_ROLE(), user.address);
+      const count = await cloudBoost.getBoostTierCount();
+
+      await expect(cloudBoost.connect(user).addBoostTier(ethers.parseEther("10"), 20))
+        .to.emit(cloudBoost, "BoostTierAdded")
+        .withArgs(count, ethers.parseEther("10"), 20);
+
+      await expect(
+        cloudBoost.connect(user).setZDreamsToken(user.address)
+      ).to.be.revertedWithCustomError(cloudBoost, "MissingRole")
+        .withArgs(await cloudBoost.GOVERNOR_ROLE(), user.address);
+    });
+
+    it("should let a governor rewire the contract but not manage tiers", async function () {
+      await cloudBoost.grantRole(await cloudBoost.GOVERNOR_ROLE(), user.address);
+
+      await cloudBoost.connect(user).setZDreamsToken(user.address);
+      expect(await cloudBoost.zDreamsToken()).to.equal(user.address);
+
+      await expect(
+        cloudBoost.connect(user).updateBoostTier(0, 1, 1)
+      ).to.be.revertedWithCustomError(cloudBoost, "MissingRole")
+        .withArgs(await cloudBoost.OPERATOR_ROLE(), user.address);
+    });
+  });
+
+  describe("Decay", function () {
+    const DAY = 24 * 60 * 60;
+    const HALF_LIFE = 7 * DAY;
+    const PRECISION = 10n ** 18n;
+    // Doubles are good to ~1e-16, so allow a little more than that
+    const TOLERANCE = 10000n;
+
+    // Reference: 0.5^(elapsed / halfLife), scaled like the contract
+    const referenceFactor = (elapsed, halfLife = HALF_LIFE) =>
+      BigInt(Math.round(Math.pow(0.5, elapsed / halfLife) * 1e18));
+
+    async function boostAt(timestamp, dreamId = "dream-1", tierIndex = 3) {
+      await time.setNextBlockTimestamp(timestamp);
+      await cloudBoost.connect(user).boostDream(dreamId, tierIndex);
+    }
+
+    beforeEach(async function () {
+      await zDreams.setStakingContract(owner.address);
+      await zDreams.setCloudBoostContract(await cloudBoost.getAddress());
+      await zDreams.mint(user.address, ethers.parseEther("10000"));
+    });
+
+    it("should match 0.5^(t / halfLife) across many timestamps", async function () {
+      const samples = [0, 1, 60, 3600, DAY / 2, DAY, 3 * DAY, HALF_LIFE - 1, HALF_LIFE, HALF_LIFE + 1, 10 * DAY];
+      for (let i = 1; i <= 50; i++) samples.push(Math.floor((i * 5 * HALF_LIFE) / 7) + i * 997);
+      samples.push(20 * HALF_LIFE, 45 * HALF_LIFE);
+
+      for (const elapsed of samples) {
+        const factor = await cloudBoost.getDecayFactor(elapsed);
+        expect(factor, `elapsed ${elapsed}`).to.be.closeTo(referenceFactor(elapsed), TOLERANCE);
+      }
+    });
+
+    it("should halve exactly at each half-life", async function () {
+      expect(await cloudBoost.getDecayFactor(0)).to.equal(PRECISION);
+      expect(await cloudBoost.getDecayFactor(HALF_LIFE)).to.equal(PRECISION / 2n);
+      expect(await cloudBoost.getDecayFactor(3 * HALF_LIFE)).to.equal(PRECISION / 8n);
+      expect(await cloudBoost.getDecayFactor(60 * HALF_LIFE)).to.equal(0);
+    });
+
+    it("should decay a boost along the curve instead of undershooting it", async function () {
+      const start = (await time.latest()) + 100;
+      await boostAt(start);
+
+      for (const elapsed of [DAY, 3 * DAY, HALF_LIFE + DAY / 2, 2 * HALF_LIFE + 5 * DAY, 5 * HALF_LIFE + DAY]) {
+        await time.increaseTo(start + elapsed);
+        const expected = (100n * referenceFactor(elapsed)) / PRECISION;
+        expect(await cloudBoost.getEffectiveBoost("dream-1"), `elapsed ${elapsed}`).to.equal(expected);
+      }
+    });
+
+    it("should keep decaying past five half-lives", async function () {
+      const start = (await time.latest()) + 100;
+      await boostAt(start);
+      await time.increaseTo(start + 5 * HALF_LIFE);
+
+      // 100 / 32
+      expect(await cloudBoost.getEffectiveBoost("dream-1")).to.equal(3);
+    });
+
+    it("should not compound rounding when a dream is boosted repeatedly", async function () {
+      const start = (await time.latest()) + 100;
+      let reference = 0;
+      let last = start;
+
+      // A Spark (+5%) every 13 hours for 20 boosts
+      for (let i = 0; i < 20; i++) {
+        const at = start + i * 13 * 3600;
+        reference = reference * Math.pow(0.5, (at - last) / HALF_LIFE) + 5;
+        last = at;
+        await boostAt(at, "popular", 0);
+      }
+
+      await time.increaseTo(last + 2 * DAY);
+      const expected = reference * Math.pow(0.5, (2 * DAY) / HALF_LIFE);
+      const info = await cloudBoost.dreamBoosts("popular");
+      expect(info.totalBoostPoints).to.equal(Math.floor(reference));
+      expect(await cloudBoost.getEffectiveBoost("popular")).to.equal(Math.floor(expected));
+    });
+
+    it("should let an operator change the half-life", async function () {
+      const start = (await time.latest()) + 100;
+      await boostAt(start);
+
+      await expect(cloudBoost.setBoostHalfLife(DAY))
+        .to.emit(cloudBoost, "BoostHalfLifeUpdated")
+        .withArgs(HALF_LIFE, DAY);
+
+      await time.increaseTo(start + 2 * DAY);
+      expect(await cloudBoost.getEffectiveBoost("dream-1")).to.equal(25);
+      expect(await cloudBoost.getDecayFactor(DAY / 3)).to.be.closeTo(referenceFactor(DAY / 3, DAY), TOLERANCE);
+    });
+
+    it("should reject a half-life outside the bounds", async function () {
+      await expect(cloudBoost.setBoostHalfLife(60))
+        .to.be.revertedWithCustomError(cloudBoost, "InvalidHalfLife");
+      await expect(cloudBoost.setBoostHalfLife(366 * DAY))
+        .to.be.revertedWithCustomError(cloudBoost, "InvalidHalfLife");
+      await expect(
+        cloudBoost.connect(user).setBoostHalfLife(DAY)
+      ).to.be.revertedWithCustomError(cloudBoost, "MissingRole")
+        .withArgs(await cloudBoost.OPERATOR_ROLE(), user.address);
+    });
+  });
+
+  describe("Leaderboards", function () {
+    const SPARK = 0; // +5
+    const GLOW = 1; // +15
+    const SUPERNOVA = 3; // +100
+
+    async function ranking(epoch) {
+      const [dreamIds, points] = await cloudBoost.getEpochLeaderboard(epoch);
+      return dreamIds.map((dreamId, i) => [dreamId, Number(points[i])]);
+    }
+
+    beforeEach(async function () {
+      await zDreams.setStakingContract(owner.address);
+      await zDreams.setCloudBoostContract(await cloudBoost.getAddress());
+      await zDreams.mint(user.address, ethers.parseEther("10000"));
+    });
+
+    it("should rank dreams by the points they received in the epoch", async function () {
+      await cloudBoost.connect(user).boostDream("dream-a", SPARK);
+      await cloudBoost.connect(user).boostDream("dream-b", GLOW);
+      await cloudBoost.connect(user).boostDream("dream-c", SUPERNOVA);
+
+      expect(await ranking(0)).to.deep.equal([["dream-c", 100], ["dream-b", 15], ["dream-a", 5]]);
+      expect(await cloudBoost.epochTotalPoints(0)).to.equal(120);
+      expect(await cloudBoost.epochTotalSpent(0)).to.equal(ethers.parseEther("106"));
+    });
+
+    it("should move a dream up as it collects more boosts", async function () {
+      await cloudBoost.connect(user).boostDream("dream-a", GLOW);
+      await cloudBoost.connect(user).boostDream("dream-b", GLOW);
+      expect((await ranking(0)).map(([dreamId]) => dreamId)).to.deep.equal(["dream-a", "dream-b"]);
+
+      await cloudBoost.connect(user).boostDreamMultiple("dream-b", [SPARK], [2]);
+
+      expect(await ranking(0)).to.deep.equal([["dream-b", 25], ["dream-a", 15]]);
+      expect(await cloudBoost.getEpochBoostPoints(0, "dream-b")).to.equal(25);
+    });
+
+    it("should count points beyond the size cap", async function () {
+      for (let i = 0; i < 6; i++) await cloudBoost.connect(user).boostDream("dream-a", SUPERNOVA);
+
+      expect(await cloudBoost.getEffectiveBoost("dream-a")).to.equal(500);
+      expect(await cloudBoost.getEpochBoostPoints(0, "dream-a")).to.equal(600);
+    });
+
+    it("should keep only the top dreams and let a new one push out the last", async function () {
+      const size = Number(await cloudBoost.LEADERBOARD_SIZE());
+      for (let i = 0; i < size; i++) await cloudBoost.connect(user).boostDream(`dream-${i}`, GLOW);
+
+      // Not enough to take last place
+      await cloudBoost.connect(user).boostDream("late", SPARK);
+      let board = await ranking(0);
+      expect(board).to.have.length(size);
+      expect(board.map(([dreamId]) => dreamId)).to.not.include("late");
+      expect(await cloudBoost.getEpochBoostPoints(0, "late")).to.equal(5);
+
+      await cloudBoost.connect(user).boostDream("late", GLOW);
+      board = await ranking(0);
+      expect(board).to.have.length(size);
+      expect(board[0]).to.deep.equal(["late", 20]);
+      expect(board.map(([dreamId]) => dreamId)).to.not.include(`dream-${size - 1}`);
+    });
+
+    it("should start a fresh leaderboard each epoch", async function () {
+      await cloudBoost.connect(user).boostDream("dream-a", SUPERNOVA);
+
+      await expect(cloudBoost.advanceEpoch(1))
+        .to.emit(cloudBoost, "EpochAdvanced")
+        .withArgs(0, 1);
+      await cloudBoost.connect(user).boostDream("dream-b", SPARK);
+
+      expect(await ranking(0)).to.deep.equal([["dream-a", 100]]);
+      expect(await ranking(1)).to.deep.equal([["dream-b", 5]]);
+      expect(await cloudBoost.epochTotalPoints(1)).to.equal(5);
+    });
+
+    it("should only move epochs forward, and only for operators", async function () {
+      await cloudBoost.advanceEpoch(3);
+      await expect(cloudBoost.advanceEpoch(3))
+        .to.be.revertedWithCustomError(cloudBoost, "InvalidEpoch");
+      await expect(
+        cloudBoost.connect(user).advanceEpoch(4)
+      ).to.be.revertedWithCustomError(cloudBoost, "MissingRole")
+        .withArgs(await cloudBoost.OPERATOR_ROLE(), user.address);
+    });
+  });
+
+  describe("Boost rewards", function () {
+    let dreamNFT, rewardToken;
+    let creator, booster;
+
+    const SPARK = 0; // 1 zDREAMS
+    const SUPERNOVA = 3; // 100 zDREAMS
+    const FUNDING = ethers.parseEther("1000");
+
+    async function mintDream(mongoId, contentSeed = mongoId) {
+      await dreamNFT.mintDream(
+        creator.address,
+        ethers.keccak256(ethers.toUtf8Bytes(contentSeed)),
+        "ipfs://QmTest",
+        {
+          mongoId,
+          title: "Test Dream",
+          category: "Technology",
+          realm: "daydream",
+          epochId: 1,
+          originalCreator: creator.address,
+          mintedAt: Math.floor(Date.now() / 1000),
+          ipTier: 0,
+          licenseType: 0,
+        }
+      );
+    }
+
+    beforeEach(async function () {
+      [owner, user, creator, booster] = await ethers.getSigners();
+
+      const DreamNFT = await ethers.getContractFactory("DreamNFT");
+      dreamNFT = await DreamNFT.deploy();
+      await cloudBoost.setDreamNFT(await dreamNFT.getAddress());
+      await mintDream("dream-1");
+      await cloudBoost.registerDream(1);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      rewardToken = await MockERC20.deploy("DREAMS Token", "DREAMS", 18);
+      await rewardToken.mint(owner.address, FUNDING);
+      await rewardToken.approve(await cloudBoost.getAddress(), FUNDING);
+
+      // 1 DREAMS per zDREAMS spent: 20% to the creator, 10% to early boosters
+      await cloudBoost.setRewardToken(await rewardToken.getAddress(), ethers.parseEther("1"));
+      await cloudBoost.setRewardSplit(2000, 1000);
+      await cloudBoost.fundRewards(FUNDING);
+
+      await zDreams.setStakingContract(owner.address);
+      await zDreams.setCloudBoostContract(await cloudBoost.getAddress());
+      for (const account of [user, booster]) await zDreams.mint(account.address, ethers.parseEther("10000"));
+    });
+
+    describe("Registry", function () {
+      it("should link a dream ID to its DreamNFT token", async function () {
+        expect(await cloudBoost.getDreamTokenId("dream-1")).to.equal(1);
+        expect(await cloudBoost.getDreamTokenId("unknown")).to.equal(0);
+
+        await mintDream("dream-2");
+        await expect(cloudBoost.connect(user).registerDream(2))
+          .to.emit(cloudBoost, "DreamRegistered")
+          .withArgs("dream-2", 2);
+      });
+
+      it("should not register a dream ID twice", async function () {
+        await mintDream("dream-1", "same id, other content");
+        await expect(cloudBoost.registerDream(2))
+          .to.be.revertedWithCustomError(cloudBoost, "DreamAlreadyRegistered")
+          .withArgs(1);
+      });
+
+      it("should reject tokens that don't exist", async function () {
+        await expect(cloudBoost.registerDream(99))
+          .to.be.revertedWithCustomError(dreamNFT, "TokenDoesNotExist");
+      });
+    });
+
+    describe("Token links", function () {
+      it("should boost a dream by token ID and register it on first use", async function () {
+        await mintDream("dream-2");
+        await expect(cloudBoost.connect(user).boostToken(2, SPARK))
+          .to.emit(cloudBoost, "DreamRegistered")
+          .withArgs("dream-2", 2)
+          .and.to.emit(cloudBoost, "DreamBoosted");
+
+        expect(await cloudBoost.getDreamTokenId("dream-2")).to.equal(2);
+        expect(await cloudBoost.getTokenEffectiveBoost(2)).to.equal(5);
+        expect(await cloudBoost.getEffectiveBoost("dream-2")).to.equal(5);
+
+        // Already linked: no second registration
+        await expect(cloudBoost.connect(user).boostToken(2, SPARK))
+          .to.not.emit(cloudBoost, "DreamRegistered");
+        expect((await cloudBoost.dreamBoosts("dream-2")).totalSpent).to.equal(ethers.parseEther("2"));
+        expect(await cloudBoost.getTokenEffectiveBoost(2)).to.equal(await cloudBoost.getEffectiveBoost("dream-2"));
+      });
+
+      it("should reject tokens that don't exist or whose dream ID belongs to another token", async function () {
+        await expect(cloudBoost.connect(user).boostToken(99, SPARK))
+          .to.be.revertedWithCustomError(dreamNFT, "TokenDoesNotExist");
+
+        await mintDream("dream-1", "same id, other content");
+        await expect(cloudBoost.connect(user).boostToken(2, SPARK))
+          .to.be.revertedWithCustomError(cloudBoost, "DreamAlreadyRegistered")
+          .withArgs(1);
+      });
+
+      it("should only boost registered dream IDs while validation is on", async function () {
+        await cloudBoost.connect(user).boostDream("typo", SPARK);
+
+        await expect(cloudBoost.setDreamValidation(true))
+          .to.emit(cloudBoost, "DreamValidationUpdated")
+          .withArgs(true);
+
+        await expect(cloudBoost.connect(user).boostDream("typo", SPARK))
+          .to.be.revertedWithCustomError(cloudBoost, "UnknownDream")
+          .withArgs("typo");
+        await expect(cloudBoost.connect(user).boostDreamMultiple("typo", [SPARK], [2]))
+          .to.be.revertedWithCustomError(cloudBoost, "UnknownDream")
+          .withArgs("typo");
+
+        await cloudBoost.connect(user).boostDream("dream-1", SPARK);
+        await cloudBoost.connect(user).boostDreamMultiple("dream-1", [SPARK], [2]);
+        expect((await cloudBoost.dreamBoosts("dream-1")).totalSpent).to.equal(ethers.parseEther("3"));
+      });
+
+      it("should need a DreamNFT and the governor to turn validation on", async function () {
+        await expect(
+          cloudBoost.connect(user).setDreamValidation(true)
+        ).to.be.revertedWithCustomError(cloudBoost, "MissingRole")
+          .withArgs(await cloudBoost.GOVERNOR_ROLE(), user.address);
+
+        const CloudBoost = await ethers.getContractFactory("CloudBoost");
+        const unlinked = await CloudBoost.deploy(await zDreams.getAddress());
+        await expect(unlinked.setDreamValidation(true))
+          .to.be.revertedWithCustomError(unlinked, "InvalidAddress");
+        await expect(unlinked.getTokenEffectiveBoost(1))
+          .to.be.revertedWithCustomError(unlinked, "InvalidAddress");
+      });
+    });
+
+    describe("Creators", function () {
+      it("should accrue the creator share of a boost and let the creator claim it", async function () {
+        await expect(cloudBoost.connect(user).boostDream("dream-1", SUPERNOVA))
+          .to.emit(cloudBoost, "CreatorRewardAccrued")
+          .withArgs(creator.address, "dream-1", ethers.parseEther("20"));
+
+        expect(await cloudBoost.creatorRewards(creator.address)).to.equal(ethers.parseEther("20"));
+        expect(await cloudBoost.rewardsReserved()).to.equal(ethers.parseEther("30"));
+
+        await expect(cloudBoost.connect(creator).claimCreatorRewards())
+          .to.emit(cloudBoost, "CreatorRewardsClaimed")
+          .withArgs(creator.address, ethers.parseEther("20"));
+        expect(await rewardToken.balanceOf(creator.address)).to.equal(ethers.parseEther("20"));
+        await expect(cloudBoost.connect(creator).claimCreatorRewards())
+          .to.be.revertedWithCustomError(cloudBoost, "NoRewards");
+      });
+
+      it("should not pay a creator for boosting their own dream", async function () {
+        await zDreams.mint(creator.address, ethers.parseEther("100"));
+        await expect(cloudBoost.connect(creator).boostDream("dream-1", SUPERNOVA))
+          .to.not.emit(cloudBoost, "CreatorRewardAccrued");
+
+        expect(await cloudBoost.creatorRewards(creator.address)).to.equal(0);
+        expect(await cloudBoost.epochBoosterPool(0)).to.equal(ethers.parseEther("10"));
+      });
+
+      it("should report a creator share the DreamNFT can't be asked about", async function () {
+        const DreamNFT = await ethers.getContractFactory("DreamNFT");
+        await cloudBoost.setDreamNFT(await (await DreamNFT.deploy()).getAddress());
+
+        await expect(cloudBoost.connect(user).boostDream("dream-1", SUPERNOVA))
+          .to.emit(cloudBoost, "CreatorRewardFailed")
+          .withArgs(1, "dream-1", ethers.parseEther("20"));
+        expect(await cloudBoost.rewardsReserved()).to.equal(ethers.parseEther("10"));
+      });
+
+      it("should not pay a creator for unregistered dreams", async function () {
+        await cloudBoost.connect(user).boostDream("not-minted", SUPERNOVA);
+
+        expect(await cloudBoost.creatorRewards(creator.address)).to.equal(0);
+        expect(await cloudBoost.epochBoosterPool(0)).to.equal(ethers.parseEther("10"));
+      });
+
+      it("should keep boosting once the reward pool runs dry", async function () {
+        await cloudBoost.rescueTokens(await rewardToken.getAddress(), FUNDING - ethers.parseEther("25"));
+
+        await cloudBoost.connect(user).boostDream("dream-1", SUPERNOVA);
+        await cloudBoost.connect(user).boostDream("dream-1", SUPERNOVA);
+
+        // 20 + 5 in the first boost, nothing left for the second
+        expect(await cloudBoost.creatorRewards(creator.address)).to.equal(ethers.parseEther("20"));
+        expect(await cloudBoost.epochBoosterPool(0)).to.equal(ethers.parseEther("5"));
+        expect((await cloudBoost.dreamBoosts("dream-1")).totalSpent).to.equal(ethers.parseEther("200"));
+      });
+    });
+
+    describe("Early boosters", function () {
+      beforeEach(async function () {
+        // user and booster back dream-1 early; dream-2 gets less in total
+        await cloudBoost.connect(user).boostDream("dream-1", SUPERNOVA);
+        await cloudBoost.connect(booster).boostDreamMultiple("dream-1", [SPARK], [300]);
+        await cloudBoost.connect(user).boostDream("dream-2", SUPERNOVA);
+      });
+
+      it("should split the pool among the top dream's early boosters once the epoch ends", async function () {
+        // 10% of 500 zDREAMS of boosts
+        expect(await cloudBoost.epochBoosterPool(0)).to.equal(ethers.parseEther("50"));
+        await expect(cloudBoost.getBoosterReward(0, user.address))
+          .to.be.revertedWithCustomError(cloudBoost, "EpochNotFinished");
+
+        await cloudBoost.advanceEpoch(1);
+
+        // user spent 100 and booster 300 on dream-1
+        expect(await cloudBoost.getBoosterReward(0, user.address)).to.equal(ethers.parseEther("12.5"));
+        await expect(cloudBoost.connect(booster).claimBoosterReward(0))
+          .to.emit(cloudBoost, "BoosterRewardClaimed")
+          .withArgs(0, booster.address, ethers.parseEther("37.5"));
+
+        await expect(cloudBoost.connect(booster).claimBoosterReward(0))
+          .to.be.revertedWithCustomError(cloudBoost, "AlreadyClaimed");
+        await expect(cloudBoost.connect(creator).claimBoosterReward(0))
+          .to.be.revertedWithCustomError(cloudBoost, "NoRewards");
+      });
+
+      it("should only count the first boosters of a dream", async function () {
+        const signers = await ethers.getSigners();
+        const late = signers.slice(4, 4 + Number(await cloudBoost.EARLY_BOOSTERS()));
+        for (const account of late) {
+          await zDreams.mint(account.address, ethers.parseEther("1"));
+          await cloudBoost.connect(account).boostDream("dream-1", SPARK);
+        }
+
+        const [boosters] = await cloudBoost.getEarlyBoosters(0, "dream-1");
+        expect(boosters).to.have.length(10);
+        expect(boosters.slice(0, 2)).to.deep.equal([user.address, booster.address]);
+        expect(boosters).to.not.include(late[late.length - 2].address);
+
+        await cloudBoost.advanceEpoch(1);
+        expect(await cloudBoost.getBoosterReward(0, late[late.length - 1].address)).to.equal(0);
+      });
+
+      it("should sweep what is left of a pool once its claim period is over", async function () {
+        await cloudBoost.advanceEpoch(1);
+        await cloudBoost.connect(booster).claimBoosterReward(0);
+
+        await expect(cloudBoost.sweepExpiredBoosterPool(0))
+          .to.be.revertedWithCustomError(cloudBoost, "NoExpiredRewards");
+        await time.increase(await cloudBoost.BOOSTER_CLAIM_PERIOD());
+
+        expect(await cloudBoost.getBoosterReward(0, user.address)).to.equal(0);
+        await expect(cloudBoost.connect(user).claimBoosterReward(0))
+          .to.be.revertedWithCustomError(cloudBoost, "NoRewards");
+
+        // user's 12.5 was never claimed
+        await expect(cloudBoost.sweepExpiredBoosterPool(0))
+          .to.emit(cloudBoost, "ExpiredBoosterPoolSwept")
+          .withArgs(0, ethers.parseEther("12.5"));
+        await expect(cloudBoost.sweepExpiredBoosterPool(0))
+          .to.be.revertedWithCustomError(cloudBoost, "NoExpiredRewards");
+        await expect(cloudBoost.connect(user).sweepExpiredBoosterPool(0))
+          .to.be.revertedWithCustomError(cloudBoost, "MissingRole");
+      });
+
+      it("should sweep the rounding dust of a fully claimed pool", async function () {
+        const signers = await ethers.getSigners();
+        const third = signers[4];
+        await zDreams.mint(third.address, ethers.parseEther("7"));
+        await cloudBoost.connect(third).boostDreamMultiple("dream-1", [SPARK], [7]);
+        await cloudBoost.advanceEpoch(1);
+
+        for (const account of [user, booster, third]) await cloudBoost.connect(account).claimBoosterReward(0);
+        const dust = (await cloudBoost.epochBoosterPool(0)) - (await cloudBoost.epochBoosterSettled(0));
+        expect(dust).to.be.greaterThan(0);
+
+        await time.increase(await cloudBoost.BOOSTER_CLAIM_PERIOD());
+        await cloudBoost.sweepExpiredBoosterPool(0);
+        expect(await cloudBoost.epochBoosterSettled(0)).to.equal(await cloudBoost.epochBoosterPool(0));
+      });
+    });
+
+    describe("Admin", function () {
+      it("should not withdraw rewards that are owed", async function () {
+        await cloudBoost.connect(user).boostDream("dream-1", SUPERNOVA);
+
+        await expect(
+          cloudBoost.rescueTokens(await rewardToken.getAddress(), FUNDING)
+        ).to.be.revertedWithCustomError(cloudBoost, "ExceedsUnreservedBalance");
+        await expect(
+          cloudBoost.setRewardToken(user.address, ethers.parseEther("1"))
+        ).to.be.revertedWithCustomError(cloudBoost, "RewardsOutstanding");
+      });
+
+      it("should let the reward token change once creators are settled and pools swept", async function () {
+        await cloudBoost.connect(user).boostDream("dream-1", SUPERNOVA);
+        await cloudBoost.advanceEpoch(1);
+
+        await expect(cloudBoost.settleCreatorRewards([creator.address, user.address]))
+          .to.emit(cloudBoost, "CreatorRewardsClaimed")
+          .withArgs(creator.address, ethers.parseEther("20"));
+        expect(await rewardToken.balanceOf(creator.address)).to.equal(ethers.parseEther("20"));
+
+        await time.increase(await cloudBoost.BOOSTER_CLAIM_PERIOD());
+        await cloudBoost.sweepExpiredBoosterPool(0);
+
+        expect(await cloudBoost.rewardsReserved()).to.equal(0);
+        await cloudBoost.setRewardToken(user.address, ethers.parseEther("1"));
+        expect(await cloudBoost.rewardToken()).to.equal(user.address);
+      });
+
+      it("should send rescued tokens to the treasurer who rescues them", async function () {
+        await cloudBoost.grantRole(await cloudBoost.TREASURER_ROLE(), booster.address);
+
+        await cloudBoost.connect(booster).rescueTokens(await rewardToken.getAddress(), ethers.parseEther("10"));
+        expect(await rewardToken.balanceOf(booster.address)).to.equal(ethers.parseEther("10"));
+      });
+
+      it("should only let a treasurer settle creator rewards", async function () {
+        await expect(cloudBoost.connect(user).settleCreatorRewards([creator.address]))
+          .to.be.revertedWithCustomError(cloudBoost, "MissingRole")
+          .withArgs(await cloudBoost.TREASURER_ROLE(), user.address);
+      });
+
+      it("should cap the combined split and restrict who sets it", async function () {
+        await expect(cloudBoost.setRewardSplit(6000, 5000))
+          .to.be.revertedWithCustomError(cloudBoost, "InvalidShare");
+        await expect(
+          cloudBoost.connect(user).setRewardSplit(100, 100)
+        ).to.be.revertedWithCustomError(cloudBoost, "MissingRole")
+          .withArgs(await cloudBoost.OPERATOR_ROLE(), user.address);
+      });
+    });
+  });
+
+  describe("Boosting staked zDREAMS", function () {
+    let staking, dreamsToken;
+    let treasury;
+
+    const STAKE = ethers.parseEther("1000");
+    const SUPERNOVA = 3; // 100 zDREAMS
+    const FULL_VESTING = (30 + 180) * 24 * 60 * 60;
+
+    beforeEach(async function () {
+      [owner, user, treasury] = await ethers.getSigners();
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      dreamsToken = await MockERC20.deploy("DREAMS Token", "DREAMS", 18);
+      const rewardToken = await MockERC20.deploy("JUICY Token", "JUICY", 18);
+      const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+      const mockOracle = await MockPriceOracle.deploy();
+
+      const DreamsStaking = await ethers.getContractFactory("DreamsStaking");
+      staking = await DreamsStaking.deploy(
+        await dreamsToken.getAddress(),
+        await rewardToken.getAddress(),
+        await mockOracle.getAddress(),
+        treasury.address
+      );
+
+      await zDreams.setStakingContract(await staking.getAddress());
+      await zDreams.setCloudBoostContract(await cloudBoost.getAddress());
+      await staking.setZDreamsToken(await zDreams.getAddress());
+
+      await dreamsToken.mint(user.address, STAKE);
+      await dreamsToken.connect(user).approve(await staking.getAddress(), ethers.MaxUint256);
+      await staking.connect(user).stake(STAKE);
+      await cloudBoost.connect(user).boostDream("dream-1", SUPERNOVA);
+    });
+
+    it("should let a booster unstake everything", async function () {
+      expect(await zDreams.balanceOf(user.address)).to.equal(STAKE - ethers.parseEther("100"));
+      await time.increase(FULL_VESTING);
+
+      await staking.connect(user).unstake(STAKE);
+
+      expect(await dreamsToken.balanceOf(user.address)).to.equal(STAKE);
+      expect(await zDreams.balanceOf(user.address)).to.equal(0);
+      expect(await zDreams.totalSupply()).to.equal(0);
+      expect(await zDreams.totalBurnedForBoosts()).to.equal(ethers.parseEther("100"));
+      expect(await staking.boostDebt(user.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("should burn 1:1 on exit and record what was spent as boost debt", async function () {
+      await time.increase(FULL_VESTING);
+
+      await staking.connect(user).unstake(STAKE / 2n);
+      expect(await zDreams.balanceOf(user.address)).to.equal(ethers.parseEther("400"));
+      expect(await staking.boostDebt(user.address)).to.equal(0);
+
+      await staking.connect(user).unstake(STAKE / 2n);
+      expect(await zDreams.balanceOf(user.address)).to.equal(0);
+      expect(await staking.boostDebt(user.address)).to.equal(ethers.parseEther("100"));
+      expect(await dreamsToken.balanceOf(user.address)).to.equal(STAKE);
+    });
+
+    it("should not re-mint spent zDREAMS when an unbonding is cancelled", async function () {
+      await staking.connect(user).requestUnbonding(STAKE);
+      expect(await zDreams.balanceOf(user.address)).to.equal(0);
+      expect(await staking.boostDebt(user.address)).to.equal(ethers.parseEther("100"));
+
+      await staking.connect(user).cancelUnbonding(0);
+
+      expect((await staking.stakes(user.address)).amount).to.equal(STAKE);
+      expect(await zDreams.balanceOf(user.address)).to.equal(STAKE - ethers.parseEther("100"));
+      expect(await staking.boostDebt(user.address)).to.equal(0);
+    });
+
+    it("should not re-mint spent zDREAMS when the DREAMS is staked again", async function () {
+      await time.increase(FULL_VESTING);
+      await staking.connect(user).unstake(STAKE);
+
+      await staking.connect(user).stake(ethers.parseEther("50"));
+      expect(await zDreams.balanceOf(user.address)).to.equal(0);
+      expect(await staking.boostDebt(user.address)).to.equal(ethers.parseEther("50"));
+
+      await staking.connect(user).stake(STAKE - ethers.parseEther("50"));
+      expect(await zDreams.balanceOf(user.address)).to.equal(STAKE - ethers.parseEther("100"));
+      expect(await staking.boostDebt(user.address)).to.equal(0);
+    });
+
+    it("should let a booster who spent everything unbond the full stake", async function () {
+      await cloudBoost.updateBoostTier(SUPERNOVA, ethers.parseEther("900"), 100);
+      await cloudBoost.connect(user).boostDream("dream-2", SUPERNOVA);
+      expect(await zDreams.balanceOf(user.address)).to.equal(0);
+
+      await staking.connect(user).requestUnbonding(STAKE);
+      await time.increase(await staking.unbondingPeriod());
+      await staking.connect(user).withdrawUnbonded();
+
+      expect(await dreamsToken.balanceOf(user.address)).to.equal(STAKE);
+      expect((await staking.stakes(user.address)).amount).to.equal(0);
+      expect(await staking.boostDebt(user.address)).to.equal(STAKE);
+    });
+
+    it("should charge the early-unstake penalty on the DREAMS, not on the boost", async function () {
+      await staking.connect(user).unstake(STAKE);
+
+      expect(await dreamsToken.balanceOf(user.address)).to.equal((STAKE * 8000n) / 10000n);
+      expect(await zDreams.balanceOf(user.address)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Deployer } = require("../scripts/lib/deployer");
+const { deploySystem } = require("../scripts/lib/system");
+const { getNetworkConfig } = require("../scripts/lib/networks");
+
+describe("Deployment pipeline", function () {
+  let deploymentsDir;
+  let deployer, manifest;
+
+  before(async function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "slothlabs-deployments-"));
+    deployer = await new Deployer(hre, { deploymentsDir, quiet: true }).init();
+    manifest = await deploySystem(deployer, null);
+  });
+
+  after(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  describe("Manifest", function () {
+    it("should record every core contract", async function () {
+      for (const name of [
+        "SlothPriceOracle",
+        "DreamsStaking",
+        "zDREAMS",
+        "CloudBoost",
+        "DreamNFT",
+        "DreamMarketplace",
+        "MilestoneCrowdfunding",
+        "DreamsTreasurySale",
+        "DreamsTreasuryBuyback",
+        "DreamsStakingVault",
+        "DreamsStakePositions",
+        "StakePositionMarketplace",
+      ]) {
+        expect(manifest.contracts[name], name).to.not.be.undefined;
+        expect(hre.ethers.isAddress(manifest.contracts[name].address)).to.equal(true);
+      }
+    });
+
+    it("should write the manifest to deployments/<network>.json", async function () {
+      const written = JSON.parse(fs.readFileSync(path.join(deploymentsDir, "hardhat.json"), "utf8"));
+      expect(written.chainId).to.equal(31337);
+      expect(written.contracts.DreamsStaking.address).to.equal(manifest.contracts.DreamsStaking.address);
+    });
+  });
+
+  describe("Wiring", function () {
+    it("should wire zDREAMS to staking and cloud boost", async function () {
+      const zDreams = deployer.get("zDREAMS");
+      expect(await zDreams.stakingContract()).to.equal(deployer.address("DreamsStaking"));
+      expect(await zDreams.cloudBoostContract()).to.equal(deployer.address("CloudBoost"));
+      expect(await deployer.get("DreamsStaking").zDreamsToken()).to.equal(deployer.address("zDREAMS"));
+      expect(await deployer.get("CloudBoost").dreamNFT()).to.equal(deployer.address("DreamNFT"));
+    });
+
+    it("should wire staking to the treasury contracts", async function () {
+      const staking = deployer.get("DreamsStaking");
+      expect(await staking.treasurySaleContract()).to.equal(deployer.address("DreamsTreasurySale"));
+      expect(await staking.buybackContract()).to.equal(deployer.address("DreamsTreasuryBuyback"));
+      expect(await deployer.get("DreamsTreasurySale").dreamsStaking()).to.equal(deployer.address("DreamsStaking"));
+      expect(await deployer.get("DreamsTreasuryBuyback").dreamsStaking()).to.equal(deployer.address("DreamsStaking"));
+    });
+
+    it("should wire crowdfunding to staking", async function () {
+      const crowdfunding = deployer.get("MilestoneCrowdfunding");
+      expect(await crowdfunding.dreamsStakingContract()).to.equal(deployer.address("DreamsStaking"));
+      expect(await crowdfunding.dreamsStakingPool()).to.equal(deployer.address("DreamsStaking"));
+      expect(await crowdfunding.stakingVault()).to.equal(deployer.address("DreamsStakingVault"));
+      expect(await deployer.get("DreamsStakingVault").dreamsStaking()).to.equal(deployer.address("DreamsStaking"));
+    });
+
+    it("should list every crowdfunding fee token as a staking reward token", async function () {
+      const crowdfunding = deployer.get("MilestoneCrowdfunding");
+      const staking = deployer.get("DreamsStaking");
+      for (const token of [
+        await crowdfunding.USDC_ADDRESS(),
+        await crowdfunding.ETH_ADDRESS(),
+        await crowdfunding.AVAX_ADDRESS(),
+        await crowdfunding.DREAMS_ADDRESS(),
+      ]) {
+        expect(await staking.isRewardToken(token), token).to.equal(true);
+      }
+    });
+
+    it("should point the stake position marketplace at the positions NFT", async function () {
+      expect(await deployer.get("DreamsStakePositions").dreamsStaking()).to.equal(deployer.address("DreamsStaking"));
+      expect(await deployer.get("StakePositionMarketplace").dreamNFT()).to.equal(deployer.address("DreamsStakePositions"));
+    });
+
+    it("should authorize the marketplace as a DreamNFT minter", async function () {
+      expect(await deployer.get("DreamNFT").authorizedMinters(deployer.address("DreamMarketplace"))).to.equal(true);
+    });
+
+    it("should route prices through SlothPriceOracle", async function () {
+      const dreams = deployer.address("DreamsToken");
+      expect(await deployer.get("SlothPriceOracle").getPrice(dreams)).to.equal(hre.ethers.parseUnits("1", 8));
+      expect(await deployer.get("DreamsStaking").priceOracle()).to.equal(deployer.address("SlothPriceOracle"));
+    });
+
+    it("should let a user stake and receive zDREAMS end to end", async function () {
+      const [, user] = await hre.ethers.getSigners();
+      const dreams = deployer.get("DreamsToken");
+      const staking = deployer.get("DreamsStaking");
+      const amount = hre.ethers.parseEther("100");
+
+      await dreams.mint(user.address, amount);
+      await dreams.connect(user).approve(deployer.address("DreamsStaking"), amount);
+      await staking.connect(user).stake(amount);
+
+      expect(await deployer.get("zDREAMS").balanceOf(user.address)).to.equal(amount);
+    });
+  });
+
+  describe("Resuming", function () {
+    const freshDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "slothlabs-deployments-"));
+    const nonce = async () => hre.ethers.provider.getTransactionCount(deployer.signer.address);
+
+    it("should record constructor args, tx hashes and wiring steps", async function () {
+      const staking = manifest.contracts.DreamsStaking;
+      expect(staking.args).to.deep.equal([
+        deployer.address("DreamsToken"),
+        deployer.address("JuicyToken"),
+        deployer.address("SlothPriceOracle"),
+        deployer.signer.address,
+      ]);
+      expect(staking.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(staking.status).to.equal("deployed");
+
+      const step = manifest.steps["DreamsStaking.setZDreamsToken"];
+      expect(step.target).to.equal(deployer.address("DreamsStaking"));
+      expect(step.args).to.deep.equal([deployer.address("zDREAMS")]);
+      expect(step.status).to.equal("done");
+    });
+
+    it("should reuse every contract and skip every step on rerun", async function () {
+      const before = await nonce();
+      const rerun = await new Deployer(hre, { deploymentsDir, quiet: true }).init();
+      const again = await deploySystem(rerun, null);
+
+      expect(await nonce()).to.equal(before);
+      for (const name of Object.keys(manifest.contracts)) {
+        expect(again.contracts[name].address, name).to.equal(manifest.contracts[name].address);
+      }
+    });
+
+    it("should continue from the failed step after a crash", async function () {
+      const dir = freshDir();
+      try {
+        const crashing = await new Deployer(hre, { deploymentsDir: dir, quiet: true }).init();
+        const call = crashing.call.bind(crashing);
+        crashing.call = async (label, ...rest) => {
+          if (label === "DreamsTreasurySale.updateStaking") throw new Error("RPC dropped");
+          return call(label, ...rest);
+        };
+        await expect(deploySystem(crashing, null)).to.be.rejectedWith("RPC dropped");
+
+        const partial = JSON.parse(fs.readFileSync(path.join(dir, "hardhat.json"), "utf8"));
+        expect(partial.steps["DreamsTreasurySale.updateStaking"]).to.be.undefined;
+
+        const before = await nonce();
+        const resumed = await new Deployer(hre, { deploymentsDir: dir, quiet: true }).init();
+        const complete = await deploySystem(resumed, null);
+
+        // Only the remaining wiring steps were sent
+        const remaining = Object.keys(complete.steps).length - Object.keys(partial.steps).length;
+        expect(await nonce()).to.equal(before + remaining);
+
+        expect(complete.contracts.DreamsStaking.address).to.equal(partial.contracts.DreamsStaking.address);
+        expect(complete.contracts.MilestoneCrowdfunding.address).to.equal(partial.contracts.MilestoneCrowdfunding.address);
+        expect(await resumed.get("DreamsTreasurySale").dreamsStaking()).to.equal(complete.contracts.DreamsStaking.address);
+        expect(await resumed.get("MilestoneCrowdfunding").dreamsStakingPool()).to.equal(complete.contracts.DreamsStaking.address);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should redeploy a contract whose recorded address has no code", async function () {
+      const dir = freshDir();
+      try {
+        const first = await new Deployer(hre, { deploymentsDir: dir, quiet: true }).init();
+        await first.deploy("DreamNFT", "DreamNFT");
+        first.manifest.contracts.DreamNFT.address = "0x000000000000000000000000000000000000dEaD";
+        first.save();
+
+        const second = await new Deployer(hre, { deploymentsDir: dir, quiet: true }).init();
+        const nft = await second.deploy("DreamNFT", "DreamNFT");
+        expect(await nft.getAddress()).to.not.equal("0x000000000000000000000000000000000000dEaD");
+        expect(await hre.ethers.provider.getCode(await nft.getAddress())).to.not.equal("0x");
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should refuse to reuse a contract deployed with different args", async function () {
+      const dir = freshDir();
+      try {
+        const first = await new Deployer(hre, { deploymentsDir: dir, quiet: true }).init();
+        await first.deploy("USDC", "MockERC20", ["USD Coin", "USDC", 6]);
+
+        const second = await new Deployer(hre, { deploymentsDir: dir, quiet: true }).init();
+        await expect(second.deploy("USDC", "MockERC20", ["USD Coin", "USDC", 18])).to.be.rejectedWith(
+          /different contract or constructor args/
+        );
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should start over with reset", async function () {
+      const dir = freshDir();
+      try {
+        const first = await new Deployer(hre, { deploymentsDir: dir, quiet: true }).init();
+        const token = await first.deploy("USDC", "MockERC20", ["USD Coin", "USDC", 6]);
+
+        const second = await new Deployer(hre, { deploymentsDir: dir, quiet: true, reset: true }).init();
+        expect(second.manifest.contracts).to.deep.equal({});
+        const redeployed = await second.deploy("USDC", "MockERC20", ["USD Coin", "USDC", 6]);
+        expect(await redeployed.getAddress()).to.not.equal(await token.getAddress());
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should refuse a manifest from another chain", async function () {
+      const dir = freshDir();
+      try {
+        fs.writeFileSync(path.join(dir, "hardhat.json"), JSON.stringify({ chainId: 8453, contracts: {}, steps: {} }));
+        await expect(new Deployer(hre, { deploymentsDir: dir, quiet: true }).init()).to.be.rejectedWith(/chainId 8453/);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Network config", function () {
+    it("should list every missing variable", function () {
+      expect(() => getNetworkConfig("base", {})).to.throw(/DREAMS_BASE.*JUICY_BASE.*TREASURY_ADDRESS/);
+    });
+
+    it("should default the crowdfunding ETH token to WETH on Base", function () {
+      const env = {
+        TREASURY_ADDRESS: "0x0000000000000000000000000000000000000001",
+        DREAMS_BASE: "0x0000000000000000000000000000000000000002",
+        JUICY_BASE: "0x0000000000000000000000000000000000000003",
+        USDC_BASE: "0x0000000000000000000000000000000000000004",
+        WETH_BASE: "0x0000000000000000000000000000000000000005",
+        AVAX_TOKEN_BASE: "0x0000000000000000000000000000000000000006",
+        DEX_ROUTER_BASE: "0x0000000000000000000000000000000000000007",
+        CHAINLINK_ETH_USD_BASE: "0x0000000000000000000000000000000000000008",
+        CHAINLINK_AVAX_USD_BASE: "0x0000000000000000000000000000000000000009",
+        CHAINLINK_USDC_USD_BASE: "0x000000000000000000000000000000000000000a",
+        DREAMS_JUICY_POOL_BASE: "0x000000000000000000000000000000000000000b",
+        JUICY_NATIVE_POOL_BASE: "0x000000000000000000000000000000000000000c",
+      };
+      const config = getNetworkConfig("base", env);
+      expect(config.tokens.eth).to.equal(env.WETH_BASE);
+      expect(config.isAvalanche).to.equal(false);
+      expect(config.oracles.twapPeriod).to.equal(1800);
+    });
+
+    it("should reject unknown networks", function () {
+      expect(() => getNetworkConfig("mainnet", {})).to.throw(/No deployment config/);
+    });
+  });
+});
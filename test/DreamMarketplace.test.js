@@ -532,19 +532,171 @@ describe("DreamMarketplace", function () {
             expect(await marketplace.treasury()).to.equal(newTreasury);
         });
 
-        it("should transfer admin (two-step)", async function () {
-            await marketplace.transferAdmin(buyer.address);
+        it("should reject admin functions from non-admin", async function () {
+            await expect(
+                marketplace.connect(buyer).toggleMarketplace()
+            ).to.be.revertedWithCustomError(marketplace, "MissingRole");
+        });
+    });
+
+    describe("Two-Step Admin Transfer", function () {
+        it("should initiate admin transfer", async function () {
+            await expect(
+                marketplace.initiateAdminTransfer(buyer.address)
+            ).to.emit(marketplace, "AdminTransferInitiated")
+                .withArgs(owner.address, buyer.address);
+
             expect(await marketplace.pendingAdmin()).to.equal(buyer.address);
+            expect(await marketplace.admin()).to.equal(owner.address);
+        });
+
+        it("should reject initiation with zero address", async function () {
+            await expect(
+                marketplace.initiateAdminTransfer(ethers.ZeroAddress)
+            ).to.be.revertedWithCustomError(marketplace, "InvalidAddress");
+        });
+
+        it("should reject initiation from non-admin", async function () {
+            await expect(
+                marketplace.connect(buyer2).initiateAdminTransfer(buyer2.address)
+            ).to.be.revertedWithCustomError(marketplace, "NotAdmin");
+        });
+
+        it("should complete admin transfer", async function () {
+            await marketplace.initiateAdminTransfer(buyer.address);
+
+            await expect(
+                marketplace.connect(buyer).acceptAdminTransfer()
+            ).to.emit(marketplace, "AdminTransferCompleted")
+                .withArgs(owner.address, buyer.address);
 
-            await marketplace.connect(buyer).acceptAdmin();
             expect(await marketplace.admin()).to.equal(buyer.address);
             expect(await marketplace.pendingAdmin()).to.equal(ethers.ZeroAddress);
         });
 
-        it("should reject admin functions from non-admin", async function () {
+        it("should reject acceptance from wrong address", async function () {
+            await marketplace.initiateAdminTransfer(buyer.address);
+
             await expect(
-                marketplace.connect(buyer).toggleMarketplace()
+                marketplace.connect(buyer2).acceptAdminTransfer()
+            ).to.be.revertedWithCustomError(marketplace, "NotPendingAdmin");
+        });
+
+        it("should allow cancellation of pending transfer", async function () {
+            await marketplace.initiateAdminTransfer(buyer.address);
+
+            await expect(
+                marketplace.cancelAdminTransfer()
+            ).to.emit(marketplace, "AdminTransferCancelled")
+                .withArgs(owner.address);
+
+            expect(await marketplace.pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+            await expect(
+                marketplace.connect(buyer).acceptAdminTransfer()
+            ).to.be.revertedWithCustomError(marketplace, "NotPendingAdmin");
+        });
+
+        it("should reject cancellation when no pending admin", async function () {
+            await expect(
+                marketplace.cancelAdminTransfer()
+            ).to.be.revertedWithCustomError(marketplace, "NoPendingAdmin");
+        });
+
+        it("should keep the old transferAdmin and acceptAdmin names", async function () {
+            await expect(
+                marketplace.connect(buyer2).transferAdmin(buyer2.address)
             ).to.be.revertedWithCustomError(marketplace, "NotAdmin");
+
+            await expect(marketplace.transferAdmin(buyer.address))
+                .to.emit(marketplace, "AdminTransferInitiated")
+                .withArgs(owner.address, buyer.address);
+            await expect(
+                marketplace.connect(buyer2).acceptAdmin()
+            ).to.be.revertedWithCustomError(marketplace, "NotPendingAdmin");
+
+            await marketplace.connect(buyer).acceptAdmin();
+            expect(await marketplace.admin()).to.equal(buyer.address);
+        });
+
+        it("should allow new admin to call admin functions", async function () {
+            await marketplace.initiateAdminTransfer(buyer.address);
+            await marketplace.connect(buyer).acceptAdminTransfer();
+
+            await expect(
+                marketplace.connect(buyer).toggleMarketplace()
+            ).to.emit(marketplace, "MarketplaceToggled");
+        });
+
+        it("should reject old admin after transfer", async function () {
+            await marketplace.initiateAdminTransfer(buyer.address);
+            await marketplace.connect(buyer).acceptAdminTransfer();
+
+            await expect(
+                marketplace.connect(owner).toggleMarketplace()
+            ).to.be.revertedWithCustomError(marketplace, "MissingRole");
+        });
+    });
+
+    describe("Roles", function () {
+
+        it("should let the admin grant and revoke roles", async function () {
+            const role = await marketplace.OPERATOR_ROLE();
+
+            await expect(marketplace.connect(owner).grantRole(role, buyer2.address))
+                .to.emit(marketplace, "RoleGranted")
+                .withArgs(role, buyer2.address, owner.address);
+            expect(await marketplace.hasRole(role, buyer2.address)).to.equal(true);
+
+            await expect(marketplace.connect(owner).revokeRole(role, buyer2.address))
+                .to.emit(marketplace, "RoleRevoked")
+                .withArgs(role, buyer2.address, owner.address);
+            expect(await marketplace.hasRole(role, buyer2.address)).to.equal(false);
+        });
+
+        it("should reject role changes from non-admin", async function () {
+            const role = await marketplace.GOVERNOR_ROLE();
+
+            await expect(
+                marketplace.connect(buyer2).grantRole(role, buyer2.address)
+            ).to.be.revertedWithCustomError(marketplace, "NotRoleAdmin");
+
+            await expect(
+                marketplace.connect(buyer2).revokeRole(role, owner.address)
+            ).to.be.revertedWithCustomError(marketplace, "NotRoleAdmin");
+        });
+
+        it("should let a guardian pause the marketplace but not resume it", async function () {
+            await marketplace.grantRole(await marketplace.GUARDIAN_ROLE(), buyer2.address);
+
+            await marketplace.connect(buyer2).toggleMarketplace();
+            expect(await marketplace.marketplaceEnabled()).to.equal(false);
+
+            await expect(
+                marketplace.connect(buyer2).toggleMarketplace()
+            ).to.be.revertedWithCustomError(marketplace, "MissingRole")
+                .withArgs(await marketplace.OPERATOR_ROLE(), buyer2.address);
+        });
+
+        it("should rescue stuck tokens to the treasury", async function () {
+            await juicyToken.mint(await marketplace.getAddress(), ethers.parseEther("5"));
+            const treasuryBalanceBefore = await juicyToken.balanceOf(treasury.address);
+
+            await marketplace.rescueTokens(await juicyToken.getAddress(), ethers.parseEther("5"));
+
+            expect(await juicyToken.balanceOf(treasury.address)).to.equal(treasuryBalanceBefore + ethers.parseEther("5"));
+        });
+
+        it("should let a governor update the treasury but not rescue assets", async function () {
+            await marketplace.grantRole(await marketplace.GOVERNOR_ROLE(), buyer2.address);
+
+            await marketplace.connect(buyer2).updateTreasury(buyer2.address);
+            expect(await marketplace.treasury()).to.equal(buyer2.address);
+
+            await expect(
+                marketplace.connect(buyer2).rescueTokens(ethers.ZeroAddress, 0)
+            ).to.be.revertedWithCustomError(marketplace, "MissingRole")
+                .withArgs(await marketplace.TREASURER_ROLE(), buyer2.address);
         });
     });
 
@@ -214,14 +214,6 @@ describe("DreamsFaucet", function () {
       expect(await faucet.maxClaimsPerAddress()).to.equal(20);
     });
 
-    it("should transfer admin", async function () {
-      await expect(faucet.transferAdmin(user1.address))
-        .to.emit(faucet, "AdminTransferred")
-        .withArgs(owner.address, user1.address);
-
-      expect(await faucet.admin()).to.equal(user1.address);
-    });
-
     it("should withdraw tokens", async function () {
       const withdrawAmount = ethers.parseEther("100000");
       const balanceBefore = await dreamsToken.balanceOf(owner.address);
@@ -252,19 +244,167 @@ describe("DreamsFaucet", function () {
 
     it("should reject non-admin calls", async function () {
       await expect(faucet.connect(user1).toggleFaucet())
-        .to.be.revertedWithCustomError(faucet, "OnlyAdmin");
+        .to.be.revertedWithCustomError(faucet, "MissingRole");
 
       await expect(faucet.connect(user1).setClaimAmount(1000))
-        .to.be.revertedWithCustomError(faucet, "OnlyAdmin");
+        .to.be.revertedWithCustomError(faucet, "MissingRole");
 
       await expect(faucet.connect(user1).setCooldown(1000))
-        .to.be.revertedWithCustomError(faucet, "OnlyAdmin");
+        .to.be.revertedWithCustomError(faucet, "MissingRole");
 
-      await expect(faucet.connect(user1).transferAdmin(user2.address))
+      await expect(faucet.connect(user1).initiateAdminTransfer(user2.address))
         .to.be.revertedWithCustomError(faucet, "OnlyAdmin");
     });
   });
 
+  describe("Two-Step Admin Transfer", function () {
+    it("should initiate admin transfer", async function () {
+      await expect(
+        faucet.initiateAdminTransfer(user1.address)
+      ).to.emit(faucet, "AdminTransferInitiated")
+        .withArgs(owner.address, user1.address);
+
+      expect(await faucet.pendingAdmin()).to.equal(user1.address);
+      expect(await faucet.admin()).to.equal(owner.address);
+    });
+
+    it("should reject initiation with zero address", async function () {
+      await expect(
+        faucet.initiateAdminTransfer(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(faucet, "InvalidAddress");
+    });
+
+    it("should reject initiation from non-admin", async function () {
+      await expect(
+        faucet.connect(user2).initiateAdminTransfer(user2.address)
+      ).to.be.revertedWithCustomError(faucet, "OnlyAdmin");
+    });
+
+    it("should complete admin transfer", async function () {
+      await faucet.initiateAdminTransfer(user1.address);
+
+      await expect(
+        faucet.connect(user1).acceptAdminTransfer()
+      ).to.emit(faucet, "AdminTransferCompleted")
+        .withArgs(owner.address, user1.address);
+
+      expect(await faucet.admin()).to.equal(user1.address);
+      expect(await faucet.pendingAdmin()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should reject acceptance from wrong address", async function () {
+      await faucet.initiateAdminTransfer(user1.address);
+
+      await expect(
+        faucet.connect(user2).acceptAdminTransfer()
+      ).to.be.revertedWithCustomError(faucet, "OnlyPendingAdmin");
+    });
+
+    it("should allow cancellation of pending transfer", async function () {
+      await faucet.initiateAdminTransfer(user1.address);
+
+      await expect(
+        faucet.cancelAdminTransfer()
+      ).to.emit(faucet, "AdminTransferCancelled")
+        .withArgs(owner.address);
+
+      expect(await faucet.pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+      await expect(
+        faucet.connect(user1).acceptAdminTransfer()
+      ).to.be.revertedWithCustomError(faucet, "OnlyPendingAdmin");
+    });
+
+    it("should reject cancellation when no pending admin", async function () {
+      await expect(
+        faucet.cancelAdminTransfer()
+      ).to.be.revertedWithCustomError(faucet, "NoPendingAdmin");
+    });
+
+    it("should allow new admin to call admin functions", async function () {
+      await faucet.initiateAdminTransfer(user1.address);
+      await faucet.connect(user1).acceptAdminTransfer();
+
+      await expect(
+        faucet.connect(user1).toggleFaucet()
+      ).to.emit(faucet, "FaucetToggled");
+    });
+
+    it("should reject old admin after transfer", async function () {
+      await faucet.initiateAdminTransfer(user1.address);
+      await faucet.connect(user1).acceptAdminTransfer();
+
+      await expect(
+        faucet.connect(owner).toggleFaucet()
+      ).to.be.revertedWithCustomError(faucet, "MissingRole");
+    });
+  });
+
+  describe("Roles", function () {
+
+    it("should let the admin grant and revoke roles", async function () {
+      const role = await faucet.OPERATOR_ROLE();
+
+      await expect(faucet.connect(owner).grantRole(role, user2.address))
+        .to.emit(faucet, "RoleGranted")
+        .withArgs(role, user2.address, owner.address);
+      expect(await faucet.hasRole(role, user2.address)).to.equal(true);
+
+      await expect(faucet.connect(owner).revokeRole(role, user2.address))
+        .to.emit(faucet, "RoleRevoked")
+        .withArgs(role, user2.address, owner.address);
+      expect(await faucet.hasRole(role, user2.address)).to.equal(false);
+    });
+
+    it("should reject role changes from non-admin", async function () {
+      const role = await faucet.GOVERNOR_ROLE();
+
+      await expect(
+        faucet.connect(user2).grantRole(role, user2.address)
+      ).to.be.revertedWithCustomError(faucet, "NotRoleAdmin");
+
+      await expect(
+        faucet.connect(user2).revokeRole(role, owner.address)
+      ).to.be.revertedWithCustomError(faucet, "NotRoleAdmin");
+    });
+
+    it("should send withdrawn tokens to the treasurer who withdraws them", async function () {
+      await faucet.grantRole(await faucet.TREASURER_ROLE(), user2.address);
+
+      await faucet.connect(user2).withdrawTokens(ethers.parseEther("100"));
+      expect(await dreamsToken.balanceOf(user2.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("should let an operator change claim settings but not withdraw", async function () {
+      await faucet.grantRole(await faucet.OPERATOR_ROLE(), user2.address);
+
+      await faucet.connect(user2).setClaimAmount(ethers.parseEther("500"));
+      expect(await faucet.claimAmount()).to.equal(ethers.parseEther("500"));
+
+      await expect(
+        faucet.connect(user2).withdrawTokens(1)
+      ).to.be.revertedWithCustomError(faucet, "MissingRole")
+        .withArgs(await faucet.TREASURER_ROLE(), user2.address);
+    });
+
+    it("should let a guardian pause the faucet but not resume it", async function () {
+      await faucet.grantRole(await faucet.GUARDIAN_ROLE(), user2.address);
+
+      await faucet.connect(user2).toggleFaucet();
+      expect(await faucet.faucetEnabled()).to.equal(false);
+
+      await expect(
+        faucet.connect(user2).toggleFaucet()
+      ).to.be.revertedWithCustomError(faucet, "MissingRole")
+        .withArgs(await faucet.OPERATOR_ROLE(), user2.address);
+
+      await expect(
+        faucet.connect(user2).setCooldown(1)
+      ).to.be.revertedWithCustomError(faucet, "MissingRole")
+        .withArgs(await faucet.OPERATOR_ROLE(), user2.address);
+    });
+  });
+
   describe("Multiple Users", function () {
     it("should track claims independently per user", async function () {
       await faucet.connect(user1).claim();
@@ -0,0 +1,263 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("DreamsStakePositions", function () {
+  let positions, staking, zDreamsToken;
+  let dreamsToken, rewardToken;
+  let owner, treasury, user1, user2;
+
+  const DAY = 24 * 60 * 60;
+  const CLIFF_PERIOD = 30 * DAY;
+  const VESTING_PERIOD = 180 * DAY;
+  const REWARD_PERIOD = 365 * DAY;
+  const REWARD_FUNDING = ethers.parseEther("100000");
+  const AMOUNT = ethers.parseEther("1000");
+
+  beforeEach(async function () {
+    [owner, treasury, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    dreamsToken = await MockERC20.deploy("DREAMS Token", "DREAMS", 18);
+    rewardToken = await MockERC20.deploy("JUICY Token", "JUICY", 18);
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const mockOracle = await MockPriceOracle.deploy();
+
+    const DreamsStaking = await ethers.getContractFactory("DreamsStaking");
+    staking = await DreamsStaking.deploy(
+      await dreamsToken.getAddress(),
+      await rewardToken.getAddress(),
+      await mockOracle.getAddress(),
+      treasury.address
+    );
+
+    const MockZDreams = await ethers.getContractFactory("MockZDreams");
+    zDreamsToken = await MockZDreams.deploy();
+    await staking.setZDreamsToken(await zDreamsToken.getAddress());
+
+    const DreamsStakePositions = await ethers.getContractFactory("DreamsStakePositions");
+    positions = await DreamsStakePositions.deploy(await staking.getAddress());
+
+    for (const user of [user1, user2]) {
+      await dreamsToken.mint(user.address, ethers.parseEther("10000"));
+      await dreamsToken.connect(user).approve(await positions.getAddress(), ethers.MaxUint256);
+    }
+
+    await rewardToken.mint(await staking.getAddress(), REWARD_FUNDING);
+    await staking.fundRewardPeriod(rewardToken, REWARD_FUNDING, REWARD_PERIOD);
+  });
+
+  async function accountOf(tokenId) {
+    return positions.positionAccount(tokenId);
+  }
+
+  describe("Opening", function () {
+    it("should mint a position backed by its own stake", async function () {
+      await expect(positions.connect(user1).openPosition(AMOUNT, 0))
+        .to.emit(positions, "PositionOpened");
+
+      expect(await positions.ownerOf(1)).to.equal(user1.address);
+      const account = await accountOf(1);
+      expect((await staking.stakes(account)).amount).to.equal(AMOUNT);
+      expect(await zDreamsToken.balanceOf(account)).to.equal(AMOUNT);
+
+      const balances = await positions.getPositionBalances(1);
+      expect(balances.stakedAmount).to.equal(AMOUNT);
+      expect(balances.zDreamsBalance).to.equal(AMOUNT);
+    });
+
+    it("should give the holder the position's votes", async function () {
+      await positions.connect(user1).openPosition(AMOUNT, 0);
+
+      expect(await staking.delegates(await accountOf(1))).to.equal(user1.address);
+      expect(await staking.getVotes(user1.address)).to.equal(AMOUNT);
+    });
+
+    it("should keep the lock and multiplier of a locked position", async function () {
+      await positions.connect(user1).openPosition(AMOUNT, 90 * DAY);
+
+      const [, [lot]] = await positions.getPosition(1);
+      expect(lot.amount).to.equal(AMOUNT);
+      expect(lot.multiplierBps).to.equal(12500);
+      expect(lot.lockEnd).to.equal(lot.startTime + BigInt(90 * DAY));
+      expect(lot.vestingEnd).to.equal(lot.startTime + BigInt(CLIFF_PERIOD + VESTING_PERIOD));
+      expect(await staking.getVotes(user1.address)).to.equal((AMOUNT * 12500n) / 10000n);
+    });
+
+    it("should return every lot, including ones others staked for the account", async function () {
+      await positions.connect(user1).openPosition(AMOUNT, 0);
+      await time.increase(DAY);
+
+      await dreamsToken.connect(user2).approve(await staking.getAddress(), AMOUNT);
+      await staking.connect(user2).stakeFor(await accountOf(1), AMOUNT);
+
+      const [, lots] = await positions.getPosition(1);
+      expect(lots.length).to.equal(2);
+      expect(lots[0].amount + lots[1].amount).to.equal(AMOUNT * 2n);
+      expect((await positions.getPositionBalances(1)).stakedAmount).to.equal(AMOUNT * 2n);
+    });
+
+    it("should reject a zero amount", async function () {
+      await expect(
+        positions.connect(user1).openPosition(0, 0)
+      ).to.be.revertedWithCustomError(positions, "InvalidAmount");
+    });
+  });
+
+  describe("Transfers", function () {
+    beforeEach(async function () {
+      await positions.connect(user1).openPosition(AMOUNT, 0);
+    });
+
+    it("should move the stake and its votes to the new holder", async function () {
+      const account = await accountOf(1);
+      await positions.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      expect(await staking.delegates(account)).to.equal(user2.address);
+      expect(await staking.getVotes(user2.address)).to.equal(AMOUNT);
+      expect(await staking.getVotes(user1.address)).to.equal(0);
+      expect((await staking.stakes(account)).amount).to.equal(AMOUNT);
+      expect(await zDreamsToken.balanceOf(account)).to.equal(AMOUNT);
+    });
+
+    it("should only let the holder use the position", async function () {
+      await positions.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      await expect(
+        positions.connect(user1).unstake(1, AMOUNT)
+      ).to.be.revertedWithCustomError(positions, "NotPositionOwner");
+      await expect(
+        positions.connect(user1).claimRewards(1)
+      ).to.be.revertedWithCustomError(positions, "NotPositionOwner");
+    });
+
+    it("should not let anyone else drive the position's account", async function () {
+      const account = await ethers.getContractAt("StakePositionAccount", await accountOf(1));
+      await expect(
+        account.connect(user1).unstake(AMOUNT, user1.address)
+      ).to.be.revertedWithCustomError(account, "OnlyPositions");
+      await expect(
+        account.connect(user1).initialize(await staking.getAddress())
+      ).to.be.revertedWithCustomError(account, "AlreadyInitialized");
+    });
+  });
+
+  describe("Rewards and exits", function () {
+    beforeEach(async function () {
+      await positions.connect(user1).openPosition(AMOUNT, 0);
+      await positions.connect(user1).transferFrom(user1.address, user2.address, 1);
+      await time.increase(CLIFF_PERIOD);
+    });
+
+    it("should pay rewards to the current holder", async function () {
+      await expect(positions.connect(user2).claimRewards(1))
+        .to.emit(positions, "PositionRewardsClaimed")
+        .withArgs(1, user2.address);
+
+      expect(await rewardToken.balanceOf(user2.address)).to.be.gt(0);
+      expect(await rewardToken.balanceOf(user1.address)).to.equal(0);
+      expect(await rewardToken.balanceOf(await accountOf(1))).to.equal(0);
+    });
+
+    it("should apply the early-unstake penalty on a partial exit", async function () {
+      const half = AMOUNT / 2n;
+      const before = await dreamsToken.balanceOf(user2.address);
+      await positions.connect(user2).unstake(1, half);
+
+      const received = (await dreamsToken.balanceOf(user2.address)) - before;
+      // A sliver has vested since the cliff, the rest pays the 20% penalty
+      expect(received).to.be.closeTo((half * 8000n) / 10000n, ethers.parseEther("0.01"));
+      expect(await dreamsToken.balanceOf(treasury.address)).to.equal(half - received);
+      expect(await positions.ownerOf(1)).to.equal(user2.address);
+      expect(await staking.getVotes(user2.address)).to.equal(half);
+    });
+
+    it("should pay everything out and burn the NFT on a full exit", async function () {
+      await time.increase(VESTING_PERIOD);
+
+      await expect(positions.connect(user2).unstake(1, AMOUNT))
+        .to.emit(positions, "PositionClosed")
+        .withArgs(1, user2.address);
+
+      expect(await dreamsToken.balanceOf(user2.address)).to.equal(ethers.parseEther("10000") + AMOUNT);
+      expect(await rewardToken.balanceOf(user2.address)).to.be.gt(0);
+      await expect(positions.ownerOf(1)).to.be.revertedWith("ERC721: invalid token ID");
+      await expect(positions.getPosition(1)).to.be.revertedWith("ERC721: invalid token ID");
+    });
+
+    it("should keep the lock on a locked position", async function () {
+      await positions.connect(user1).openPosition(AMOUNT, 90 * DAY);
+      await expect(
+        positions.connect(user1).unstake(2, AMOUNT)
+      ).to.be.revertedWithCustomError(staking, "TokensLocked");
+    });
+  });
+
+  describe("Marketplace", function () {
+    const DREAMS = 1; // DreamMarketplace.PaymentToken.DREAMS
+    const PRICE = ethers.parseEther("500");
+    let marketplace;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const juicyToken = await MockERC20.deploy("JUICY", "JUICY", 18);
+      const DreamMarketplace = await ethers.getContractFactory("DreamMarketplace");
+      marketplace = await DreamMarketplace.deploy(
+        await positions.getAddress(),
+        treasury.address,
+        await dreamsToken.getAddress(),
+        await juicyToken.getAddress()
+      );
+
+      await positions.connect(user1).openPosition(AMOUNT, 0);
+      await dreamsToken.connect(user2).approve(await marketplace.getAddress(), ethers.MaxUint256);
+    });
+
+    it("should sell a position through a DreamMarketplace instance", async function () {
+      await positions.connect(user1).approve(await marketplace.getAddress(), 1);
+      await marketplace.connect(user1).listForSale(1, PRICE, DREAMS);
+
+      await marketplace.connect(user2).buyNow(1);
+
+      expect(await positions.ownerOf(1)).to.equal(user2.address);
+      expect(await staking.getVotes(user2.address)).to.equal(AMOUNT);
+      expect((await staking.stakes(await accountOf(1))).amount).to.equal(AMOUNT);
+    });
+
+    it("should not let the seller drain a listed position", async function () {
+      await positions.connect(user1).approve(await marketplace.getAddress(), 1);
+      await marketplace.connect(user1).listForSale(1, PRICE, DREAMS);
+      await time.increase(CLIFF_PERIOD);
+
+      await expect(
+        positions.connect(user1).unstake(1, AMOUNT)
+      ).to.be.revertedWithCustomError(positions, "NotPositionOwner");
+      await expect(
+        positions.connect(user1).claimRewards(1)
+      ).to.be.revertedWithCustomError(positions, "NotPositionOwner");
+    });
+
+    it("should not accept an offer made before the holder took value out", async function () {
+      await marketplace.connect(user2).makeOffer(1, PRICE, DREAMS, DAY);
+
+      // Emptying half of the position invalidates the offer
+      await positions.connect(user1).unstake(1, AMOUNT / 2n);
+      expect(await marketplace.isOfferValid(1, 0)).to.equal(false);
+      await expect(
+        marketplace.connect(user1).acceptOffer(1, 0)
+      ).to.be.revertedWithCustomError(marketplace, "PositionChanged");
+
+      // The buyer gets their money back and can offer on the position as it is now
+      const before = await dreamsToken.balanceOf(user2.address);
+      await marketplace.connect(user2).cancelOffer(1, 0);
+      expect(await dreamsToken.balanceOf(user2.address)).to.equal(before + PRICE);
+
+      await marketplace.connect(user2).makeOffer(1, PRICE / 2n, DREAMS, DAY);
+      await positions.connect(user1).approve(await marketplace.getAddress(), 1);
+      await marketplace.connect(user1).acceptOffer(1, 1);
+      expect(await positions.ownerOf(1)).to.equal(user2.address);
+      expect((await staking.stakes(await accountOf(1))).amount).to.equal(AMOUNT / 2n);
+    });
+  });
+});
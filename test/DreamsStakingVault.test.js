@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("DreamsStakingVault", function () {
+  let vault, staking, router;
+  let dreamsToken, rewardToken;
+  let owner, treasury, user1, user2;
+
+  const CLIFF_PERIOD = 30 * 24 * 60 * 60; // 30 days
+  const VESTING_PERIOD = 180 * 24 * 60 * 60; // 180 days
+  const REWARD_PERIOD = 365 * 24 * 60 * 60; // 1 year
+  const REWARD_FUNDING = ethers.parseEther("100000");
+  const DEPOSIT = ethers.parseEther("1000");
+
+  beforeEach(async function () {
+    [owner, treasury, user1, user2] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    dreamsToken = await MockERC20.deploy("DREAMS Token", "DREAMS", 18);
+    rewardToken = await MockERC20.deploy("JUICY Token", "JUICY", 18);
+
+    const MockPriceOracle = await ethers.getContractFactory("MockPriceOracle");
+    const mockOracle = await MockPriceOracle.deploy();
+
+    const DreamsStaking = await ethers.getContractFactory("DreamsStaking");
+    staking = await DreamsStaking.deploy(
+      await dreamsToken.getAddress(),
+      await rewardToken.getAddress(),
+      await mockOracle.getAddress(),
+      treasury.address
+    );
+
+    // 1 JUICY = 7.5 DREAMS
+    const MockDexRouter = await ethers.getContractFactory("MockDexRouter");
+    router = await MockDexRouter.deploy(owner.address, await rewardToken.getAddress(), await dreamsToken.getAddress());
+    await dreamsToken.mint(await router.getAddress(), ethers.parseEther("10000000"));
+
+    const DreamsStakingVault = await ethers.getContractFactory("DreamsStakingVault");
+    vault = await DreamsStakingVault.deploy(
+      await dreamsToken.getAddress(),
+      await staking.getAddress(),
+      await router.getAddress(),
+      false
+    );
+
+    for (const user of [user1, user2]) {
+      await dreamsToken.mint(user.address, ethers.parseEther("10000"));
+      await dreamsToken.connect(user).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+
+    await rewardToken.mint(await staking.getAddress(), REWARD_FUNDING);
+    await staking.fundRewardPeriod(rewardToken, REWARD_FUNDING, REWARD_PERIOD);
+  });
+
+  describe("Deposits", function () {
+    it("should stake every deposit in DreamsStaking", async function () {
+      await expect(vault.connect(user1).deposit(DEPOSIT, user1.address))
+        .to.emit(staking, "Staked");
+
+      expect(await vault.balanceOf(user1.address)).to.equal(DEPOSIT);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+      expect((await staking.stakes(await vault.getAddress())).amount).to.equal(DEPOSIT);
+      expect(await dreamsToken.balanceOf(await vault.getAddress())).to.equal(0);
+    });
+
+    it("should reject a zero address in the constructor", async function () {
+      const DreamsStakingVault = await ethers.getContractFactory("DreamsStakingVault");
+      await expect(
+        DreamsStakingVault.deploy(await dreamsToken.getAddress(), ethers.ZeroAddress, await router.getAddress(), false)
+      ).to.be.revertedWithCustomError(vault, "InvalidAddress");
+    });
+  });
+
+  describe("Exits", function () {
+    beforeEach(async function () {
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      await vault.connect(user2).deposit(DEPOSIT, user2.address);
+    });
+
+    it("should charge the early-unstake penalty to the account exiting", async function () {
+      const shares = await vault.balanceOf(user1.address);
+      const quoted = await vault.previewRedeem(shares);
+      expect(quoted).to.equal((DEPOSIT * 8000n) / 10000n);
+
+      const before = await dreamsToken.balanceOf(user1.address);
+      await vault.connect(user1).redeem(shares, user1.address, user1.address);
+      expect((await dreamsToken.balanceOf(user1.address)) - before).to.equal(quoted);
+      expect(await dreamsToken.balanceOf(treasury.address)).to.equal(DEPOSIT - quoted);
+
+      // The other depositor's shares are still worth their full deposit
+      expect(await vault.convertToAssets(await vault.balanceOf(user2.address))).to.equal(DEPOSIT);
+    });
+
+    it("should burn enough shares to cover the penalty on a withdraw", async function () {
+      const assets = ethers.parseEther("400");
+      const shares = await vault.previewWithdraw(assets);
+      expect(shares).to.equal(ethers.parseEther("500"));
+
+      const before = await dreamsToken.balanceOf(user1.address);
+      await vault.connect(user1).withdraw(assets, user1.address, user1.address);
+      expect((await dreamsToken.balanceOf(user1.address)) - before).to.equal(assets);
+      expect(await vault.balanceOf(user1.address)).to.equal(DEPOSIT - shares);
+      expect(await vault.maxWithdraw(user1.address)).to.equal(ethers.parseEther("400"));
+    });
+
+    it("should pay vested DREAMS in full", async function () {
+      await time.increase(CLIFF_PERIOD + VESTING_PERIOD);
+
+      const shares = await vault.balanceOf(user1.address);
+      expect(await vault.previewRedeem(shares)).to.equal(DEPOSIT);
+      await vault.connect(user1).redeem(shares, user1.address, user1.address);
+      expect(await dreamsToken.balanceOf(user1.address)).to.equal(ethers.parseEther("10000"));
+    });
+
+    it("should charge every exit the vault-wide unvested share", async function () {
+      // user1's deposit vests; user2 then deposits again and exits right away
+      await time.increase(CLIFF_PERIOD + VESTING_PERIOD);
+      await vault.connect(user2).redeem(await vault.balanceOf(user2.address), user2.address, user2.address);
+      await vault.connect(user2).deposit(DEPOSIT, user2.address);
+
+      // Half the vault is unvested, so a 20% penalty becomes 10% for anyone exiting
+      const shares = await vault.balanceOf(user2.address);
+      const quoted = await vault.previewRedeem(shares);
+      expect(quoted).to.equal((DEPOSIT * 9000n) / 10000n);
+
+      const before = await dreamsToken.balanceOf(user2.address);
+      await vault.connect(user2).redeem(shares, user2.address, user2.address);
+      expect((await dreamsToken.balanceOf(user2.address)) - before).to.equal(quoted);
+
+      // The vested DREAMS paid user2 without a staking penalty; the charge stays with user1
+      expect(await dreamsToken.balanceOf(treasury.address)).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT + DEPOSIT - quoted);
+      expect(await vault.convertToAssets(await vault.balanceOf(user1.address))).to.be.closeTo(DEPOSIT + DEPOSIT / 10n, 1n);
+    });
+
+    it("should let the last holder take everything out", async function () {
+      for (const user of [user1, user2]) {
+        await vault.connect(user).redeem(await vault.balanceOf(user.address), user.address, user.address);
+      }
+
+      expect(await vault.totalSupply()).to.equal(0);
+      expect((await staking.stakes(await vault.getAddress())).amount).to.equal(0);
+    });
+  });
+
+  describe("Harvest", function () {
+    beforeEach(async function () {
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      await time.increase(CLIFF_PERIOD);
+    });
+
+    it("should swap rewards to DREAMS and restake them", async function () {
+      const before = await vault.totalAssets();
+      const juicy = await staking.earned(await vault.getAddress(), rewardToken);
+
+      const tx = await vault.harvest(0);
+      await expect(tx).to.emit(vault, "Harvested");
+
+      const gained = (await vault.totalAssets()) - before;
+      expect(gained).to.be.closeTo((juicy * 75n) / 10n, ethers.parseEther("0.1"));
+      expect(await rewardToken.balanceOf(await vault.getAddress())).to.equal(0);
+
+      // Share count is unchanged, so each share is worth more
+      expect(await vault.convertToAssets(DEPOSIT)).to.be.gt(DEPOSIT);
+    });
+
+    it("should enforce the minimum swap output", async function () {
+      await expect(
+        vault.harvest(ethers.parseEther("100000000"))
+      ).to.be.revertedWithCustomError(vault, "InsufficientOutput");
+    });
+
+    it("should keep tokens the DEX can't swap for later", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 18);
+      await staking.addRewardToken(usdc);
+      await usdc.mint(await staking.getAddress(), ethers.parseEther("700"));
+      await staking.fundRewardPeriod(usdc, ethers.parseEther("700"), 7 * 24 * 60 * 60);
+      await time.increase(7 * 24 * 60 * 60);
+
+      await expect(vault.harvest(0))
+        .to.emit(vault, "RewardSwapFailed");
+      expect(await usdc.balanceOf(await vault.getAddress())).to.be.gt(0);
+      expect(await rewardToken.balanceOf(await vault.getAddress())).to.equal(0);
+    });
+
+    it("should only let operators harvest", async function () {
+      await expect(
+        vault.connect(user1).harvest(0)
+      ).to.be.revertedWithCustomError(vault, "MissingRole")
+        .withArgs(await vault.OPERATOR_ROLE(), user1.address);
+
+      await vault.grantRole(await vault.OPERATOR_ROLE(), user1.address);
+      await vault.connect(user1).harvest(0);
+    });
+  });
+
+  describe("Voting", function () {
+    it("should give each holder their share of the vault's votes", async function () {
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      await vault.connect(user2).deposit(DEPOSIT * 3n, user2.address);
+
+      expect(await staking.getVotes(await vault.getAddress())).to.equal(DEPOSIT * 4n);
+      expect(await vault.getVotes(user1.address)).to.equal(DEPOSIT);
+      expect(await vault.getVotes(user2.address)).to.equal(DEPOSIT * 3n);
+    });
+
+    it("should move votes with shares and keep past votes", async function () {
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      const beforeTransfer = await ethers.provider.getBlockNumber();
+      await vault.connect(user1).transfer(user2.address, DEPOSIT / 4n);
+      await mine();
+
+      expect(await vault.getVotes(user2.address)).to.equal(DEPOSIT / 4n);
+      expect(await vault.getPastVotes(user1.address, beforeTransfer)).to.equal(DEPOSIT);
+      expect(await vault.getPastVotes(user2.address, beforeTransfer)).to.equal(0);
+      expect(await vault.getPastVotes(user1.address, beforeTransfer + 1)).to.equal(DEPOSIT - DEPOSIT / 4n);
+    });
+
+    it("should reject lookups of blocks that are not mined yet", async function () {
+      const current = await ethers.provider.getBlockNumber();
+      await expect(
+        vault.getPastVotes(user1.address, current + 1)
+      ).to.be.revertedWithCustomError(vault, "FutureLookup");
+    });
+
+    it("should give each holder their share of the vault's zDREAMS votes", async function () {
+      expect(await vault.getZDreamsVotes(user1.address)).to.equal(0);
+
+      const ZDREAMS = await ethers.getContractFactory("zDREAMS");
+      const zDreams = await ZDREAMS.deploy();
+      await zDreams.setStakingContract(await staking.getAddress());
+      await staking.setZDreamsToken(await zDreams.getAddress());
+
+      await vault.connect(user1).deposit(DEPOSIT, user1.address);
+      await vault.connect(user2).deposit(DEPOSIT * 3n, user2.address);
+      const afterDeposits = await ethers.provider.getBlockNumber();
+      await vault.connect(user2).transfer(user1.address, DEPOSIT);
+      await mine();
+
+      expect(await zDreams.balanceOf(await vault.getAddress())).to.equal(DEPOSIT * 4n);
+      expect(await vault.getZDreamsVotes(user1.address)).to.equal(DEPOSIT * 2n);
+      expect(await vault.getZDreamsVotes(user2.address)).to.equal(DEPOSIT * 2n);
+      expect(await vault.getPastZDreamsVotes(user1.address, afterDeposits)).to.equal(DEPOSIT);
+      expect(await vault.getPastZDreamsVotes(user2.address, afterDeposits)).to.equal(DEPOSIT * 3n);
+    });
+  });
+
+  describe("Admin", function () {
+    it("should let a governor change the router", async function () {
+      await expect(vault.updateRouter(user2.address))
+        .to.emit(vault, "RouterUpdated")
+        .withArgs(await router.getAddress(), user2.address);
+
+      await expect(
+        vault.connect(user1).updateRouter(user1.address)
+      ).to.be.revertedWithCustomError(vault, "MissingRole");
+    });
+
+    it("should transfer admin in two steps", async function () {
+      await vault.initiateAdminTransfer(user1.address);
+      await expect(vault.connect(user2).acceptAdminTransfer())
+        .to.be.revertedWithCustomError(vault, "NotPendingAdmin");
+
+      await vault.connect(user1).acceptAdminTransfer();
+      expect(await vault.admin()).to.equal(user1.address);
+    });
+  });
+});
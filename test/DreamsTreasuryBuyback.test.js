@@ -468,12 +468,69 @@ describe("DreamsTreasuryBuyback", function () {
   });
 
   describe("Insufficient Balance", function () {
-    it("should reject if insufficient zDREAMS", async function () {
-      const balance = await zDreams.balanceOf(seller.address);
+    it("should reject selling more than the staked position", async function () {
+      const [stakedAmount] = await mockStaking.getStakeInfo(seller.address);
 
       await expect(
-        buyback.connect(seller).sellStakedPosition(balance + 1n)
-      ).to.be.revertedWithCustomError(buyback, "InsufficientZDreams");
+        buyback.connect(seller).sellStakedPosition(stakedAmount + 1n)
+      ).to.be.revertedWithCustomError(buyback, "InsufficientStake");
+    });
+  });
+
+  describe("Selling a boosted position", function () {
+    const STAKE = ethers.parseEther("1000");
+    const SUPERNOVA = 3; // 100 zDREAMS
+    const FULL_VESTING = (30 + 180) * 24 * 60 * 60;
+
+    let staking, realZDreams, cloudBoost;
+
+    beforeEach(async function () {
+      const ZDREAMS = await ethers.getContractFactory("zDREAMS");
+      realZDreams = await ZDREAMS.deploy();
+      const CloudBoost = await ethers.getContractFactory("CloudBoost");
+      cloudBoost = await CloudBoost.deploy(await realZDreams.getAddress());
+
+      const DreamsStaking = await ethers.getContractFactory("DreamsStaking");
+      staking = await DreamsStaking.deploy(
+        await dreams.getAddress(),
+        await juicy.getAddress(),
+        await mockOracle.getAddress(),
+        treasury.address
+      );
+      await realZDreams.setStakingContract(await staking.getAddress());
+      await realZDreams.setCloudBoostContract(await cloudBoost.getAddress());
+      await staking.setZDreamsToken(await realZDreams.getAddress());
+
+      const DreamsTreasuryBuyback = await ethers.getContractFactory("DreamsTreasuryBuyback");
+      buyback = await DreamsTreasuryBuyback.deploy(
+        await dreams.getAddress(),
+        await juicy.getAddress(),
+        await weth.getAddress(),
+        await mockRouter.getAddress(),
+        await realZDreams.getAddress(),
+        await mockOracle.getAddress(),
+        await staking.getAddress(),
+        treasury.address,
+        true
+      );
+      await staking.setBuybackContract(await buyback.getAddress());
+
+      await dreams.mint(user2.address, STAKE);
+      await dreams.connect(user2).approve(await staking.getAddress(), STAKE);
+      await staking.connect(user2).stake(STAKE);
+      await cloudBoost.connect(user2).boostDream("dream-1", SUPERNOVA);
+      await time.increase(FULL_VESTING);
+    });
+
+    it("should sell the whole stake after spending zDREAMS on a boost", async function () {
+      expect(await realZDreams.balanceOf(user2.address)).to.equal(STAKE - ethers.parseEther("100"));
+
+      await expect(buyback.connect(user2).sellStakedPosition(STAKE))
+        .to.emit(buyback, "BuybackExecuted");
+
+      expect((await staking.stakes(user2.address)).amount).to.equal(0);
+      expect(await realZDreams.balanceOf(user2.address)).to.equal(0);
+      expect(await staking.boostDebt(user2.address)).to.equal(ethers.parseEther("100"));
     });
   });
 
@@ -541,6 +598,16 @@ describe("DreamsTreasuryBuyback", function () {
       expect(await buyback.userDailyLimit()).to.equal(newDailyUser);
     });
 
+    it("should update circuit breaker settings", async function () {
+      await expect(buyback.setCircuitBreakerSettings(1500, 7200, 12 * 3600))
+        .to.emit(buyback, "CircuitBreakerSettingsUpdated")
+        .withArgs(1500, 7200, 12 * 3600);
+
+      expect(await buyback.maxPriceDeviationBps()).to.equal(1500);
+      expect(await buyback.circuitBreakerCooldown()).to.equal(7200);
+      expect(await buyback.referencePriceUpdateInterval()).to.equal(12 * 3600);
+    });
+
     it("should update router", async function () {
       const newRouter = user2.address;
       await buyback.updateRouter(newRouter);
@@ -629,11 +696,11 @@ describe("DreamsTreasuryBuyback", function () {
     it("should only allow admin", async function () {
       await expect(
         buyback.connect(seller).setSpread(500)
-      ).to.be.revertedWithCustomError(buyback, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(buyback, "MissingRole");
 
       await expect(
         buyback.connect(seller).toggleBuyback()
-      ).to.be.revertedWithCustomError(buyback, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(buyback, "MissingRole");
     });
   });
 
@@ -658,6 +725,96 @@ describe("DreamsTreasuryBuyback", function () {
     });
   });
 
+  describe("Roles", function () {
+
+    it("should let the admin grant and revoke roles", async function () {
+      const role = await buyback.OPERATOR_ROLE();
+
+      await expect(buyback.connect(owner).grantRole(role, user2.address))
+        .to.emit(buyback, "RoleGranted")
+        .withArgs(role, user2.address, owner.address);
+      expect(await buyback.hasRole(role, user2.address)).to.equal(true);
+
+      await expect(buyback.connect(owner).revokeRole(role, user2.address))
+        .to.emit(buyback, "RoleRevoked")
+        .withArgs(role, user2.address, owner.address);
+      expect(await buyback.hasRole(role, user2.address)).to.equal(false);
+    });
+
+    it("should reject role changes from non-admin", async function () {
+      const role = await buyback.GOVERNOR_ROLE();
+
+      await expect(
+        buyback.connect(user2).grantRole(role, user2.address)
+      ).to.be.revertedWithCustomError(buyback, "NotRoleAdmin");
+
+      await expect(
+        buyback.connect(user2).revokeRole(role, owner.address)
+      ).to.be.revertedWithCustomError(buyback, "NotRoleAdmin");
+    });
+
+    it("should let a guardian trip the circuit breaker and pause, but not resume", async function () {
+      await buyback.grantRole(await buyback.GUARDIAN_ROLE(), user2.address);
+
+      await expect(buyback.connect(user2).tripCircuitBreaker())
+        .to.emit(buyback, "CircuitBreakerTripped")
+        .withArgs(user2.address);
+      expect(await buyback.circuitBreakerTriggered()).to.equal(true);
+
+      await buyback.connect(user2).toggleBuyback();
+      expect(await buyback.buybackEnabled()).to.equal(false);
+
+      const operatorRole = await buyback.OPERATOR_ROLE();
+      await expect(
+        buyback.connect(user2).toggleBuyback()
+      ).to.be.revertedWithCustomError(buyback, "MissingRole")
+        .withArgs(operatorRole, user2.address);
+
+      await expect(
+        buyback.connect(user2).resetCircuitBreaker()
+      ).to.be.revertedWithCustomError(buyback, "MissingRole")
+        .withArgs(operatorRole, user2.address);
+
+      await expect(
+        buyback.connect(user2).setSpread(500)
+      ).to.be.revertedWithCustomError(buyback, "MissingRole")
+        .withArgs(operatorRole, user2.address);
+    });
+
+    it("should reject tripping the circuit breaker without the guardian role", async function () {
+      await expect(
+        buyback.connect(seller).tripCircuitBreaker()
+      ).to.be.revertedWithCustomError(buyback, "MissingRole")
+        .withArgs(await buyback.GUARDIAN_ROLE(), seller.address);
+    });
+
+    it("should let a treasurer withdraw profits but not change parameters", async function () {
+      await buyback.grantRole(await buyback.TREASURER_ROLE(), user2.address);
+      await owner.sendTransaction({ to: await buyback.getAddress(), value: ethers.parseEther("1") });
+
+      const before = await ethers.provider.getBalance(treasury.address);
+      await buyback.connect(user2).withdrawProfits();
+      expect(await ethers.provider.getBalance(treasury.address)).to.equal(before + ethers.parseEther("1"));
+
+      await expect(
+        buyback.connect(user2).setSpread(500)
+      ).to.be.revertedWithCustomError(buyback, "MissingRole")
+        .withArgs(await buyback.OPERATOR_ROLE(), user2.address);
+    });
+
+    it("should keep an operator away from emergencyWithdraw", async function () {
+      await buyback.grantRole(await buyback.OPERATOR_ROLE(), user2.address);
+
+      await buyback.connect(user2).setSpread(500);
+      expect(await buyback.sellSpreadBps()).to.equal(500);
+
+      await expect(
+        buyback.connect(user2).emergencyWithdraw()
+      ).to.be.revertedWithCustomError(buyback, "MissingRole")
+        .withArgs(await buyback.TREASURER_ROLE(), user2.address);
+    });
+  });
+
   describe("Emergency Functions", function () {
     it("should withdraw profits to treasury", async function () {
       // Do a sell to generate spread profits
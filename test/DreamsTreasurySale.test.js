@@ -336,23 +336,18 @@ describe("DreamsTreasurySale", function () {
       expect(await treasurySale.autoStakeEnabled()).to.equal(false);
     });
 
-    it("should allow admin to transfer admin", async function () {
-      await treasurySale.transferAdmin(admin.address);
-      expect(await treasurySale.admin()).to.equal(admin.address);
-    });
-
     it("should reject non-admin calls", async function () {
       await expect(
         treasurySale.connect(buyer).toggleSales()
-      ).to.be.revertedWithCustomError(treasurySale, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(treasurySale, "MissingRole");
 
       await expect(
         treasurySale.connect(buyer).updateRouter(ethers.ZeroAddress)
-      ).to.be.revertedWithCustomError(treasurySale, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(treasurySale, "MissingRole");
 
       await expect(
         treasurySale.connect(buyer).updateTreasury(ethers.ZeroAddress)
-      ).to.be.revertedWithCustomError(treasurySale, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(treasurySale, "MissingRole");
     });
 
     it("should reject zero addresses in admin functions", async function () {
@@ -363,25 +358,157 @@ describe("DreamsTreasurySale", function () {
       await expect(
         treasurySale.updateTreasury(ethers.ZeroAddress)
       ).to.be.revertedWithCustomError(treasurySale, "InvalidAddress");
+    });
+  });
+
+  describe("Two-Step Admin Transfer", function () {
+    it("should initiate admin transfer", async function () {
+      await expect(
+        treasurySale.initiateAdminTransfer(admin.address)
+      ).to.emit(treasurySale, "AdminTransferInitiated")
+        .withArgs(owner.address, admin.address);
 
+      expect(await treasurySale.pendingAdmin()).to.equal(admin.address);
+      expect(await treasurySale.admin()).to.equal(owner.address);
+    });
+
+    it("should reject initiation with zero address", async function () {
       await expect(
-        treasurySale.transferAdmin(ethers.ZeroAddress)
+        treasurySale.initiateAdminTransfer(ethers.ZeroAddress)
       ).to.be.revertedWithCustomError(treasurySale, "InvalidAddress");
     });
+
+    it("should reject initiation from non-admin", async function () {
+      await expect(
+        treasurySale.connect(buyer).initiateAdminTransfer(buyer.address)
+      ).to.be.revertedWithCustomError(treasurySale, "OnlyAdmin");
+    });
+
+    it("should complete admin transfer", async function () {
+      await treasurySale.initiateAdminTransfer(admin.address);
+
+      await expect(
+        treasurySale.connect(admin).acceptAdminTransfer()
+      ).to.emit(treasurySale, "AdminTransferCompleted")
+        .withArgs(owner.address, admin.address);
+
+      expect(await treasurySale.admin()).to.equal(admin.address);
+      expect(await treasurySale.pendingAdmin()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should reject acceptance from wrong address", async function () {
+      await treasurySale.initiateAdminTransfer(admin.address);
+
+      await expect(
+        treasurySale.connect(buyer).acceptAdminTransfer()
+      ).to.be.revertedWithCustomError(treasurySale, "OnlyPendingAdmin");
+    });
+
+    it("should allow cancellation of pending transfer", async function () {
+      await treasurySale.initiateAdminTransfer(admin.address);
+
+      await expect(
+        treasurySale.cancelAdminTransfer()
+      ).to.emit(treasurySale, "AdminTransferCancelled")
+        .withArgs(owner.address);
+
+      expect(await treasurySale.pendingAdmin()).to.equal(ethers.ZeroAddress);
+
+      await expect(
+        treasurySale.connect(admin).acceptAdminTransfer()
+      ).to.be.revertedWithCustomError(treasurySale, "OnlyPendingAdmin");
+    });
+
+    it("should reject cancellation when no pending admin", async function () {
+      await expect(
+        treasurySale.cancelAdminTransfer()
+      ).to.be.revertedWithCustomError(treasurySale, "NoPendingAdmin");
+    });
+
+    it("should allow new admin to call admin functions", async function () {
+      await treasurySale.initiateAdminTransfer(admin.address);
+      await treasurySale.connect(admin).acceptAdminTransfer();
+
+      await expect(
+        treasurySale.connect(admin).toggleSales()
+      ).to.emit(treasurySale, "SalesToggled");
+    });
+
+    it("should reject old admin after transfer", async function () {
+      await treasurySale.initiateAdminTransfer(admin.address);
+      await treasurySale.connect(admin).acceptAdminTransfer();
+
+      await expect(
+        treasurySale.connect(owner).toggleSales()
+      ).to.be.revertedWithCustomError(treasurySale, "MissingRole");
+    });
+  });
+
+  describe("Roles", function () {
+
+    it("should let the admin grant and revoke roles", async function () {
+      const role = await treasurySale.OPERATOR_ROLE();
+
+      await expect(treasurySale.connect(owner).grantRole(role, buyer.address))
+        .to.emit(treasurySale, "RoleGranted")
+        .withArgs(role, buyer.address, owner.address);
+      expect(await treasurySale.hasRole(role, buyer.address)).to.equal(true);
+
+      await expect(treasurySale.connect(owner).revokeRole(role, buyer.address))
+        .to.emit(treasurySale, "RoleRevoked")
+        .withArgs(role, buyer.address, owner.address);
+      expect(await treasurySale.hasRole(role, buyer.address)).to.equal(false);
+    });
+
+    it("should reject role changes from non-admin", async function () {
+      const role = await treasurySale.GOVERNOR_ROLE();
+
+      await expect(
+        treasurySale.connect(buyer).grantRole(role, buyer.address)
+      ).to.be.revertedWithCustomError(treasurySale, "NotRoleAdmin");
+
+      await expect(
+        treasurySale.connect(buyer).revokeRole(role, owner.address)
+      ).to.be.revertedWithCustomError(treasurySale, "NotRoleAdmin");
+    });
+
+    it("should let a guardian pause sales but not resume them", async function () {
+      await treasurySale.grantRole(await treasurySale.GUARDIAN_ROLE(), buyer.address);
+
+      await treasurySale.connect(buyer).toggleSales();
+      expect(await treasurySale.salesEnabled()).to.equal(false);
+
+      await expect(
+        treasurySale.connect(buyer).toggleSales()
+      ).to.be.revertedWithCustomError(treasurySale, "MissingRole")
+        .withArgs(await treasurySale.OPERATOR_ROLE(), buyer.address);
+    });
+
+    it("should let a governor rewire the sale but not rescue funds", async function () {
+      await treasurySale.grantRole(await treasurySale.GOVERNOR_ROLE(), buyer.address);
+
+      await treasurySale.connect(buyer).updateTreasury(admin.address);
+      expect(await treasurySale.treasury()).to.equal(admin.address);
+
+      await expect(
+        treasurySale.connect(buyer).rescueNative()
+      ).to.be.revertedWithCustomError(treasurySale, "MissingRole")
+        .withArgs(await treasurySale.TREASURER_ROLE(), buyer.address);
+    });
   });
 
   describe("Emergency Functions", function () {
-    it("should allow admin to rescue tokens", async function () {
+    it("should rescue tokens to the treasury", async function () {
       // Send some tokens to contract accidentally
       const rescueAmount = ethers.parseEther("100");
       await juicy.mint(await treasurySale.getAddress(), rescueAmount);
 
-      const adminBalanceBefore = await juicy.balanceOf(owner.address);
+      const treasuryBalanceBefore = await juicy.balanceOf(treasury.address);
 
       await treasurySale.rescueTokens(await juicy.getAddress(), rescueAmount);
 
-      const adminBalanceAfter = await juicy.balanceOf(owner.address);
-      expect(adminBalanceAfter).to.equal(adminBalanceBefore + rescueAmount);
+      const treasuryBalanceAfter = await juicy.balanceOf(treasury.address);
+      expect(treasuryBalanceAfter).to.equal(treasuryBalanceBefore + rescueAmount);
     });
 
     it("should allow admin to rescue native tokens", async function () {
@@ -391,23 +518,22 @@ describe("DreamsTreasurySale", function () {
         value: ethers.parseEther("1")
       });
 
-      const adminBalanceBefore = await ethers.provider.getBalance(owner.address);
+      const treasuryBalanceBefore = await ethers.provider.getBalance(treasury.address);
 
       await treasurySale.rescueNative();
 
-      const adminBalanceAfter = await ethers.provider.getBalance(owner.address);
-      // Account for gas, but balance should increase significantly
-      expect(adminBalanceAfter).to.be.gt(adminBalanceBefore - ethers.parseEther("0.01"));
+      const treasuryBalanceAfter = await ethers.provider.getBalance(treasury.address);
+      expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(ethers.parseEther("1"));
     });
 
     it("should reject non-admin rescue calls", async function () {
       await expect(
         treasurySale.connect(buyer).rescueTokens(await juicy.getAddress(), 100)
-      ).to.be.revertedWithCustomError(treasurySale, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(treasurySale, "MissingRole");
 
       await expect(
         treasurySale.connect(buyer).rescueNative()
-      ).to.be.revertedWithCustomError(treasurySale, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(treasurySale, "MissingRole");
     });
   });
 
@@ -347,6 +347,254 @@ describe("MilestoneCrowdfunding", function () {
       const expectedRelease = ethers.parseEther("277.5");
       expect(creatorBalanceAfter - creatorBalanceBefore).to.equal(expectedRelease);
     });
+
+    describe("DREAMS staker fee share", function () {
+      let staking;
+
+      beforeEach(async function () {
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const juicy = await MockERC20.deploy("JUICY Token", "JUICY", 18);
+
+        const DreamsStaking = await ethers.getContractFactory("DreamsStaking");
+        staking = await DreamsStaking.deploy(
+          await dreams.getAddress(),
+          await juicy.getAddress(),
+          await priceOracle.getAddress(),
+          treasury.address
+        );
+        await crowdfunding.setDreamsStakingContract(await staking.getAddress());
+        await crowdfunding.setDreamsStakingPool(await staking.getAddress());
+
+        await dreams.mint(backer1.address, ethers.parseEther("1000"));
+        await dreams.connect(backer1).approve(await staking.getAddress(), ethers.MaxUint256);
+        await staking.connect(backer1).stake(ethers.parseEther("1000"));
+      });
+
+      async function approveFirstMilestone() {
+        await crowdfunding.connect(creator).submitMilestoneProof(campaignId, PROOF_HASH);
+        await crowdfunding.connect(backer1).voteOnMilestone(campaignId, true);
+        await crowdfunding.connect(backer2).voteOnMilestone(campaignId, true);
+      }
+
+      it("should stream the fee share to DREAMS stakers", async function () {
+        await staking.addRewardToken(await usdc.getAddress());
+        await staking.setRewardDistributor(await crowdfunding.getAddress(), true);
+
+        await approveFirstMilestone();
+
+        // 1.25% of the 300 released
+        const share = ethers.parseEther("3.75");
+        expect(await staking.unallocatedRewards(await usdc.getAddress())).to.be.lt(ethers.parseEther("0.000001"));
+
+        await time.increase(7 * 24 * 60 * 60);
+        expect(await staking.earned(backer1.address, await usdc.getAddress())).to.be.closeTo(share, ethers.parseEther("0.000001"));
+      });
+
+      it("should send the share of a fee token staking doesn't stream to the treasury", async function () {
+        const treasuryBefore = await usdc.balanceOf(treasury.address);
+
+        await crowdfunding.connect(creator).submitMilestoneProof(campaignId, PROOF_HASH);
+        await crowdfunding.connect(backer1).voteOnMilestone(campaignId, true);
+        await expect(crowdfunding.connect(backer2).voteOnMilestone(campaignId, true))
+          .to.emit(crowdfunding, "StakerFeeSentToTreasury")
+          .withArgs(await usdc.getAddress(), ethers.parseEther("3.75"));
+
+        // 5% treasury fee plus both 1.25% staker shares of the 300 released (no JUICY pool is set)
+        expect(await usdc.balanceOf(treasury.address) - treasuryBefore).to.equal(ethers.parseEther("22.5"));
+        expect(await usdc.balanceOf(await staking.getAddress())).to.equal(0);
+      });
+
+      it("should report a fee share staking won't stream", async function () {
+        await staking.addRewardToken(await usdc.getAddress());
+
+        await crowdfunding.connect(creator).submitMilestoneProof(campaignId, PROOF_HASH);
+        await crowdfunding.connect(backer1).voteOnMilestone(campaignId, true);
+        await expect(crowdfunding.connect(backer2).voteOnMilestone(campaignId, true))
+          .to.emit(crowdfunding, "StakerFeeNotifyFailed")
+          .withArgs(await usdc.getAddress(), ethers.parseEther("3.75"));
+
+        expect(await usdc.balanceOf(await staking.getAddress())).to.equal(ethers.parseEther("3.75"));
+      });
+    });
+  });
+
+  describe("Disputes without a staking contract", function () {
+    it("should not open a dispute until the staking contract is set", async function () {
+      await createValidCampaign();
+      await crowdfunding.connect(backer1).contribute(0, CONTRIBUTION_AMOUNT);
+      await time.increase(FUNDING_DURATION + 1);
+      await crowdfunding.finalizeFunding(0);
+      await crowdfunding.connect(creator).submitMilestoneProof(0, PROOF_HASH);
+      await crowdfunding.connect(backer1).voteOnMilestone(0, false);
+
+      await expect(
+        crowdfunding.connect(creator).initiateDispute(0, PROOF_HASH)
+      ).to.be.revertedWithCustomError(crowdfunding, "StakingContractNotSet");
+    });
+  });
+
+  describe("Dispute Voting Power", function () {
+    const STAKE = ethers.parseEther("400");
+    let staking;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const juicy = await MockERC20.deploy("JUICY Token", "JUICY", 18);
+
+      const DreamsStaking = await ethers.getContractFactory("DreamsStaking");
+      staking = await DreamsStaking.deploy(
+        await dreams.getAddress(),
+        await juicy.getAddress(),
+        await priceOracle.getAddress(),
+        treasury.address
+      );
+      await crowdfunding.setDreamsStakingContract(await staking.getAddress());
+
+      await dreams.mint(backer1.address, STAKE);
+      await dreams.connect(backer1).approve(await staking.getAddress(), ethers.MaxUint256);
+      await staking.connect(backer1).stake(STAKE);
+    });
+
+    it("should count power delegated to the voter", async function () {
+      const sqrtStake = 20000000000n; // sqrt(400e18)
+      expect(await crowdfunding.getDisputeVotingPower(backer1.address)).to.equal(sqrtStake);
+      expect(await crowdfunding.getDisputeVotingPower(backer2.address)).to.equal(0);
+
+      await staking.connect(backer1).delegate(backer2.address);
+
+      // The delegate has no stake of their own, so no time multiplier
+      expect(await crowdfunding.getDisputeVotingPower(backer2.address)).to.equal(sqrtStake);
+      expect(await crowdfunding.getDisputeVotingPower(backer1.address)).to.equal(0);
+    });
+
+    it("should keep the voter's own time multiplier on delegated power", async function () {
+      await dreams.mint(backer2.address, STAKE);
+      await dreams.connect(backer2).approve(await staking.getAddress(), ethers.MaxUint256);
+      await staking.connect(backer2).stake(STAKE);
+      await time.increase(30 * 24 * 60 * 60);
+
+      await staking.connect(backer1).delegate(backer2.address);
+
+      // sqrt(800e18) x 1.25
+      const expected = (28284271247n * 125n) / 100n;
+      expect(await crowdfunding.getDisputeVotingPower(backer2.address)).to.equal(expected);
+    });
+
+    it("should count a vault depositor's share of the vault's power", async function () {
+      const DreamsStakingVault = await ethers.getContractFactory("DreamsStakingVault");
+      const vault = await DreamsStakingVault.deploy(
+        await dreams.getAddress(),
+        await staking.getAddress(),
+        owner.address, // Router isn't used here
+        false
+      );
+      await dreams.mint(backer2.address, STAKE);
+      await dreams.connect(backer2).approve(await vault.getAddress(), ethers.MaxUint256);
+      await vault.connect(backer2).deposit(STAKE, backer2.address);
+
+      expect(await crowdfunding.getDisputeVotingPower(backer2.address)).to.equal(0);
+
+      await expect(crowdfunding.setStakingVault(await vault.getAddress()))
+        .to.emit(crowdfunding, "StakingVaultUpdated")
+        .withArgs(ethers.ZeroAddress, await vault.getAddress());
+      expect(await crowdfunding.getDisputeVotingPower(backer2.address)).to.equal(20000000000n); // sqrt(400e18)
+    });
+
+    it("should read dispute power from the block the dispute opened in", async function () {
+      await createValidCampaign();
+      await crowdfunding.connect(backer1).contribute(0, CONTRIBUTION_AMOUNT);
+      await time.increase(FUNDING_DURATION + 1);
+      await crowdfunding.finalizeFunding(0);
+      await crowdfunding.connect(creator).submitMilestoneProof(0, PROOF_HASH);
+      await crowdfunding.connect(backer1).voteOnMilestone(0, false);
+
+      await crowdfunding.connect(creator).initiateDispute(0, PROOF_HASH);
+      expect((await crowdfunding.disputes(0)).totalPowerAtSnapshot).to.equal(STAKE);
+
+      // Staking after the dispute opened doesn't give a vote
+      await dreams.mint(backer2.address, STAKE);
+      await dreams.connect(backer2).approve(await staking.getAddress(), ethers.MaxUint256);
+      await staking.connect(backer2).stake(STAKE);
+      await expect(
+        crowdfunding.connect(backer2).voteOnDispute(0, true)
+      ).to.be.revertedWithCustomError(crowdfunding, "NotAStaker");
+
+      // Delegating away after the snapshot keeps the snapshot vote
+      await staking.connect(backer1).delegate(backer2.address);
+      await crowdfunding.connect(backer1).voteOnDispute(0, false);
+      expect((await crowdfunding.disputes(0)).powerVoted).to.equal(STAKE);
+    });
+
+    it("should leave locks that have ended out of a new dispute's power", async function () {
+      await dreams.mint(backer2.address, STAKE);
+      await dreams.connect(backer2).approve(await staking.getAddress(), ethers.MaxUint256);
+      await staking.connect(backer2).stakeLocked(STAKE, 30 * 24 * 60 * 60); // 1.1x boost
+      expect(await staking.getTotalVotingPower()).to.equal(STAKE * 2n + STAKE / 10n);
+
+      await time.increase(30 * 24 * 60 * 60);
+      await createValidCampaign();
+      await crowdfunding.connect(backer1).contribute(0, CONTRIBUTION_AMOUNT);
+      await time.increase(FUNDING_DURATION + 1);
+      await crowdfunding.finalizeFunding(0);
+      await crowdfunding.connect(creator).submitMilestoneProof(0, PROOF_HASH);
+      await crowdfunding.connect(backer1).voteOnMilestone(0, false);
+
+      // Nobody expired the lock, so the boost still counts until the dispute opens
+      expect(await staking.getVotes(backer2.address)).to.equal(STAKE + STAKE / 10n);
+      await crowdfunding.connect(creator).initiateDispute(0, PROOF_HASH);
+
+      expect((await crowdfunding.disputes(0)).totalPowerAtSnapshot).to.equal(STAKE * 2n);
+      await crowdfunding.connect(backer2).voteOnDispute(0, true);
+      expect((await crowdfunding.disputes(0)).powerVoted).to.equal(STAKE);
+    });
+
+    it("should not open a dispute while too many ended locks are unexpired", async function () {
+      const MAX = Number(await crowdfunding.DISPUTE_LOCK_EXPIRIES());
+      await dreams.mint(backer2.address, STAKE);
+      await dreams.connect(backer2).approve(await staking.getAddress(), ethers.MaxUint256);
+      // Every extension queues the lock again
+      await staking.connect(backer2).stakeLocked(STAKE, 30 * 24 * 60 * 60);
+      for (let i = 0; i < MAX; i++) {
+        await staking.connect(backer2).extendLock(0, 30 * 24 * 60 * 60);
+      }
+
+      await time.increase(30 * 24 * 60 * 60);
+      await createValidCampaign();
+      await crowdfunding.connect(backer1).contribute(0, CONTRIBUTION_AMOUNT);
+      await time.increase(FUNDING_DURATION + 1);
+      await crowdfunding.finalizeFunding(0);
+      await crowdfunding.connect(creator).submitMilestoneProof(0, PROOF_HASH);
+      await crowdfunding.connect(backer1).voteOnMilestone(0, false);
+
+      await expect(
+        crowdfunding.connect(creator).initiateDispute(0, PROOF_HASH)
+      ).to.be.revertedWithCustomError(crowdfunding, "LockExpiryPending");
+
+      await staking.expireEndedLocks(MAX);
+      await crowdfunding.connect(creator).initiateDispute(0, PROOF_HASH);
+    });
+
+    it("should use the time multiplier from when the dispute opened", async function () {
+      await time.increase(14 * 24 * 60 * 60);
+      await createValidCampaign();
+      await crowdfunding.connect(backer1).contribute(0, CONTRIBUTION_AMOUNT);
+      await time.increase(FUNDING_DURATION + 1);
+      await crowdfunding.finalizeFunding(0);
+      await crowdfunding.connect(creator).submitMilestoneProof(0, PROOF_HASH);
+      await crowdfunding.connect(backer1).voteOnMilestone(0, false);
+
+      // Staked for under 30 days when the dispute opens
+      const stakedFor = BigInt(await time.latest()) - (await staking.stakes(backer1.address)).startTime;
+      expect(stakedFor).to.be.lt(30n * 24n * 60n * 60n);
+      await crowdfunding.connect(creator).initiateDispute(0, PROOF_HASH);
+
+      // Passing 30 days during the vote doesn't raise the voter's power
+      await time.increase(30 * 24 * 60 * 60 - Number(stakedFor));
+      expect(await crowdfunding.getDisputeVotingPower(backer1.address)).to.equal((20000000000n * 125n) / 100n);
+      await expect(crowdfunding.connect(backer1).voteOnDispute(0, false))
+        .to.emit(crowdfunding, "DisputeVoteCast")
+        .withArgs(0, backer1.address, false, 20000000000n); // sqrt(400e18) x 1.0
+    });
   });
 
   describe("Refunds", function () {
@@ -433,6 +681,56 @@ describe("MilestoneCrowdfunding", function () {
     });
   });
 
+  describe("Roles", function () {
+
+    it("should let the admin grant and revoke roles", async function () {
+      const role = await crowdfunding.OPERATOR_ROLE();
+
+      await expect(crowdfunding.connect(owner).grantRole(role, backer2.address))
+        .to.emit(crowdfunding, "RoleGranted")
+        .withArgs(role, backer2.address, owner.address);
+      expect(await crowdfunding.hasRole(role, backer2.address)).to.equal(true);
+
+      await expect(crowdfunding.connect(owner).revokeRole(role, backer2.address))
+        .to.emit(crowdfunding, "RoleRevoked")
+        .withArgs(role, backer2.address, owner.address);
+      expect(await crowdfunding.hasRole(role, backer2.address)).to.equal(false);
+    });
+
+    it("should reject role changes from non-admin", async function () {
+      const role = await crowdfunding.GOVERNOR_ROLE();
+
+      await expect(
+        crowdfunding.connect(backer2).grantRole(role, backer2.address)
+      ).to.be.revertedWithCustomError(crowdfunding, "NotRoleAdmin");
+
+      await expect(
+        crowdfunding.connect(backer2).revokeRole(role, owner.address)
+      ).to.be.revertedWithCustomError(crowdfunding, "NotRoleAdmin");
+    });
+
+    it("should let a governor set the staking pools but not sweep refunds", async function () {
+      await crowdfunding.grantRole(await crowdfunding.GOVERNOR_ROLE(), backer2.address);
+
+      await crowdfunding.connect(backer2).setJuicyStakingPool(backer2.address);
+      expect(await crowdfunding.juicyStakingPool()).to.equal(backer2.address);
+
+      await expect(
+        crowdfunding.connect(backer2).sweepExpiredRefunds(0)
+      ).to.be.revertedWithCustomError(crowdfunding, "MissingRole")
+        .withArgs(await crowdfunding.TREASURER_ROLE(), backer2.address);
+    });
+
+    it("should keep an operator away from wiring", async function () {
+      await crowdfunding.grantRole(await crowdfunding.OPERATOR_ROLE(), backer2.address);
+
+      await expect(
+        crowdfunding.connect(backer2).setDreamsStakingPool(backer2.address)
+      ).to.be.revertedWithCustomError(crowdfunding, "MissingRole")
+        .withArgs(await crowdfunding.GOVERNOR_ROLE(), backer2.address);
+    });
+  });
+
   describe("Reentrancy Protection", function () {
     it("should have nonReentrant modifier on contribute", async function () {
       // This is a structural test - the nonReentrant modifier prevents reentrancy
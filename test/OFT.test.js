@@ -1,21 +1,44 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
-// Skip OFT tests until LayerZero mock contracts are added
-// These tests require @layerzerolabs/test-devtools-evm-hardhat package
-// Install with: npm install --save-dev @layerzerolabs/test-devtools-evm-hardhat
-describe.skip("OFT Bridging", function () {
+describe("OFT Bridging", function () {
 
     const baseEid = 1;
     const avalancheEid = 2;
     const initialSupply = ethers.parseEther("1000000");
 
-    let owner, user;
+    let owner, user, other;
     let dreamsToken, dreamsProxyOFT, dreamsOFT;
     let endpointBase, endpointAvalanche;
 
+    const PT_SEND = 0;
+    const dstGasLimit = 200000;
+    // Adapter params v1: (uint16 version, uint256 gasLimit)
+    const adapterParams = ethers.solidityPacked(["uint16", "uint256"], [1, dstGasLimit]);
+
+    const toBytes32 = (address) => ethers.zeroPadValue(address, 32);
+
+    const callParams = (refundAddress) => ({
+        refundAddress,
+        zroPaymentAddress: ethers.ZeroAddress,
+        adapterParams
+    });
+
+    async function bridge(oft, from, dstEid, amount, minAmount = amount) {
+        const [nativeFee] = await oft.estimateSendFee(dstEid, toBytes32(from.address), amount, false, adapterParams);
+        return oft.connect(from).sendFrom(
+            from.address,
+            dstEid,
+            toBytes32(from.address),
+            amount,
+            minAmount,
+            callParams(from.address),
+            { value: nativeFee }
+        );
+    }
+
     beforeEach(async function () {
-        [owner, user] = await ethers.getSigners();
+        [owner, user, other] = await ethers.getSigners();
 
         // 1. Deploy mock DREAMS token
         const MockERC20 = await ethers.getContractFactory("MockERC20");
@@ -29,86 +52,285 @@ describe.skip("OFT Bridging", function () {
 
         // 3. Deploy OFT contracts
         const DreamsProxyOFT = await ethers.getContractFactory("DreamsProxyOFT");
-        dreamsProxyOFT = await DreamsProxyOFT.deploy(await endpointBase.getAddress(), await dreamsToken.getAddress());
+        dreamsProxyOFT = await DreamsProxyOFT.deploy(await endpointBase.getAddress(), await dreamsToken.getAddress(), owner.address);
 
         const DreamsOFT = await ethers.getContractFactory("DreamsOFT");
         dreamsOFT = await DreamsOFT.deploy("DREAMS (LayerZero)", "DRM", await endpointAvalanche.getAddress(), owner.address);
 
-        // 4. Set peers for endpoints
-        await endpointBase.setPeer(avalancheEid, await endpointAvalanche.getAddress());
-        await endpointAvalanche.setPeer(baseEid, await endpointBase.getAddress());
+        // 4. Connect the endpoints to each other
+        await endpointBase.setRemoteEndpoint(avalancheEid, await endpointAvalanche.getAddress());
+        await endpointAvalanche.setRemoteEndpoint(baseEid, await endpointBase.getAddress());
 
         // 5. Set peers for OFT contracts
-        await dreamsProxyOFT.setPeer(avalancheEid, ethers.utils.solidityPack(['address'], [await dreamsOFT.getAddress()]));
-        await dreamsOFT.setPeer(baseEid, ethers.utils.solidityPack(['address'], [await dreamsProxyOFT.getAddress()]));
+        await dreamsProxyOFT.setTrustedRemoteAddress(avalancheEid, await dreamsOFT.getAddress());
+        await dreamsOFT.setTrustedRemoteAddress(baseEid, await dreamsProxyOFT.getAddress());
+
+        // 6. Minimum destination gas for plain sends
+        await dreamsProxyOFT.setMinDstGas(avalancheEid, PT_SEND, dstGasLimit);
+        await dreamsOFT.setMinDstGas(baseEid, PT_SEND, dstGasLimit);
+    });
+
+    describe("Deployment", function () {
+        it("should wrap the existing DREAMS token on Base", async function () {
+            expect(await dreamsProxyOFT.token()).to.equal(await dreamsToken.getAddress());
+            expect(await dreamsProxyOFT.sharedDecimals()).to.equal(6);
+        });
+
+        it("should be its own token on Avalanche", async function () {
+            expect(await dreamsOFT.token()).to.equal(await dreamsOFT.getAddress());
+            expect(await dreamsOFT.name()).to.equal("DREAMS (LayerZero)");
+            expect(await dreamsOFT.decimals()).to.equal(18);
+            expect(await dreamsOFT.sharedDecimals()).to.equal(6);
+        });
+
+        it("should hand ownership and fee ownership to the given owner", async function () {
+            const DreamsOFT = await ethers.getContractFactory("DreamsOFT");
+            const oft = await DreamsOFT.connect(other).deploy("DREAMS", "DRM", await endpointAvalanche.getAddress(), owner.address);
+
+            expect(await oft.owner()).to.equal(owner.address);
+            expect(await oft.feeOwner()).to.equal(owner.address);
+        });
+
+        it("should reject a zero owner", async function () {
+            const DreamsOFT = await ethers.getContractFactory("DreamsOFT");
+            await expect(
+                DreamsOFT.deploy("DREAMS", "DRM", await endpointAvalanche.getAddress(), ethers.ZeroAddress)
+            ).to.be.revertedWith("DreamsOFT: owner is zero address");
+        });
+
+        it("should hand the proxy's ownership and fee ownership to the given owner", async function () {
+            const DreamsProxyOFT = await ethers.getContractFactory("DreamsProxyOFT");
+            const proxy = await DreamsProxyOFT.connect(other).deploy(
+                await endpointBase.getAddress(), await dreamsToken.getAddress(), owner.address
+            );
+
+            expect(await proxy.owner()).to.equal(owner.address);
+            expect(await proxy.feeOwner()).to.equal(owner.address);
+            await expect(
+                DreamsProxyOFT.deploy(await endpointBase.getAddress(), await dreamsToken.getAddress(), ethers.ZeroAddress)
+            ).to.be.revertedWith("DreamsProxyOFT: owner is zero address");
+        });
     });
 
-    it("should bridge tokens from Base to Avalanche", async function () {
-        const bridgeAmount = ethers.parseEther("1000");
-        const userAddressBytes = ethers.utils.solidityPack(['address'], [user.address]);
-
-        // Approve the proxy to spend DREAMS tokens
-        await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), bridgeAmount);
-
-        // Define send parameters
-        const sendParam = {
-            dstEid: avalancheEid,
-            to: userAddressBytes,
-            amountLD: bridgeAmount,
-            minAmountLD: bridgeAmount,
-            extraOptions: "0x",
-            composeMsg: "0x",
-            oftCmd: "0x"
-        };
-        
-        const fee = await dreamsProxyOFT.quote(sendParam, false);
-
-        // Bridge tokens
-        await dreamsProxyOFT.connect(user).send(sendParam, fee, user.address, { value: fee.nativeFee });
-        
-        // Check balances
-        expect(await dreamsToken.balanceOf(user.address)).to.equal(initialSupply.sub(bridgeAmount));
-        expect(await dreamsToken.balanceOf(await dreamsProxyOFT.getAddress())).to.equal(bridgeAmount);
-        expect(await dreamsOFT.balanceOf(user.address)).to.equal(bridgeAmount);
+    describe("Bridging", function () {
+        it("should bridge tokens from Base to Avalanche", async function () {
+            const bridgeAmount = ethers.parseEther("1000");
+
+            // Approve the proxy to spend DREAMS tokens
+            await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), bridgeAmount);
+
+            // Bridge tokens
+            await bridge(dreamsProxyOFT, user, avalancheEid, bridgeAmount);
+
+            // Check balances
+            expect(await dreamsToken.balanceOf(user.address)).to.equal(initialSupply - bridgeAmount);
+            expect(await dreamsToken.balanceOf(await dreamsProxyOFT.getAddress())).to.equal(bridgeAmount);
+            expect(await dreamsOFT.balanceOf(user.address)).to.equal(bridgeAmount);
+            expect(await dreamsOFT.totalSupply()).to.equal(bridgeAmount);
+        });
+
+        it("should bridge tokens back from Avalanche to Base", async function () {
+            const bridgeAmount = ethers.parseEther("1000");
+
+            // First, bridge from Base to Avalanche to get tokens on Avalanche
+            await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), bridgeAmount);
+            await bridge(dreamsProxyOFT, user, avalancheEid, bridgeAmount);
+
+            // Now, bridge back from Avalanche to Base
+            const avalancheBalanceBefore = await dreamsOFT.balanceOf(user.address);
+            const baseBalanceBefore = await dreamsToken.balanceOf(user.address);
+
+            await bridge(dreamsOFT, user, baseEid, bridgeAmount);
+
+            // Check balances
+            expect(await dreamsOFT.balanceOf(user.address)).to.equal(avalancheBalanceBefore - bridgeAmount);
+            expect(await dreamsToken.balanceOf(user.address)).to.equal(baseBalanceBefore + bridgeAmount);
+            expect(await dreamsToken.balanceOf(await dreamsProxyOFT.getAddress())).to.equal(0);
+            expect(await dreamsOFT.totalSupply()).to.equal(0);
+        });
+
+        it("should deliver to a different recipient", async function () {
+            const bridgeAmount = ethers.parseEther("10");
+            await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), bridgeAmount);
+
+            const [nativeFee] = await dreamsProxyOFT.estimateSendFee(avalancheEid, toBytes32(other.address), bridgeAmount, false, adapterParams);
+            await dreamsProxyOFT.connect(user).sendFrom(
+                user.address,
+                avalancheEid,
+                toBytes32(other.address),
+                bridgeAmount,
+                bridgeAmount,
+                callParams(user.address),
+                { value: nativeFee }
+            );
+
+            expect(await dreamsOFT.balanceOf(other.address)).to.equal(bridgeAmount);
+            expect(await dreamsOFT.balanceOf(user.address)).to.equal(0);
+        });
     });
 
-    it("should bridge tokens back from Avalanche to Base", async function () {
-        const bridgeAmount = ethers.parseEther("1000");
-        const userAddressBytes = ethers.utils.solidityPack(['address'], [user.address]);
-        
-        // First, bridge from Base to Avalanche to get tokens on Avalanche
-        await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), bridgeAmount);
-        let sendParam = {
-            dstEid: avalancheEid,
-            to: userAddressBytes,
-            amountLD: bridgeAmount,
-            minAmountLD: bridgeAmount,
-            extraOptions: "0x",
-            composeMsg: "0x",
-            oftCmd: "0x"
-        };
-        let fee = await dreamsProxyOFT.quote(sendParam, false);
-        await dreamsProxyOFT.connect(user).send(sendParam, fee, user.address, { value: fee.nativeFee });
-
-        // Now, bridge back from Avalanche to Base
-        const avalancheBalanceBefore = await dreamsOFT.balanceOf(user.address);
-        const baseBalanceBefore = await dreamsToken.balanceOf(user.address);
-
-        sendParam = {
-            dstEid: baseEid,
-            to: userAddressBytes,
-            amountLD: bridgeAmount,
-            minAmountLD: bridgeAmount,
-            extraOptions: "0x",
-            composeMsg: "0x",
-            oftCmd: "0x"
-        };
-        fee = await dreamsOFT.quote(sendParam, false);
-        await dreamsOFT.connect(user).send(sendParam, fee, user.address, { value: fee.nativeFee });
-
-        // Check balances
-        expect(await dreamsOFT.balanceOf(user.address)).to.equal(avalancheBalanceBefore.sub(bridgeAmount));
-        expect(await dreamsToken.balanceOf(user.address)).to.equal(baseBalanceBefore.add(bridgeAmount));
-        expect(await dreamsToken.balanceOf(await dreamsProxyOFT.getAddress())).to.equal(0);
+    describe("Peers", function () {
+        it("should report trusted remotes", async function () {
+            const proxyPath = ethers.solidityPacked(
+                ["address", "address"],
+                [await dreamsProxyOFT.getAddress(), await dreamsOFT.getAddress()]
+            );
+            expect(await dreamsOFT.isTrustedRemote(baseEid, proxyPath)).to.equal(true);
+            expect(await dreamsOFT.getTrustedRemoteAddress(baseEid)).to.equal(
+                (await dreamsProxyOFT.getAddress()).toLowerCase()
+            );
+        });
+
+        it("should only let the owner set peers", async function () {
+            await expect(
+                dreamsOFT.connect(user).setTrustedRemoteAddress(baseEid, await dreamsProxyOFT.getAddress())
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+
+        it("should revert sending to a chain without a peer", async function () {
+            const bridgeAmount = ethers.parseEther("10");
+            await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), bridgeAmount);
+            await dreamsProxyOFT.setMinDstGas(99, PT_SEND, dstGasLimit);
+
+            await expect(
+                dreamsProxyOFT.connect(user).sendFrom(
+                    user.address,
+                    99,
+                    toBytes32(user.address),
+                    bridgeAmount,
+                    bridgeAmount,
+                    callParams(user.address),
+                    { value: ethers.parseEther("1") }
+                )
+            ).to.be.revertedWith("LzApp: destination chain is not a trusted source");
+        });
+
+        it("should not mint for messages from an untrusted sender", async function () {
+            // A second proxy on Base that trusts the Avalanche OFT, but is not trusted back
+            const DreamsProxyOFT = await ethers.getContractFactory("DreamsProxyOFT");
+            const rogue = await DreamsProxyOFT.deploy(await endpointBase.getAddress(), await dreamsToken.getAddress(), owner.address);
+            await rogue.setTrustedRemoteAddress(avalancheEid, await dreamsOFT.getAddress());
+            await rogue.setMinDstGas(avalancheEid, PT_SEND, dstGasLimit);
+
+            const bridgeAmount = ethers.parseEther("10");
+            await dreamsToken.connect(user).approve(await rogue.getAddress(), bridgeAmount);
+
+            await expect(bridge(rogue, user, avalancheEid, bridgeAmount))
+                .to.emit(endpointAvalanche, "PayloadStored");
+
+            const rogueSrcPath = ethers.solidityPacked(
+                ["address", "address"],
+                [await rogue.getAddress(), await dreamsOFT.getAddress()]
+            );
+            expect(await endpointAvalanche.hasStoredPayload(baseEid, rogueSrcPath)).to.equal(true);
+            expect(await dreamsOFT.totalSupply()).to.equal(0);
+        });
+    });
+
+    describe("Slippage", function () {
+        it("should strip dust below shared decimals and leave it with the sender", async function () {
+            // 18 local decimals, 6 shared - anything below 1e12 wei is dust
+            const dust = 123n;
+            const bridgeAmount = ethers.parseEther("10") + dust;
+            await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), bridgeAmount);
+
+            await bridge(dreamsProxyOFT, user, avalancheEid, bridgeAmount, bridgeAmount - dust);
+
+            expect(await dreamsOFT.balanceOf(user.address)).to.equal(bridgeAmount - dust);
+            expect(await dreamsToken.balanceOf(user.address)).to.equal(initialSupply - bridgeAmount + dust);
+        });
+
+        it("should revert when dust pushes the amount below minAmount", async function () {
+            const bridgeAmount = ethers.parseEther("10") + 123n;
+            await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), bridgeAmount);
+
+            await expect(
+                bridge(dreamsProxyOFT, user, avalancheEid, bridgeAmount, bridgeAmount)
+            ).to.be.revertedWith("BaseOFTWithFee: amount is less than minAmount");
+        });
+
+        it("should revert when the bridge fee pushes the amount below minAmount", async function () {
+            await dreamsOFT.setDefaultFeeBp(100); // 1%
+
+            const bridgeAmount = ethers.parseEther("1000");
+            await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), bridgeAmount);
+            await bridge(dreamsProxyOFT, user, avalancheEid, bridgeAmount);
+
+            await expect(
+                bridge(dreamsOFT, user, baseEid, bridgeAmount, bridgeAmount)
+            ).to.be.revertedWith("BaseOFTWithFee: amount is less than minAmount");
+
+            const fee = await dreamsOFT.quoteOFTFee(baseEid, bridgeAmount);
+            await bridge(dreamsOFT, user, baseEid, bridgeAmount, bridgeAmount - fee);
+
+            expect(await dreamsToken.balanceOf(user.address)).to.equal(initialSupply - fee);
+            expect(await dreamsOFT.balanceOf(owner.address)).to.equal(fee);
+        });
+    });
+
+    describe("Fees", function () {
+        it("should quote the OFT fee per destination", async function () {
+            const amount = ethers.parseEther("1000");
+            expect(await dreamsOFT.quoteOFTFee(baseEid, amount)).to.equal(0);
+
+            await dreamsOFT.setDefaultFeeBp(50);
+            expect(await dreamsOFT.quoteOFTFee(baseEid, amount)).to.equal(ethers.parseEther("5"));
+
+            await dreamsOFT.setFeeBp(baseEid, true, 10);
+            expect(await dreamsOFT.quoteOFTFee(baseEid, amount)).to.equal(ethers.parseEther("1"));
+        });
+
+        it("should only let the owner set fees", async function () {
+            await expect(dreamsOFT.connect(user).setDefaultFeeBp(100))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+        });
+
+        it("should quote the messaging fee from the endpoint", async function () {
+            const amount = ethers.parseEther("10");
+            const [nativeFee, zroFee] = await dreamsProxyOFT.estimateSendFee(avalancheEid, toBytes32(user.address), amount, false, adapterParams);
+
+            expect(nativeFee).to.be.gt(await endpointBase.nativeFeeBase());
+            expect(zroFee).to.equal(0);
+
+            await endpointBase.setFees(ethers.parseEther("0.01"), 0);
+            const [raised] = await dreamsProxyOFT.estimateSendFee(avalancheEid, toBytes32(user.address), amount, false, adapterParams);
+            expect(raised).to.equal(ethers.parseEther("0.01"));
+        });
+
+        it("should revert when the messaging fee is underpaid", async function () {
+            const amount = ethers.parseEther("10");
+            await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), amount);
+            const [nativeFee] = await dreamsProxyOFT.estimateSendFee(avalancheEid, toBytes32(user.address), amount, false, adapterParams);
+
+            await expect(
+                dreamsProxyOFT.connect(user).sendFrom(
+                    user.address,
+                    avalancheEid,
+                    toBytes32(user.address),
+                    amount,
+                    amount,
+                    callParams(user.address),
+                    { value: nativeFee - 1n }
+                )
+            ).to.be.revertedWith("LZEndpointMock: not enough native for fees");
+        });
+
+        it("should refund any overpaid messaging fee", async function () {
+            const amount = ethers.parseEther("10");
+            await dreamsToken.connect(user).approve(await dreamsProxyOFT.getAddress(), amount);
+            const [nativeFee] = await dreamsProxyOFT.estimateSendFee(avalancheEid, toBytes32(user.address), amount, false, adapterParams);
+
+            await expect(
+                dreamsProxyOFT.connect(user).sendFrom(
+                    user.address,
+                    avalancheEid,
+                    toBytes32(user.address),
+                    amount,
+                    amount,
+                    callParams(user.address),
+                    { value: nativeFee + ethers.parseEther("1") }
+                )
+            ).to.changeEtherBalance(user, -nativeFee);
+        });
     });
 });
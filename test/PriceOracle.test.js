@@ -34,7 +34,7 @@ describe("PriceOracle", function () {
     it("should reject price update from non-admin", async function () {
       await expect(
         priceOracle.connect(user).updatePrice(await mockToken.getAddress(), ETH_PRICE)
-      ).to.be.revertedWithCustomError(priceOracle, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(priceOracle, "MissingRole");
     });
 
     it("should reject zero price", async function () {
@@ -170,7 +170,93 @@ describe("PriceOracle", function () {
 
       await expect(
         priceOracle.connect(owner).updatePrice(await mockToken.getAddress(), 300000000000n)
-      ).to.be.revertedWithCustomError(priceOracle, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(priceOracle, "MissingRole");
+    });
+  });
+
+  describe("Roles", function () {
+
+    it("should let the admin grant and revoke roles", async function () {
+      const role = await priceOracle.OPERATOR_ROLE();
+
+      await expect(priceOracle.connect(owner).grantRole(role, user.address))
+        .to.emit(priceOracle, "RoleGranted")
+        .withArgs(role, user.address, owner.address);
+      expect(await priceOracle.hasRole(role, user.address)).to.equal(true);
+
+      await expect(priceOracle.connect(owner).revokeRole(role, user.address))
+        .to.emit(priceOracle, "RoleRevoked")
+        .withArgs(role, user.address, owner.address);
+      expect(await priceOracle.hasRole(role, user.address)).to.equal(false);
+    });
+
+    it("should reject role changes from non-admin", async function () {
+      const role = await priceOracle.GOVERNOR_ROLE();
+
+      await expect(
+        priceOracle.connect(user).grantRole(role, user.address)
+      ).to.be.revertedWithCustomError(priceOracle, "NotRoleAdmin");
+
+      await expect(
+        priceOracle.connect(user).revokeRole(role, owner.address)
+      ).to.be.revertedWithCustomError(priceOracle, "NotRoleAdmin");
+    });
+
+    it("should let an operator update prices", async function () {
+      await priceOracle.grantRole(await priceOracle.OPERATOR_ROLE(), user.address);
+
+      await expect(
+        priceOracle.connect(user).updatePrice(await mockToken.getAddress(), ETH_PRICE)
+      ).to.emit(priceOracle, "PriceUpdated");
+    });
+
+    it("should give the admin every role", async function () {
+      for (const role of ["OPERATOR_ROLE", "GUARDIAN_ROLE", "TREASURER_ROLE", "GOVERNOR_ROLE"]) {
+        expect(await priceOracle.hasRole(await priceOracle[role](), owner.address), role).to.equal(true);
+        expect(await priceOracle.hasRole(await priceOracle[role](), user.address), role).to.equal(false);
+      }
+    });
+
+    it("should move implicit roles with the admin", async function () {
+      const role = await priceOracle.OPERATOR_ROLE();
+      await priceOracle.initiateAdminTransfer(newAdmin.address);
+      await priceOracle.connect(newAdmin).acceptAdminTransfer();
+
+      expect(await priceOracle.hasRole(role, owner.address)).to.equal(false);
+      expect(await priceOracle.hasRole(role, newAdmin.address)).to.equal(true);
+      await expect(
+        priceOracle.grantRole(role, user.address)
+      ).to.be.revertedWithCustomError(priceOracle, "NotRoleAdmin");
+    });
+
+    it("should let a holder renounce a role", async function () {
+      const role = await priceOracle.OPERATOR_ROLE();
+      await priceOracle.grantRole(role, user.address);
+
+      await expect(priceOracle.connect(user).renounceRole(role))
+        .to.emit(priceOracle, "RoleRevoked")
+        .withArgs(role, user.address, user.address);
+
+      await expect(
+        priceOracle.connect(user).updatePrice(await mockToken.getAddress(), ETH_PRICE)
+      ).to.be.revertedWithCustomError(priceOracle, "MissingRole")
+        .withArgs(role, user.address);
+    });
+
+    it("should reject unknown roles", async function () {
+      const role = ethers.id("MINTER_ROLE");
+
+      await expect(
+        priceOracle.grantRole(role, user.address)
+      ).to.be.revertedWithCustomError(priceOracle, "UnknownRole")
+        .withArgs(role);
+    });
+
+    it("should not emit when granting a role twice", async function () {
+      const role = await priceOracle.GUARDIAN_ROLE();
+      await priceOracle.grantRole(role, user.address);
+
+      await expect(priceOracle.grantRole(role, user.address)).to.not.emit(priceOracle, "RoleGranted");
     });
   });
 });
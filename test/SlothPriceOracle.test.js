@@ -46,7 +46,7 @@ describe("SlothPriceOracle", function () {
     it("should reject setting a token oracle from non-admin", async function () {
       await expect(
         slothOracle.connect(owner).setTokenOracle(await tokenA.getAddress(), await chainlinkOracle.getAddress())
-      ).to.be.revertedWithCustomError(slothOracle, "OnlyAdmin");
+      ).to.be.revertedWithCustomError(slothOracle, "MissingRole");
     });
   });
 
@@ -90,4 +90,46 @@ describe("SlothPriceOracle", function () {
         ).to.be.revertedWithCustomError(slothOracle, "OracleNotSetForToken");
     });
   });
+
+  describe("Roles", function () {
+
+    it("should let the admin grant and revoke roles", async function () {
+      const role = await slothOracle.OPERATOR_ROLE();
+
+      await expect(slothOracle.connect(admin).grantRole(role, owner.address))
+        .to.emit(slothOracle, "RoleGranted")
+        .withArgs(role, owner.address, admin.address);
+      expect(await slothOracle.hasRole(role, owner.address)).to.equal(true);
+
+      await expect(slothOracle.connect(admin).revokeRole(role, owner.address))
+        .to.emit(slothOracle, "RoleRevoked")
+        .withArgs(role, owner.address, admin.address);
+      expect(await slothOracle.hasRole(role, owner.address)).to.equal(false);
+    });
+
+    it("should reject role changes from non-admin", async function () {
+      const role = await slothOracle.GOVERNOR_ROLE();
+
+      await expect(
+        slothOracle.connect(owner).grantRole(role, owner.address)
+      ).to.be.revertedWithCustomError(slothOracle, "NotRoleAdmin");
+
+      await expect(
+        slothOracle.connect(owner).revokeRole(role, admin.address)
+      ).to.be.revertedWithCustomError(slothOracle, "NotRoleAdmin");
+    });
+
+    it("should let a governor route tokens but not an operator", async function () {
+      await slothOracle.connect(admin).grantRole(await slothOracle.OPERATOR_ROLE(), owner.address);
+
+      await expect(
+        slothOracle.connect(owner).setTokenOracle(await tokenA.getAddress(), await chainlinkOracle.getAddress())
+      ).to.be.revertedWithCustomError(slothOracle, "MissingRole")
+        .withArgs(await slothOracle.GOVERNOR_ROLE(), owner.address);
+
+      await slothOracle.connect(admin).grantRole(await slothOracle.GOVERNOR_ROLE(), owner.address);
+      await slothOracle.connect(owner).setTokenOracle(await tokenA.getAddress(), await chainlinkOracle.getAddress());
+      expect(await slothOracle.tokenOracles(await tokenA.getAddress())).to.equal(await chainlinkOracle.getAddress());
+    });
+  });
 });
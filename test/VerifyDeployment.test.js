@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Deployer } = require("../scripts/lib/deployer");
+const { deploySystem } = require("../scripts/lib/system");
+const { recoverConstructorArgs, verifyManifest } = require("../scripts/lib/verification");
+
+describe("verify-deployment", function () {
+  let deploymentsDir;
+  let deployer, manifest;
+
+  // Stand-in for the block explorer
+  function explorer(alreadyVerified = []) {
+    const verified = new Set(alreadyVerified.map((address) => address.toLowerCase()));
+    const submissions = [];
+    return {
+      submissions,
+      isVerified: async (_hre, address) => verified.has(address.toLowerCase()),
+      verify: async (_hre, submission) => {
+        submissions.push(submission);
+        verified.add(submission.address.toLowerCase());
+      },
+    };
+  }
+
+  before(async function () {
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "slothlabs-deployments-"));
+    deployer = await new Deployer(hre, { deploymentsDir, quiet: true }).init();
+    manifest = await deploySystem(deployer, null);
+
+    // Not part of the local pipeline, but has the longest constructor
+    await deployer.deploy("DreamsJuicyPool", "MockUniswapV3Pool", [
+      deployer.address("DreamsToken"),
+      deployer.address("JuicyToken"),
+    ]);
+    await deployer.deploy("JuicyNativePool", "MockUniswapV3Pool", [
+      deployer.address("JuicyToken"),
+      deployer.address("WrappedNative"),
+    ]);
+    await deployer.deploy("UniswapTwapOracle", "UniswapTwapOracle", [
+      deployer.address("DreamsJuicyPool"),
+      deployer.address("JuicyNativePool"),
+      deployer.address("DreamsToken"),
+      deployer.address("JuicyToken"),
+      deployer.address("WrappedNative"),
+      deployer.address("PriceOracle"),
+      1800,
+    ]);
+  });
+
+  after(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  it("should submit every contract with its constructor args", async function () {
+    const stub = explorer();
+    const results = await verifyManifest(hre, manifest, stub);
+
+    expect(results.map((row) => row.name)).to.deep.equal(Object.keys(manifest.contracts));
+    expect(results.every((row) => row.status === "verified")).to.equal(true);
+
+    const buyback = stub.submissions.find((s) => s.address === deployer.address("DreamsTreasuryBuyback"));
+    expect(buyback.contract).to.equal("contracts/treasury/DreamsTreasuryBuyback.sol:DreamsTreasuryBuyback");
+    expect(buyback.constructorArguments).to.deep.equal(manifest.contracts.DreamsTreasuryBuyback.args);
+    expect(buyback.constructorArguments).to.have.length(9);
+
+    const twap = stub.submissions.find((s) => s.address === deployer.address("UniswapTwapOracle"));
+    expect(twap.constructorArguments[6]).to.equal(1800);
+  });
+
+  it("should skip contracts that are already verified", async function () {
+    const stub = explorer([deployer.address("DreamsStaking"), deployer.address("zDREAMS")]);
+    const results = await verifyManifest(hre, manifest, stub);
+
+    const skipped = results.filter((row) => row.status === "skipped").map((row) => row.name);
+    expect(skipped).to.deep.equal(["DreamsStaking", "zDREAMS"]);
+    expect(stub.submissions.map((s) => s.address)).to.not.include(deployer.address("DreamsStaking"));
+
+    // A second run has nothing left to do
+    const rerun = await verifyManifest(hre, manifest, stub);
+    expect(rerun.every((row) => row.status === "skipped")).to.equal(true);
+  });
+
+  it("should only verify the requested contracts", async function () {
+    const stub = explorer();
+    const results = await verifyManifest(hre, manifest, { ...stub, only: ["CloudBoost"] });
+
+    expect(results).to.have.length(1);
+    expect(stub.submissions[0].constructorArguments).to.deep.equal([deployer.address("zDREAMS")]);
+  });
+
+  it("should report failures and keep going", async function () {
+    const stub = explorer();
+    const results = await verifyManifest(hre, manifest, {
+      isVerified: stub.isVerified,
+      verify: async (_hre, submission) => {
+        if (submission.address === deployer.address("DreamNFT")) throw new Error("Bytecode mismatch\nmore detail");
+        return stub.verify(_hre, submission);
+      },
+    });
+
+    const failed = results.find((row) => row.name === "DreamNFT");
+    expect(failed.status).to.equal("failed");
+    expect(failed.detail).to.equal("Bytecode mismatch");
+    expect(results.filter((row) => row.status === "verified")).to.have.length(results.length - 1);
+  });
+
+  describe("Constructor-argument recovery", function () {
+    it("should recover args from the deploy transaction", async function () {
+      for (const name of ["DreamsTreasuryBuyback", "UniswapTwapOracle", "DreamsTreasurySale", "USDC"]) {
+        const entry = manifest.contracts[name];
+        const recovered = await recoverConstructorArgs(hre, entry.contract, entry.txHash);
+        expect(recovered, name).to.deep.equal(entry.args.map((arg) => (typeof arg === "number" ? String(arg) : arg)));
+      }
+    });
+
+    it("should verify manifest entries without recorded args", async function () {
+      const legacy = JSON.parse(JSON.stringify(manifest));
+      delete legacy.contracts.DreamsTreasuryBuyback.args;
+
+      const stub = explorer();
+      const results = await verifyManifest(hre, legacy, { ...stub, only: ["DreamsTreasuryBuyback"] });
+
+      expect(results[0].status).to.equal("verified");
+      expect(results[0].detail).to.equal("args recovered from deploy tx");
+      expect(stub.submissions[0].constructorArguments).to.deep.equal(manifest.contracts.DreamsTreasuryBuyback.args);
+    });
+
+    it("should reject a deploy transaction for another contract", async function () {
+      const entry = manifest.contracts.DreamsStaking;
+      await expect(recoverConstructorArgs(hre, "DreamsTreasuryBuyback", entry.txHash)).to.be.rejectedWith(
+        /does not match the DreamsTreasuryBuyback artifact/
+      );
+    });
+  });
+
+  it("should refuse local networks", async function () {
+    await expect(hre.run("verify-deployment", { deployments: deploymentsDir })).to.be.rejectedWith(/no block explorer/);
+  });
+});
@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Deployer } = require("../scripts/lib/deployer");
+const { deploySystem } = require("../scripts/lib/system");
+const { checkWiring } = require("../scripts/lib/wiring");
+
+describe("verify-wiring task", function () {
+  let deploymentsDir;
+  let deployer, manifest, other;
+  let output;
+
+  // Capture the table instead of printing it
+  async function runTask() {
+    const log = console.log;
+    output = [];
+    console.log = (...args) => output.push(args.join(" "));
+    try {
+      return await hre.run("verify-wiring", { deployments: deploymentsDir });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  beforeEach(async function () {
+    [, other] = await hre.ethers.getSigners();
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "slothlabs-deployments-"));
+    deployer = await new Deployer(hre, { deploymentsDir, quiet: true }).init();
+    manifest = await deploySystem(deployer, null);
+
+    // JUICY staking lives outside this repo - any address counts as set
+    await deployer.get("MilestoneCrowdfunding").setJuicyStakingPool(other.address);
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  it("should pass every check on a fresh deployment", async function () {
+    const results = await runTask();
+
+    expect(results.every((row) => row.ok)).to.equal(true);
+    expect(output.join("\n")).to.include(`${results.length}/${results.length} checks passed`);
+  });
+
+  it("should cover every pointer set by the pipeline", async function () {
+    const checks = (await checkWiring(hre.ethers, manifest)).map((row) => row.check);
+
+    expect(checks).to.include.members([
+      "zDREAMS.stakingContract",
+      "zDREAMS.cloudBoostContract",
+      "DreamsStaking.buybackContract",
+      "DreamsStaking.treasurySaleContract",
+      "DreamsTreasurySale.dreamsStaking",
+      "MilestoneCrowdfunding.dreamsStakingContract",
+      "MilestoneCrowdfunding.dreamsStakingPool",
+      "MilestoneCrowdfunding.juicyStakingPool",
+      "DreamNFT.authorizedMinters(marketplace)",
+    ]);
+  });
+
+  it("should fail on a mismatched pointer", async function () {
+    await deployer.get("zDREAMS").setCloudBoostContract(other.address);
+
+    await expect(runTask()).to.be.rejectedWith(/Wiring check failed: zDREAMS.cloudBoostContract$/);
+
+    const row = output.join("\n").split("\n").find((line) => line.includes("zDREAMS.cloudBoostContract"));
+    expect(row).to.match(/^FAIL/);
+    expect(row).to.include(other.address);
+  });
+
+  it("should fail when the marketplace is not an authorized minter", async function () {
+    await deployer.get("DreamNFT").revokeMinter(deployer.address("DreamMarketplace"));
+
+    await expect(runTask()).to.be.rejectedWith(/DreamNFT.authorizedMinters\(marketplace\)/);
+  });
+
+  it("should fail when crowdfunding staking pools are unset", async function () {
+    await deployer.get("MilestoneCrowdfunding").setJuicyStakingPool(hre.ethers.ZeroAddress);
+
+    await expect(runTask()).to.be.rejectedWith(/MilestoneCrowdfunding.juicyStakingPool/);
+  });
+
+  it("should only require the sale staking pointer while auto-stake is on", async function () {
+    const sale = deployer.get("DreamsTreasurySale");
+    await sale.updateStaking(hre.ethers.ZeroAddress);
+    await expect(runTask()).to.be.rejectedWith(/DreamsTreasurySale.dreamsStaking/);
+
+    await sale.toggleAutoStake();
+    const results = await runTask();
+    expect(results.find((row) => row.check === "DreamsTreasurySale.dreamsStaking").ok).to.equal(true);
+  });
+
+  it("should fail for contracts missing from the manifest", async function () {
+    delete manifest.contracts.CloudBoost;
+    const results = await checkWiring(hre.ethers, manifest);
+    const row = results.find((r) => r.check === "zDREAMS.cloudBoostContract");
+
+    expect(row.ok).to.equal(false);
+    expect(row.actual).to.equal("CloudBoost not in manifest");
+  });
+
+  it("should fail without a manifest", async function () {
+    fs.rmSync(path.join(deploymentsDir, "hardhat.json"));
+    await expect(runTask()).to.be.rejectedWith(/No deployment manifest/);
+  });
+});
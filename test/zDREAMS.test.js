@@ -0,0 +1,98 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("zDREAMS", function () {
+  let zDreams;
+  let owner, staking, user;
+
+  beforeEach(async function () {
+    [owner, staking, user] = await ethers.getSigners();
+
+    const ZDREAMS = await ethers.getContractFactory("zDREAMS");
+    zDreams = await ZDREAMS.deploy();
+  });
+
+  describe("Roles", function () {
+
+    it("should let the admin grant and revoke roles", async function () {
+      const role = await zDreams.OPERATOR_ROLE();
+
+      await expect(zDreams.connect(owner).grantRole(role, user.address))
+        .to.emit(zDreams, "RoleGranted")
+        .withArgs(role, user.address, owner.address);
+      expect(await zDreams.hasRole(role, user.address)).to.equal(true);
+
+      await expect(zDreams.connect(owner).revokeRole(role, user.address))
+        .to.emit(zDreams, "RoleRevoked")
+        .withArgs(role, user.address, owner.address);
+      expect(await zDreams.hasRole(role, user.address)).to.equal(false);
+    });
+
+    it("should reject role changes from non-admin", async function () {
+      const role = await zDreams.GOVERNOR_ROLE();
+
+      await expect(
+        zDreams.connect(user).grantRole(role, user.address)
+      ).to.be.revertedWithCustomError(zDreams, "NotRoleAdmin");
+
+      await expect(
+        zDreams.connect(user).revokeRole(role, owner.address)
+      ).to.be.revertedWithCustomError(zDreams, "NotRoleAdmin");
+    });
+
+    it("should let a governor wire the staking and boost contracts", async function () {
+      await zDreams.grantRole(await zDreams.GOVERNOR_ROLE(), user.address);
+
+      await expect(zDreams.connect(user).setStakingContract(staking.address))
+        .to.emit(zDreams, "StakingContractUpdated")
+        .withArgs(ethers.ZeroAddress, staking.address);
+      await zDreams.connect(user).setCloudBoostContract(staking.address);
+      expect(await zDreams.cloudBoostContract()).to.equal(staking.address);
+    });
+
+    it("should keep other roles away from wiring", async function () {
+      for (const role of ["OPERATOR_ROLE", "GUARDIAN_ROLE", "TREASURER_ROLE"]) {
+        await zDreams.grantRole(await zDreams[role](), user.address);
+      }
+
+      await expect(
+        zDreams.connect(user).setStakingContract(staking.address)
+      ).to.be.revertedWithCustomError(zDreams, "MissingRole")
+        .withArgs(await zDreams.GOVERNOR_ROLE(), user.address);
+    });
+  });
+
+  describe("History", function () {
+    const amount = ethers.parseEther("100");
+
+    beforeEach(async function () {
+      await zDreams.setStakingContract(staking.address);
+    });
+
+    it("should keep past balances and supply per block", async function () {
+      await zDreams.connect(staking).mint(user.address, amount);
+      const afterMint = await ethers.provider.getBlockNumber();
+      await zDreams.connect(staking).burn(user.address, amount / 4n);
+      const afterBurn = await ethers.provider.getBlockNumber();
+      await mine();
+
+      expect(await zDreams.getPastVotes(user.address, afterMint - 1)).to.equal(0);
+      expect(await zDreams.getPastVotes(user.address, afterMint)).to.equal(amount);
+      expect(await zDreams.getPastTotalSupply(afterMint)).to.equal(amount);
+      expect(await zDreams.getPastVotes(user.address, afterBurn)).to.equal(amount - amount / 4n);
+      expect(await zDreams.getPastTotalSupply(afterBurn)).to.equal(amount - amount / 4n);
+    });
+
+    it("should reject lookups of blocks that are not mined yet", async function () {
+      const current = await ethers.provider.getBlockNumber();
+
+      await expect(
+        zDreams.getPastVotes(user.address, current + 1)
+      ).to.be.revertedWithCustomError(zDreams, "FutureLookup");
+      await expect(
+        zDreams.getPastTotalSupply(current + 1)
+      ).to.be.revertedWithCustomError(zDreams, "FutureLookup");
+    });
+  });
+});